@@ -3,6 +3,8 @@
  * JavaScript equivalents of Python implementations
  */
 
+const { resolveRng } = require('./random.js');
+
 /**
  * Greatest Common Divisor using Euclidean algorithm (recursive)
  * @param {number} a - First number
@@ -89,14 +91,16 @@ function sieveOfEratosthenes(n) {
 /**
  * Monte Carlo estimation of Pi
  * @param {number} numSamples - Number of random samples
+ * @param {Object} [options] - rng (a Random) or seed, see random.js
  * @returns {number} - Estimated value of Pi
  */
-function monteCarloPi(numSamples) {
+function monteCarloPi(numSamples, options = {}) {
+  const rng = resolveRng(options);
   let insideCircle = 0;
 
   for (let i = 0; i < numSamples; i++) {
-    const x = Math.random();
-    const y = Math.random();
+    const x = rng.random();
+    const y = rng.random();
 
     if (x * x + y * y <= 1) {
       insideCircle++;
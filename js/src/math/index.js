@@ -3,7 +3,9 @@
  */
 
 const computation = require('./computation.js');
+const random = require('./random.js');
 
 module.exports = {
-  ...computation
+  ...computation,
+  ...random
 };
@@ -274,24 +274,46 @@ function histogramEqualization(image) {
 }
 
 /**
- * Rolling mean (moving average)
+ * Rolling mean (moving average) with a Kahan-compensated running sum
+ *
+ * For other statistics, minPeriods, centering and time windows see
+ * rolling in stats/window.js.
+ *
  * @param {number[]} series - Input series
  * @param {number} window - Window size
- * @returns {number[]} - Rolling mean (with NaN for incomplete windows)
+ * @returns {number[]} - Rolling mean (with NaN for incomplete windows or windows holding NaN)
  */
 function rollingMean(series, window) {
   const result = [];
+  let sum = 0;
+  let compensation = 0;
+  // NaN and infinite values in the window are counted rather than summed,
+  // so they leave no trace in the sum (or its compensation) once they leave
+  let nans = 0;
+  let positive = 0;
+  let negative = 0;
+  // Compensation keeps large values that leave the window from wiping out small ones
+  const add = x => {
+    const y = x - compensation;
+    const t = sum + y;
+    compensation = (t - sum) - y;
+    sum = t;
+  };
+  const track = (x, step) => {
+    if (Number.isNaN(x)) nans += step;
+    else if (x === Infinity) positive += step;
+    else if (x === -Infinity) negative += step;
+    else add(step * x);
+  };
 
   for (let i = 0; i < series.length; i++) {
-    if (i < window - 1) {
-      result.push(NaN);
-    } else {
-      let sum = 0;
-      for (let j = 0; j < window; j++) {
-        sum += series[i - j];
-      }
-      result.push(sum / window);
-    }
+    track(series[i], 1);
+    if (i >= window) track(series[i - window], -1);
+
+    if (i < window - 1 || nans > 0 || (positive > 0 && negative > 0)) result.push(NaN);
+    else if (positive > 0) result.push(Infinity);
+    else if (negative > 0) result.push(-Infinity);
+    else result.push(sum / window);
   }
 
   return result;
@@ -0,0 +1,416 @@
+/**
+ * Columnar Storage
+ * Typed column encodings backing the DataFrame class
+ *
+ * Every column offers get(i), toArray() and take(indices); take treats a
+ * position of -1 as a missing row and yields null there.
+ *
+ * Columns also carry a dtype: 'int' or 'float' (NumericColumn), 'datetime'
+ * (DatetimeColumn), 'string' or 'category' (DictionaryColumn), 'bool' or
+ * 'object' (ObjectColumn). See dtypes.js for casting between them.
+ */
+
+/**
+ * Gather values and null flags by position
+ * @param {Float64Array} source - Values
+ * @param {Uint8Array|null} sourceNulls - Null mask
+ * @param {number[]} indices - Positions, -1 for a missing row
+ * @returns {{values: Float64Array, nulls: Uint8Array|null}} - Gathered values and mask
+ */
+function takeFloat64(source, sourceNulls, indices) {
+  const n = indices.length;
+  const values = new Float64Array(n);
+  let nulls = sourceNulls ? new Uint8Array(n) : null;
+  for (let i = 0; i < n; i++) {
+    const j = indices[i];
+    if (j < 0) {
+      // Position -1 stands for a missing row
+      values[i] = NaN;
+      if (!nulls) nulls = new Uint8Array(n);
+      nulls[i] = 1;
+    } else {
+      values[i] = source[j];
+      if (sourceNulls) nulls[i] = sourceNulls[j];
+    }
+  }
+  return { values, nulls };
+}
+
+/**
+ * Numeric column stored in a Float64Array
+ *
+ * Missing values are stored as NaN with a bit set in the null mask, so the
+ * values array can be handed straight to numeric code.
+ */
+class NumericColumn {
+  /**
+   * @param {Float64Array} values - Column values
+   * @param {Uint8Array|null} nulls - 1 where the value is null
+   * @param {string} [dtype] - 'int' or 'float'
+   */
+  constructor(values, nulls = null, dtype = 'float') {
+    this.kind = 'numeric';
+    this.dtype = dtype;
+    this.values = values;
+    this.nulls = nulls;
+  }
+
+  get length() {
+    return this.values.length;
+  }
+
+  get(i) {
+    return this.nulls && this.nulls[i] ? null : this.values[i];
+  }
+
+  take(indices) {
+    const { values, nulls } = takeFloat64(this.values, this.nulls, indices);
+    return new NumericColumn(values, nulls, this.dtype);
+  }
+
+  toArray() {
+    const result = new Array(this.values.length);
+    for (let i = 0; i < result.length; i++) {
+      result[i] = this.get(i);
+    }
+    return result;
+  }
+}
+
+/**
+ * Date column stored as milliseconds since the epoch (UTC) in a Float64Array
+ *
+ * Values are returned as Date objects; missing values are NaN with a bit
+ * set in the null mask, as in NumericColumn.
+ */
+class DatetimeColumn {
+  /**
+   * @param {Float64Array} values - Epoch milliseconds
+   * @param {Uint8Array|null} nulls - 1 where the value is null
+   */
+  constructor(values, nulls = null) {
+    this.kind = 'datetime';
+    this.dtype = 'datetime';
+    this.values = values;
+    this.nulls = nulls;
+  }
+
+  get length() {
+    return this.values.length;
+  }
+
+  get(i) {
+    return this.nulls && this.nulls[i] ? null : new Date(this.values[i]);
+  }
+
+  take(indices) {
+    const { values, nulls } = takeFloat64(this.values, this.nulls, indices);
+    return new DatetimeColumn(values, nulls);
+  }
+
+  toArray() {
+    const result = new Array(this.values.length);
+    for (let i = 0; i < result.length; i++) {
+      result[i] = this.get(i);
+    }
+    return result;
+  }
+}
+
+/**
+ * String column stored as integer codes into a dictionary of distinct values
+ *
+ * Codes are assigned in order of first appearance; -1 marks null. For
+ * categorical columns the dictionary is the category list, in category
+ * order, and may hold categories no row uses; categories keep their
+ * original values (numbers and dates as well as strings).
+ */
+class DictionaryColumn {
+  /**
+   * @param {Int32Array} codes - Index into dictionary per row
+   * @param {*[]} dictionary - Distinct values (strings unless dtype is 'category')
+   * @param {string} [dtype] - 'string' or 'category'
+   * @param {boolean} [ordered] - Categories have a meaningful order
+   */
+  constructor(codes, dictionary, dtype = 'string', ordered = false) {
+    this.kind = 'dictionary';
+    this.dtype = dtype;
+    this.codes = codes;
+    this.dictionary = dictionary;
+    this.ordered = ordered;
+    this.rankLookup = null;
+  }
+
+  get length() {
+    return this.codes.length;
+  }
+
+  get(i) {
+    const code = this.codes[i];
+    return code < 0 ? null : this.dictionary[code];
+  }
+
+  take(indices) {
+    const codes = new Int32Array(indices.length);
+    for (let i = 0; i < indices.length; i++) {
+      codes[i] = indices[i] < 0 ? -1 : this.codes[indices[i]];
+    }
+    return new DictionaryColumn(codes, this.dictionary, this.dtype, this.ordered);
+  }
+
+  /**
+   * Position of each dictionary value, built on first use
+   * @returns {Map<*, number>} - valueKey of each value to its code
+   */
+  ranks() {
+    if (!this.rankLookup) {
+      this.rankLookup = new Map(this.dictionary.map((value, code) => [valueKey(value), code]));
+    }
+    return this.rankLookup;
+  }
+
+  toArray() {
+    const result = new Array(this.codes.length);
+    for (let i = 0; i < result.length; i++) {
+      result[i] = this.get(i);
+    }
+    return result;
+  }
+}
+
+/**
+ * Column of arbitrary values (booleans, dates, objects, mixed types)
+ */
+class ObjectColumn {
+  /**
+   * @param {*[]} values - Column values
+   * @param {string} [dtype] - 'bool' when every value is a boolean, otherwise 'object'
+   */
+  constructor(values, dtype = 'object') {
+    this.kind = 'object';
+    this.dtype = dtype;
+    this.values = values;
+  }
+
+  get length() {
+    return this.values.length;
+  }
+
+  get(i) {
+    return this.values[i];
+  }
+
+  take(indices) {
+    return new ObjectColumn(Array.from(indices, i => (i < 0 ? null : this.values[i])), this.dtype);
+  }
+
+  toArray() {
+    return [...this.values];
+  }
+}
+
+/**
+ * Check whether a value counts as missing (null, undefined or NaN)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if missing
+ */
+function isMissing(value) {
+  return value === null || value === undefined || Number.isNaN(value);
+}
+
+/**
+ * Key for looking a value up in a Map or Set
+ * @param {*} value - Value
+ * @returns {*} - Time for dates (which differ by reference), otherwise the value
+ */
+function valueKey(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * Check whether a value is an encoded column
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for column instances
+ */
+function isColumn(value) {
+  return value instanceof NumericColumn
+    || value instanceof DatetimeColumn
+    || value instanceof DictionaryColumn
+    || value instanceof ObjectColumn;
+}
+
+/**
+ * Encode an array of values, choosing the storage from the values present
+ *
+ * All-number columns become NumericColumn, all-Date columns become
+ * DatetimeColumn, all-string columns become DictionaryColumn, anything else
+ * is kept as an ObjectColumn. Missing values (null, undefined, NaN and
+ * invalid dates) are all stored as null. The dtype is inferred too: 'int'
+ * when every number is an integer (Float64Array input stays 'float'), and
+ * 'bool' for all-boolean columns.
+ *
+ * @param {*[]|Float64Array} values - Column values (columns are returned as-is)
+ * @returns {NumericColumn|DatetimeColumn|DictionaryColumn|ObjectColumn} - Encoded column
+ */
+function encodeColumn(values) {
+  if (isColumn(values)) return values;
+  if (values instanceof Float64Array) {
+    const nulls = values.some(Number.isNaN) ? Uint8Array.from(values, Number.isNaN) : null;
+    return new NumericColumn(values, nulls);
+  }
+
+  const n = values.length;
+  let allNumbers = true;
+  let allDates = true;
+  let allStrings = true;
+  let allBooleans = true;
+  let hasValue = false;
+  let hasNull = false;
+  for (let i = 0; i < n; i++) {
+    const v = values[i];
+    if (isMissing(v)) {
+      hasNull = true;
+      continue;
+    }
+    hasValue = true;
+    if (typeof v !== 'number') allNumbers = false;
+    if (!(v instanceof Date)) allDates = false;
+    if (typeof v !== 'string') allStrings = false;
+    if (typeof v !== 'boolean') allBooleans = false;
+    if (!allNumbers && !allDates && !allStrings && !allBooleans) break;
+  }
+
+  if (hasValue && allNumbers) {
+    const data = new Float64Array(n);
+    const nulls = hasNull ? new Uint8Array(n) : null;
+    let allIntegers = true;
+    for (let i = 0; i < n; i++) {
+      const v = values[i];
+      if (isMissing(v)) {
+        data[i] = NaN;
+        nulls[i] = 1;
+      } else {
+        data[i] = v;
+        if (!Number.isInteger(v)) allIntegers = false;
+      }
+    }
+    return new NumericColumn(data, nulls, allIntegers ? 'int' : 'float');
+  }
+
+  if (hasValue && allDates) {
+    const data = new Float64Array(n);
+    let nulls = null;
+    for (let i = 0; i < n; i++) {
+      const time = values[i] ? values[i].getTime() : NaN;
+      data[i] = time;
+      if (Number.isNaN(time)) {
+        if (!nulls) nulls = new Uint8Array(n);
+        nulls[i] = 1;
+      }
+    }
+    return new DatetimeColumn(data, nulls);
+  }
+
+  if (hasValue && allStrings) {
+    const codes = new Int32Array(n);
+    const dictionary = [];
+    const lookup = new Map();
+    for (let i = 0; i < n; i++) {
+      const v = values[i];
+      if (isMissing(v)) {
+        codes[i] = -1;
+        continue;
+      }
+      let code = lookup.get(v);
+      if (code === undefined) {
+        code = dictionary.length;
+        dictionary.push(v);
+        lookup.set(v, code);
+      }
+      codes[i] = code;
+    }
+    return new DictionaryColumn(codes, dictionary);
+  }
+
+  const result = new Array(n);
+  for (let i = 0; i < n; i++) {
+    result[i] = isMissing(values[i]) ? null : values[i];
+  }
+  return new ObjectColumn(result, hasValue && allBooleans ? 'bool' : 'object');
+}
+
+/**
+ * Encode one column per name from an array of row objects
+ * @param {Object[]} rows - Array of row objects
+ * @param {string[]} columns - Columns to encode
+ * @returns {Map<string, NumericColumn|DatetimeColumn|DictionaryColumn|ObjectColumn>} - Column name to column
+ */
+function encodeRows(rows, columns) {
+  const store = new Map();
+  for (const col of columns) {
+    const values = new Array(rows.length);
+    for (let i = 0; i < rows.length; i++) {
+      values[i] = rows[i][col];
+    }
+    store.set(col, encodeColumn(values));
+  }
+  return store;
+}
+
+/**
+ * Encode a column as integer codes into its distinct values
+ *
+ * Codes follow order of first appearance; null is a value of its own.
+ * Dictionary columns are remapped without hashing.
+ *
+ * @param {NumericColumn|DatetimeColumn|DictionaryColumn|ObjectColumn} column - Column to factorize
+ * @returns {{codes: Int32Array, uniques: *[]}} - Code per row and distinct values
+ */
+function factorizeColumn(column) {
+  const n = column.length;
+  const codes = new Int32Array(n);
+  const uniques = [];
+
+  if (column.kind === 'dictionary') {
+    // Slot 0 of the remap table is for null (code -1)
+    const remap = new Int32Array(column.dictionary.length + 1).fill(-1);
+    for (let i = 0; i < n; i++) {
+      const slot = column.codes[i] + 1;
+      if (remap[slot] === -1) {
+        remap[slot] = uniques.length;
+        uniques.push(column.get(i));
+      }
+      codes[i] = remap[slot];
+    }
+    return { codes, uniques };
+  }
+
+  // Dates are hashed by time, since every get() returns a new Date
+  const datetime = column.kind === 'datetime';
+  const lookup = new Map();
+  for (let i = 0; i < n; i++) {
+    const value = column.get(i);
+    const key = datetime && value ? column.values[i] : value;
+    let code = lookup.get(key);
+    if (code === undefined) {
+      code = uniques.length;
+      uniques.push(value);
+      lookup.set(key, code);
+    }
+    codes[i] = code;
+  }
+  return { codes, uniques };
+}
+
+module.exports = {
+  NumericColumn,
+  DatetimeColumn,
+  DictionaryColumn,
+  ObjectColumn,
+  isMissing,
+  valueKey,
+  isColumn,
+  encodeColumn,
+  encodeRows,
+  factorizeColumn
+};
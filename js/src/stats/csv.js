@@ -0,0 +1,321 @@
+/**
+ * CSV Parsing and Formatting
+ * JavaScript equivalents of pandas read_csv / to_csv
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Incremental RFC 4180 parser: feed text in chunks, get completed records back
+ */
+class CSVParser {
+  /**
+   * @param {string} delimiter - Field delimiter
+   * @param {string} quote - Quote character
+   */
+  constructor(delimiter = ',', quote = '"') {
+    this.delimiter = delimiter;
+    this.quote = quote;
+    this.field = '';
+    this.record = [];
+    this.inQuotes = false;
+    this.quotePending = false;
+    this.fieldQuoted = false;
+    this.skipLineFeed = false;
+  }
+
+  /**
+   * Parse a chunk of text
+   * @param {string} text - Next chunk of input
+   * @returns {string[][]} - Records completed by this chunk
+   */
+  push(text) {
+    const records = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (this.skipLineFeed) {
+        this.skipLineFeed = false;
+        if (ch === '\n') continue;
+      }
+
+      if (this.inQuotes) {
+        if (this.quotePending) {
+          this.quotePending = false;
+          if (ch === this.quote) {
+            // Doubled quote is an escaped quote
+            this.field += ch;
+            continue;
+          }
+          this.inQuotes = false;
+        } else {
+          if (ch === this.quote) {
+            this.quotePending = true;
+          } else {
+            this.field += ch;
+          }
+          continue;
+        }
+      }
+
+      if (ch === this.quote && this.field === '' && !this.fieldQuoted) {
+        this.inQuotes = true;
+        this.fieldQuoted = true;
+      } else if (ch === this.delimiter) {
+        this.endField();
+      } else if (ch === '\n' || ch === '\r') {
+        this.endField();
+        records.push(this.record);
+        this.record = [];
+        this.skipLineFeed = ch === '\r';
+      } else {
+        this.field += ch;
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Finish parsing
+   * @returns {string[][]} - The final record, if the input did not end with a newline
+   */
+  end() {
+    if (this.inQuotes && !this.quotePending) {
+      throw new Error('Unterminated quoted field in CSV input');
+    }
+    this.inQuotes = false;
+    this.quotePending = false;
+
+    if (this.field === '' && this.record.length === 0 && !this.fieldQuoted) {
+      return [];
+    }
+    this.endField();
+    const record = this.record;
+    this.record = [];
+    return [record];
+  }
+
+  /**
+   * Close the current field and add it to the current record
+   */
+  endField() {
+    this.record.push(this.field);
+    this.field = '';
+    this.fieldQuoted = false;
+  }
+}
+
+/**
+ * Convert a raw CSV field to a number, boolean or null where possible
+ * @param {string} value - Raw field
+ * @returns {*} - Inferred value
+ */
+function inferValue(value) {
+  if (value === '') return null;
+  if (NUMBER_PATTERN.test(value)) return Number(value);
+  const lower = value.toLowerCase();
+  if (lower === 'true') return true;
+  if (lower === 'false') return false;
+  return value;
+}
+
+/**
+ * Make header names unique by suffixing repeats with .1, .2, ...
+ * @param {string[]} names - Raw header names
+ * @returns {string[]} - Unique column names
+ */
+function dedupeColumns(names) {
+  const seen = new Map();
+  return names.map(name => {
+    const count = seen.get(name) || 0;
+    seen.set(name, count + 1);
+    return count === 0 ? name : `${name}.${count}`;
+  });
+}
+
+/**
+ * Turns parsed records into row objects, handling the header line
+ */
+class RowBuilder {
+  /**
+   * @param {Object} options - Parse options, see parseCSV
+   */
+  constructor(options) {
+    this.header = options.header !== false;
+    this.inferTypes = options.inferTypes !== false;
+    this.skipEmptyLines = options.skipEmptyLines !== false;
+    this.columns = options.columns ? [...options.columns] : null;
+    // Columns with a declared dtype keep their raw text for the cast
+    this.rawColumns = new Set(Object.keys(options.dtype || {}));
+    this.headerPending = this.header;
+    this.line = 0;
+  }
+
+  /**
+   * @param {string[]} record - Raw fields of one line
+   * @returns {Object|null} - Row object, or null for header and skipped lines
+   */
+  add(record) {
+    this.line++;
+    if (this.skipEmptyLines && record.length === 1 && record[0] === '') {
+      return null;
+    }
+
+    if (this.headerPending) {
+      this.headerPending = false;
+      if (!this.columns) {
+        this.columns = dedupeColumns(record);
+      }
+      return null;
+    }
+    if (!this.columns) {
+      this.columns = record.map((_, i) => String(i));
+    }
+
+    if (record.length > this.columns.length) {
+      throw new Error(
+        `Expected ${this.columns.length} fields but found ${record.length} in record ${this.line}`
+      );
+    }
+
+    const row = {};
+    for (let c = 0; c < this.columns.length; c++) {
+      const raw = c < record.length ? record[c] : '';
+      const col = this.columns[c];
+      row[col] = this.inferTypes && !this.rawColumns.has(col) ? inferValue(raw) : raw;
+    }
+    return row;
+  }
+}
+
+/**
+ * Parse CSV text
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.delimiter] - Field delimiter (default ',')
+ * @param {string} [options.quote] - Quote character (default '"')
+ * @param {boolean} [options.header] - First line holds column names (default true)
+ * @param {string[]} [options.columns] - Column names (overrides the header line)
+ * @param {boolean} [options.inferTypes] - Convert numbers, booleans and empty fields to null (default true)
+ * @param {Object} [options.dtype] - Column name to dtype; these columns skip type inference (DataFrame.fromCSV casts them)
+ * @param {boolean} [options.skipEmptyLines] - Ignore blank lines (default true)
+ * @returns {{columns: string[], rows: Object[]}} - Column names and row objects
+ */
+function parseCSV(text, options = {}) {
+  const parser = new CSVParser(options.delimiter, options.quote);
+  const builder = new RowBuilder(options);
+  const rows = [];
+
+  // Strip a UTF-8 byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (const record of [...parser.push(input), ...parser.end()]) {
+    const row = builder.add(record);
+    if (row) rows.push(row);
+  }
+
+  return { columns: builder.columns || [], rows };
+}
+
+/**
+ * Parse CSV records from a readable stream without buffering the whole input
+ * @param {AsyncIterable<Buffer|string>} stream - Node readable stream or other async iterable
+ * @param {Object} [options] - Parse options, see parseCSV
+ * @returns {AsyncGenerator<string[]>} - Raw records
+ */
+async function* readCSVRecords(stream, options = {}) {
+  const parser = new CSVParser(options.delimiter, options.quote);
+  const decoder = new StringDecoder(options.encoding || 'utf8');
+  let first = true;
+
+  for await (const chunk of stream) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (first && text.length > 0) {
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+      first = false;
+    }
+    yield* parser.push(text);
+  }
+
+  yield* parser.push(decoder.end());
+  yield* parser.end();
+}
+
+/**
+ * Parse CSV rows from a readable stream, one row object at a time
+ * @param {AsyncIterable<Buffer|string>} stream - Node readable stream or other async iterable
+ * @param {Object} [options] - Parse options, see parseCSV
+ * @returns {AsyncGenerator<Object>} - Row objects
+ */
+async function* parseCSVStream(stream, options = {}) {
+  const builder = new RowBuilder(options);
+  for await (const record of readCSVRecords(stream, options)) {
+    const row = builder.add(record);
+    if (row) yield row;
+  }
+}
+
+/**
+ * Parse a whole CSV stream
+ * @param {AsyncIterable<Buffer|string>} stream - Node readable stream or other async iterable
+ * @param {Object} [options] - Parse options, see parseCSV
+ * @returns {Promise<{columns: string[], rows: Object[]}>} - Column names and row objects
+ */
+async function readCSVStream(stream, options = {}) {
+  const builder = new RowBuilder(options);
+  const rows = [];
+  for await (const record of readCSVRecords(stream, options)) {
+    const row = builder.add(record);
+    if (row) rows.push(row);
+  }
+  return { columns: builder.columns || [], rows };
+}
+
+/**
+ * Format a single value as a CSV field
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - Field text, quoted if needed
+ */
+function formatField(value, delimiter) {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format rows as CSV text
+ * @param {Object[]} rows - Array of row objects
+ * @param {string[]} columns - Columns to write, in order
+ * @param {Object} [options] - Format options
+ * @param {string} [options.delimiter] - Field delimiter (default ',')
+ * @param {boolean} [options.header] - Write a header line (default true)
+ * @param {string} [options.lineTerminator] - Line ending (default '\n')
+ * @returns {string} - CSV text
+ */
+function formatCSV(rows, columns, options = {}) {
+  const { delimiter = ',', header = true, lineTerminator = '\n' } = options;
+  const lines = [];
+
+  if (header) {
+    lines.push(columns.map(col => formatField(col, delimiter)).join(delimiter));
+  }
+  for (const row of rows) {
+    lines.push(columns.map(col => formatField(row[col], delimiter)).join(delimiter));
+  }
+
+  return lines.length > 0 ? lines.join(lineTerminator) + lineTerminator : '';
+}
+
+module.exports = {
+  parseCSV,
+  parseCSVStream,
+  readCSVStream,
+  formatCSV
+};
@@ -3,33 +3,181 @@
  * JavaScript equivalents of Pandas DataFrame operations
  */
 
+const { mean, std, median, correlation } = require('./statistical.js');
+const { Random } = require('../math/random.js');
+const { parseCSV, readCSVStream, formatCSV } = require('./csv.js');
+const { NumericColumn, ObjectColumn, encodeColumn, encodeRows, factorizeColumn, isMissing, valueKey } = require('./columnar.js');
+const { parseQuery } = require('./query.js');
+const { toDatetime, parseFrequency, floorDate, addPeriods } = require('./timeseries.js');
+const { rolling, expanding, ewm } = require('./window.js');
+const { fillMissing, interpolate } = require('./missing.js');
+const { castColumn, validateColumn } = require('./dtypes.js');
+const { toCategorical, factorize, dummyColumns } = require('./categorical.js');
+const { readQuery, writeTable } = require('./sql.js');
+const { parseJSONL, readJSONLStream, formatJSONL, jsonNormalize } = require('./json.js');
+const { truncatePositions, formatCell, formatText, formatMarkdown, formatHTML } = require('./display.js');
+const {
+  stringColumn,
+  mapStrings,
+  stringLengths,
+  containsPattern,
+  replacePattern,
+  padStrings,
+  splitStrings,
+  extractGroups
+} = require('./strings.js');
+
 /**
  * Simple DataFrame class for tabular data operations
+ *
+ * Data is stored column by column (see columnar.js): numbers in
+ * Float64Arrays, strings dictionary-encoded, everything else as plain
+ * arrays. The array-of-rows form is built on first access and cached.
+ *
+ * Methods return new DataFrame instances so operations can be chained,
+ * e.g. df.filter('city', 'NYC').sortValues('age').select(['name', 'age'])
  */
 class DataFrame {
-  constructor(data) {
+  /**
+   * @param {Object[]|Object} data - Array of row objects or object of column arrays
+   * @param {string[]} [columns] - Column names and order (inferred when omitted)
+   * @param {Object} [dtypes] - Column name to declared dtype, see astype (inferred when omitted)
+   */
+  constructor(data, columns = null, dtypes = null) {
     if (Array.isArray(data)) {
       // Array of objects format
-      this.data = data;
-      this.columns = data.length > 0 ? Object.keys(data[0]) : [];
+      this.columns = columns || (data.length > 0 ? Object.keys(data[0]) : []);
+      this.store = encodeRows(data, this.columns);
+      this.rowCount = data.length;
+      // Rows are rebuilt from the columns, so missing values read back as null
+      this.rowCache = null;
     } else {
-      // Object of arrays format
-      const columns = Object.keys(data);
-      const length = columns.length > 0 ? data[columns[0]].length : 0;
-      this.data = [];
-      for (let i = 0; i < length; i++) {
-        const row = {};
-        for (const col of columns) {
-          row[col] = data[col][i];
+      // Object of arrays (or encoded columns) format
+      this.columns = columns || Object.keys(data);
+      this.store = new Map();
+      for (const col of this.columns) {
+        this.store.set(col, encodeColumn(data[col]));
+      }
+      this.rowCount = this.columns.length > 0 ? this.store.get(this.columns[0]).length : 0;
+      for (const col of this.columns) {
+        if (this.store.get(col).length !== this.rowCount) {
+          throw new Error('All columns must have the same length');
         }
-        this.data.push(row);
       }
-      this.columns = columns;
+      this.rowCache = null;
+    }
+
+    for (const [col, dtype] of Object.entries(dtypes || {})) {
+      this.store.set(col, castColumn(this.getColumn(col), dtype));
+    }
+
+    // Row labels; null means the default 0..n-1 positions
+    this.indexColumn = null;
+    this.indexName = null;
+    this.indexLookup = null;
+  }
+
+  /**
+   * Create a DataFrame from CSV text
+   * @param {string} text - CSV text
+   * @param {Object} [options] - Parse options, see parseCSV (dtype columns are cast with astype),
+   *   plus parseDates (columns to read as dates)
+   * @returns {DataFrame} - Parsed DataFrame
+   */
+  static fromCSV(text, options = {}) {
+    const { columns, rows } = parseCSV(text, options);
+    const df = new DataFrame(rows, columns, options.dtype);
+    return options.parseDates ? df.toDatetime(options.parseDates) : df;
+  }
+
+  /**
+   * Create a DataFrame from a CSV readable stream
+   * @param {AsyncIterable<Buffer|string>} stream - Node readable stream
+   * @param {Object} [options] - Parse options, see parseCSV (dtype columns are cast with astype),
+   *   plus parseDates (columns to read as dates)
+   * @returns {Promise<DataFrame>} - Parsed DataFrame
+   */
+  static async fromCSVStream(stream, options = {}) {
+    const { columns, rows } = await readCSVStream(stream, options);
+    const df = new DataFrame(rows, columns, options.dtype);
+    return options.parseDates ? df.toDatetime(options.parseDates) : df;
+  }
+
+  /**
+   * Create a DataFrame from the rows of a SQL query, see readQuery
+   * @param {Object} db - better-sqlite3 Database
+   * @param {string} query - SQL query returning rows
+   * @param {Array|Object} [params] - Positional (array) or named (object) parameters
+   * @param {Object} [options] - dtype (column name to dtype, e.g. 'bool' for 0/1 columns)
+   *   and parseDates (columns to read as dates)
+   * @returns {DataFrame} - Query result
+   */
+  static fromSQL(db, query, params = null, options = {}) {
+    const { columns, rows } = readQuery(db, query, params);
+    const df = new DataFrame(rows, columns, options.dtype);
+    return options.parseDates ? df.toDatetime(options.parseDates) : df;
+  }
+
+  /**
+   * Create a DataFrame from JSON Lines text or a readable stream, see parseJSONL
+   * @param {string|AsyncIterable<Buffer|string>} input - JSON Lines text or Node readable stream
+   * @param {Object} [options] - normalize (flatten nested objects, see jsonNormalize; default false),
+   *   sep (default '.'), dtype (column name to dtype), parseDates (columns to read as dates) and encoding
+   * @returns {DataFrame|Promise<DataFrame>} - Parsed DataFrame (a promise for streams)
+   */
+  static fromJSONL(input, options = {}) {
+    if (typeof input !== 'string') {
+      return readJSONLStream(input, options).then(result => jsonlFrame(result, options));
     }
+    return jsonlFrame(parseJSONL(input), options);
   }
 
   get length() {
-    return this.data.length;
+    return this.rowCount;
+  }
+
+  /**
+   * Row labels (row positions when no index is set)
+   * @returns {*[]} - One label per row
+   */
+  get index() {
+    if (!this.indexColumn) {
+      return Array.from({ length: this.rowCount }, (_, i) => i);
+    }
+    return this.indexColumn.toArray();
+  }
+
+  /**
+   * Dtype of every column: 'int', 'float', 'bool', 'string', 'category',
+   * 'datetime' or 'object' (mixed values)
+   * @returns {Object} - Column name to dtype
+   */
+  get dtypes() {
+    const result = {};
+    for (const col of this.columns) {
+      result[col] = this.store.get(col).dtype;
+    }
+    return result;
+  }
+
+  /**
+   * Rows as objects, materialized from the columns on first access
+   * @returns {Object[]} - Array of row objects
+   */
+  get data() {
+    if (!this.rowCache) {
+      const columns = this.columns.map(col => this.store.get(col));
+      const rows = new Array(this.rowCount);
+      for (let i = 0; i < this.rowCount; i++) {
+        const row = {};
+        for (let c = 0; c < columns.length; c++) {
+          row[this.columns[c]] = columns[c].get(i);
+        }
+        rows[i] = row;
+      }
+      this.rowCache = rows;
+    }
+    return this.rowCache;
   }
 
   toArray() {
@@ -39,25 +187,1954 @@ class DataFrame {
   toObject() {
     const result = {};
     for (const col of this.columns) {
-      result[col] = this.data.map(row => row[col]);
+      result[col] = this.store.get(col).toArray();
+    }
+    return result;
+  }
+
+  /**
+   * Encoded storage for a column
+   * @param {string} name - Column name
+   * @returns {NumericColumn|DatetimeColumn|DictionaryColumn|ObjectColumn} - Column storage
+   */
+  getColumn(name) {
+    const column = this.store.get(name);
+    if (!column) {
+      throw new Error(`Unknown column: ${name}`);
+    }
+    return column;
+  }
+
+  /**
+   * Values of a column
+   * @param {string} name - Column name
+   * @returns {*[]} - Column values
+   */
+  column(name) {
+    return this.getColumn(name).toArray();
+  }
+
+  /**
+   * Values of a numeric column without copying (null is NaN)
+   * @param {string} name - Column name
+   * @returns {Float64Array} - Column values
+   */
+  numeric(name) {
+    const column = this.getColumn(name);
+    if (column.kind !== 'numeric') {
+      throw new Error(`Column is not numeric: ${name}`);
+    }
+    return column.values;
+  }
+
+  /**
+   * Numeric columns as a row-major matrix, e.g. for kmeansClustering
+   * @param {string[]} [columns] - Columns to include (default all)
+   * @returns {number[][]} - One array per row (null is NaN)
+   */
+  toMatrix(columns = null) {
+    const values = (columns || this.columns).map(col => this.numeric(col));
+    return Array.from({ length: this.rowCount }, (_, i) => values.map(column => column[i]));
+  }
+
+  /**
+   * Category positions of an ordered categorical column, used by query
+   * comparisons
+   * @param {string} name - Column name
+   * @returns {Map<*, number>|null} - Category (by valueKey) to position, or null if the column is not an ordered categorical
+   */
+  categoryRanks(name) {
+    const column = this.store.get(name);
+    return column && column.ordered ? column.ranks() : null;
+  }
+
+  /**
+   * Select rows by position
+   * @param {number[]} indices - Row positions, in output order
+   * @returns {DataFrame} - DataFrame with the selected rows
+   */
+  take(indices) {
+    const data = {};
+    for (const col of this.columns) {
+      data[col] = this.store.get(col).take(indices);
+    }
+    return new DataFrame(data, this.columns).adoptIndex(this, indices);
+  }
+
+  /**
+   * Copy the index of another frame onto this one (used internally after
+   * building a derived frame)
+   * @param {DataFrame} source - Frame to copy the index from
+   * @param {number[]} [indices] - Row positions taken from source
+   * @returns {DataFrame} - This DataFrame
+   */
+  adoptIndex(source, indices = null) {
+    if (source.indexColumn) {
+      this.indexColumn = indices ? source.indexColumn.take(indices) : source.indexColumn;
+      this.indexName = source.indexName;
+    }
+    return this;
+  }
+
+  /**
+   * Row positions carrying a label
+   * @param {*} label - Row label
+   * @returns {number[]} - Matching row positions
+   */
+  labelPositions(label) {
+    if (!this.indexColumn) {
+      return Number.isInteger(label) && label >= 0 && label < this.rowCount ? [label] : [];
+    }
+    if (!this.indexLookup) {
+      this.indexLookup = new Map();
+      for (let i = 0; i < this.rowCount; i++) {
+        const key = labelKey(this.indexColumn.get(i));
+        const positions = this.indexLookup.get(key);
+        if (positions) {
+          positions.push(i);
+        } else {
+          this.indexLookup.set(key, [i]);
+        }
+      }
+    }
+    return this.indexLookup.get(labelKey(label)) || [];
+  }
+
+  /**
+   * Use a column (or an array of labels) as the row index
+   * @param {string|*[]} keys - Column name, or one label per row
+   * @param {boolean} drop - Remove the column from the data (default true)
+   * @returns {DataFrame} - DataFrame indexed by the labels
+   */
+  setIndex(keys, drop = true) {
+    let labels;
+    let name = null;
+    let columns = this.columns;
+    if (Array.isArray(keys)) {
+      if (keys.length !== this.rowCount) {
+        throw new Error('Index length must match number of rows');
+      }
+      labels = encodeColumn(keys);
+    } else {
+      labels = this.getColumn(keys);
+      name = keys;
+      if (drop) columns = columns.filter(col => col !== keys);
+    }
+
+    const result = this.select(columns);
+    result.indexColumn = labels;
+    result.indexName = name;
+    return result;
+  }
+
+  /**
+   * Move the index back into the data as the first column
+   * @param {boolean} drop - Discard the index instead (default false)
+   * @returns {DataFrame} - DataFrame with the default index
+   */
+  resetIndex(drop = false) {
+    const data = {};
+    const columns = [...this.columns];
+    if (!drop) {
+      const name = this.indexName ?? 'index';
+      if (columns.includes(name)) {
+        throw new Error(`Cannot insert ${name}, already exists`);
+      }
+      data[name] = this.indexColumn || Float64Array.from(this.index);
+      columns.unshift(name);
+    }
+    for (const col of this.columns) {
+      data[col] = this.store.get(col);
+    }
+    return new DataFrame(data, columns);
+  }
+
+  /**
+   * Select rows by label
+   * @param {*|*[]} labels - A label (returns the row) or array of labels (returns a DataFrame)
+   * @param {string[]} [columns] - Columns to keep
+   * @returns {Object|DataFrame} - Row object or DataFrame
+   */
+  loc(labels, columns = null) {
+    const frame = columns ? this.select(columns) : this;
+    if (Array.isArray(labels)) {
+      const indices = [];
+      for (const label of labels) {
+        const positions = this.labelPositions(label);
+        if (positions.length === 0) {
+          throw new Error(`Label not found: ${label}`);
+        }
+        indices.push(...positions);
+      }
+      return frame.take(indices);
+    }
+
+    const positions = this.labelPositions(labels);
+    if (positions.length === 0) {
+      throw new Error(`Label not found: ${labels}`);
+    }
+    if (positions.length > 1) {
+      throw new Error(`Label is not unique: ${labels}`);
+    }
+    return rowAt(frame, positions[0]);
+  }
+
+  /**
+   * Select rows by position (negative positions count from the end)
+   * @param {number|number[]} positions - A position (returns the row) or array of positions (returns a DataFrame)
+   * @returns {Object|DataFrame} - Row object or DataFrame
+   */
+  iloc(positions) {
+    const resolve = p => {
+      const i = p < 0 ? this.rowCount + p : p;
+      if (!Number.isInteger(i) || i < 0 || i >= this.rowCount) {
+        throw new Error(`Position out of bounds: ${p}`);
+      }
+      return i;
+    };
+    if (Array.isArray(positions)) {
+      return this.take(positions.map(resolve));
+    }
+    return rowAt(this, resolve(positions));
+  }
+
+  /**
+   * First n rows
+   * @param {number} [n] - Number of rows (default 5); negative n keeps all but the last -n
+   * @returns {DataFrame} - Leading rows
+   */
+  head(n = 5) {
+    const end = n < 0 ? Math.max(this.rowCount + n, 0) : Math.min(n, this.rowCount);
+    return this.take(Array.from({ length: end }, (_, i) => i));
+  }
+
+  /**
+   * Last n rows
+   * @param {number} [n] - Number of rows (default 5); negative n keeps all but the first -n
+   * @returns {DataFrame} - Trailing rows
+   */
+  tail(n = 5) {
+    const start = n < 0 ? Math.min(-n, this.rowCount) : Math.max(this.rowCount - n, 0);
+    return this.take(Array.from({ length: this.rowCount - start }, (_, i) => start + i));
+  }
+
+  /**
+   * Random rows, without replacement
+   * @param {number} [n] - Number of rows (default 1)
+   * @param {number|Random} [seed] - Seed, or a Random to draw from, for a reproducible sample (default unseeded)
+   * @returns {DataFrame} - Sampled rows, in the order drawn
+   */
+  sample(n = 1, seed = null) {
+    const rng = seed instanceof Random ? seed : new Random(seed);
+    return this.take(rng.sample(Array.from({ length: this.rowCount }, (_, i) => i), n));
+  }
+
+  /**
+   * Add or replace a column
+   * @param {string} name - Column name
+   * @param {*[]|Float64Array} values - One value per row
+   * @returns {DataFrame} - New DataFrame with the column set
+   */
+  withColumn(name, values) {
+    const data = {};
+    for (const col of this.columns) {
+      data[col] = this.store.get(col);
+    }
+    data[name] = values;
+    return new DataFrame(data, appendColumn(this.columns, name)).adoptIndex(this);
+  }
+
+  /**
+   * Format as CSV text
+   * @param {Object} [options] - Format options, see formatCSV
+   * @returns {string} - CSV text
+   */
+  toCSV(options = {}) {
+    return formatCSV(this.data, this.columns, options);
+  }
+
+  /**
+   * Format as JSON Lines text, one object per row
+   * @returns {string} - JSON Lines text (missing values as null, dates as ISO 8601)
+   */
+  toJSONL() {
+    return formatJSONL(this.data, this.columns);
+  }
+
+  /**
+   * Format as an aligned text table, with the index on the left
+   *
+   * Frames with more than maxRows rows (or maxCols columns) show the first
+   * and last halves with a '...' row (or column) between them, followed by
+   * the full shape.
+   *
+   * @param {Object} [options] - Display options
+   * @param {number|null} [options.maxRows] - Most rows to show (default 20, null for all)
+   * @param {number|null} [options.maxCols] - Most columns to show (default 10, null for all)
+   * @param {number} [options.precision] - Decimal places for non-integer numbers (default 6)
+   * @param {boolean} [options.index] - Show the index (default true)
+   * @returns {string} - Text table
+   */
+  toString(options = {}) {
+    return formatText(this.displayGrid({ maxRows: 20, maxCols: 10, index: true, ...options }));
+  }
+
+  /**
+   * Format as a Markdown table
+   * @param {Object} [options] - maxRows and maxCols (default null, for all), precision (default 6)
+   *   and index (default true when an index is set), see toString
+   * @returns {string} - GitHub-flavored Markdown table
+   */
+  toMarkdown(options = {}) {
+    return formatMarkdown(this.displayGrid({ maxRows: null, maxCols: null, index: this.indexColumn !== null, ...options }));
+  }
+
+  /**
+   * Format as an HTML table
+   * @param {Object} [options] - maxRows and maxCols (default null, for all), precision (default 6)
+   *   and index (default true when an index is set), see toString
+   * @returns {string} - HTML table with escaped cell text
+   */
+  toHTML(options = {}) {
+    return formatHTML(this.displayGrid({ maxRows: null, maxCols: null, index: this.indexColumn !== null, ...options }));
+  }
+
+  /**
+   * Formatted cells for the table renderers in display.js
+   * @param {Object} options - maxRows, maxCols, precision and index, see toString
+   * @returns {Object} - header, rows (null for the '...' row), align, index and shape (null unless truncated)
+   */
+  displayGrid(options) {
+    const { maxRows = null, maxCols = null, precision = 6, index = false } = options;
+    const rowPositions = truncatePositions(this.rowCount, maxRows);
+    const colPositions = truncatePositions(this.columns.length, maxCols);
+
+    const header = [];
+    const align = [];
+    const getters = [];
+    if (index) {
+      header.push(this.indexName === null ? '' : String(this.indexName));
+      align.push('left');
+      getters.push(i => (this.indexColumn ? this.indexColumn.get(i) : i));
+    }
+    for (const c of colPositions) {
+      if (c < 0) {
+        header.push('...');
+        align.push('left');
+        getters.push(() => '...');
+        continue;
+      }
+      const column = this.getColumn(this.columns[c]);
+      header.push(this.columns[c]);
+      align.push(column.dtype === 'int' || column.dtype === 'float' ? 'right' : 'left');
+      getters.push(i => column.get(i));
+    }
+
+    const rows = rowPositions.map(i => (i < 0 ? null : getters.map(get => formatCell(get(i), precision))));
+    const truncated = rowPositions.includes(-1) || colPositions.includes(-1);
+    return { header, rows, align, index, shape: truncated ? [this.rowCount, this.columns.length] : null };
+  }
+
+  /**
+   * Write to a SQLite table, see writeTable
+   * @param {Object} db - better-sqlite3 Database
+   * @param {string} table - Table name
+   * @param {Object} [options] - ifExists ('fail', 'replace' or 'append'), dtypeMap and batchSize
+   * @returns {number} - Number of rows written
+   */
+  toSQL(db, table, options = {}) {
+    return writeTable(db, table, this.columns, this.columns.map(col => this.getColumn(col)), options);
+  }
+
+  /**
+   * Filter rows by column value or row predicate
+   *
+   * Predicates can be built with col/and/or/not from query.js,
+   * e.g. df.filter(and(col('age').gt(30), col('city').isin(['NYC', 'LA'])))
+   *
+   * @param {string|Function} column - Column name, or predicate (row, i, frame) => boolean
+   * @param {*} [value] - Value to match when filtering by column
+   * @returns {DataFrame} - Filtered DataFrame
+   */
+  filter(column, value) {
+    const indices = [];
+    if (typeof column === 'function') {
+      const rows = this.data;
+      for (let i = 0; i < rows.length; i++) {
+        if (column(rows[i], i, this)) indices.push(i);
+      }
+    } else {
+      const col = this.getColumn(column);
+      if (col.kind === 'dictionary') {
+        // Compare integer codes instead of values
+        const code = isMissing(value) ? -1 : (col.ranks().get(valueKey(value)) ?? -1);
+        if (code !== -1 || isMissing(value)) {
+          for (let i = 0; i < col.codes.length; i++) {
+            if (col.codes[i] === code) indices.push(i);
+          }
+        }
+      } else if (isMissing(value)) {
+        for (let i = 0; i < this.rowCount; i++) {
+          if (isMissing(col.get(i))) indices.push(i);
+        }
+      } else {
+        for (let i = 0; i < this.rowCount; i++) {
+          if (col.get(i) === value) indices.push(i);
+        }
+      }
+    }
+    return this.take(indices);
+  }
+
+  /**
+   * Filter rows with a query string, e.g. "age > 30 and city == 'NYC'"
+   * @param {string} expr - Query expression (see parseQuery)
+   * @param {Object} [params] - Values for @name references in the expression
+   * @returns {DataFrame} - Filtered DataFrame
+   */
+  query(expr, params = {}) {
+    const predicate = parseQuery(expr, params);
+    // A misspelt column would otherwise read as undefined and match nothing
+    for (const name of predicate.columns) this.getColumn(name);
+    return this.filter(predicate);
+  }
+
+  /**
+   * Group by a column and compute the mean of another
+   * @param {string} groupCol - Column to group by
+   * @param {string} valueCol - Column to aggregate
+   * @returns {DataFrame} - One row per group with [groupCol, valueCol]
+   */
+  groupbyMean(groupCol, valueCol) {
+    const { keys, means } = columnGroupMeans(this, groupCol, valueCol);
+    return new DataFrame({ [groupCol]: keys, [valueCol]: means }, [groupCol, valueCol]);
+  }
+
+  /**
+   * Pearson correlation between all numeric columns
+   * @returns {Object} - Correlation matrix as object
+   */
+  corr() {
+    const numeric = {};
+    for (const col of this.columns) {
+      if (this.store.get(col).kind === 'numeric') {
+        numeric[col] = this.numeric(col);
+      }
+    }
+    return correlation(numeric);
+  }
+
+  /**
+   * Group rows by one or more key columns
+   * @param {string|string[]} keys - Column(s) to group by
+   * @returns {GroupBy} - Grouped view supporting agg()
+   */
+  groupby(keys) {
+    return new GroupBy(this, keys);
+  }
+
+  /**
+   * Merge with another DataFrame
+   * @param {DataFrame|Object[]} other - Right dataframe
+   * @param {string|string[]} leftOn - Left join column(s)
+   * @param {string|string[]} [rightOn] - Right join column(s) (defaults to leftOn)
+   * @param {Object} [options] - Join options, see dataframeMerge
+   * @returns {DataFrame} - Merged DataFrame
+   */
+  merge(other, leftOn, rightOn = leftOn, options = {}) {
+    const right = toFrame(other);
+    const join = hashJoin(this.data, right.data, this.columns, right.columns, leftOn, rightOn, options);
+    const { leftPositions, rightPositions } = join;
+    const rightOnly = leftPositions.includes(-1);
+    const data = {};
+    this.columns.forEach((col, c) => {
+      const column = this.getColumn(col);
+      const k = join.leftKeys.indexOf(col);
+      if (k === -1 || !rightOnly) {
+        data[join.leftNames[c]] = column.take(leftPositions);
+        return;
+      }
+      // Rows only on the right take their key from the right key column
+      const picks = leftPositions.map((l, i) => (l < 0 ? [1, rightPositions[i]] : [0, l]));
+      data[join.leftNames[c]] = gatherColumns([column, right.getColumn(join.rightKeys[k])], picks);
+    });
+    join.rightValueCols.forEach((col, c) => {
+      data[join.rightNames[c]] = right.getColumn(col).take(rightPositions);
+    });
+    if (join.indicatorName) data[join.indicatorName] = join.statuses;
+    return new DataFrame(data, join.columns);
+  }
+
+  /**
+   * Reshape long to wide without aggregating (pandas pivot)
+   *
+   * Each distinct value of columns becomes a column holding the values
+   * column, named by the value; with several values columns the names are
+   * `${valuesColumn}_${value}`. A repeated (index, columns) pair is an
+   * error, since pivot does not aggregate (see pivotTable). melt reverses it.
+   *
+   * @param {string|string[]} index - Column(s) identifying output rows
+   * @param {string} columns - Column whose values become column labels
+   * @param {string|string[]} [values] - Values column(s) (default all other columns)
+   * @returns {DataFrame} - One row per index key, index columns first
+   */
+  pivot(index, columns, values = null) {
+    const keys = Array.isArray(index) ? index : [index];
+    const names = values === null
+      ? this.columns.filter(col => col !== columns && !keys.includes(col))
+      : Array.isArray(values) ? values : [values];
+    const { groups } = new GroupBy(this, keys);
+    const rowCodes = new Int32Array(this.rowCount);
+    groups.forEach((group, r) => {
+      for (const i of group.indices) rowCodes[i] = r;
+    });
+
+    const label = Array.isArray(values) || names.length > 1
+      ? (name, key) => `${name}_${key}`
+      : (name, key) => String(key);
+    const spread = spreadColumns(this, rowCodes, groups.length, columns, names, label);
+    const first = groups.map(group => group.indices[0]);
+    const data = {};
+    for (const key of keys) {
+      data[key] = this.getColumn(key).take(first);
+    }
+    Object.assign(data, spread.data);
+    return new DataFrame(data, [...keys, ...spread.names]);
+  }
+
+  /**
+   * Create pivot table
+   * @param {string} index - Index column
+   * @param {string} columns - Column to pivot
+   * @param {string|string[]} values - Values column(s)
+   * @param {string|Function|Object} aggfunc - Aggregation name, custom function, or one per values column
+   * @param {Object} [options] - Pivot options, see pivotTable
+   * @returns {Object|DataFrame} - Pivot table as nested object, or DataFrame with asFrame
+   */
+  pivotTable(index, columns, values, aggfunc = 'sum', options = {}) {
+    return pivotTable(this, index, columns, values, aggfunc, options);
+  }
+
+  /**
+   * Frequency table of two columns
+   * @param {string} rowCol - Column for table rows
+   * @param {string} colCol - Column for table columns
+   * @param {Object} [options] - Pivot options, see pivotTable
+   * @returns {Object|DataFrame} - Counts as nested object, or DataFrame with asFrame
+   */
+  crosstab(rowCol, colCol, options = {}) {
+    return crosstab(this, rowCol, colCol, options);
+  }
+
+  /**
+   * Apply function to column
+   * @param {string} column - Column to apply to
+   * @param {Function} func - Function to apply
+   * @returns {DataFrame} - DataFrame with transformed column
+   */
+  apply(column, func) {
+    return this.withColumn(column, this.column(column).map(v => func(v)));
+  }
+
+  /**
+   * Boolean mask of missing values (null, undefined or NaN)
+   * @returns {DataFrame} - DataFrame of booleans with the same columns
+   */
+  isna() {
+    let result = this;
+    for (const col of this.columns) {
+      result = result.withColumn(col, this.column(col).map(isMissing));
+    }
+    return result;
+  }
+
+  /**
+   * Boolean mask of present values
+   * @returns {DataFrame} - DataFrame of booleans with the same columns
+   */
+  notna() {
+    let result = this;
+    for (const col of this.columns) {
+      result = result.withColumn(col, this.column(col).map(v => !isMissing(v)));
+    }
+    return result;
+  }
+
+  /**
+   * Drop rows with missing values
+   * @param {Object} [options] - how ('any' drops rows with any missing value,
+   *   'all' only rows with all values missing), thresh (keep rows with at
+   *   least this many present values, overrides how) and subset (columns to check)
+   * @returns {DataFrame} - DataFrame without the dropped rows
+   */
+  dropna(options = {}) {
+    const { how = 'any', thresh = null, subset = null } = options;
+    if (how !== 'any' && how !== 'all') {
+      throw new Error(`Invalid how: ${how}`);
+    }
+    const columns = (subset || this.columns).map(col => this.getColumn(col));
+    const needed = thresh ?? (how === 'any' ? columns.length : 1);
+    const indices = [];
+    for (let i = 0; i < this.rowCount; i++) {
+      let present = 0;
+      for (const column of columns) {
+        if (!isMissing(column.get(i))) present++;
+      }
+      if (present >= needed) indices.push(i);
+    }
+    return this.take(indices);
+  }
+
+  /**
+   * Fill missing values
+   *
+   * Accepts a column and a value, a mapping from column to fill, or a
+   * strategy name for every column. A fill is a constant or
+   * { method, limit } with method 'mean', 'median' (numeric columns),
+   * 'mode', 'ffill' or 'bfill' (see fillMissing).
+   *
+   * @param {string|Object} column - Column to fill, mapping from column to fill, or strategy name
+   * @param {*} [value] - Fill value when a column is given
+   * @returns {DataFrame} - DataFrame with filled values
+   */
+  fillna(column, value) {
+    let fills = column;
+    if (typeof column === 'string') {
+      if (value !== undefined) {
+        fills = { [column]: value };
+      } else {
+        const numericOnly = column === 'mean' || column === 'median';
+        const columns = numericOnly ? numericColumns(this, null) : this.columns;
+        fills = Object.fromEntries(columns.map(col => [col, { method: column }]));
+      }
+    }
+    let result = this;
+    for (const [col, fill] of Object.entries(fills)) {
+      result = result.withColumn(col, fillColumn(this, col, fill));
+    }
+    return result;
+  }
+
+  /**
+   * Interpolate missing values in numeric columns, see interpolate
+   * @param {Object} [options] - interpolate options (method, order, limit), plus columns (default all numeric columns)
+   * @returns {DataFrame} - DataFrame with interpolated columns
+   */
+  interpolate(options = {}) {
+    const { columns = null, ...rest } = options;
+    return mapNumeric(this, numericColumns(this, columns), values => interpolate(values, rest));
+  }
+
+  /**
+   * Drop duplicate rows
+   * @param {string[]} subset - Columns to check for duplicates
+   * @returns {DataFrame} - DataFrame without duplicates
+   */
+  dropDuplicates(subset = null) {
+    return this.take(firstOccurrences(this.data, subset));
+  }
+
+  /**
+   * Sort by one or more columns (stable)
+   * @param {string|string[]} by - Column(s) to sort by
+   * @param {boolean|boolean[]} ascending - Sort order, per column or for all
+   * @param {Object} [options] - Sort options, see sortValues
+   * @returns {DataFrame} - Sorted DataFrame
+   */
+  sortValues(by, ascending = true, options = {}) {
+    return this.take(sortOrder(this, by, ascending, options));
+  }
+
+  /**
+   * Rows with the largest values, in descending order
+   * @param {number} n - Number of rows
+   * @param {string|string[]} columns - Column(s) to order by
+   * @param {string} keep - Which of tied rows to prefer: 'first' or 'last'
+   * @returns {DataFrame} - Selected rows
+   */
+  nlargest(n, columns, keep = 'first') {
+    return this.take(selectTop(this, n, columns, false, keep));
+  }
+
+  /**
+   * Rows with the smallest values, in ascending order
+   * @param {number} n - Number of rows
+   * @param {string|string[]} columns - Column(s) to order by
+   * @param {string} keep - Which of tied rows to prefer: 'first' or 'last'
+   * @returns {DataFrame} - Selected rows
+   */
+  nsmallest(n, columns, keep = 'first') {
+    return this.take(selectTop(this, n, columns, true, keep));
+  }
+
+  /**
+   * Conform rows to new labels: rows move to where their label is, and
+   * labels not in the index get a row of nulls (or a filled row with a method)
+   * @param {*[]} newIndex - New row labels
+   * @param {Object} [options] - Fill options, see reindex
+   * @returns {DataFrame} - DataFrame indexed by newIndex
+   */
+  reindex(newIndex, options = {}) {
+    const positions = alignLabels(this.index, newIndex, options);
+    const data = {};
+    for (const col of this.columns) {
+      data[col] = this.store.get(col).take(positions);
+    }
+    const result = new DataFrame(data, this.columns);
+    result.indexColumn = encodeColumn(newIndex);
+    result.indexName = this.indexName;
+    return result;
+  }
+
+  /**
+   * Parse columns as dates (ISO strings without an offset are read as UTC)
+   * @param {string|string[]} columns - Column(s) to convert
+   * @returns {DataFrame} - DataFrame with datetime columns
+   */
+  toDatetime(columns) {
+    let result = this;
+    for (const col of Array.isArray(columns) ? columns : [columns]) {
+      result = result.withColumn(col, toDatetime(this.getColumn(col)));
+    }
+    return result;
+  }
+
+  /**
+   * Convert columns to categoricals, see toCategorical
+   * @param {string|string[]} columns - Column(s) to convert
+   * @param {Object} [options] - categories (list, in order) and ordered (default false)
+   * @returns {DataFrame} - DataFrame with categorical columns
+   */
+  toCategorical(columns, options = {}) {
+    let result = this;
+    for (const col of Array.isArray(columns) ? columns : [columns]) {
+      result = result.withColumn(col, toCategorical(this.getColumn(col), options));
+    }
+    return result;
+  }
+
+  /**
+   * Encode a column as integer labels, see factorize
+   * @param {string} column - Column to encode
+   * @param {Object} [options] - sort (order uniques by value, default false)
+   * @returns {{codes: Int32Array, uniques: *[]}} - Code per row and distinct values
+   */
+  factorize(column, options = {}) {
+    return factorize(this.getColumn(column), options);
+  }
+
+  /**
+   * One-hot encode columns (pandas get_dummies)
+   *
+   * Each encoded column is replaced by one 0/1 int column per category, named
+   * prefix + prefixSep + category and appended after the remaining columns.
+   * Categories are a categorical column's categories, or otherwise the sorted
+   * distinct values; missing values are 0 in every indicator.
+   *
+   * @param {string[]} [columns] - Columns to encode (default string and categorical columns)
+   * @param {Object} [options] - dropFirst (leave out the first category, default false),
+   *   prefix (string, or column to prefix; default the column name) and prefixSep (default '_')
+   * @returns {DataFrame} - DataFrame with indicator columns
+   */
+  getDummies(columns = null, options = {}) {
+    const { dropFirst = false, prefix = null, prefixSep = '_' } = options;
+    const encoded = columns || this.columns.filter(col => this.getColumn(col).kind === 'dictionary');
+
+    const data = {};
+    for (const col of this.columns) {
+      if (!encoded.includes(col)) data[col] = this.getColumn(col);
+    }
+    for (const col of encoded) {
+      const name = typeof prefix === 'string' ? prefix : (prefix && prefix[col]) || col;
+      for (const [category, indicator] of dummyColumns(this.getColumn(col), { dropFirst })) {
+        data[`${name}${prefixSep}${category}`] = indicator;
+      }
+    }
+    return new DataFrame(data).adoptIndex(this);
+  }
+
+  /**
+   * Cast columns to dtypes, see castColumn
+   * @param {string|Object} dtypes - One dtype for every column, or column name to dtype
+   * @returns {DataFrame} - DataFrame with cast columns
+   */
+  astype(dtypes) {
+    const targets = typeof dtypes === 'string'
+      ? Object.fromEntries(this.columns.map(col => [col, dtypes]))
+      : dtypes;
+    let result = this;
+    for (const [col, dtype] of Object.entries(targets)) {
+      result = result.withColumn(col, castColumn(this.getColumn(col), dtype));
+    }
+    return result;
+  }
+
+  /**
+   * Check columns against a schema, see validateColumn
+   *
+   * The schema maps column names to a dtype or { dtype, nullable, min, max,
+   * unique }. Columns named in the schema but absent are reported with a
+   * null row.
+   *
+   * @param {Object} schema - Column name to rule
+   * @returns {{valid: boolean, errors: Object[]}} - Violations ({ row, column, rule, value, message, and
+   *   duplicateOf for unique violations}) ordered by row, with rows given as index labels
+   */
+  validate(schema) {
+    const errors = [];
+    const labels = this.index;
+    for (const [col, rule] of Object.entries(schema)) {
+      if (!this.store.has(col)) {
+        errors.push({ row: null, column: col, rule: 'column', value: null, message: `Missing column: ${col}` });
+        continue;
+      }
+      for (const { row, ...rest } of validateColumn(this.store.get(col), rule)) {
+        errors.push({ row, column: col, ...rest });
+      }
+    }
+    // Stable sort keeps schema order within a row; missing columns first
+    errors.sort((a, b) => (a.row === null ? -1 : a.row) - (b.row === null ? -1 : b.row));
+    for (const error of errors) {
+      if (error.row !== null) error.row = labels[error.row];
+      if (error.duplicateOf !== undefined) {
+        error.duplicateOf = labels[error.duplicateOf];
+        error.message = `Duplicate of row ${error.duplicateOf}`;
+      }
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Aggregate rows into regular time buckets, see resample
+   * @param {string} dateCol - Date column
+   * @param {string} rule - Bucket size, e.g. '1h', '1D', '1W', '1M'
+   * @param {Object|string|Function} aggs - groupby agg() spec, or one aggregation for all numeric columns
+   * @returns {DataFrame} - One row per bucket
+   */
+  resample(dateCol, rule, aggs) {
+    return resample(this, dateCol, rule, aggs);
+  }
+
+  /**
+   * Conform to a regular time grid, see asfreq
+   * @param {string} dateCol - Date column
+   * @param {string} rule - Grid step, e.g. '1h', '1D'
+   * @param {Object} [options] - Fill options, see reindex
+   * @returns {DataFrame} - One row per grid time
+   */
+  asfreq(dateCol, rule, options = {}) {
+    return asfreq(this, dateCol, rule, options);
+  }
+
+  /**
+   * Shift values down by a number of rows (up when negative)
+   * @param {number} periods - Rows to shift by
+   * @param {string[]} [columns] - Columns to shift (default all)
+   * @returns {DataFrame} - Shifted DataFrame, null where no value moved in
+   */
+  shift(periods = 1, columns = null) {
+    const positions = new Int32Array(this.rowCount);
+    for (let i = 0; i < positions.length; i++) {
+      const j = i - periods;
+      positions[i] = j >= 0 && j < this.rowCount ? j : -1;
+    }
+    let result = this;
+    for (const col of columns || this.columns) {
+      result = result.withColumn(col, this.getColumn(col).take(positions));
+    }
+    return result;
+  }
+
+  /**
+   * Difference with the value a number of rows earlier
+   * @param {number} periods - Rows to look back
+   * @param {string[]} [columns] - Columns to difference (default all numeric and datetime columns)
+   * @returns {DataFrame} - DataFrame with differenced columns (datetimes become milliseconds)
+   */
+  diff(periods = 1, columns = null) {
+    return this.lagged(periods, columns, (current, previous) => current - previous);
+  }
+
+  /**
+   * Relative change from the value a number of rows earlier
+   * @param {number} periods - Rows to look back
+   * @param {string[]} [columns] - Columns to compare (default all numeric columns)
+   * @returns {DataFrame} - DataFrame with fractional changes
+   */
+  pctChange(periods = 1, columns = null) {
+    const numeric = columns || this.columns.filter(col => this.getColumn(col).kind === 'numeric');
+    return this.lagged(periods, numeric, (current, previous) => current / previous - 1);
+  }
+
+  /**
+   * Combine each value with the value a number of rows earlier
+   * @param {number} periods - Rows to look back
+   * @param {string[]|null} columns - Columns to transform (default numeric and datetime columns)
+   * @param {Function} combine - (current, previous) => result
+   * @returns {DataFrame} - DataFrame with transformed columns
+   */
+  lagged(periods, columns, combine) {
+    const targets = columns || this.columns.filter(col => {
+      const kind = this.getColumn(col).kind;
+      return kind === 'numeric' || kind === 'datetime';
+    });
+    let result = this;
+    for (const col of targets) {
+      const column = this.getColumn(col);
+      if (column.kind !== 'numeric' && column.kind !== 'datetime') {
+        throw new Error(`Column is not numeric: ${col}`);
+      }
+      const { values, nulls } = column;
+      const out = new Float64Array(this.rowCount).fill(NaN);
+      const outNulls = new Uint8Array(this.rowCount).fill(1);
+      for (let i = 0; i < out.length; i++) {
+        const j = i - periods;
+        if (j < 0 || j >= out.length || (nulls && (nulls[i] || nulls[j]))) continue;
+        out[i] = combine(values[i], values[j]);
+        outNulls[i] = 0;
+      }
+      result = result.withColumn(col, new NumericColumn(out, outNulls));
     }
     return result;
   }
+
+  /**
+   * Rank rows by a sort spec within each partition (SQL RANK)
+   *
+   * Tied rows get the mean of their positions ('average'), the lowest
+   * ('min'), the highest ('max'), consecutive ranks without gaps ('dense')
+   * or their row order ('first'). Rows with a missing sort key are not
+   * ranked.
+   *
+   * @param {string|string[]} by - Column(s) to rank by
+   * @param {Object} [options] - method (default 'average'), ascending (default true),
+   *   partitionBy (key column(s) to rank within) and name (default 'rank')
+   * @returns {DataFrame} - DataFrame with the rank column
+   */
+  rank(by, options = {}) {
+    const { method = 'average', ascending = true, name = 'rank' } = options;
+    if (!['average', 'min', 'max', 'dense', 'first'].includes(method)) {
+      throw new Error(`Invalid rank method: ${method}`);
+    }
+    const { compare, keys } = rowComparator(this, by, ascending, {});
+    const values = new Float64Array(this.rowCount).fill(NaN);
+    const nulls = new Uint8Array(this.rowCount).fill(1);
+
+    for (const partition of windowPartitions(this, { ...options, orderBy: by })) {
+      const ranked = partition.filter(i => keys.every(column => column[i] !== null));
+      let dense = 0;
+      for (let start = 0; start < ranked.length;) {
+        let end = start + 1;
+        while (end < ranked.length && compare(ranked[start], ranked[end]) === 0) end++;
+        dense++;
+        for (let k = start; k < end; k++) {
+          const i = ranked[k];
+          switch (method) {
+            case 'average': values[i] = (start + end + 1) / 2; break;
+            case 'min': values[i] = start + 1; break;
+            case 'max': values[i] = end; break;
+            case 'dense': values[i] = dense; break;
+            default: values[i] = k + 1;
+          }
+          nulls[i] = 0;
+        }
+        start = end;
+      }
+    }
+    return this.withColumn(name, new NumericColumn(values, nulls, method === 'average' ? 'float' : 'int'));
+  }
+
+  /**
+   * Position of each row within its partition, from 1 (SQL ROW_NUMBER)
+   * @param {Object} [options] - Window options, see windowPartitions, and name (default 'rowNumber')
+   * @returns {DataFrame} - DataFrame with the row number column
+   */
+  rowNumber(options = {}) {
+    const { name = 'rowNumber' } = options;
+    const values = new Float64Array(this.rowCount);
+    for (const partition of windowPartitions(this, options)) {
+      partition.forEach((i, k) => {
+        values[i] = k + 1;
+      });
+    }
+    return this.withColumn(name, new NumericColumn(values, null, 'int'));
+  }
+
+  /**
+   * Running sum of a numeric column within each partition
+   * @param {string} column - Numeric column
+   * @param {Object} [options] - Window options, see windowPartitions, and name (default the column itself)
+   * @returns {DataFrame} - DataFrame with the running values
+   */
+  cumsum(column, options = {}) {
+    return this.cumulative(column, options, (total, value) => total + value);
+  }
+
+  /**
+   * Running product of a numeric column within each partition
+   * @param {string} column - Numeric column
+   * @param {Object} [options] - Window options, see windowPartitions, and name (default the column itself)
+   * @returns {DataFrame} - DataFrame with the running values
+   */
+  cumprod(column, options = {}) {
+    return this.cumulative(column, options, (total, value) => total * value);
+  }
+
+  /**
+   * Running maximum of a numeric column within each partition
+   * @param {string} column - Numeric column
+   * @param {Object} [options] - Window options, see windowPartitions, and name (default the column itself)
+   * @returns {DataFrame} - DataFrame with the running values
+   */
+  cummax(column, options = {}) {
+    return this.cumulative(column, options, Math.max);
+  }
+
+  /**
+   * Running minimum of a numeric column within each partition
+   * @param {string} column - Numeric column
+   * @param {Object} [options] - Window options, see windowPartitions, and name (default the column itself)
+   * @returns {DataFrame} - DataFrame with the running values
+   */
+  cummin(column, options = {}) {
+    return this.cumulative(column, options, Math.min);
+  }
+
+  /**
+   * Combine each value with the running value of the rows before it in its
+   * partition; missing values stay missing and are skipped
+   * @param {string} column - Numeric column
+   * @param {Object} options - Window options, see windowPartitions, and name
+   * @param {Function} combine - (running, value) => running
+   * @returns {DataFrame} - DataFrame with the running values
+   */
+  cumulative(column, options, combine) {
+    const { name = column } = options;
+    const source = this.getColumn(column);
+    if (source.kind !== 'numeric') {
+      throw new Error(`Column is not numeric: ${column}`);
+    }
+    const { values, nulls } = source;
+    const out = new Float64Array(this.rowCount).fill(NaN);
+    const outNulls = new Uint8Array(this.rowCount).fill(1);
+    for (const partition of windowPartitions(this, options)) {
+      let running = null;
+      for (const i of partition) {
+        if ((nulls && nulls[i]) || Number.isNaN(values[i])) continue;
+        running = running === null ? values[i] : combine(running, values[i]);
+        out[i] = running;
+        outNulls[i] = 0;
+      }
+    }
+    return this.withColumn(name, new NumericColumn(out, outNulls, source.dtype));
+  }
+
+  /**
+   * Value from a number of rows earlier in the partition (SQL LAG)
+   * @param {string} column - Column to read
+   * @param {number} periods - Rows to look back (default 1)
+   * @param {Object} [options] - Window options, see windowPartitions, and name (default the column itself)
+   * @returns {DataFrame} - DataFrame with the lagged column, null where there is no earlier row
+   */
+  lag(column, periods = 1, options = {}) {
+    const { name = column } = options;
+    const positions = new Int32Array(this.rowCount).fill(-1);
+    for (const partition of windowPartitions(this, options)) {
+      partition.forEach((i, k) => {
+        const j = k - periods;
+        if (j >= 0 && j < partition.length) positions[i] = partition[j];
+      });
+    }
+    return this.withColumn(name, this.getColumn(column).take(positions));
+  }
+
+  /**
+   * Value from a number of rows later in the partition (SQL LEAD)
+   * @param {string} column - Column to read
+   * @param {number} periods - Rows to look ahead (default 1)
+   * @param {Object} [options] - Window options, see windowPartitions, and name (default the column itself)
+   * @returns {DataFrame} - DataFrame with the led column, null where there is no later row
+   */
+  lead(column, periods = 1, options = {}) {
+    return this.lag(column, -periods, options);
+  }
+
+  /**
+   * Rolling window over numeric columns, see rolling
+   * @param {number|string} window - Window size in rows, or a time offset such as '5m' (needs options.on)
+   * @param {Object} [options] - rolling options, plus on (date column for time windows)
+   *   and columns (default all numeric columns)
+   * @returns {RollingFrame} - Window whose statistics return DataFrames
+   */
+  rolling(window, options = {}) {
+    const { on = null, columns = null, ...rest } = options;
+    const times = on !== null && typeof window === 'string' ? toDatetime(this.getColumn(on)).values : null;
+    return new RollingFrame(this, numericColumns(this, columns, on), values => rolling(values, window, { ...rest, times }));
+  }
+
+  /**
+   * Expanding window over numeric columns, see expanding
+   * @param {Object} [options] - expanding options, plus columns (default all numeric columns)
+   * @returns {RollingFrame} - Window whose statistics return DataFrames
+   */
+  expanding(options = {}) {
+    const { columns = null, ...rest } = options;
+    return new RollingFrame(this, numericColumns(this, columns), values => expanding(values, rest));
+  }
+
+  /**
+   * Exponentially weighted window over numeric columns, see ewm
+   * @param {Object} options - ewm options, plus columns (default all numeric columns)
+   * @returns {EwmFrame} - Window whose statistics return DataFrames
+   */
+  ewm(options = {}) {
+    const { columns = null, ...rest } = options;
+    return new EwmFrame(this, numericColumns(this, columns), values => ewm(values, rest));
+  }
+
+  /**
+   * Text operations on a string column, see StringAccessor,
+   * e.g. df.str('email').lower().str('email').split('@', { expand: true })
+   * @param {string} column - String or categorical column
+   * @param {Object} [options] - name (column for the results, default the column itself)
+   * @returns {StringAccessor} - Accessor whose operations return DataFrames
+   */
+  str(column, options = {}) {
+    const { name = column } = options;
+    return new StringAccessor(this, column, name);
+  }
+
+  /**
+   * Melt (unpivot)
+   * @param {string[]} [idVars] - ID variables
+   * @param {string[]} [valueVars] - Value variables to unpivot (default all columns not in idVars)
+   * @param {Object} [options] - varName (default 'variable') and valueName (default 'value')
+   * @returns {DataFrame} - Melted DataFrame
+   */
+  melt(idVars = [], valueVars = null, options = {}) {
+    const { varName = 'variable', valueName = 'value' } = options;
+    for (const name of [varName, valueName]) {
+      if (idVars.includes(name)) {
+        throw new Error(`Cannot insert ${name}, already exists`);
+      }
+    }
+    const vars = valueVars || this.columns.filter(col => !idVars.includes(col));
+
+    // Row i of the source becomes rows i * vars.length onwards, one per value variable
+    const positions = [];
+    const picks = [];
+    for (let i = 0; i < this.rowCount; i++) {
+      for (let v = 0; v < vars.length; v++) {
+        positions.push(i);
+        picks.push([v, i]);
+      }
+    }
+    const data = {};
+    for (const idVar of idVars) {
+      data[idVar] = this.getColumn(idVar).take(positions);
+    }
+    data[varName] = positions.map((_, p) => vars[p % vars.length]);
+    data[valueName] = gatherColumns(vars.map(col => this.getColumn(col)), picks);
+    return new DataFrame(data, [...idVars, varName, valueName]);
+  }
+
+  /**
+   * Move the inner level of column labels into the rows (pandas stack)
+   *
+   * Column labels are split at their last sep into an outer and an inner
+   * label, e.g. 'score_2024' into 'score' and '2024'. Each row becomes one
+   * row per inner label, in a new column, with one column per outer label.
+   * Rows keep their index label; without an index the source row positions
+   * become the index, so unstack can reverse it.
+   *
+   * @param {Object} [options] - sep (default '_'), name (of the inner label column, default 'level')
+   *   and dropna (skip rows whose stacked values are all missing, default true)
+   * @returns {DataFrame} - Long DataFrame
+   */
+  stack(options = {}) {
+    const { sep = '_', name = 'level', dropna = true } = options;
+    // Outer label to (inner label to column), both in order of first appearance
+    const cells = new Map();
+    const inners = [];
+    for (const col of this.columns) {
+      const at = col.lastIndexOf(sep);
+      if (at < 0) {
+        throw new Error(`Column label has no separator: ${col}`);
+      }
+      const outer = col.slice(0, at);
+      const inner = col.slice(at + sep.length);
+      if (!cells.has(outer)) cells.set(outer, new Map());
+      cells.get(outer).set(inner, this.getColumn(col));
+      if (!inners.includes(inner)) inners.push(inner);
+    }
+    const outers = [...cells.keys()];
+    if (outers.includes(name)) {
+      throw new Error(`Cannot insert ${name}, already exists`);
+    }
+
+    const positions = [];
+    const levels = [];
+    for (let i = 0; i < this.rowCount; i++) {
+      for (const inner of inners) {
+        const present = outers.some(outer => {
+          const column = cells.get(outer).get(inner);
+          return column && !isMissing(column.get(i));
+        });
+        if (dropna && !present) continue;
+        positions.push(i);
+        levels.push(inner);
+      }
+    }
+
+    const data = { [name]: encodeColumn(levels) };
+    for (const outer of outers) {
+      const values = positions.map((i, k) => {
+        const column = cells.get(outer).get(levels[k]);
+        return column ? column.get(i) : null;
+      });
+      data[outer] = encodeColumn(values);
+    }
+    const result = new DataFrame(data, [name, ...outers]);
+    if (this.indexColumn) return result.adoptIndex(this, positions);
+    result.indexColumn = new NumericColumn(Float64Array.from(positions), null, 'int');
+    return result;
+  }
+
+  /**
+   * Move the values of a column into the column labels (pandas unstack)
+   *
+   * Rows sharing an index label become one row, and every other column is
+   * spread into `${column}${sep}${value}` columns, one per distinct value
+   * of the unstacked column. A repeated (index label, value) pair is an
+   * error. stack reverses it.
+   *
+   * @param {string} column - Column whose values become the inner column label
+   * @param {Object} [options] - sep (between column and value, default '_')
+   * @returns {DataFrame} - One row per distinct index label
+   */
+  unstack(column, options = {}) {
+    const { sep = '_' } = options;
+    const { codes, uniques } = this.indexColumn
+      ? factorizeColumn(this.indexColumn)
+      : { codes: Int32Array.from(this.index), uniques: this.index };
+    const values = this.columns.filter(col => col !== column);
+    const spread = spreadColumns(this, codes, uniques.length, column, values, (name, key) => `${name}${sep}${key}`);
+
+    const result = new DataFrame(spread.data, spread.names);
+    if (this.indexColumn) {
+      const first = new Int32Array(uniques.length).fill(-1);
+      for (let i = codes.length - 1; i >= 0; i--) {
+        first[codes[i]] = i;
+      }
+      result.indexColumn = this.indexColumn.take(first);
+      result.indexName = this.indexName;
+    }
+    return result;
+  }
+
+  /**
+   * One row per element of array-valued cells (pandas explode)
+   *
+   * Empty arrays become one row with a missing value and other values are
+   * left as they are. Several columns are exploded together and must have
+   * the same number of elements in each row.
+   *
+   * @param {string|string[]} columns - Column(s) holding arrays
+   * @returns {DataFrame} - Exploded DataFrame
+   */
+  explode(columns) {
+    const targets = Array.isArray(columns) ? columns : [columns];
+    const sources = targets.map(col => this.getColumn(col));
+    const positions = [];
+    const exploded = targets.map(() => []);
+    for (let i = 0; i < this.rowCount; i++) {
+      const cells = sources.map(column => column.get(i));
+      const counts = cells.map(cell => (Array.isArray(cell) ? Math.max(cell.length, 1) : 1));
+      if (counts.some(count => count !== counts[0])) {
+        throw new Error(`Columns must have matching element counts (row ${i})`);
+      }
+      for (let k = 0; k < counts[0]; k++) {
+        positions.push(i);
+        cells.forEach((cell, t) => {
+          exploded[t].push(Array.isArray(cell) ? (k < cell.length ? cell[k] : null) : cell);
+        });
+      }
+    }
+
+    const data = {};
+    for (const col of this.columns) {
+      const t = targets.indexOf(col);
+      data[col] = t >= 0 ? encodeColumn(exploded[t]) : this.getColumn(col).take(positions);
+    }
+    return new DataFrame(data, this.columns).adoptIndex(this, positions);
+  }
+
+  /**
+   * Select columns
+   * @param {string[]} columns - Columns to select
+   * @returns {DataFrame} - DataFrame with selected columns
+   */
+  select(columns) {
+    const data = {};
+    for (const col of columns) {
+      data[col] = this.getColumn(col);
+    }
+    return new DataFrame(data, [...columns]).adoptIndex(this);
+  }
+
+  /**
+   * Rename columns
+   * @param {Object} mapping - Old name to new name mapping
+   * @returns {DataFrame} - DataFrame with renamed columns
+   */
+  rename(mapping) {
+    const data = {};
+    const columns = this.columns.map(col => {
+      const name = mapping[col] || col;
+      data[name] = this.store.get(col);
+      return name;
+    });
+    return new DataFrame(data, columns).adoptIndex(this);
+  }
 }
 
 /**
- * Filter DataFrame rows by column value
- * @param {Object[]} df - Array of row objects
+ * Wrap a row array in a DataFrame (DataFrames are returned as-is)
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @returns {DataFrame} - DataFrame instance
+ */
+function toFrame(df) {
+  return df instanceof DataFrame ? df : new DataFrame(df);
+}
+
+/**
+ * Build the DataFrame for parsed JSON Lines
+ * @param {{columns: string[], rows: Object[]}} result - Parsed rows
+ * @param {Object} options - normalize, sep, dtype and parseDates, see fromJSONL
+ * @returns {DataFrame} - DataFrame
+ */
+function jsonlFrame(result, options) {
+  let { columns, rows } = result;
+  if (options.normalize) {
+    rows = jsonNormalize(rows, { sep: options.sep });
+    columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  }
+  const df = new DataFrame(rows, columns, options.dtype);
+  return options.parseDates ? df.toDatetime(options.parseDates) : df;
+}
+
+/**
+ * Row at a position as a new object
+ * @param {DataFrame} frame - Source DataFrame
+ * @param {number} i - Row position
+ * @returns {Object} - Row object
+ */
+function rowAt(frame, i) {
+  const row = {};
+  for (const col of frame.columns) {
+    row[col] = frame.getColumn(col).get(i);
+  }
+  return row;
+}
+
+/**
+ * Hashable, comparable form of a row label (dates compare by time)
+ * @param {*} label - Row label
+ * @returns {*} - Lookup key
+ */
+function labelKey(label) {
+  return label instanceof Date ? label.getTime() : label;
+}
+
+/**
+ * Source position for each target label, -1 where there is none
+ *
+ * Exact matches always win. Otherwise 'ffill' takes the last label before
+ * the target, 'bfill' the first label after it and 'nearest' the closer of
+ * the two (the later one on ties). limit caps how many targets one source
+ * row may fill. Fill methods need a monotonic increasing source index.
+ *
+ * @param {*[]} source - Current labels
+ * @param {*[]} target - New labels
+ * @param {Object} options - Fill options, see reindex
+ * @returns {Int32Array} - Positions into source
+ */
+function alignLabels(source, target, options) {
+  const { method = null, limit = null } = options;
+  if (method !== null && !['ffill', 'bfill', 'nearest'].includes(method)) {
+    throw new Error(`Invalid fill method: ${method}`);
+  }
+
+  // Labels are compared with < as in JavaScript, so numbers, strings and dates all work
+  const keys = source.map(labelKey);
+  const lookup = new Map();
+  keys.forEach((key, i) => {
+    if (lookup.has(key)) {
+      throw new Error('Cannot reindex on an index with duplicate labels');
+    }
+    lookup.set(key, i);
+  });
+
+  if (method) {
+    for (let i = 1; i < keys.length; i++) {
+      if (!(keys[i - 1] < keys[i])) {
+        throw new Error(`Index must be monotonic increasing to use method ${method}`);
+      }
+    }
+  }
+
+  const fills = new Map();
+  const positions = new Int32Array(target.length);
+  for (let t = 0; t < target.length; t++) {
+    const key = labelKey(target[t]);
+    const exact = lookup.get(key);
+    if (exact !== undefined || !method) {
+      positions[t] = exact === undefined ? -1 : exact;
+      continue;
+    }
+
+    // First source label greater than the target
+    let lo = 0;
+    let hi = keys.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (keys[mid] < key) lo = mid + 1;
+      else hi = mid;
+    }
+    const before = lo - 1;
+    const after = lo < keys.length ? lo : -1;
+
+    let pos;
+    if (method === 'ffill') {
+      pos = before;
+    } else if (method === 'bfill') {
+      pos = after;
+    } else if (before < 0 || after < 0) {
+      pos = before < 0 ? after : before;
+    } else {
+      if (typeof key !== 'number') {
+        throw new Error('Method nearest requires numeric or date labels');
+      }
+      pos = key - keys[before] < keys[after] - key ? before : after;
+    }
+
+    if (pos >= 0 && limit !== null) {
+      const used = fills.get(pos) || 0;
+      if (used >= limit) {
+        pos = -1;
+      } else {
+        fills.set(pos, used + 1);
+      }
+    }
+    positions[t] = pos;
+  }
+  return positions;
+}
+
+/**
+ * Positional accessor for one column of a DataFrame or row array
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
  * @param {string} column - Column name
- * @param {*} value - Value to filter by
+ * @returns {Function} - Function from row position to value
+ */
+function valueGetter(df, column) {
+  if (df instanceof DataFrame) {
+    const col = df.getColumn(column);
+    if (col.kind === 'numeric' && !col.nulls) {
+      const values = col.values;
+      return i => values[i];
+    }
+    return i => col.get(i);
+  }
+  return i => df[i][column];
+}
+
+/**
+ * Column list with a column appended if not already present
+ * @param {string[]} columns - Existing columns
+ * @param {string} column - Column to ensure
+ * @returns {string[]} - New column list
+ */
+function appendColumn(columns, column) {
+  return columns.includes(column) ? [...columns] : [...columns, column];
+}
+
+/**
+ * Filter DataFrame rows by column value or row predicate
+ * @param {Object[]} df - Array of row objects
+ * @param {string|Function} column - Column name, or predicate (row, i) => boolean
+ * @param {*} [value] - Value to filter by when filtering by column
  * @returns {Object[]} - Filtered rows
  */
 function dataframeFilter(df, column, value) {
   const result = [];
+  const keep = typeof column === 'function' ? column : row => row[column] === value;
+
+  for (let i = 0; i < df.length; i++) {
+    if (keep(df[i], i)) {
+      result.push({ ...df[i] });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Group by and compute mean
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string} groupCol - Column to group by
+ * @param {string} valueCol - Column to aggregate
+ * @returns {Object} - Group to mean mapping
+ */
+function groupbyMean(df, groupCol, valueCol) {
+  if (df instanceof DataFrame) {
+    const { keys, means } = columnGroupMeans(df, groupCol, valueCol);
+    const result = {};
+    keys.forEach((key, g) => {
+      result[key] = means[g];
+    });
+    return result;
+  }
+
+  const groups = {};
+
+  for (const row of df) {
+    const key = isMissing(row[groupCol]) ? null : row[groupCol];
+    if (!groups[key]) {
+      groups[key] = { sum: 0, count: 0 };
+    }
+    if (!isMissing(row[valueCol])) {
+      groups[key].sum += row[valueCol];
+      groups[key].count++;
+    }
+  }
+
+  const result = {};
+  for (const [key, { sum, count }] of Object.entries(groups)) {
+    result[key] = sum / count;
+  }
+
+  return result;
+}
+
+/**
+ * Per-group means computed directly on column storage
+ * @param {DataFrame} df - Source DataFrame
+ * @param {string} groupCol - Column to group by
+ * @param {string} valueCol - Numeric column to average
+ * @returns {{keys: *[], means: Float64Array}} - Group keys in first-seen order and their means
+ */
+function columnGroupMeans(df, groupCol, valueCol) {
+  const { codes, uniques } = factorizeColumn(df.getColumn(groupCol));
+  const values = df.numeric(valueCol);
+  const sums = new Float64Array(uniques.length);
+  const counts = new Float64Array(uniques.length);
+
+  for (let i = 0; i < codes.length; i++) {
+    if (Number.isNaN(values[i])) continue;
+    sums[codes[i]] += values[i];
+    counts[codes[i]]++;
+  }
+  for (let g = 0; g < sums.length; g++) {
+    sums[g] /= counts[g];
+  }
+
+  return { keys: uniques, means: sums };
+}
+
+/**
+ * Built-in aggregations, each taking the values of one group
+ */
+const AGGREGATIONS = {
+  sum: values => numericValues(values).reduce((a, b) => a + b, 0),
+  mean: values => mean(numericValues(values)),
+  min: values => extreme(values, (a, b) => a < b),
+  max: values => extreme(values, (a, b) => a > b),
+  count: values => values.filter(v => !isMissing(v)).length,
+  std: values => std(numericValues(values)),
+  median: values => median(numericValues(values)),
+  first: values => values.find(v => !isMissing(v)) ?? null,
+  last: values => {
+    for (let i = values.length - 1; i >= 0; i--) {
+      if (!isMissing(values[i])) return values[i];
+    }
+    return null;
+  }
+};
+
+/**
+ * Non-missing values of a group
+ * @param {*[]} values - Group values
+ * @returns {number[]} - Values with null, undefined and NaN removed
+ */
+function numericValues(values) {
+  return values.filter(v => !isMissing(v));
+}
+
+/**
+ * Smallest or largest non-missing value
+ * @param {*[]} values - Group values
+ * @param {Function} better - Returns true if a should replace b
+ * @returns {*} - Extreme value, or NaN if the group has no values
+ */
+function extreme(values, better) {
+  let result = NaN;
+  let found = false;
+  for (const v of values) {
+    if (isMissing(v)) continue;
+    if (!found || better(v, result)) {
+      result = v;
+      found = true;
+    }
+  }
+  return result;
+}
+
+/**
+ * Resolve an aggregation name or function
+ * @param {string|Function} agg - Aggregation name or custom function
+ * @returns {Function} - Function from group values to result
+ */
+function resolveAggregation(agg) {
+  if (typeof agg === 'function') return agg;
+  const fn = AGGREGATIONS[agg];
+  if (!fn) {
+    throw new Error(`Unknown aggregation: ${agg}`);
+  }
+  return fn;
+}
+
+/**
+ * Rows of a DataFrame grouped by key columns, in order of first appearance
+ */
+class GroupBy {
+  /**
+   * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+   * @param {string|string[]} keys - Column(s) to group by
+   * @param {Object[]} [groups] - Precomputed {key, indices} groups (skips grouping by key values)
+   */
+  constructor(df, keys, groups = null) {
+    this.df = toFrame(df);
+    this.keys = Array.isArray(keys) ? keys : [keys];
+
+    if (groups) {
+      this.groups = groups;
+      return;
+    }
+
+    const factors = this.keys.map(k => factorizeColumn(this.df.getColumn(k)));
+    if (factors.length === 1) {
+      const { codes, uniques } = factors[0];
+      this.groups = uniques.map(u => ({ key: [u], indices: [] }));
+      for (let i = 0; i < codes.length; i++) {
+        this.groups[codes[i]].indices.push(i);
+      }
+    } else {
+      // Map keeps insertion order, so groups come out in first-seen order
+      const groups = new Map();
+      for (let i = 0; i < this.df.length; i++) {
+        const id = factors.map(f => f.codes[i]).join(',');
+        let group = groups.get(id);
+        if (!group) {
+          group = { key: factors.map(f => f.uniques[f.codes[i]]), indices: [] };
+          groups.set(id, group);
+        }
+        group.indices.push(i);
+      }
+      this.groups = [...groups.values()];
+    }
+  }
+
+  get ngroups() {
+    return this.groups.length;
+  }
+
+  /**
+   * Aggregate each group
+   *
+   * Spec values may be an aggregation name ('sum', 'mean', 'min', 'max',
+   * 'count', 'std', 'median', 'first', 'last'), a custom function taking the
+   * group's values, a list of those, or a named aggregation
+   * { column, agg } whose output column is the spec key.
+   * Lists produce one output column per entry named `${column}_${name}`.
+   *
+   * @param {Object} spec - Output specification keyed by column
+   * @returns {DataFrame} - One row per group
+   */
+  agg(spec) {
+    const outputs = [];
+    for (const [name, value] of Object.entries(spec)) {
+      if (Array.isArray(value)) {
+        for (const agg of value) {
+          const label = typeof agg === 'function' ? agg.name || 'custom' : agg;
+          outputs.push({ name: `${name}_${label}`, column: name, fn: resolveAggregation(agg) });
+        }
+      } else if (value && typeof value === 'object') {
+        outputs.push({ name, column: value.column, fn: resolveAggregation(value.agg) });
+      } else {
+        outputs.push({ name, column: name, fn: resolveAggregation(value) });
+      }
+    }
+
+    const columns = outputs.map(({ column }) => this.df.getColumn(column));
+    const result = this.groups.map(({ key, indices }) => {
+      const row = keyRow(this.keys, key);
+      outputs.forEach(({ name, fn }, o) => {
+        row[name] = fn(indices.map(i => columns[o].get(i)));
+      });
+      return row;
+    });
+
+    return new DataFrame(result, [...this.keys, ...outputs.map(o => o.name)]);
+  }
+
+  /**
+   * Number of rows in each group
+   * @returns {DataFrame} - Key columns plus a 'size' column
+   */
+  size() {
+    const result = this.groups.map(({ key, indices }) => {
+      const row = keyRow(this.keys, key);
+      row.size = indices.length;
+      return row;
+    });
+    return new DataFrame(result, [...this.keys, 'size']);
+  }
+}
+
+/**
+ * Build a row holding a group's key values
+ * @param {string[]} keys - Key column names
+ * @param {*[]} values - Key values
+ * @returns {Object} - Row object
+ */
+function keyRow(keys, values) {
+  const row = {};
+  keys.forEach((k, j) => {
+    row[k] = values[j];
+  });
+  return row;
+}
+
+/**
+ * Group dataframe rows by key columns
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string|string[]} keys - Column(s) to group by
+ * @returns {GroupBy} - Grouped view supporting agg()
+ */
+function groupby(df, keys) {
+  return new GroupBy(df, keys);
+}
+
+const MERGE_VALIDATION = {
+  one_to_one: [true, true],
+  '1:1': [true, true],
+  one_to_many: [true, false],
+  '1:m': [true, false],
+  many_to_one: [false, true],
+  'm:1': [false, true],
+  many_to_many: [false, false],
+  'm:m': [false, false]
+};
+
+/**
+ * Merge two dataframes using a hash join
+ *
+ * Right key columns are dropped from the output; unmatched right rows in
+ * 'right' and 'outer' joins carry their key values in the left key columns.
+ * Rows keep left order (right order for 'right' joins), with unmatched right
+ * rows appended at the end of an 'outer' join.
+ *
+ * @param {Object[]} left - Left dataframe
+ * @param {Object[]} right - Right dataframe
+ * @param {string|string[]} leftOn - Left join column(s)
+ * @param {string|string[]} rightOn - Right join column(s)
+ * @param {Object} [options] - Join options
+ * @param {string} [options.how] - 'inner', 'left', 'right', 'outer' or 'cross'
+ * @param {string[]} [options.suffixes] - Suffixes for overlapping columns (default ['_x', '_y'])
+ * @param {boolean|string} [options.indicator] - Add a '_merge' column (or one with this name)
+ * @param {string} [options.validate] - 'one_to_one', 'one_to_many', 'many_to_one' or 'many_to_many'
+ * @returns {Object[]} - Merged dataframe
+ */
+function dataframeMerge(left, right, leftOn, rightOn = leftOn, options = {}) {
+  const leftCols = inferColumns(left);
+  const rightCols = inferColumns(right);
+  const join = hashJoin(left, right, leftCols, rightCols, leftOn, rightOn, options);
+  const leftKeyNames = join.leftKeys.map(k => join.leftNames[leftCols.indexOf(k)]);
+
+  return join.leftPositions.map((l, i) => {
+    const r = join.rightPositions[i];
+    const row = {};
+    for (let c = 0; c < leftCols.length; c++) {
+      row[join.leftNames[c]] = l < 0 ? null : left[l][leftCols[c]];
+    }
+    if (l < 0) {
+      join.rightKeys.forEach((k, j) => {
+        if (leftKeyNames[j] !== undefined) row[leftKeyNames[j]] = right[r][k];
+      });
+    }
+    for (let c = 0; c < join.rightValueCols.length; c++) {
+      row[join.rightNames[c]] = r < 0 ? null : right[r][join.rightValueCols[c]];
+    }
+    if (join.indicatorName) row[join.indicatorName] = join.statuses[i];
+    return row;
+  });
+}
+
+/**
+ * Union of row keys in order of first appearance
+ * @param {Object[]} rows - Array of row objects
+ * @returns {string[]} - Column names
+ */
+function inferColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      columns.add(key);
+    }
+  }
+  return [...columns];
+}
+
+/**
+ * Hash key for a row's join columns
+ * @param {Object} row - Row object
+ * @param {string[]} keys - Join columns
+ * @returns {*} - Value usable as a Map key (dates compare by time)
+ */
+function joinKey(row, keys) {
+  return keys.length === 1 ? labelKey(row[keys[0]]) : JSON.stringify(keys.map(k => labelKey(row[k])));
+}
+
+/**
+ * Index rows by join key
+ * @param {Object[]} rows - Array of row objects
+ * @param {string[]} keys - Join columns
+ * @returns {Map<*, number[]>} - Join key to row positions
+ */
+function buildJoinIndex(rows, keys) {
+  const index = new Map();
+  for (let i = 0; i < rows.length; i++) {
+    const key = joinKey(rows[i], keys);
+    const bucket = index.get(key);
+    if (bucket) {
+      bucket.push(i);
+    } else {
+      index.set(key, [i]);
+    }
+  }
+  return index;
+}
+
+/**
+ * Hash join implementation shared by dataframeMerge and DataFrame#merge
+ *
+ * Output row i joins left row leftPositions[i] with right row
+ * rightPositions[i]; -1 marks a side without a row.
+ *
+ * @param {Object[]} left - Left rows
+ * @param {Object[]} right - Right rows
+ * @param {string[]} leftCols - Left column order
+ * @param {string[]} rightCols - Right column order
+ * @param {string|string[]} leftOn - Left join column(s)
+ * @param {string|string[]} rightOn - Right join column(s)
+ * @param {Object} options - Join options, see dataframeMerge
+ * @returns {Object} - columns (output order), leftNames (output name per left column), rightValueCols and
+ *   rightNames (right columns other than keys and their output names), indicatorName, leftKeys, rightKeys,
+ *   leftPositions, rightPositions and statuses ('both', 'left_only' or 'right_only' per output row)
+ */
+function hashJoin(left, right, leftCols, rightCols, leftOn, rightOn, options) {
+  const { how = 'inner', suffixes = ['_x', '_y'], indicator = false, validate = null } = options;
+  if (!['inner', 'left', 'right', 'outer', 'cross'].includes(how)) {
+    throw new Error(`Unknown merge type: ${how}`);
+  }
+
+  const leftKeys = how === 'cross' ? [] : [].concat(leftOn);
+  const rightKeys = how === 'cross' ? [] : [].concat(rightOn);
+  if (leftKeys.length !== rightKeys.length) {
+    throw new Error('leftOn and rightOn must have the same length');
+  }
+
+  // Output column names, suffixing columns present on both sides
+  const rightValueCols = rightCols.filter(c => !rightKeys.includes(c));
+  const leftSet = new Set(leftCols);
+  const rightSet = new Set(rightValueCols);
+  const leftNames = leftCols.map(c => (rightSet.has(c) ? c + suffixes[0] : c));
+  const rightNames = rightValueCols.map(c => (leftSet.has(c) ? c + suffixes[1] : c));
+  const indicatorName = indicator === true ? '_merge' : indicator || null;
+  const columns = [...leftNames, ...rightNames];
+  if (indicatorName) columns.push(indicatorName);
+
+  const leftPositions = [];
+  const rightPositions = [];
+  const statuses = [];
+  const emit = (l, r, status) => {
+    leftPositions.push(l);
+    rightPositions.push(r);
+    statuses.push(status);
+  };
+  const result = {
+    columns, leftNames, rightValueCols, rightNames, indicatorName, leftKeys, rightKeys, leftPositions, rightPositions, statuses
+  };
+
+  if (how === 'cross') {
+    for (let i = 0; i < left.length; i++) {
+      for (let j = 0; j < right.length; j++) {
+        emit(i, j, 'both');
+      }
+    }
+    return result;
+  }
+
+  const rightIndex = buildJoinIndex(right, rightKeys);
+  const leftIndex = how === 'right' || validate ? buildJoinIndex(left, leftKeys) : null;
+
+  if (validate) {
+    const rule = MERGE_VALIDATION[validate];
+    if (!rule) {
+      throw new Error(`Unknown merge validation: ${validate}`);
+    }
+    const hasDuplicates = index => [...index.values()].some(bucket => bucket.length > 1);
+    if (rule[0] && hasDuplicates(leftIndex)) {
+      throw new Error(`Merge keys are not unique in left dataset; not a ${validate} merge`);
+    }
+    if (rule[1] && hasDuplicates(rightIndex)) {
+      throw new Error(`Merge keys are not unique in right dataset; not a ${validate} merge`);
+    }
+  }
+
+  if (how === 'right') {
+    for (let j = 0; j < right.length; j++) {
+      const matches = leftIndex.get(joinKey(right[j], rightKeys));
+      if (matches) {
+        for (const i of matches) {
+          emit(i, j, 'both');
+        }
+      } else {
+        emit(-1, j, 'right_only');
+      }
+    }
+    return result;
+  }
 
-  for (const row of df) {
-    if (row[column] === value) {
-      result.push({ ...row });
+  const matchedRight = how === 'outer' ? new Uint8Array(right.length) : null;
+  for (let i = 0; i < left.length; i++) {
+    const matches = rightIndex.get(joinKey(left[i], leftKeys));
+    if (matches) {
+      for (const j of matches) {
+        emit(i, j, 'both');
+        if (matchedRight) matchedRight[j] = 1;
+      }
+    } else if (how !== 'inner') {
+      emit(i, -1, 'left_only');
+    }
+  }
+
+  if (matchedRight) {
+    for (let j = 0; j < right.length; j++) {
+      if (!matchedRight[j]) {
+        emit(-1, j, 'right_only');
+      }
     }
   }
 
@@ -65,102 +2142,233 @@ function dataframeFilter(df, column, value) {
 }
 
 /**
- * Group by and compute mean
- * @param {Object[]} df - Array of row objects
- * @param {string} groupCol - Column to group by
- * @param {string} valueCol - Column to aggregate
- * @returns {Object} - Group to mean mapping
+ * Gather values from several columns into one
+ *
+ * The result keeps the dtype the columns share (categoricals when they also
+ * share categories and ordering); otherwise it is inferred from the values.
+ *
+ * @param {Object[]} sources - Encoded columns
+ * @param {Array<[number, number]>} picks - Per output row, a source and a row position in it
+ * @returns {NumericColumn|DatetimeColumn|DictionaryColumn|ObjectColumn} - Gathered column
  */
-function groupbyMean(df, groupCol, valueCol) {
-  const groups = {};
+function gatherColumns(sources, picks) {
+  const values = picks.map(([source, i]) => sources[source].get(i));
+  if (sources.length === 0) return encodeColumn(values);
+  const [first] = sources;
+  const sameCategories = column => column.ordered === first.ordered &&
+    column.dictionary.length === first.dictionary.length &&
+    column.dictionary.every((value, code) => valueKey(value) === valueKey(first.dictionary[code]));
+  const shared = sources.every(column => column.dtype === first.dtype &&
+    (column.dtype !== 'category' || sameCategories(column)));
+  if (!shared) return encodeColumn(values);
+  if (first.dtype === 'category') {
+    return toCategorical(values, { categories: first.dictionary, ordered: first.ordered });
+  }
+  return castColumn(encodeColumn(values), first.dtype);
+}
 
-  for (const row of df) {
-    const key = row[groupCol];
-    if (!groups[key]) {
-      groups[key] = { sum: 0, count: 0 };
+/**
+ * Aggregate row positions into a pivot grid and emit it as a nested object or DataFrame
+ *
+ * Row and column keys keep their order of first appearance. Cells with no
+ * rows are left out (or set to fillValue); margins aggregate the underlying
+ * rows of each row, each column and the whole table.
+ *
+ * @param {DataFrame} frame - Source DataFrame
+ * @param {string} index - Column whose values become rows
+ * @param {string} columns - Column whose values become columns
+ * @param {string[]} names - Name per aggregated output
+ * @param {Function[]} aggregators - Per output, function from row positions to a cell value
+ * @param {boolean} perName - Nest/prefix cells by output name
+ * @param {Object} options - Pivot options, see pivotTable
+ * @returns {Object|DataFrame} - Pivot table
+ */
+function buildPivot(frame, index, columns, names, aggregators, perName, options) {
+  const { fillValue, margins = false, marginsName = 'All', asFrame = false } = options;
+  const rowFactor = factorizeColumn(frame.getColumn(index));
+  const colFactor = factorizeColumn(frame.getColumn(columns));
+  const nRows = rowFactor.uniques.length;
+  const nCols = colFactor.uniques.length;
+
+  // Row positions per cell, per row and per column
+  const cells = rowFactor.uniques.map(() => new Map());
+  const rowTotals = rowFactor.uniques.map(() => []);
+  const colTotals = colFactor.uniques.map(() => []);
+  for (let i = 0; i < frame.length; i++) {
+    const r = rowFactor.codes[i];
+    const c = colFactor.codes[i];
+    const positions = cells[r].get(c);
+    if (positions) {
+      positions.push(i);
+    } else {
+      cells[r].set(c, [i]);
+    }
+    if (margins) {
+      rowTotals[r].push(i);
+      colTotals[c].push(i);
     }
-    groups[key].sum += row[valueCol];
-    groups[key].count++;
   }
 
-  const result = {};
-  for (const [key, { sum, count }] of Object.entries(groups)) {
-    result[key] = sum / count;
+  const rowKeys = [...rowFactor.uniques];
+  const colKeys = [...colFactor.uniques];
+  let all = null;
+  if (margins) {
+    rowKeys.push(marginsName);
+    colKeys.push(marginsName);
+    all = Array.from({ length: frame.length }, (_, i) => i);
   }
 
-  return result;
+  const positionsAt = (r, c) => {
+    if (r < nRows) return c < nCols ? cells[r].get(c) : rowTotals[r];
+    return c < nCols ? colTotals[c] : all;
+  };
+  const cellValue = (r, c, v) => {
+    const positions = positionsAt(r, c);
+    return positions && positions.length > 0 ? aggregators[v](positions) : undefined;
+  };
+
+  if (asFrame) {
+    const data = { [index]: rowKeys };
+    const header = [index];
+    names.forEach((name, v) => {
+      colKeys.forEach((colKey, c) => {
+        const label = perName ? `${name}_${colKey}` : String(colKey);
+        header.push(label);
+        data[label] = rowKeys.map((_, r) => {
+          const value = cellValue(r, c, v);
+          return value === undefined ? (fillValue ?? null) : value;
+        });
+      });
+    });
+    return new DataFrame(data, header);
+  }
+
+  const pivot = {};
+  rowKeys.forEach((rowKey, r) => {
+    const entry = {};
+    names.forEach((name, v) => {
+      const target = perName ? (entry[name] = {}) : entry;
+      colKeys.forEach((colKey, c) => {
+        const value = cellValue(r, c, v);
+        if (value !== undefined) {
+          target[colKey] = value;
+        } else if (fillValue !== undefined) {
+          target[colKey] = fillValue;
+        }
+      });
+    });
+    pivot[rowKey] = entry;
+  });
+  return pivot;
 }
 
 /**
- * Merge two dataframes
- * @param {Object[]} left - Left dataframe
- * @param {Object[]} right - Right dataframe
- * @param {string} leftOn - Left join column
- * @param {string} rightOn - Right join column
- * @returns {Object[]} - Merged dataframe
+ * Spread columns wide: one output column per value column and distinct
+ * value of the key column, without aggregating
+ *
+ * Rows with a missing key are dropped and cells no row fills are missing.
+ * Dates in labels are formatted as ISO 8601.
+ *
+ * @param {DataFrame} frame - Source DataFrame
+ * @param {Int32Array} rowCodes - Output row per input row
+ * @param {number} nRows - Number of output rows
+ * @param {string} columns - Column whose values become column labels
+ * @param {string[]} values - Columns to spread
+ * @param {Function} label - (values column, key) to output column name
+ * @returns {{data: Object, names: string[]}} - Output columns by name, and names in order
  */
-function dataframeMerge(left, right, leftOn, rightOn) {
-  const result = [];
+function spreadColumns(frame, rowCodes, nRows, columns, values, label) {
+  const { codes, uniques } = factorizeColumn(frame.getColumn(columns));
+  const nKeys = uniques.length;
+  const source = new Int32Array(nRows * nKeys).fill(-1);
+  for (let i = 0; i < frame.length; i++) {
+    const cell = rowCodes[i] * nKeys + codes[i];
+    if (source[cell] >= 0) {
+      throw new Error(
+        `Duplicate entries for ${columns} = ${uniques[codes[i]]} in rows ${source[cell]} and ${i}; use pivotTable to aggregate`
+      );
+    }
+    source[cell] = i;
+  }
 
-  for (const leftRow of left) {
-    for (const rightRow of right) {
-      if (leftRow[leftOn] === rightRow[rightOn]) {
-        const merged = { ...leftRow };
-        for (const [key, value] of Object.entries(rightRow)) {
-          if (key !== rightOn) {
-            merged[key] = value;
-          }
-        }
-        result.push(merged);
+  const data = {};
+  const names = [];
+  for (const value of values) {
+    const column = frame.getColumn(value);
+    uniques.forEach((key, c) => {
+      if (isMissing(key)) return;
+      const positions = new Int32Array(nRows);
+      for (let r = 0; r < nRows; r++) {
+        positions[r] = source[r * nKeys + c];
       }
-    }
+      const name = label(value, key instanceof Date ? key.toISOString() : key);
+      names.push(name);
+      data[name] = column.take(positions);
+    });
   }
+  return { data, names };
+}
 
-  return result;
+/**
+ * Reshape long to wide without aggregating, see DataFrame.pivot
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string|string[]} index - Column(s) identifying output rows
+ * @param {string} columns - Column whose values become column labels
+ * @param {string|string[]} [values] - Values column(s) (default all other columns)
+ * @returns {Object[]} - One row per index key
+ */
+function pivot(df, index, columns, values = null) {
+  return toFrame(df).pivot(index, columns, values).toArray();
 }
 
 /**
  * Create pivot table
- * @param {Object[]} df - Array of row objects
+ *
+ * With a single values column the nested object is pivot[row][column];
+ * with several it is pivot[row][valuesColumn][column], and DataFrame
+ * output names the columns `${valuesColumn}_${column}`.
+ *
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
  * @param {string} index - Index column
  * @param {string} columns - Column to pivot
- * @param {string} values - Values column
- * @param {string} aggfunc - Aggregation function ('sum', 'mean', 'count')
- * @returns {Object} - Pivot table as nested object
+ * @param {string|string[]} values - Values column(s)
+ * @param {string|Function|Object} aggfunc - Aggregation name (sum, mean, min, max, count, std,
+ *   median, first, last), custom function of the cell values, or an object with one per values column
+ * @param {Object} [options] - Pivot options
+ * @param {*} [options.fillValue] - Value for cells with no rows (left out by default)
+ * @param {boolean} [options.margins] - Add row and column totals (default false)
+ * @param {string} [options.marginsName] - Label of the totals row and column (default 'All')
+ * @param {boolean} [options.asFrame] - Return a flat DataFrame instead of a nested object
+ * @returns {Object|DataFrame} - Pivot table
  */
-function pivotTable(df, index, columns, values, aggfunc = 'sum') {
-  const pivot = {};
-  const counts = {};
-
-  for (const row of df) {
-    const idxVal = row[index];
-    const colVal = row[columns];
-    const val = row[values];
+function pivotTable(df, index, columns, values, aggfunc = 'sum', options = {}) {
+  const frame = toFrame(df);
+  const names = Array.isArray(values) ? values : [values];
+  const perColumn = typeof aggfunc === 'object' && aggfunc !== null && !Array.isArray(aggfunc);
 
-    if (!pivot[idxVal]) {
-      pivot[idxVal] = {};
-      counts[idxVal] = {};
-    }
-    if (pivot[idxVal][colVal] === undefined) {
-      pivot[idxVal][colVal] = 0;
-      counts[idxVal][colVal] = 0;
+  const aggregators = names.map(name => {
+    if (perColumn && !(name in aggfunc)) {
+      throw new Error(`No aggregation given for column: ${name}`);
     }
+    const agg = resolveAggregation(perColumn ? aggfunc[name] : aggfunc);
+    const get = valueGetter(frame, name);
+    return positions => agg(positions.map(get));
+  });
 
-    pivot[idxVal][colVal] += val;
-    counts[idxVal][colVal]++;
-  }
-
-  if (aggfunc === 'mean') {
-    for (const idx of Object.keys(pivot)) {
-      for (const col of Object.keys(pivot[idx])) {
-        pivot[idx][col] /= counts[idx][col];
-      }
-    }
-  } else if (aggfunc === 'count') {
-    return counts;
-  }
+  return buildPivot(frame, index, columns, names, aggregators, Array.isArray(values), options);
+}
 
-  return pivot;
+/**
+ * Frequency table: number of rows per pair of values from two columns
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string} rowCol - Column for table rows
+ * @param {string} colCol - Column for table columns
+ * @param {Object} [options] - Pivot options, see pivotTable (fillValue defaults to 0)
+ * @returns {Object|DataFrame} - Counts as nested object, or DataFrame with asFrame
+ */
+function crosstab(df, rowCol, colCol, options = {}) {
+  const counts = [positions => positions.length];
+  return buildPivot(toFrame(df), rowCol, colCol, ['count'], counts, false, { fillValue: 0, ...options });
 }
 
 /**
@@ -177,38 +2385,89 @@ function applyFunction(df, column, func) {
   }));
 }
 
+/**
+ * Fill one column's missing values with a fill, see DataFrame fillna
+ * @param {DataFrame} frame - DataFrame
+ * @param {string} col - Column to fill
+ * @param {*} fill - Constant, or { method, limit }
+ * @returns {*[]} - Filled values
+ */
+function fillColumn(frame, col, fill) {
+  const column = frame.getColumn(col);
+  if (fill !== null && typeof fill === 'object' && typeof fill.method === 'string') {
+    if ((fill.method === 'mean' || fill.method === 'median') && column.kind !== 'numeric') {
+      throw new Error(`Column is not numeric: ${col}`);
+    }
+    return fillMissing(column.toArray(), fill.method, fill);
+  }
+  return column.toArray().map(v => (isMissing(v) ? fill : v));
+}
+
 /**
  * Fill missing values
- * @param {Object[]} df - Array of row objects
- * @param {string} column - Column to fill
- * @param {*} value - Fill value
- * @returns {Object[]} - DataFrame with filled values
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string|Object} column - Column to fill, mapping from column to fill, or strategy name (see DataFrame fillna)
+ * @param {*} [value] - Fill value when a column is given
+ * @returns {Object[]} - Rows with filled values
  */
 function fillna(df, column, value) {
-  return df.map(row => ({
-    ...row,
-    [column]: row[column] === null || row[column] === undefined ? value : row[column]
-  }));
+  if (Array.isArray(df) && typeof column === 'string' && value !== undefined) {
+    return df.map(row => ({
+      ...row,
+      [column]: isMissing(row[column]) ? value : row[column]
+    }));
+  }
+  return toFrame(df).fillna(column, value).toArray();
 }
 
 /**
- * Drop duplicate rows
- * @param {Object[]} df - Array of row objects
- * @param {string[]} subset - Columns to check for duplicates
- * @returns {Object[]} - DataFrame without duplicates
+ * Drop rows with missing values
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {Object} [options] - how, thresh and subset, see DataFrame dropna
+ * @returns {Object[]} - Remaining rows
  */
-function dropDuplicates(df, subset = null) {
+function dropna(df, options = {}) {
+  return toFrame(df).dropna(options).toArray();
+}
+
+/**
+ * Boolean mask of missing values (null, undefined or NaN)
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @returns {Object[]} - Rows of booleans
+ */
+function isna(df) {
+  return toFrame(df).isna().toArray();
+}
+
+/**
+ * Boolean mask of present values
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @returns {Object[]} - Rows of booleans
+ */
+function notna(df) {
+  return toFrame(df).notna().toArray();
+}
+
+/**
+ * Positions of the first row of each set of duplicates
+ * @param {Object[]} rows - Array of row objects
+ * @param {string[]} subset - Columns to check for duplicates (default all)
+ * @returns {number[]} - Positions of the rows to keep
+ */
+function firstOccurrences(rows, subset) {
   const seen = new Set();
   const result = [];
 
-  for (const row of df) {
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    // null, undefined and NaN all serialize as null
     const key = subset
-      ? subset.map(col => JSON.stringify(row[col])).join('|')
-      : JSON.stringify(row);
+      ? subset.map(col => JSON.stringify(isMissing(row[col]) ? null : row[col])).join('|')
+      : JSON.stringify(row, (k, v) => (isMissing(v) ? null : v));
 
     if (!seen.has(key)) {
       seen.add(key);
-      result.push({ ...row });
+      result.push(i);
     }
   }
 
@@ -216,78 +2475,617 @@ function dropDuplicates(df, subset = null) {
 }
 
 /**
- * Sort dataframe by column (bubble sort - intentionally inefficient)
+ * Drop duplicate rows
  * @param {Object[]} df - Array of row objects
- * @param {string} by - Column to sort by
- * @param {boolean} ascending - Sort order
- * @returns {Object[]} - Sorted dataframe
+ * @param {string[]} subset - Columns to check for duplicates
+ * @returns {Object[]} - DataFrame without duplicates
+ */
+function dropDuplicates(df, subset = null) {
+  return firstOccurrences(df, subset).map(i => ({ ...df[i] }));
+}
+
+/**
+ * One-hot encode columns, see DataFrame.getDummies
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string[]} [columns] - Columns to encode (default string and categorical columns)
+ * @param {Object} [options] - dropFirst, prefix and prefixSep
+ * @returns {Object[]} - Rows with indicator columns
+ */
+function getDummies(df, columns = null, options = {}) {
+  return toFrame(df).getDummies(columns, options).toArray();
+}
+
+/**
+ * Compare two non-missing sort keys
+ * @param {*} a - First key
+ * @param {*} b - Second key
+ * @param {Intl.Collator|null} collator - Collator for strings, or null for code unit order
+ * @returns {number} - Negative, zero or positive
+ */
+function compareKeys(a, b, collator) {
+  if (collator && typeof a === 'string' && typeof b === 'string') {
+    return collator.compare(a, b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Build a comparator of row positions over one or more columns
+ *
+ * Sort keys are extracted once per row up front. Missing values are placed
+ * according to naPosition regardless of direction.
+ *
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string|string[]} by - Column(s) to sort by
+ * @param {boolean|boolean[]} ascending - Sort order, per column or for all
+ * @param {Object} options - Sort options, see sortValues
+ * @returns {{compare: Function, keys: *[][]}} - Comparator (without tie-break) and keys per column
  */
-function sortValues(df, by, ascending = true) {
-  const result = df.map(row => ({ ...row }));
-  const n = result.length;
+function rowComparator(df, by, ascending, options) {
+  const { naPosition = 'last', key = null, locale = null } = options;
+  const columns = Array.isArray(by) ? by : [by];
+  const directions = Array.isArray(ascending) ? ascending : columns.map(() => ascending);
+  if (directions.length !== columns.length) {
+    throw new Error('Length of ascending must equal length of by');
+  }
+  if (naPosition !== 'first' && naPosition !== 'last') {
+    throw new Error(`Invalid naPosition: ${naPosition}`);
+  }
+
+  const n = df.length;
+  const keys = columns.map(column => {
+    // Categorical columns sort by category position
+    const col = !key && df instanceof DataFrame ? df.getColumn(column) : null;
+    const get = col && col.dtype === 'category'
+      ? i => (col.codes[i] < 0 ? null : col.codes[i])
+      : valueGetter(df, column);
+    const values = new Array(n);
+    for (let i = 0; i < n; i++) {
+      let v = get(i);
+      if (key && !isMissing(v)) v = key(v, column);
+      if (v instanceof Date) v = v.getTime();
+      values[i] = isMissing(v) ? null : v;
+    }
+    return values;
+  });
 
-  // Bubble sort (intentionally inefficient like Python version)
-  for (let i = 0; i < n; i++) {
-    for (let j = 0; j < n - i - 1; j++) {
-      const shouldSwap = ascending
-        ? result[j][by] > result[j + 1][by]
-        : result[j][by] < result[j + 1][by];
+  const signs = directions.map(asc => (asc ? 1 : -1));
+  const naSign = naPosition === 'first' ? -1 : 1;
+  const collator = locale ? new Intl.Collator(locale === true ? undefined : locale) : null;
 
-      if (shouldSwap) {
-        [result[j], result[j + 1]] = [result[j + 1], result[j]];
+  const compare = (i, j) => {
+    for (let c = 0; c < keys.length; c++) {
+      const a = keys[c][i];
+      const b = keys[c][j];
+      if (a === null || b === null) {
+        if (a === b) continue;
+        return a === null ? naSign : -naSign;
       }
+      const cmp = compareKeys(a, b, collator);
+      if (cmp !== 0) return cmp * signs[c];
     }
-  }
+    return 0;
+  };
 
-  return result;
+  return { compare, keys };
 }
 
 /**
- * Reindex dataframe
- * @param {Object[]} df - Array of row objects
- * @param {*[]} newIndex - New index values
- * @returns {Object[]} - Reindexed dataframe
+ * Stable sort order of row positions
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string|string[]} by - Column(s) to sort by
+ * @param {boolean|boolean[]} ascending - Sort order, per column or for all
+ * @param {Object} options - Sort options, see sortValues
+ * @returns {number[]} - Row positions in sorted order
  */
-function reindex(df, newIndex) {
-  const columns = df.length > 0 ? Object.keys(df[0]) : [];
-  const result = [];
+function sortOrder(df, by, ascending, options) {
+  const { compare } = rowComparator(df, by, ascending, options);
+  const order = Array.from({ length: df.length }, (_, i) => i);
+  // Ties fall back to position, so the sort is stable whatever the engine does
+  return order.sort((i, j) => compare(i, j) || i - j);
+}
 
-  for (let i = 0; i < newIndex.length; i++) {
-    if (i < df.length) {
-      result.push({ ...df[i], _index: newIndex[i] });
-    } else {
-      const row = { _index: newIndex[i] };
-      for (const col of columns) {
-        row[col] = null;
-      }
-      result.push(row);
+/**
+ * Row positions of each partition in window order, for the analytic
+ * methods (rank, rowNumber, cumsum, lag, ...)
+ *
+ * Partitions come in order of first appearance; rows are visited in
+ * orderBy order (stable, missing keys last), or row order without one.
+ *
+ * @param {DataFrame} frame - DataFrame
+ * @param {Object} options - Window options
+ * @param {string|string[]} [options.partitionBy] - Key column(s); each partition is processed separately
+ * @param {string|string[]} [options.orderBy] - Column(s) to order rows by within a partition
+ * @param {boolean|boolean[]} [options.ascending] - Sort order for orderBy, per column or for all (default true)
+ * @returns {number[][]} - Positions per partition
+ */
+function windowPartitions(frame, options) {
+  const { partitionBy = null, orderBy = null, ascending = true } = options;
+  const order = orderBy === null
+    ? Array.from({ length: frame.length }, (_, i) => i)
+    : sortOrder(frame, orderBy, ascending, {});
+  if (partitionBy === null) return [order];
+
+  const { groups } = new GroupBy(frame, partitionBy);
+  const partitionOf = new Int32Array(frame.length);
+  groups.forEach(({ indices }, g) => {
+    for (const i of indices) partitionOf[i] = g;
+  });
+  const partitions = groups.map(() => []);
+  for (const i of order) {
+    partitions[partitionOf[i]].push(i);
+  }
+  return partitions;
+}
+
+/**
+ * Positions of the n best rows by partial selection with a bounded heap,
+ * O(N log n) instead of sorting everything. Rows with missing keys are skipped.
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {number} n - Number of rows
+ * @param {string|string[]} columns - Column(s) to order by
+ * @param {boolean} ascending - True for smallest, false for largest
+ * @param {string} keep - Which of tied rows to prefer: 'first' or 'last'
+ * @returns {number[]} - Selected row positions, best first
+ */
+function selectTop(df, n, columns, ascending, keep) {
+  if (keep !== 'first' && keep !== 'last') {
+    throw new Error(`Invalid keep: ${keep}`);
+  }
+  const { compare: compareValues, keys } = rowComparator(df, columns, ascending, {});
+  const tieBreak = keep === 'first' ? 1 : -1;
+  const compare = (i, j) => compareValues(i, j) || (i - j) * tieBreak;
+  const count = Math.max(0, Math.min(n, df.length));
+
+  // Max-heap on compare: the root is the worst row kept so far
+  const heap = [];
+  const siftUp = pos => {
+    while (pos > 0) {
+      const parent = (pos - 1) >> 1;
+      if (compare(heap[pos], heap[parent]) <= 0) break;
+      [heap[pos], heap[parent]] = [heap[parent], heap[pos]];
+      pos = parent;
+    }
+  };
+  const siftDown = pos => {
+    for (;;) {
+      const left = 2 * pos + 1;
+      const right = left + 1;
+      let largest = pos;
+      if (left < heap.length && compare(heap[left], heap[largest]) > 0) largest = left;
+      if (right < heap.length && compare(heap[right], heap[largest]) > 0) largest = right;
+      if (largest === pos) return;
+      [heap[pos], heap[largest]] = [heap[largest], heap[pos]];
+      pos = largest;
     }
+  };
+
+  for (let i = 0; i < df.length && count > 0; i++) {
+    if (keys.some(values => values[i] === null)) continue;
+    if (heap.length < count) {
+      heap.push(i);
+      siftUp(heap.length - 1);
+    } else if (compare(i, heap[0]) < 0) {
+      heap[0] = i;
+      siftDown(0);
+    }
+  }
+
+  return heap.sort(compare);
+}
+
+/**
+ * Sort dataframe by one or more columns
+ *
+ * Uses a stable O(n log n) sort: rows that compare equal keep their order.
+ *
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string|string[]} by - Column(s) to sort by
+ * @param {boolean|boolean[]} ascending - Sort order, per column or for all
+ * @param {Object} [options] - Sort options
+ * @param {string} [options.naPosition] - Put missing values 'first' or 'last' (default 'last')
+ * @param {Function} [options.key] - Map (value, column) to the value to sort by (not called for missing values)
+ * @param {boolean|string|string[]} [options.locale] - Compare strings with Intl.Collator
+ *   (true for the default locale)
+ * @returns {Object[]} - Sorted rows
+ */
+function sortValues(df, by, ascending = true, options = {}) {
+  // Copy row arrays as given: re-encoding them would drop keys missing from the first row
+  const rows = df instanceof DataFrame ? df.data : df;
+  return sortOrder(df, by, ascending, options).map(i => ({ ...rows[i] }));
+}
+
+/**
+ * Rows with the largest values, in descending order
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {number} n - Number of rows
+ * @param {string|string[]} columns - Column(s) to order by
+ * @param {string} keep - Which of tied rows to prefer: 'first' or 'last'
+ * @returns {Object[]} - Selected rows
+ */
+function nlargest(df, n, columns, keep = 'first') {
+  const rows = df instanceof DataFrame ? df.data : df;
+  return selectTop(df, n, columns, false, keep).map(i => ({ ...rows[i] }));
+}
+
+/**
+ * Rows with the smallest values, in ascending order
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {number} n - Number of rows
+ * @param {string|string[]} columns - Column(s) to order by
+ * @param {string} keep - Which of tied rows to prefer: 'first' or 'last'
+ * @returns {Object[]} - Selected rows
+ */
+function nsmallest(df, n, columns, keep = 'first') {
+  const rows = df instanceof DataFrame ? df.data : df;
+  return selectTop(df, n, columns, true, keep).map(i => ({ ...rows[i] }));
+}
+
+/**
+ * Reindex dataframe: conform rows to new labels
+ *
+ * Rows of an array are labelled by position. Each output row carries its
+ * new label in an `_index` field.
+ *
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {*[]} newIndex - New row labels
+ * @param {Object} [options] - Fill options
+ * @param {string} [options.method] - Fill labels missing from the index: 'ffill', 'bfill' or 'nearest'
+ * @param {number} [options.limit] - Maximum number of labels filled from one row
+ * @returns {Object[]} - Reindexed rows
+ */
+function reindex(df, newIndex, options = {}) {
+  const rows = toFrame(df).reindex(newIndex, options).data;
+  return rows.map((row, i) => ({ ...row, _index: newIndex[i] }));
+}
+
+/**
+ * Aggregate rows into regular time buckets (pandas resample)
+ *
+ * Buckets are labelled by their start and aligned to the epoch in UTC
+ * (days at midnight, weeks on Monday, months on the 1st). Every bucket
+ * between the first and last date is returned, including empty ones.
+ * Rows with a missing date are dropped.
+ *
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string} dateCol - Date column (Dates or ISO strings)
+ * @param {string} rule - Bucket size, e.g. '1h', '15m', '1D', '1W', '1M', see parseFrequency
+ * @param {Object|string|Function} aggs - groupby agg() spec, or one aggregation for all numeric columns
+ * @returns {DataFrame} - dateCol with bucket starts, then the aggregated columns
+ */
+function resample(df, dateCol, rule, aggs) {
+  const frame = toFrame(df).toDatetime(dateCol);
+  const freq = parseFrequency(rule);
+  const { values, nulls } = frame.getColumn(dateCol);
+
+  const spec = typeof aggs === 'object' && aggs !== null && !Array.isArray(aggs)
+    ? aggs
+    : Object.fromEntries(
+      frame.columns
+        .filter(col => col !== dateCol && frame.getColumn(col).kind === 'numeric')
+        .map(col => [col, aggs])
+    );
+
+  const starts = new Float64Array(frame.length);
+  let first = Infinity;
+  let last = -Infinity;
+  for (let i = 0; i < starts.length; i++) {
+    if (nulls && nulls[i]) continue;
+    starts[i] = floorDate(values[i], freq);
+    first = Math.min(first, starts[i]);
+    last = Math.max(last, starts[i]);
+  }
+
+  const groups = [];
+  const slots = new Map();
+  for (let k = 0, t = first; t <= last; t = addPeriods(first, freq, ++k)) {
+    slots.set(t, groups.length);
+    groups.push({ key: [new Date(t)], indices: [] });
   }
+  for (let i = 0; i < starts.length; i++) {
+    if (!(nulls && nulls[i])) groups[slots.get(starts[i])].indices.push(i);
+  }
+
+  return new GroupBy(frame, [dateCol], groups).agg(spec);
+}
+
+/**
+ * Conform rows to a regular time grid from the first to the last date
+ * (pandas asfreq). Grid times without a row are null, or filled with a method.
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string} dateCol - Date column (Dates or ISO strings), values must be unique
+ * @param {string} rule - Grid step, e.g. '1h', '1D', see parseFrequency
+ * @param {Object} [options] - Fill options, see reindex
+ * @returns {DataFrame} - One row per grid time
+ */
+function asfreq(df, dateCol, rule, options = {}) {
+  const frame = toFrame(df)
+    .toDatetime(dateCol)
+    .filter(row => row[dateCol] !== null)
+    .sortValues(dateCol);
+  if (frame.length === 0) return frame;
+
+  const freq = parseFrequency(rule);
+  const { values } = frame.getColumn(dateCol);
+  const grid = [];
+  const first = values[0];
+  for (let k = 0, t = first; t <= values[values.length - 1]; t = addPeriods(first, freq, ++k)) {
+    grid.push(new Date(t));
+  }
+
+  return frame.setIndex(dateCol).reindex(grid, options).resetIndex();
+}
+
+/**
+ * Shift values down by a number of rows (up when negative)
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {number} periods - Rows to shift by
+ * @param {string[]} [columns] - Columns to shift (default all)
+ * @returns {Object[]} - Shifted rows, null where no value moved in
+ */
+function shift(df, periods = 1, columns = null) {
+  return toFrame(df).shift(periods, columns).toArray();
+}
+
+/**
+ * Difference with the value a number of rows earlier
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {number} periods - Rows to look back
+ * @param {string[]} [columns] - Columns to difference (default all numeric and datetime columns)
+ * @returns {Object[]} - Rows with differenced columns
+ */
+function diff(df, periods = 1, columns = null) {
+  return toFrame(df).diff(periods, columns).toArray();
+}
+
+/**
+ * Relative change from the value a number of rows earlier
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {number} periods - Rows to look back
+ * @param {string[]} [columns] - Columns to compare (default all numeric columns)
+ * @returns {Object[]} - Rows with fractional changes
+ */
+function pctChange(df, periods = 1, columns = null) {
+  return toFrame(df).pctChange(periods, columns).toArray();
+}
+
+/**
+ * Columns a numeric transform applies to
+ * @param {DataFrame} frame - DataFrame
+ * @param {string[]|null} columns - Requested columns, or null for all numeric columns
+ * @param {string|null} [on] - Column to leave out, such as the date column a window is keyed on
+ * @returns {string[]} - Column names
+ */
+function numericColumns(frame, columns, on = null) {
+  if (columns) return columns;
+  return frame.columns.filter(col => col !== on && frame.getColumn(col).kind === 'numeric');
+}
 
+/**
+ * Replace numeric columns with transformed values, NaN results becoming null
+ * @param {DataFrame} frame - DataFrame
+ * @param {string[]} columns - Columns to transform
+ * @param {Function} transform - (values: Float64Array) => number[]
+ * @returns {DataFrame} - DataFrame with transformed columns
+ */
+function mapNumeric(frame, columns, transform) {
+  let result = frame;
+  for (const col of columns) {
+    const values = Float64Array.from(transform(frame.numeric(col)));
+    const nulls = Uint8Array.from(values, Number.isNaN);
+    result = result.withColumn(col, new NumericColumn(values, nulls));
+  }
   return result;
 }
 
 /**
- * Melt (unpivot) dataframe
- * @param {Object[]} df - Array of row objects
- * @param {string[]} idVars - ID variables
- * @param {string[]} valueVars - Value variables to unpivot
- * @returns {Object[]} - Melted dataframe
+ * Rolling or expanding window over DataFrame columns; every statistic
+ * returns the DataFrame with those columns replaced
  */
-function melt(df, idVars, valueVars) {
-  const result = [];
+class RollingFrame {
+  /**
+   * @param {DataFrame} df - DataFrame
+   * @param {string[]} columns - Columns to transform
+   * @param {Function} open - (values: Float64Array) => RollingWindow
+   */
+  constructor(df, columns, open) {
+    this.df = df;
+    this.columns = columns;
+    this.open = open;
+  }
 
-  for (const row of df) {
-    for (const valueVar of valueVars) {
-      const newRow = { variable: valueVar, value: row[valueVar] };
-      for (const idVar of idVars) {
-        newRow[idVar] = row[idVar];
-      }
-      result.push(newRow);
+  mean() {
+    return mapNumeric(this.df, this.columns, values => this.open(values).mean());
+  }
+
+  sum() {
+    return mapNumeric(this.df, this.columns, values => this.open(values).sum());
+  }
+
+  std(ddof = 1) {
+    return mapNumeric(this.df, this.columns, values => this.open(values).std(ddof));
+  }
+
+  var(ddof = 1) {
+    return mapNumeric(this.df, this.columns, values => this.open(values).var(ddof));
+  }
+
+  min() {
+    return mapNumeric(this.df, this.columns, values => this.open(values).min());
+  }
+
+  max() {
+    return mapNumeric(this.df, this.columns, values => this.open(values).max());
+  }
+
+  median() {
+    return mapNumeric(this.df, this.columns, values => this.open(values).median());
+  }
+
+  count() {
+    return mapNumeric(this.df, this.columns, values => this.open(values).count());
+  }
+
+  apply(fn) {
+    return mapNumeric(this.df, this.columns, values => this.open(values).apply(fn));
+  }
+}
+
+/**
+ * Exponentially weighted window over DataFrame columns; every statistic
+ * returns the DataFrame with those columns replaced
+ */
+class EwmFrame {
+  /**
+   * @param {DataFrame} df - DataFrame
+   * @param {string[]} columns - Columns to transform
+   * @param {Function} open - (values: Float64Array) => EwmWindow
+   */
+  constructor(df, columns, open) {
+    this.df = df;
+    this.columns = columns;
+    this.open = open;
+  }
+
+  mean() {
+    return mapNumeric(this.df, this.columns, values => this.open(values).mean());
+  }
+
+  std(bias = false) {
+    return mapNumeric(this.df, this.columns, values => this.open(values).std(bias));
+  }
+
+  var(bias = false) {
+    return mapNumeric(this.df, this.columns, values => this.open(values).var(bias));
+  }
+}
+
+/**
+ * Text operations on a string column (pandas .str); every operation returns
+ * the DataFrame with its result in the target column, and missing values
+ * stay missing
+ */
+class StringAccessor {
+  /**
+   * @param {DataFrame} df - DataFrame
+   * @param {string} column - String column to read
+   * @param {string} name - Column for the results
+   */
+  constructor(df, column, name) {
+    this.df = df;
+    this.name = name;
+    this.values = stringColumn(df.getColumn(column), column);
+  }
+
+  lower() {
+    return this.df.withColumn(this.name, mapStrings(this.values, text => text.toLowerCase()));
+  }
+
+  upper() {
+    return this.df.withColumn(this.name, mapStrings(this.values, text => text.toUpperCase()));
+  }
+
+  trim() {
+    return this.df.withColumn(this.name, mapStrings(this.values, text => text.trim()));
+  }
+
+  /**
+   * Length of each string
+   * @returns {DataFrame} - Int lengths
+   */
+  len() {
+    return this.df.withColumn(this.name, stringLengths(this.values));
+  }
+
+  /**
+   * Whether each string contains a pattern
+   * @param {string|RegExp} pattern - Regular expression, or literal text when regex is false
+   * @param {Object} [options] - regex (default true) and caseSensitive (default true)
+   * @returns {DataFrame} - Bool results
+   */
+  contains(pattern, options = {}) {
+    return this.df.withColumn(this.name, containsPattern(this.values, pattern, options));
+  }
+
+  /**
+   * Replace every match of a pattern
+   * @param {string|RegExp} pattern - Regular expression, or literal text when regex is false
+   * @param {string|Function} replacement - Replacement text ($1 etc. refer to groups when regex) or function
+   * @param {Object} [options] - regex (default true) and caseSensitive (default true)
+   * @returns {DataFrame} - Replaced strings
+   */
+  replace(pattern, replacement, options = {}) {
+    return this.df.withColumn(this.name, replacePattern(this.values, pattern, replacement, options));
+  }
+
+  /**
+   * Pad each string to a width
+   * @param {number} width - Minimum length
+   * @param {Object} [options] - side ('left', 'right' or 'both'; default 'left') and fillchar (default ' ')
+   * @returns {DataFrame} - Padded strings
+   */
+  pad(width, options = {}) {
+    return this.df.withColumn(this.name, padStrings(this.values, width, options));
+  }
+
+  /**
+   * Split each string around a separator
+   *
+   * With expand, part i goes to column `${name}_${i}` (null where a string
+   * has fewer parts); otherwise the target column holds arrays of parts.
+   *
+   * @param {string|RegExp|null} [sep] - Literal separator or pattern (default runs of whitespace)
+   * @param {Object} [options] - expand (default false) and n (most splits, default -1 for all)
+   * @returns {DataFrame} - Split strings
+   */
+  split(sep = null, options = {}) {
+    const { expand = false, n = -1 } = options;
+    const parts = splitStrings(this.values, sep, n);
+    if (!expand) {
+      return this.df.withColumn(this.name, new ObjectColumn(parts));
+    }
+    const width = Math.max(0, ...parts.map(row => (row ? row.length : 0)));
+    let result = this.df;
+    for (let i = 0; i < width; i++) {
+      result = result.withColumn(`${this.name}_${i}`, parts.map(row => (row && i < row.length ? row[i] : null)));
     }
+    return result;
   }
 
-  return result;
+  /**
+   * Capture groups of the first match into new columns, named after the
+   * groups when every group is named and `${name}_${i}` otherwise
+   * @param {string|RegExp} pattern - Pattern with capture groups
+   * @returns {DataFrame} - DataFrame with one column per group (null where there is no match)
+   */
+  extract(pattern) {
+    const { names, columns } = extractGroups(this.values, pattern);
+    return columns.reduce((frame, column, g) => frame.withColumn(names ? names[g] : `${this.name}_${g}`, column), this.df);
+  }
+}
+
+/**
+ * Melt (unpivot) dataframe, see DataFrame.melt
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string[]} [idVars] - ID variables
+ * @param {string[]} [valueVars] - Value variables to unpivot (default all columns not in idVars)
+ * @param {Object} [options] - varName (default 'variable') and valueName (default 'value')
+ * @returns {Object[]} - Melted dataframe
+ */
+function melt(df, idVars = [], valueVars = null, options = {}) {
+  // Ragged rows contribute every key, not only those of the first row
+  const frame = df instanceof DataFrame ? df : new DataFrame(df, inferColumns(df));
+  return frame.melt(idVars, valueVars, options).toArray();
+}
+
+/**
+ * One row per element of array-valued cells, see DataFrame.explode
+ * @param {DataFrame|Object[]} df - DataFrame or array of row objects
+ * @param {string|string[]} columns - Column(s) holding arrays
+ * @returns {Object[]} - Exploded rows
+ */
+function explode(df, columns) {
+  return toFrame(df).explode(columns).toArray();
 }
 
 /**
@@ -325,16 +3123,35 @@ function renameColumns(df, mapping) {
 
 module.exports = {
   DataFrame,
+  GroupBy,
+  RollingFrame,
+  EwmFrame,
+  StringAccessor,
   dataframeFilter,
   groupbyMean,
+  groupby,
   dataframeMerge,
+  pivot,
   pivotTable,
+  crosstab,
   applyFunction,
   fillna,
+  dropna,
+  isna,
+  notna,
   dropDuplicates,
+  getDummies,
   sortValues,
+  nlargest,
+  nsmallest,
   reindex,
+  resample,
+  asfreq,
+  shift,
+  diff,
+  pctChange,
   melt,
+  explode,
   selectColumns,
   renameColumns
 };
@@ -0,0 +1,237 @@
+/**
+ * Dtypes
+ * Casting columns between dtypes and validating them against a schema
+ *
+ * The dtypes are 'int', 'float', 'bool', 'string', 'category', 'datetime'
+ * and 'object' (see columnar.js for the storage behind each).
+ */
+
+const { NumericColumn, DictionaryColumn, ObjectColumn, isMissing } = require('./columnar.js');
+const { parseDate, toDatetime } = require('./timeseries.js');
+const { toCategorical } = require('./categorical.js');
+
+const DTYPES = ['int', 'float', 'bool', 'string', 'category', 'datetime', 'object'];
+
+/**
+ * Throw unless dtype is a known dtype
+ * @param {string} dtype - Dtype name
+ */
+function checkDtype(dtype) {
+  if (!DTYPES.includes(dtype)) {
+    throw new Error(`Unknown dtype: ${dtype}`);
+  }
+}
+
+/**
+ * Format a value for error messages, quoting strings
+ * @param {*} value - Value
+ * @returns {string} - Printable value
+ */
+function formatValue(value) {
+  if (typeof value === 'string') return `'${value}'`;
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+/**
+ * Convert one value to a number, or NaN if it has no numeric reading
+ * @param {*} value - Non-missing value
+ * @returns {number} - Number
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * Convert one value to a boolean, or null if it has no boolean reading
+ * @param {*} value - Non-missing value
+ * @returns {boolean|null} - Boolean
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') {
+    const lower = value.trim().toLowerCase();
+    if (lower === 'true' || lower === '1') return true;
+    if (lower === 'false' || lower === '0') return false;
+  }
+  return null;
+}
+
+/**
+ * Cast a column to a dtype
+ *
+ * Numbers are parsed from strings (and read from booleans and dates), 'int'
+ * truncates toward zero, 'bool' reads true/false/1/0 and non-zero numbers,
+ * 'string' formats values as strings (dates as ISO 8601), 'category' uses
+ * toCategorical (sorted, unordered categories) and 'datetime' parses with
+ * parseDate. Empty strings become missing except when casting to a string
+ * dtype.
+ *
+ * @param {NumericColumn|DatetimeColumn|DictionaryColumn|ObjectColumn} column - Column to cast
+ * @param {string} dtype - Target dtype
+ * @returns {NumericColumn|DatetimeColumn|DictionaryColumn|ObjectColumn} - Cast column
+ */
+function castColumn(column, dtype) {
+  checkDtype(dtype);
+  if (column.dtype === dtype) return column;
+  const n = column.length;
+  const fail = (i, value) => {
+    throw new Error(`Cannot convert ${formatValue(value)} at row ${i} to ${dtype}`);
+  };
+
+  switch (dtype) {
+    case 'int':
+    case 'float': {
+      const values = new Float64Array(n);
+      let nulls = null;
+      for (let i = 0; i < n; i++) {
+        const value = column.get(i);
+        if (isMissing(value) || value === '') {
+          values[i] = NaN;
+          if (!nulls) nulls = new Uint8Array(n);
+          nulls[i] = 1;
+          continue;
+        }
+        const number = toNumber(value);
+        if (Number.isNaN(number)) fail(i, value);
+        values[i] = dtype === 'int' ? Math.trunc(number) : number;
+      }
+      return new NumericColumn(values, nulls, dtype);
+    }
+    case 'bool': {
+      const values = new Array(n);
+      for (let i = 0; i < n; i++) {
+        const value = column.get(i);
+        if (isMissing(value) || value === '') {
+          values[i] = null;
+          continue;
+        }
+        values[i] = toBoolean(value);
+        if (values[i] === null) fail(i, value);
+      }
+      return new ObjectColumn(values, 'bool');
+    }
+    case 'category':
+      return toCategorical(column);
+    case 'string': {
+      if (column.kind === 'dictionary' && column.dictionary.every(value => typeof value === 'string')) {
+        return new DictionaryColumn(column.codes, column.dictionary, dtype);
+      }
+      const codes = new Int32Array(n);
+      const dictionary = [];
+      const lookup = new Map();
+      for (let i = 0; i < n; i++) {
+        const value = column.get(i);
+        if (isMissing(value)) {
+          codes[i] = -1;
+          continue;
+        }
+        const text = value instanceof Date ? value.toISOString() : String(value);
+        let code = lookup.get(text);
+        if (code === undefined) {
+          code = dictionary.length;
+          dictionary.push(text);
+          lookup.set(text, code);
+        }
+        codes[i] = code;
+      }
+      return new DictionaryColumn(codes, dictionary, dtype);
+    }
+    case 'datetime':
+      return toDatetime(column);
+    default:
+      return new ObjectColumn(column.toArray());
+  }
+}
+
+/**
+ * Check whether a non-missing value belongs to a dtype
+ * @param {*} value - Value
+ * @param {string} dtype - Dtype
+ * @returns {boolean} - True if the value fits
+ */
+function matchesDtype(value, dtype) {
+  switch (dtype) {
+    case 'int':
+      return Number.isInteger(value);
+    case 'float':
+      return typeof value === 'number';
+    case 'bool':
+      return typeof value === 'boolean';
+    case 'string':
+      return typeof value === 'string';
+    case 'datetime':
+      return value instanceof Date && !Number.isNaN(value.getTime());
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check a column against one schema entry
+ *
+ * A rule is a dtype name or { dtype, nullable, min, max, unique }.
+ * nullable defaults to true and unique to false; min and max are inclusive
+ * and compare dates by time. Values of the wrong dtype are reported once
+ * and not range-checked. Missing values are never duplicates.
+ *
+ * @param {NumericColumn|DatetimeColumn|DictionaryColumn|ObjectColumn} column - Column to check
+ * @param {string|Object} rule - Schema entry for the column
+ * @returns {Array<{row: number, rule: string, value: *, message: string}>} - Violations by row position;
+ *   unique violations also give the position of the first occurrence as duplicateOf
+ */
+function validateColumn(column, rule) {
+  const { dtype = null, nullable = true, min = null, max = null, unique = false } =
+    typeof rule === 'string' ? { dtype: rule } : rule;
+  if (dtype !== null) checkDtype(dtype);
+
+  // Bounds on dates may be given as anything parseDate reads
+  const time = value => (value instanceof Date ? value.getTime() : value);
+  const bound = value => (value !== null && (dtype === 'datetime' || column.kind === 'datetime')
+    ? parseDate(value)
+    : value);
+  const lower = bound(min);
+  const upper = bound(max);
+
+  const errors = [];
+  const seen = new Map();
+  for (let i = 0; i < column.length; i++) {
+    const value = column.get(i);
+    if (isMissing(value)) {
+      if (!nullable) errors.push({ row: i, rule: 'nullable', value, message: 'Missing value' });
+      continue;
+    }
+    if (dtype !== null && !matchesDtype(value, dtype)) {
+      errors.push({ row: i, rule: 'dtype', value, message: `Expected ${dtype}, got ${formatValue(value)}` });
+      continue;
+    }
+    if (lower !== null && time(value) < lower) {
+      errors.push({ row: i, rule: 'min', value, message: `${formatValue(value)} is below the minimum ${formatValue(min)}` });
+    }
+    if (upper !== null && time(value) > upper) {
+      errors.push({ row: i, rule: 'max', value, message: `${formatValue(value)} is above the maximum ${formatValue(max)}` });
+    }
+    if (unique) {
+      const key = time(value);
+      if (seen.has(key)) {
+        const first = seen.get(key);
+        errors.push({ row: i, rule: 'unique', value, duplicateOf: first, message: `Duplicate of row ${first}` });
+      } else {
+        seen.set(key, i);
+      }
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  DTYPES,
+  castColumn,
+  matchesDtype,
+  validateColumn
+};
@@ -4,8 +4,32 @@
 
 const statistical = require('./statistical.js');
 const dataframe = require('./dataframe.js');
+const csv = require('./csv.js');
+const columnar = require('./columnar.js');
+const query = require('./query.js');
+const timeseries = require('./timeseries.js');
+const windows = require('./window.js');
+const missing = require('./missing.js');
+const dtypes = require('./dtypes.js');
+const categorical = require('./categorical.js');
+const sql = require('./sql.js');
+const json = require('./json.js');
+const display = require('./display.js');
+const strings = require('./strings.js');
 
 module.exports = {
   ...statistical,
-  ...dataframe
+  ...dataframe,
+  ...csv,
+  ...columnar,
+  ...query,
+  ...timeseries,
+  ...windows,
+  ...missing,
+  ...dtypes,
+  ...categorical,
+  ...sql,
+  ...json,
+  ...display,
+  ...strings
 };
@@ -0,0 +1,257 @@
+/**
+ * JSON Lines and Nested JSON
+ * JavaScript equivalents of pandas read_json(lines=True) / to_json(lines=True)
+ * and json_normalize
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Check whether a value is a plain JSON object (not an array, date or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for objects to flatten
+ */
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Parse one JSON Lines line
+ * @param {string} line - Line text
+ * @param {number} lineNumber - 1-based line number, for errors
+ * @returns {Object|null} - Row object, or null for a blank line
+ */
+function parseLine(line, lineNumber) {
+  const text = line.endsWith('\r') ? line.slice(0, -1) : line;
+  if (text.trim() === '') return null;
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON on line ${lineNumber}: ${err.message}`);
+  }
+  if (!isRecord(value)) {
+    throw new Error(`Line ${lineNumber} is not a JSON object`);
+  }
+  return value;
+}
+
+/**
+ * Column names across rows, in order of first appearance
+ * @param {Object[]} rows - Array of row objects
+ * @returns {string[]} - Column names
+ */
+function unionColumns(rows) {
+  const seen = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      seen.add(key);
+    }
+  }
+  return [...seen];
+}
+
+/**
+ * Parse JSON Lines text (one JSON object per line)
+ *
+ * Blank lines are skipped. Rows may have different keys; columns are the
+ * union of keys in order of first appearance.
+ *
+ * @param {string} text - JSON Lines text
+ * @returns {{columns: string[], rows: Object[]}} - Column names and row objects
+ */
+function parseJSONL(text) {
+  // Strip a UTF-8 byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  input.split('\n').forEach((line, i) => {
+    const row = parseLine(line, i + 1);
+    if (row) rows.push(row);
+  });
+  return { columns: unionColumns(rows), rows };
+}
+
+/**
+ * Parse JSON Lines from a readable stream, one row object at a time
+ * @param {AsyncIterable<Buffer|string>} stream - Node readable stream or other async iterable
+ * @param {Object} [options] - encoding (default 'utf8')
+ * @returns {AsyncGenerator<Object>} - Row objects
+ */
+async function* parseJSONLStream(stream, options = {}) {
+  const decoder = new StringDecoder(options.encoding || 'utf8');
+  let pending = '';
+  let lineNumber = 0;
+  let first = true;
+
+  for await (const chunk of stream) {
+    pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (first && pending.length > 0) {
+      if (pending.charCodeAt(0) === 0xfeff) pending = pending.slice(1);
+      first = false;
+    }
+    const lines = pending.split('\n');
+    // The last piece may be an incomplete line
+    pending = lines.pop();
+    for (const line of lines) {
+      const row = parseLine(line, ++lineNumber);
+      if (row) yield row;
+    }
+  }
+
+  const row = parseLine(pending + decoder.end(), ++lineNumber);
+  if (row) yield row;
+}
+
+/**
+ * Parse a whole JSON Lines stream
+ * @param {AsyncIterable<Buffer|string>} stream - Node readable stream or other async iterable
+ * @param {Object} [options] - encoding (default 'utf8')
+ * @returns {Promise<{columns: string[], rows: Object[]}>} - Column names and row objects
+ */
+async function readJSONLStream(stream, options = {}) {
+  const rows = [];
+  for await (const row of parseJSONLStream(stream, options)) {
+    rows.push(row);
+  }
+  return { columns: unionColumns(rows), rows };
+}
+
+/**
+ * Format rows as JSON Lines text
+ * @param {Object[]} rows - Array of row objects
+ * @param {string[]} columns - Columns to write, in order
+ * @returns {string} - One JSON object per line (missing values as null, dates as ISO 8601)
+ */
+function formatJSONL(rows, columns) {
+  const lines = rows.map(row => {
+    const record = {};
+    for (const col of columns) {
+      const value = row[col];
+      record[col] = value === undefined || Number.isNaN(value) ? null : value;
+    }
+    return JSON.stringify(record);
+  });
+  return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+/**
+ * Copy the fields of a nested object into a flat one
+ * @param {Object} value - Nested object
+ * @param {string} prefix - Key prefix ('' at the top)
+ * @param {string} sep - Separator between nested keys
+ * @param {Object} out - Flat object to fill
+ * @returns {Object} - out
+ */
+function flattenRecord(value, prefix, sep, out) {
+  for (const [key, field] of Object.entries(value)) {
+    const name = prefix === '' ? key : `${prefix}${sep}${key}`;
+    if (isRecord(field) && Object.keys(field).length > 0) {
+      flattenRecord(field, name, sep, out);
+    } else {
+      out[name] = field === undefined ? null : field;
+    }
+  }
+  return out;
+}
+
+/**
+ * Follow a path of keys into an object
+ * @param {Object} value - Object to read
+ * @param {string[]} path - Keys
+ * @returns {*} - Value at the path, undefined when a key is absent
+ */
+function getPath(value, path) {
+  let current = value;
+  for (const key of path) {
+    if (!isRecord(current)) return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * Flatten nested JSON records into rows with joined column names (pandas json_normalize)
+ *
+ * Nested objects become one column per leaf, e.g. {user: {id: 1}} gives a
+ * 'user.id' column; arrays are kept as values. With recordPath, each record
+ * contributes the objects in the array at that path instead, and meta paths
+ * copy fields from the enclosing records onto them. A meta path of length m
+ * is read from the record m - 1 levels down recordPath (or the innermost
+ * enclosing record); absent meta fields are null.
+ *
+ * Every row holds every column, in order of first appearance, so the result
+ * can be passed straight to new DataFrame(rows).
+ *
+ * @param {Object|Object[]} records - Record or array of records
+ * @param {Object} [options] - Normalize options
+ * @param {string|string[]} [options.recordPath] - Path to the array of records to expand
+ * @param {Array<string|string[]>} [options.meta] - Paths of fields to copy from enclosing records
+ * @param {string} [options.sep] - Separator between nested keys (default '.')
+ * @returns {Object[]} - Flat row objects
+ */
+function jsonNormalize(records, options = {}) {
+  const { recordPath = null, meta = [], sep = '.' } = options;
+  const list = Array.isArray(records) ? records : [records];
+  const toPath = path => (Array.isArray(path) ? path : [path]);
+
+  let flat;
+  if (recordPath === null) {
+    flat = list.map(record => flattenRecord(record, '', sep, {}));
+  } else {
+    const path = toPath(recordPath);
+    const metaPaths = meta.map(toPath);
+    const metaNames = metaPaths.map(p => p.join(sep));
+    flat = [];
+
+    const extract = (parents, level, seen) => {
+      for (const parent of parents) {
+        const values = { ...seen };
+        metaPaths.forEach((metaPath, m) => {
+          if (metaPath.length - 1 === level || (level === path.length - 1 && metaPath.length > level)) {
+            const value = getPath(parent, metaPath.slice(level));
+            values[metaNames[m]] = value === undefined ? null : value;
+          }
+        });
+
+        const children = isRecord(parent) ? parent[path[level]] : undefined;
+        if (children === undefined || children === null) continue;
+        if (!Array.isArray(children)) {
+          throw new Error(`Path ${path.slice(0, level + 1).join(sep)} must point to an array of records`);
+        }
+        if (level < path.length - 1) {
+          extract(children, level + 1, values);
+          continue;
+        }
+        for (const child of children) {
+          const row = isRecord(child) ? flattenRecord(child, '', sep, {}) : { 0: child };
+          for (const name of metaNames) {
+            if (name in row) {
+              throw new Error(`Conflicting metadata name ${name}`);
+            }
+            row[name] = values[name] === undefined ? null : values[name];
+          }
+          flat.push(row);
+        }
+      }
+    };
+    extract(list, 0, {});
+  }
+
+  const columns = unionColumns(flat);
+  return flat.map(row => {
+    const result = {};
+    for (const col of columns) {
+      result[col] = col in row ? row[col] : null;
+    }
+    return result;
+  });
+}
+
+module.exports = {
+  parseJSONL,
+  parseJSONLStream,
+  readJSONLStream,
+  formatJSONL,
+  jsonNormalize
+};
@@ -0,0 +1,510 @@
+/**
+ * Row Predicates and Query Strings
+ * JavaScript equivalents of pandas boolean indexing and DataFrame.query
+ */
+
+const { isMissing, valueKey } = require('./columnar.js');
+
+/**
+ * Compare two values, treating missing values as unequal to everything
+ * @param {*} a - Left value
+ * @param {string} op - One of ==, !=, <, <=, >, >=
+ * @param {*} b - Right value
+ * @returns {boolean} - Comparison result
+ */
+function compareValues(a, op, b) {
+  if (isMissing(a) || isMissing(b)) return op === '!=';
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  switch (op) {
+    case '==': return x === y;
+    case '!=': return x !== y;
+    case '<': return x < y;
+    case '<=': return x <= y;
+    case '>': return x > y;
+    case '>=': return x >= y;
+    default: throw new Error(`Unknown comparison operator: ${op}`);
+  }
+}
+
+/**
+ * Row getter for a column, tagged with the column name so comparisons can
+ * look up the column's category order
+ * @param {string} name - Column name
+ * @returns {Function} - Row to value
+ */
+function columnGetter(name) {
+  const get = row => row[name];
+  get.column = name;
+  return get;
+}
+
+/**
+ * Position of a value among ordered categories
+ * @param {Map<*, number>} ranks - Category (by valueKey) to position
+ * @param {*} value - Value
+ * @param {string} column - Column name, for the error message
+ * @returns {number|null} - Position, or null for a missing value
+ */
+function categoryRank(ranks, value, column) {
+  if (isMissing(value)) return null;
+  const rank = ranks.get(valueKey(value));
+  if (rank === undefined) {
+    throw new Error(`Value is not a category of ${column}: ${value}`);
+  }
+  return rank;
+}
+
+/**
+ * Predicate comparing two row operands
+ *
+ * Predicates take (row, i, frame); when frame is a DataFrame whose operand
+ * column is an ordered categorical, <, <=, > and >= compare category
+ * positions instead of values.
+ *
+ * @param {Function} left - Row to left value
+ * @param {string} op - Comparison operator
+ * @param {Function} right - Row to right value
+ * @returns {Function} - Row predicate
+ */
+function comparison(left, op, right) {
+  const column = left.column || right.column;
+  if (!column || op === '==' || op === '!=') {
+    return row => compareValues(left(row), op, right(row));
+  }
+  return (row, i, frame) => {
+    const ranks = frame ? frame.categoryRanks(column) : null;
+    if (!ranks) return compareValues(left(row), op, right(row));
+    return compareValues(categoryRank(ranks, left(row), column), op, categoryRank(ranks, right(row), column));
+  };
+}
+
+/**
+ * Predicate testing membership in a list of values
+ * @param {Function} get - Row to value
+ * @param {*[]} values - Allowed values
+ * @returns {Function} - Row predicate
+ */
+function membership(get, values) {
+  const allowed = new Set(values.map(v => (v instanceof Date ? v.getTime() : v)));
+  return row => {
+    const value = get(row);
+    return !isMissing(value) && allowed.has(value instanceof Date ? value.getTime() : value);
+  };
+}
+
+/**
+ * Predicate applying a string test, false for missing values
+ * @param {Function} get - Row to value
+ * @param {Function} test - String to boolean
+ * @returns {Function} - Row predicate
+ */
+function stringTest(get, test) {
+  return row => {
+    const value = get(row);
+    return !isMissing(value) && test(String(value));
+  };
+}
+
+/**
+ * Builder for predicates on a single column
+ * e.g. col('age').gt(30), col('name').startsWith('A')
+ */
+class ColumnRef {
+  /**
+   * @param {string} name - Column name
+   */
+  constructor(name) {
+    this.name = name;
+    this.get = columnGetter(name);
+  }
+
+  eq(value) {
+    return comparison(this.get, '==', () => value);
+  }
+
+  ne(value) {
+    return comparison(this.get, '!=', () => value);
+  }
+
+  gt(value) {
+    return comparison(this.get, '>', () => value);
+  }
+
+  ge(value) {
+    return comparison(this.get, '>=', () => value);
+  }
+
+  lt(value) {
+    return comparison(this.get, '<', () => value);
+  }
+
+  le(value) {
+    return comparison(this.get, '<=', () => value);
+  }
+
+  /**
+   * @param {*[]} values - Allowed values
+   * @returns {Function} - Row predicate
+   */
+  isin(values) {
+    return membership(this.get, values);
+  }
+
+  /**
+   * @param {*} low - Lower bound
+   * @param {*} high - Upper bound
+   * @param {string} inclusive - 'both', 'neither', 'left' or 'right'
+   * @returns {Function} - Row predicate
+   */
+  between(low, high, inclusive = 'both') {
+    const lowOp = inclusive === 'both' || inclusive === 'left' ? '>=' : '>';
+    const highOp = inclusive === 'both' || inclusive === 'right' ? '<=' : '<';
+    return and(comparison(this.get, lowOp, () => low), comparison(this.get, highOp, () => high));
+  }
+
+  isNull() {
+    return row => isMissing(this.get(row));
+  }
+
+  notNull() {
+    return row => !isMissing(this.get(row));
+  }
+
+  /**
+   * @param {string} text - Substring to look for
+   * @param {boolean} caseSensitive - Match case (default true)
+   * @returns {Function} - Row predicate
+   */
+  contains(text, caseSensitive = true) {
+    if (caseSensitive) {
+      return stringTest(this.get, s => s.includes(text));
+    }
+    const needle = text.toLowerCase();
+    return stringTest(this.get, s => s.toLowerCase().includes(needle));
+  }
+
+  startsWith(text) {
+    return stringTest(this.get, s => s.startsWith(text));
+  }
+
+  endsWith(text) {
+    return stringTest(this.get, s => s.endsWith(text));
+  }
+
+  /**
+   * @param {RegExp|string} pattern - Regular expression
+   * @returns {Function} - Row predicate
+   */
+  matches(pattern) {
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+    return stringTest(this.get, s => {
+      regex.lastIndex = 0;
+      return regex.test(s);
+    });
+  }
+}
+
+/**
+ * Start a predicate on a column
+ * @param {string} name - Column name
+ * @returns {ColumnRef} - Predicate builder
+ */
+function col(name) {
+  return new ColumnRef(name);
+}
+
+/**
+ * Predicate that holds when all given predicates hold
+ * @param {...Function} predicates - Row predicates
+ * @returns {Function} - Row predicate
+ */
+function and(...predicates) {
+  return (row, i, frame) => predicates.every(p => p(row, i, frame));
+}
+
+/**
+ * Predicate that holds when any given predicate holds
+ * @param {...Function} predicates - Row predicates
+ * @returns {Function} - Row predicate
+ */
+function or(...predicates) {
+  return (row, i, frame) => predicates.some(p => p(row, i, frame));
+}
+
+/**
+ * Negate a predicate
+ * @param {Function} predicate - Row predicate
+ * @returns {Function} - Row predicate
+ */
+function not(predicate) {
+  return (row, i, frame) => !predicate(row, i, frame);
+}
+
+const TOKEN_PATTERN = new RegExp([
+  '\\s+',
+  '(\\d+\\.?\\d*(?:[eE][-+]?\\d+)?|\\.\\d+(?:[eE][-+]?\\d+)?)',
+  '(\'(?:[^\'\\\\]|\\\\.)*\'|"(?:[^"\\\\]|\\\\.)*")',
+  '`([^`]+)`',
+  '@([A-Za-z_]\\w*)',
+  '([A-Za-z_][\\w.]*)',
+  '(==|!=|<=|>=|<|>|&&|\\|\\||[&|~!()\\[\\],-])'
+].join('|'), 'y');
+
+const KEYWORDS = new Set([
+  'and', 'or', 'not', 'in', 'is', 'null', 'none', 'true', 'false',
+  'between', 'contains', 'startswith', 'endswith', 'matches'
+]);
+
+/**
+ * Split a query string into tokens
+ * @param {string} text - Query string
+ * @returns {Object[]} - Tokens with type, value and position
+ */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const pos = TOKEN_PATTERN.lastIndex;
+    const m = TOKEN_PATTERN.exec(text);
+    if (!m) {
+      throw new Error(`Invalid query: unexpected character '${text[pos]}' at position ${pos}`);
+    }
+    if (m[1] !== undefined) {
+      tokens.push({ type: 'literal', value: Number(m[1]), pos });
+    } else if (m[2] !== undefined) {
+      const body = m[2].slice(1, -1).replace(/\\(.)/g, '$1');
+      tokens.push({ type: 'literal', value: body, pos });
+    } else if (m[3] !== undefined) {
+      tokens.push({ type: 'name', value: m[3], pos });
+    } else if (m[4] !== undefined) {
+      tokens.push({ type: 'param', value: m[4], pos });
+    } else if (m[5] !== undefined) {
+      const lower = m[5].toLowerCase();
+      tokens.push(KEYWORDS.has(lower)
+        ? { type: 'keyword', value: lower, pos }
+        : { type: 'name', value: m[5], pos });
+    } else if (m[6] !== undefined) {
+      tokens.push({ type: 'op', value: m[6], pos });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser turning query tokens into a row predicate
+ */
+class QueryParser {
+  /**
+   * @param {string} text - Query string
+   * @param {Object} params - Values for @name references
+   */
+  constructor(text, params) {
+    this.tokens = tokenize(text);
+    this.params = params;
+    this.pos = 0;
+    // Column names the query reads
+    this.columns = new Set();
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  fail(message) {
+    const token = this.peek();
+    const where = token ? `at position ${token.pos}` : 'at end of query';
+    throw new Error(`Invalid query: ${message} ${where}`);
+  }
+
+  accept(type, ...values) {
+    const token = this.peek();
+    if (token && token.type === type && (values.length === 0 || values.includes(token.value))) {
+      this.pos++;
+      return token;
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.accept(type, value);
+    if (!token) this.fail(`expected '${value}'`);
+    return token;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) this.fail('empty expression');
+    const predicate = this.parseOr();
+    if (this.peek()) this.fail(`unexpected '${this.peek().value}'`);
+    return Object.assign(predicate, { columns: [...this.columns] });
+  }
+
+  parseOr() {
+    const parts = [this.parseAnd()];
+    while (this.accept('keyword', 'or') || this.accept('op', '|', '||')) {
+      parts.push(this.parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : or(...parts);
+  }
+
+  parseAnd() {
+    const parts = [this.parseNot()];
+    while (this.accept('keyword', 'and') || this.accept('op', '&', '&&')) {
+      parts.push(this.parseNot());
+    }
+    return parts.length === 1 ? parts[0] : and(...parts);
+  }
+
+  parseNot() {
+    if (this.accept('keyword', 'not') || this.accept('op', '~', '!')) {
+      return not(this.parseNot());
+    }
+    return this.parseCondition();
+  }
+
+  parseCondition() {
+    if (this.accept('op', '(')) {
+      const inner = this.parseOr();
+      this.expect('op', ')');
+      return inner;
+    }
+
+    const left = this.parseOperand();
+    const op = this.accept('op', '==', '!=', '<', '<=', '>', '>=');
+    if (op) {
+      return comparison(left, op.value, this.parseOperand());
+    }
+
+    if (this.accept('keyword', 'in')) {
+      return membership(left, this.parseList());
+    }
+    if (this.peek() && this.peek().value === 'not' && this.tokens[this.pos + 1]
+      && this.tokens[this.pos + 1].value === 'in') {
+      this.pos += 2;
+      return not(membership(left, this.parseList()));
+    }
+    if (this.accept('keyword', 'is')) {
+      const negate = Boolean(this.accept('keyword', 'not'));
+      if (!this.accept('keyword', 'null', 'none')) this.fail("expected 'null'");
+      return negate ? row => !isMissing(left(row)) : row => isMissing(left(row));
+    }
+    if (this.accept('keyword', 'between')) {
+      const low = this.parseOperand();
+      this.expect('keyword', 'and');
+      const high = this.parseOperand();
+      return and(comparison(left, '>=', low), comparison(left, '<=', high));
+    }
+
+    const method = this.accept('keyword', 'contains', 'startswith', 'endswith', 'matches');
+    if (method) {
+      const arg = this.parseConstant();
+      const text = String(arg);
+      switch (method.value) {
+        case 'contains': return stringTest(left, s => s.includes(text));
+        case 'startswith': return stringTest(left, s => s.startsWith(text));
+        case 'endswith': return stringTest(left, s => s.endsWith(text));
+        default: {
+          const regex = arg instanceof RegExp ? arg : new RegExp(text);
+          // A g or y flag makes test() resume from the last match, so restart per row
+          return stringTest(left, s => {
+            regex.lastIndex = 0;
+            return regex.test(s);
+          });
+        }
+      }
+    }
+
+    // A bare operand is true when it holds the boolean true
+    return row => left(row) === true;
+  }
+
+  parseOperand() {
+    const negative = Boolean(this.accept('op', '-'));
+    const token = this.peek();
+    if (!token) this.fail('expected a value');
+
+    if (negative) {
+      if (token.type !== 'literal' || typeof token.value !== 'number') this.fail('expected a number');
+      this.pos++;
+      return () => -token.value;
+    }
+
+    this.pos++;
+    if (token.type === 'literal') {
+      return () => token.value;
+    }
+    if (token.type === 'name') {
+      this.columns.add(token.value);
+      return columnGetter(token.value);
+    }
+    if (token.type === 'param') {
+      if (!(token.value in this.params)) {
+        throw new Error(`Invalid query: unknown parameter @${token.value}`);
+      }
+      const value = this.params[token.value];
+      return () => value;
+    }
+    if (token.type === 'keyword' && (token.value === 'true' || token.value === 'false')) {
+      const value = token.value === 'true';
+      return () => value;
+    }
+    if (token.type === 'keyword' && (token.value === 'null' || token.value === 'none')) {
+      return () => null;
+    }
+    this.pos--;
+    return this.fail(`unexpected '${token.value}'`);
+  }
+
+  parseConstant() {
+    const token = this.peek();
+    if (token && token.type === 'name') this.fail(`expected a literal value, not column '${token.value}'`);
+    return this.parseOperand()({});
+  }
+
+  parseList() {
+    const param = this.accept('param');
+    if (param) {
+      const values = this.params[param.value];
+      if (!Array.isArray(values)) {
+        throw new Error(`Invalid query: parameter @${param.value} is not an array`);
+      }
+      return values;
+    }
+
+    const close = this.accept('op', '[') ? ']' : (this.expect('op', '('), ')');
+    const values = [];
+    if (!this.accept('op', close)) {
+      do {
+        values.push(this.parseConstant());
+      } while (this.accept('op', ','));
+      this.expect('op', close);
+    }
+    return values;
+  }
+}
+
+/**
+ * Compile a query string into a row predicate (no eval involved)
+ *
+ * Supports comparisons (==, !=, <, <=, >, >=) between columns, literals and
+ * @params; `in [...]`, `not in [...]`, `is null`, `is not null`,
+ * `between a and b`, `contains`, `startswith`, `endswith` and `matches`;
+ * combined with and/or/not (or &, |, ~) and parentheses. Column names with
+ * spaces can be written in backticks.
+ *
+ * @param {string} text - Query string, e.g. "age > 30 and city == 'NYC'"
+ * @param {Object} [params] - Values for @name references
+ * @returns {Function} - Row predicate, with the column names it reads in its columns property
+ */
+function parseQuery(text, params = {}) {
+  return new QueryParser(text, params).parse();
+}
+
+module.exports = {
+  ColumnRef,
+  col,
+  and,
+  or,
+  not,
+  parseQuery
+};
@@ -0,0 +1,128 @@
+/**
+ * SQL
+ * Reading query results from and writing tables to a SQLite database
+ *
+ * Functions take an open better-sqlite3 Database, e.g.
+ * new (require('better-sqlite3'))('results.db'), so this module does not
+ * load the driver itself. Dates are stored as ISO 8601 text and booleans
+ * as 0/1; DataFrame.fromSQL reads them back with parseDates and dtype.
+ */
+
+const { isMissing } = require('./columnar.js');
+
+// Declared column type per dtype; object columns get no type so SQLite keeps values as given
+const SQL_TYPES = {
+  int: 'INTEGER',
+  float: 'REAL',
+  bool: 'INTEGER',
+  string: 'TEXT',
+  category: 'TEXT',
+  datetime: 'TEXT',
+  object: ''
+};
+
+/**
+ * Quote a table or column name
+ * @param {string} name - Identifier
+ * @returns {string} - Quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Convert a value to one SQLite can bind
+ *
+ * Integers and booleans are bound as bigints, since the driver binds every
+ * number as a REAL and 1 would be stored as '1.0' in a TEXT column.
+ *
+ * @param {*} value - Cell value
+ * @param {string} dtype - Dtype of its column
+ * @returns {number|string|bigint|Uint8Array|null} - Bindable value (other objects as JSON)
+ */
+function toSQLValue(value, dtype) {
+  if (isMissing(value)) return null;
+  if (typeof value === 'boolean') return value ? 1n : 0n;
+  if (dtype === 'int' && Number.isSafeInteger(value)) return BigInt(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && !ArrayBuffer.isView(value)) return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Run a query and collect its rows
+ * @param {Object} db - better-sqlite3 Database
+ * @param {string} query - SQL query returning rows
+ * @param {Array|Object} [params] - Positional (array) or named (object) parameters
+ * @returns {{rows: Object[], columns: string[]}} - Rows and result column names
+ */
+function readQuery(db, query, params = null) {
+  const statement = db.prepare(query);
+  if (!statement.reader) {
+    throw new Error('Query does not return rows');
+  }
+  let rows;
+  if (params === null) {
+    rows = statement.all();
+  } else {
+    rows = Array.isArray(params) ? statement.all(...params) : statement.all(params);
+  }
+  return { rows, columns: statement.columns().map(column => column.name) };
+}
+
+/**
+ * Write columns to a table, creating it from their dtypes
+ *
+ * ifExists decides what happens when the table exists: 'fail' throws,
+ * 'replace' drops and recreates it and 'append' inserts into it as it is.
+ * Rows are inserted in transactions of batchSize rows.
+ *
+ * @param {Object} db - better-sqlite3 Database
+ * @param {string} table - Table name
+ * @param {string[]} names - Column names
+ * @param {Object[]} columns - Columns (see columnar.js), one per name
+ * @param {Object} [options] - ifExists ('fail', 'replace' or 'append'; default 'fail'),
+ *   dtypeMap (column name to SQL type, overriding the type from its dtype) and batchSize (default 1000)
+ * @returns {number} - Number of rows written
+ */
+function writeTable(db, table, names, columns, options = {}) {
+  const { ifExists = 'fail', dtypeMap = {}, batchSize = 1000 } = options;
+  if (!['fail', 'replace', 'append'].includes(ifExists)) {
+    throw new Error(`Invalid ifExists: ${ifExists}`);
+  }
+  if (!(Number.isInteger(batchSize) && batchSize > 0)) {
+    throw new Error('batchSize must be a positive integer');
+  }
+
+  const name = quoteIdentifier(table);
+  const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table) !== undefined;
+  if (exists && ifExists === 'fail') {
+    throw new Error(`Table already exists: ${table}`);
+  }
+  if (exists && ifExists === 'replace') {
+    db.exec(`DROP TABLE ${name}`);
+  }
+  if (!exists || ifExists === 'replace') {
+    const definitions = names.map((col, c) => `${quoteIdentifier(col)} ${dtypeMap[col] ?? SQL_TYPES[columns[c].dtype]}`.trim());
+    db.exec(`CREATE TABLE ${name} (${definitions.join(', ')})`);
+  }
+
+  const insert = db.prepare(
+    `INSERT INTO ${name} (${names.map(quoteIdentifier).join(', ')}) VALUES (${names.map(() => '?').join(', ')})`
+  );
+  const insertRows = db.transaction((start, end) => {
+    for (let i = start; i < end; i++) {
+      insert.run(columns.map(column => toSQLValue(column.get(i), column.dtype)));
+    }
+  });
+  const n = columns.length > 0 ? columns[0].length : 0;
+  for (let start = 0; start < n; start += batchSize) {
+    insertRows(start, Math.min(n, start + batchSize));
+  }
+  return n;
+}
+
+module.exports = {
+  readQuery,
+  writeTable
+};
@@ -0,0 +1,257 @@
+/**
+ * String Operations
+ * Vectorized text operations over string columns (pandas .str)
+ *
+ * String columns are dictionary-encoded, so each operation runs once per
+ * distinct value and the results are mapped back through the codes.
+ * Missing values stay missing.
+ */
+
+const { NumericColumn, DictionaryColumn, ObjectColumn, encodeColumn } = require('./columnar.js');
+
+const PAD_SIDES = ['left', 'right', 'both'];
+
+/**
+ * Encode values as a string column
+ * @param {*[]|Object} values - Values or an encoded column (strings, categories, or all missing)
+ * @param {string} [name] - Column name, for errors
+ * @returns {DictionaryColumn} - Dictionary-encoded column
+ */
+function stringColumn(values, name = null) {
+  const column = encodeColumn(values);
+  if (column.kind === 'dictionary' && column.dictionary.every(value => typeof value === 'string')) return column;
+  if (column.kind === 'object' && column.values.every(value => value === null)) {
+    return new DictionaryColumn(new Int32Array(column.length).fill(-1), []);
+  }
+  throw new Error(name === null ? 'Values are not strings' : `Column is not a string column: ${name}`);
+}
+
+/**
+ * Build a regular expression from a pattern
+ * @param {string|RegExp} pattern - Regular expression, or literal text when regex is false
+ * @param {Object} [options] - regex (default true), caseSensitive (default true) and global (default false)
+ * @returns {RegExp} - New RegExp (the flags of a RegExp pattern are kept, except g and y)
+ */
+function toRegExp(pattern, options = {}) {
+  const { regex = true, caseSensitive = true, global = false } = options;
+  let source;
+  let flags = '';
+  if (pattern instanceof RegExp) {
+    source = pattern.source;
+    flags = pattern.flags.replace(/[gy]/g, '');
+  } else {
+    source = regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  if (!caseSensitive && !flags.includes('i')) flags += 'i';
+  if (global) flags += 'g';
+  return new RegExp(source, flags);
+}
+
+/**
+ * Map every string through a function
+ * @param {*[]|Object} values - Values or an encoded column
+ * @param {Function} fn - (text: string) => string|null
+ * @returns {DictionaryColumn} - Mapped column
+ */
+function mapStrings(values, fn) {
+  const column = stringColumn(values);
+  const dictionary = [];
+  const lookup = new Map();
+  const remap = column.dictionary.map(text => {
+    const result = fn(text);
+    if (result === null || result === undefined) return -1;
+    let code = lookup.get(result);
+    if (code === undefined) {
+      code = dictionary.length;
+      dictionary.push(result);
+      lookup.set(result, code);
+    }
+    return code;
+  });
+  return new DictionaryColumn(column.codes.map(code => (code < 0 ? -1 : remap[code])), dictionary);
+}
+
+/**
+ * Per-row results of a function of each string
+ * @param {DictionaryColumn} column - String column
+ * @param {Function} fn - (text: string) => result
+ * @returns {*[]} - One result per row, null where the value is missing
+ */
+function gatherResults(column, fn) {
+  const results = column.dictionary.map(fn);
+  return Array.from(column.codes, code => (code < 0 ? null : results[code]));
+}
+
+/**
+ * Length of every string
+ * @param {*[]|Object} values - Values or an encoded column
+ * @returns {NumericColumn} - Int column of lengths (in UTF-16 code units)
+ */
+function stringLengths(values) {
+  const column = stringColumn(values);
+  const lengths = column.dictionary.map(text => text.length);
+  const data = new Float64Array(column.length);
+  let nulls = null;
+  for (let i = 0; i < data.length; i++) {
+    const code = column.codes[i];
+    if (code < 0) {
+      data[i] = NaN;
+      if (!nulls) nulls = new Uint8Array(data.length);
+      nulls[i] = 1;
+    } else {
+      data[i] = lengths[code];
+    }
+  }
+  return new NumericColumn(data, nulls, 'int');
+}
+
+/**
+ * Test every string against a pattern
+ * @param {*[]|Object} values - Values or an encoded column
+ * @param {string|RegExp} pattern - Pattern to search for
+ * @param {Object} [options] - regex (default true) and caseSensitive (default true)
+ * @returns {ObjectColumn} - Bool column, null where the value is missing
+ */
+function containsPattern(values, pattern, options = {}) {
+  const regex = toRegExp(pattern, options);
+  return new ObjectColumn(gatherResults(stringColumn(values), text => regex.test(text)), 'bool');
+}
+
+/**
+ * Replace every match of a pattern
+ * @param {*[]|Object} values - Values or an encoded column
+ * @param {string|RegExp} pattern - Pattern to replace
+ * @param {string|Function} replacement - Replacement text ($1 etc. refer to groups when regex) or function
+ * @param {Object} [options] - regex (default true) and caseSensitive (default true)
+ * @returns {DictionaryColumn} - Column with the matches replaced
+ */
+function replacePattern(values, pattern, replacement, options = {}) {
+  const { regex = true } = options;
+  const search = toRegExp(pattern, { ...options, global: true });
+  // Literal replacement text must not expand $ patterns
+  const replace = regex || typeof replacement === 'function' ? replacement : () => replacement;
+  return mapStrings(values, text => text.replace(search, replace));
+}
+
+/**
+ * Pad a string to a width
+ * @param {string} text - Text
+ * @param {number} width - Minimum length
+ * @param {string} side - 'left', 'right' or 'both' (extra fill goes on the right)
+ * @param {string} fillchar - Single fill character
+ * @returns {string} - Padded text
+ */
+function padString(text, width, side, fillchar) {
+  if (side === 'left') return text.padStart(width, fillchar);
+  if (side === 'right') return text.padEnd(width, fillchar);
+  const left = Math.max(Math.floor((width - text.length) / 2), 0);
+  return text.padStart(text.length + left, fillchar).padEnd(width, fillchar);
+}
+
+/**
+ * Pad every string to a width
+ * @param {*[]|Object} values - Values or an encoded column
+ * @param {number} width - Minimum length
+ * @param {Object} [options] - side ('left', 'right' or 'both'; default 'left') and fillchar (default ' ')
+ * @returns {DictionaryColumn} - Padded column
+ */
+function padStrings(values, width, options = {}) {
+  const { side = 'left', fillchar = ' ' } = options;
+  if (!PAD_SIDES.includes(side)) {
+    throw new Error(`Invalid side: ${side}`);
+  }
+  if (typeof fillchar !== 'string' || fillchar.length !== 1) {
+    throw new Error('fillchar must be a single character');
+  }
+  return mapStrings(values, text => padString(text, width, side, fillchar));
+}
+
+/**
+ * Split a string around the matches of a pattern
+ * @param {string} text - Text
+ * @param {RegExp} separator - Global separator pattern
+ * @param {number} n - Most splits (-1 for all); the rest stays in the last part
+ * @returns {string[]} - Parts
+ */
+function splitN(text, separator, n) {
+  const parts = [];
+  let start = 0;
+  let match;
+  separator.lastIndex = 0;
+  while ((n < 0 || parts.length < n) && (match = separator.exec(text)) !== null) {
+    if (match[0] === '') {
+      // Skip empty matches, which would not advance
+      separator.lastIndex++;
+      continue;
+    }
+    parts.push(text.slice(start, match.index));
+    start = match.index + match[0].length;
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Split every string around a separator
+ * @param {*[]|Object} values - Values or an encoded column
+ * @param {string|RegExp|null} [sep] - Literal separator or pattern (default runs of whitespace, ignoring
+ *   leading and trailing whitespace)
+ * @param {number} [n] - Most splits (default -1, for all); the rest stays in the last part
+ * @returns {Array<string[]|null>} - Parts per row, null where the value is missing
+ */
+function splitStrings(values, sep = null, n = -1) {
+  const column = stringColumn(values);
+  let split;
+  if (sep === null) {
+    const whitespace = /\s+/g;
+    split = text => {
+      const trimmed = text.trim();
+      return trimmed === '' ? [] : splitN(trimmed, whitespace, n);
+    };
+  } else {
+    const separator = toRegExp(sep, { regex: sep instanceof RegExp, global: true });
+    split = text => splitN(text, separator, n);
+  }
+  // Rows sharing a value get their own copy of its parts
+  return gatherResults(column, split).map(parts => parts && [...parts]);
+}
+
+/**
+ * Capture groups of the first match in every string
+ *
+ * Groups are named by the pattern when every group is named; otherwise
+ * names is null and groups are identified by position.
+ *
+ * @param {*[]|Object} values - Values or an encoded column
+ * @param {string|RegExp} pattern - Pattern with capture groups
+ * @returns {{names: string[]|null, columns: Object[]}} - Group names and one column per group
+ *   (null where the value is missing, the pattern does not match or the group did not take part)
+ */
+function extractGroups(values, pattern) {
+  const regex = toRegExp(pattern);
+  // An empty alternative always matches, which exposes the group count and names
+  const probe = new RegExp(`(?:${regex.source})|`, regex.flags).exec('');
+  const count = probe.length - 1;
+  if (count === 0) {
+    throw new Error('Pattern has no capture groups');
+  }
+  const groupNames = probe.groups ? Object.keys(probe.groups) : [];
+
+  const matches = gatherResults(stringColumn(values), text => regex.exec(text));
+  const columns = [];
+  for (let g = 1; g <= count; g++) {
+    columns.push(encodeColumn(matches.map(match => (match && match[g] !== undefined ? match[g] : null))));
+  }
+  return { names: groupNames.length === count ? groupNames : null, columns };
+}
+
+module.exports = {
+  stringColumn,
+  mapStrings,
+  stringLengths,
+  containsPattern,
+  replacePattern,
+  padStrings,
+  splitStrings,
+  extractGroups
+};
@@ -0,0 +1,251 @@
+/**
+ * Dates and Frequencies
+ * Timezone-safe date parsing and calendar bucketing for time series
+ *
+ * All arithmetic is done in UTC on epoch milliseconds, so results do not
+ * depend on the machine's local timezone.
+ */
+
+const { DatetimeColumn, isMissing } = require('./columnar.js');
+
+const MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  D: 24 * 60 * 60 * 1000,
+  W: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_ALIASES = {
+  ms: 'ms',
+  s: 's',
+  m: 'm',
+  min: 'm',
+  T: 'm',
+  h: 'h',
+  H: 'h',
+  d: 'D',
+  D: 'D',
+  w: 'W',
+  W: 'W',
+  M: 'M',
+  y: 'Y',
+  Y: 'Y'
+};
+
+// 1970-01-05, the first Monday after the epoch; weeks start on Monday
+const FIRST_MONDAY = 4 * MS.D;
+
+const ISO_PATTERN = new RegExp(
+  '^(\\d{4})-(\\d{2})(?:-(\\d{2})' +
+  '(?:[T ](\\d{2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d{1,9}))?)?)?)?' +
+  '\\s*(Z|[+-]\\d{2}(?::?\\d{2})?)?$',
+  'i'
+);
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month, 0-11 (may overflow into other years)
+ * @returns {number} - Days in the month
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Parse a date to epoch milliseconds
+ *
+ * Accepts Date objects, epoch milliseconds and ISO 8601 strings
+ * (YYYY-MM, YYYY-MM-DD, optionally followed by a time and a Z or ±HH:MM
+ * offset). Strings without an offset are read as UTC, unlike Date.parse,
+ * which reads date-times in the local timezone.
+ *
+ * @param {Date|number|string|null} value - Value to parse
+ * @returns {number|null} - Epoch milliseconds, or null for missing values
+ */
+function parseDate(value) {
+  if (isMissing(value) || value === '') return null;
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+  if (typeof value === 'number') return value;
+
+  const m = typeof value === 'string' ? ISO_PATTERN.exec(value.trim()) : null;
+  if (!m) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  const part = (i, fallback) => (m[i] === undefined ? fallback : Number(m[i]));
+  const year = part(1, 0);
+  const month = part(2, 1);
+  const day = part(3, 1);
+  const hour = part(4, 0);
+  const minute = part(5, 0);
+  const second = part(6, 0);
+  const millis = m[7] ? Number(m[7].slice(0, 3).padEnd(3, '0')) : 0;
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month - 1)
+    || hour > 23 || minute > 59 || second > 59) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  let offset = 0;
+  if (m[8] && m[8].toUpperCase() !== 'Z') {
+    const sign = m[8][0] === '-' ? -1 : 1;
+    const digits = m[8].slice(1).replace(':', '');
+    offset = sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2) || 0));
+  }
+
+  return Date.UTC(year, month - 1, day, hour, minute, second, millis) - offset * MS.m;
+}
+
+/**
+ * Convert values to a datetime column
+ * @param {*[]|Object} values - Values (or an encoded column) to parse, see parseDate
+ * @returns {DatetimeColumn} - Datetime column
+ */
+function toDatetime(values) {
+  if (values.kind === 'datetime') return values;
+  const n = values.length;
+  const get = typeof values.get === 'function' ? i => values.get(i) : i => values[i];
+  const data = new Float64Array(n);
+  let nulls = null;
+  for (let i = 0; i < n; i++) {
+    const time = parseDate(get(i));
+    if (time === null) {
+      data[i] = NaN;
+      if (!nulls) nulls = new Uint8Array(n);
+      nulls[i] = 1;
+    } else {
+      data[i] = time;
+    }
+  }
+  return new DatetimeColumn(data, nulls);
+}
+
+/**
+ * Parse a frequency string such as '1h', '15m', '1D', '2W' or '1M'
+ *
+ * Units: ms, s, m (or min) minutes, h hours, D days, W weeks (starting
+ * Monday), M calendar months and Y calendar years. Note 'm' is minutes
+ * and 'M' is months.
+ *
+ * @param {string} rule - Frequency string
+ * @returns {{n: number, unit: string}} - Multiple and normalized unit
+ */
+function parseFrequency(rule) {
+  const m = /^\s*(\d*)\s*([A-Za-z]+)\s*$/.exec(String(rule));
+  const unit = m && UNIT_ALIASES[m[2]];
+  const n = m && m[1] !== '' ? Number(m[1]) : 1;
+  if (!unit || n < 1) {
+    throw new Error(`Invalid frequency: ${rule}`);
+  }
+  return { n, unit };
+}
+
+/**
+ * Accept either a frequency string or an already parsed frequency
+ * @param {string|{n: number, unit: string}} freq - Frequency string or parsed frequency
+ * @returns {{n: number, unit: string}} - Parsed frequency
+ */
+function resolveFrequency(freq) {
+  return typeof freq === 'string' ? parseFrequency(freq) : freq;
+}
+
+/**
+ * Length of a fixed frequency in milliseconds
+ * @param {string|{n: number, unit: string}} freq - Frequency string or parsed frequency
+ * @returns {number} - Milliseconds (throws for months and years)
+ */
+function frequencyMs(freq) {
+  const { n, unit } = resolveFrequency(freq);
+  if (!(unit in MS)) {
+    throw new Error(`Frequency has no fixed length: ${n}${unit}`);
+  }
+  return n * MS[unit];
+}
+
+/**
+ * Start of the bucket containing a time
+ *
+ * Buckets are aligned to the epoch (days at UTC midnight, weeks on Monday,
+ * months and years on the first of the month/year).
+ *
+ * @param {number} time - Epoch milliseconds
+ * @param {string|{n: number, unit: string}} freq - Frequency string or parsed frequency
+ * @returns {number} - Bucket start in epoch milliseconds
+ */
+function floorDate(time, freq) {
+  const { n, unit } = resolveFrequency(freq);
+  if (unit === 'W') {
+    const size = n * MS.W;
+    return Math.floor((time - FIRST_MONDAY) / size) * size + FIRST_MONDAY;
+  }
+  if (unit in MS) {
+    const size = n * MS[unit];
+    return Math.floor(time / size) * size;
+  }
+  const date = new Date(time);
+  if (unit === 'M') {
+    const months = Math.floor((date.getUTCFullYear() * 12 + date.getUTCMonth()) / n) * n;
+    return Date.UTC(Math.floor(months / 12), months % 12, 1);
+  }
+  return Date.UTC(Math.floor(date.getUTCFullYear() / n) * n, 0, 1);
+}
+
+/**
+ * Add a number of frequency periods to a time
+ *
+ * Adding months keeps the day of month, clamped to the end of shorter months.
+ *
+ * @param {number} time - Epoch milliseconds
+ * @param {string|{n: number, unit: string}} freq - Frequency string or parsed frequency
+ * @param {number} periods - Number of periods (may be negative)
+ * @returns {number} - Epoch milliseconds
+ */
+function addPeriods(time, freq, periods = 1) {
+  const { n, unit } = resolveFrequency(freq);
+  if (unit in MS) {
+    return time + periods * n * MS[unit];
+  }
+  const date = new Date(time);
+  const months = periods * n * (unit === 'Y' ? 12 : 1);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const day = Math.min(date.getUTCDate(), daysInMonth(year, month));
+  return Date.UTC(
+    year, month, day,
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+  );
+}
+
+/**
+ * Regular sequence of times from start to end (inclusive)
+ * @param {Date|number|string} start - First time
+ * @param {Date|number|string} end - Last possible time
+ * @param {string} freq - Frequency string, see parseFrequency
+ * @returns {Date[]} - Times start, start + freq, ... up to end
+ */
+function dateRange(start, end, freq) {
+  const parsed = parseFrequency(freq);
+  const first = parseDate(start);
+  const last = parseDate(end);
+  const result = [];
+  if (first === null || last === null) return result;
+  for (let k = 0, t = first; t <= last; t = addPeriods(first, parsed, ++k)) {
+    result.push(new Date(t));
+  }
+  return result;
+}
+
+module.exports = {
+  parseDate,
+  toDatetime,
+  parseFrequency,
+  frequencyMs,
+  floorDate,
+  addPeriods,
+  dateRange
+};
@@ -0,0 +1,637 @@
+/**
+ * Window Functions
+ * Rolling, expanding and exponentially weighted statistics over a series
+ *
+ * Missing values (null, undefined, NaN) are skipped inside a window, and a
+ * window with fewer than minPeriods values yields NaN. Rolling and expanding
+ * windows are described by start/end positions that only move forward, so
+ * each statistic is updated incrementally as values enter and leave.
+ */
+
+const { frequencyMs, parseDate } = require('./timeseries.js');
+
+/**
+ * Convert a series to a Float64Array with NaN for missing values
+ * @param {ArrayLike<number|null>} series - Input series
+ * @returns {Float64Array} - Values
+ */
+function toValues(series) {
+  if (series instanceof Float64Array) return series;
+  const values = new Float64Array(series.length);
+  for (let i = 0; i < values.length; i++) {
+    const v = series[i];
+    values[i] = v === null || v === undefined ? NaN : v;
+  }
+  return values;
+}
+
+/**
+ * Binary heap ordered by a comparator
+ */
+class Heap {
+  /**
+   * @param {Function} compare - (a, b) => negative when a comes out first
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(value) {
+    const { items, compare } = this;
+    items.push(value);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const { items, compare } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && compare(items[left], items[best]) < 0) best = left;
+        if (right < items.length && compare(items[right], items[best]) < 0) best = right;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Median of a sliding multiset: a max-heap of the lower half and a min-heap
+ * of the upper half, with removals applied lazily when they reach a top
+ */
+class SlidingMedian {
+  constructor() {
+    this.low = new Heap((a, b) => b - a);
+    this.high = new Heap((a, b) => a - b);
+    this.lowSize = 0;
+    this.highSize = 0;
+    this.delayed = new Map();
+  }
+
+  add(x) {
+    if (this.lowSize === 0 || x <= this.low.peek()) {
+      this.low.push(x);
+      this.lowSize++;
+    } else {
+      this.high.push(x);
+      this.highSize++;
+    }
+    this.rebalance();
+  }
+
+  remove(x) {
+    this.delayed.set(x, (this.delayed.get(x) || 0) + 1);
+    if (x <= this.low.peek()) {
+      this.lowSize--;
+      this.prune(this.low);
+    } else {
+      this.highSize--;
+      this.prune(this.high);
+    }
+    this.rebalance();
+  }
+
+  median() {
+    if (this.lowSize === 0) return NaN;
+    return this.lowSize > this.highSize ? this.low.peek() : (this.low.peek() + this.high.peek()) / 2;
+  }
+
+  rebalance() {
+    if (this.lowSize > this.highSize + 1) {
+      this.high.push(this.low.pop());
+      this.lowSize--;
+      this.highSize++;
+      this.prune(this.low);
+    } else if (this.lowSize < this.highSize) {
+      this.low.push(this.high.pop());
+      this.highSize--;
+      this.lowSize++;
+      this.prune(this.high);
+    }
+  }
+
+  prune(heap) {
+    while (heap.size > 0) {
+      const top = heap.peek();
+      const pending = this.delayed.get(top);
+      if (!pending) break;
+      if (pending === 1) this.delayed.delete(top);
+      else this.delayed.set(top, pending - 1);
+      heap.pop();
+    }
+  }
+}
+
+/**
+ * Rolling or expanding window over a series
+ *
+ * Window i covers positions starts[i] to ends[i] - 1. Statistics return a
+ * number[] the length of the series.
+ */
+class RollingWindow {
+  /**
+   * @param {Float64Array} values - Series values, NaN for missing
+   * @param {Int32Array} starts - First position of each window
+   * @param {Int32Array} ends - One past the last position of each window
+   * @param {number} minPeriods - Values needed for a result
+   * @param {number[]|null} weights - Weight per window position (fixed-size windows only)
+   * @param {Int32Array|null} origins - Position of weights[0] for each window
+   */
+  constructor(values, starts, ends, minPeriods, weights = null, origins = null) {
+    this.values = values;
+    this.starts = starts;
+    this.ends = ends;
+    this.minPeriods = minPeriods;
+    this.weights = weights;
+    this.origins = origins;
+  }
+
+  /**
+   * Slide over the windows, adding values as they enter and removing them as they leave
+   * @param {Function} add - (value, position) for each value entering a window
+   * @param {Function} remove - (value, position) for each value leaving a window
+   * @param {Function} emit - (count, i) => statistic of window i
+   * @returns {number[]} - Statistic per window, NaN below minPeriods
+   */
+  slide(add, remove, emit) {
+    const { values, starts, ends, minPeriods } = this;
+    const result = new Array(values.length);
+    let added = 0;
+    let removed = 0;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+      for (; added < ends[i]; added++) {
+        if (!Number.isNaN(values[added])) {
+          add(values[added], added);
+          count++;
+        }
+      }
+      for (; removed < starts[i]; removed++) {
+        if (!Number.isNaN(values[removed])) {
+          remove(values[removed], removed);
+          count--;
+        }
+      }
+      result[i] = count >= minPeriods && count > 0 ? emit(count, i) : NaN;
+    }
+    return result;
+  }
+
+  /**
+   * Weighted sum of each window, and the total weight of its values
+   * @param {Function} emit - (weightedSum, totalWeight) => statistic
+   * @returns {number[]} - Statistic per window
+   */
+  weighted(emit) {
+    const { values, starts, ends, minPeriods, weights, origins } = this;
+    const result = new Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      let total = 0;
+      let weight = 0;
+      let count = 0;
+      for (let j = starts[i]; j < ends[i]; j++) {
+        if (Number.isNaN(values[j])) continue;
+        total += weights[j - origins[i]] * values[j];
+        weight += weights[j - origins[i]];
+        count++;
+      }
+      result[i] = count >= minPeriods && count > 0 ? emit(total, weight) : NaN;
+    }
+    return result;
+  }
+
+  /**
+   * Throw for statistics that have no weighted form
+   * @param {string} name - Statistic name
+   */
+  unweighted(name) {
+    if (this.weights) {
+      throw new Error(`Weighted windows do not support ${name}`);
+    }
+  }
+
+  /**
+   * Sum of each window (Kahan-compensated)
+   * @returns {number[]} - Window sums
+   */
+  sum() {
+    if (this.weights) return this.weighted(total => total);
+    let sum = 0;
+    let compensation = 0;
+    let count = 0;
+    const add = x => {
+      const y = x - compensation;
+      const t = sum + y;
+      compensation = (t - sum) - y;
+      sum = t;
+    };
+    return this.slide(
+      x => {
+        add(x);
+        count++;
+      },
+      x => {
+        count--;
+        if (count === 0) {
+          sum = 0;
+          compensation = 0;
+        } else {
+          add(-x);
+        }
+      },
+      () => sum
+    );
+  }
+
+  /**
+   * Mean of each window (weighted mean for weighted windows)
+   * @returns {number[]} - Window means
+   */
+  mean() {
+    if (this.weights) return this.weighted((total, weight) => total / weight);
+    const sums = this.sum();
+    const counts = this.count();
+    return sums.map((s, i) => s / counts[i]);
+  }
+
+  /**
+   * Variance of each window (Welford's online update)
+   * @param {number} ddof - Delta degrees of freedom
+   * @returns {number[]} - Window variances
+   */
+  var(ddof = 1) {
+    this.unweighted('var');
+    let n = 0;
+    let mean = 0;
+    let m2 = 0;
+    return this.slide(
+      x => {
+        n++;
+        const delta = x - mean;
+        mean += delta / n;
+        m2 += delta * (x - mean);
+      },
+      x => {
+        n--;
+        if (n === 0) {
+          mean = 0;
+          m2 = 0;
+          return;
+        }
+        const delta = x - mean;
+        mean -= delta / n;
+        m2 -= delta * (x - mean);
+      },
+      count => (count > ddof ? Math.max(m2, 0) / (count - ddof) : NaN)
+    );
+  }
+
+  /**
+   * Standard deviation of each window
+   * @param {number} ddof - Delta degrees of freedom
+   * @returns {number[]} - Window standard deviations
+   */
+  std(ddof = 1) {
+    return this.var(ddof).map(Math.sqrt);
+  }
+
+  /**
+   * Minimum of each window (monotonic deque)
+   * @returns {number[]} - Window minimums
+   */
+  min() {
+    this.unweighted('min');
+    return this.extreme((a, b) => a <= b);
+  }
+
+  /**
+   * Maximum of each window (monotonic deque)
+   * @returns {number[]} - Window maximums
+   */
+  max() {
+    this.unweighted('max');
+    return this.extreme((a, b) => a >= b);
+  }
+
+  /**
+   * Window extreme, keeping positions whose values could still win in a deque
+   * @param {Function} beats - (a, b) => true when a wins over or ties b
+   * @returns {number[]} - Window extremes
+   */
+  extreme(beats) {
+    const { values, starts } = this;
+    const deque = new Int32Array(values.length);
+    let head = 0;
+    let tail = 0;
+    return this.slide(
+      (x, position) => {
+        while (tail > head && beats(x, values[deque[tail - 1]])) tail--;
+        deque[tail++] = position;
+      },
+      () => {},
+      (count, i) => {
+        while (deque[head] < starts[i]) head++;
+        return values[deque[head]];
+      }
+    );
+  }
+
+  /**
+   * Median of each window (two heaps, O(log w) per step)
+   * @returns {number[]} - Window medians
+   */
+  median() {
+    this.unweighted('median');
+    const heaps = new SlidingMedian();
+    return this.slide(x => heaps.add(x), x => heaps.remove(x), () => heaps.median());
+  }
+
+  /**
+   * Number of non-missing values in each window
+   * @returns {number[]} - Window counts
+   */
+  count() {
+    const { values, starts, ends } = this;
+    const prefix = new Int32Array(values.length + 1);
+    for (let i = 0; i < values.length; i++) {
+      prefix[i + 1] = prefix[i] + (Number.isNaN(values[i]) ? 0 : 1);
+    }
+    return Array.from(starts, (start, i) => prefix[ends[i]] - prefix[start]);
+  }
+
+  /**
+   * Apply a function to the non-missing values of each window
+   * @param {Function} fn - (values: number[]) => number
+   * @returns {number[]} - Result per window
+   */
+  apply(fn) {
+    const { values, starts, ends, minPeriods } = this;
+    const result = new Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      const window = [];
+      for (let j = starts[i]; j < ends[i]; j++) {
+        if (!Number.isNaN(values[j])) window.push(values[j]);
+      }
+      result[i] = window.length >= minPeriods && window.length > 0 ? fn(window) : NaN;
+    }
+    return result;
+  }
+}
+
+/**
+ * Rolling window over a series
+ *
+ * A numeric window counts positions. A time window such as '5m' or '1h'
+ * (or a number of milliseconds with options.times) covers the times in
+ * (t - window, t] and needs options.times, sorted increasing.
+ *
+ * @param {ArrayLike<number|null>} series - Input series
+ * @param {number|string} window - Window size in positions, or a time offset
+ * @param {Object} [options] - minPeriods (default: window size, or 1 for time
+ *   windows), center (label windows by their middle), weights (one per
+ *   position, for weighted sum and mean) and times (Dates, ISO strings or epoch ms)
+ * @returns {RollingWindow} - Window with mean, sum, std, var, min, max, median, count and apply
+ */
+function rolling(series, window, options = {}) {
+  const { center = false, weights = null, times = null } = options;
+  const values = toValues(series);
+  const n = values.length;
+  const starts = new Int32Array(n);
+  const ends = new Int32Array(n);
+
+  if (typeof window === 'string' || times) {
+    if (!times) {
+      throw new Error(`Time-based window ${window} requires times`);
+    }
+    if (times.length !== n) {
+      throw new Error('Length of times must match length of series');
+    }
+    if (center || weights) {
+      throw new Error('Time-based windows do not support center or weights');
+    }
+    const size = typeof window === 'string' ? frequencyMs(window) : window;
+    const stamps = Array.from(times, parseDate);
+    let start = 0;
+    for (let i = 0; i < n; i++) {
+      if (i > 0 && !(stamps[i] >= stamps[i - 1])) {
+        throw new Error('Times must be monotonic increasing');
+      }
+      while (stamps[start] <= stamps[i] - size) start++;
+      starts[i] = start;
+      ends[i] = i + 1;
+    }
+    const minPeriods = options.minPeriods ?? 1;
+    return new RollingWindow(values, starts, ends, minPeriods);
+  }
+
+  if (!Number.isInteger(window) || window < 1) {
+    throw new Error(`Window must be a positive integer or a time offset: ${window}`);
+  }
+  if (weights && weights.length !== window) {
+    throw new Error('Length of weights must equal window');
+  }
+  const origins = weights ? new Int32Array(n) : null;
+  const before = center ? Math.floor(window / 2) : window - 1;
+  for (let i = 0; i < n; i++) {
+    const origin = i - before;
+    starts[i] = Math.max(origin, 0);
+    ends[i] = Math.min(origin + window, n);
+    if (origins) origins[i] = origin;
+  }
+  const minPeriods = options.minPeriods ?? window;
+  return new RollingWindow(values, starts, ends, minPeriods, weights, origins);
+}
+
+/**
+ * Expanding window: every position sees all values up to and including itself
+ * @param {ArrayLike<number|null>} series - Input series
+ * @param {Object} [options] - minPeriods (default 1)
+ * @returns {RollingWindow} - Window with mean, sum, std, var, min, max, median, count and apply
+ */
+function expanding(series, options = {}) {
+  const values = toValues(series);
+  const starts = new Int32Array(values.length);
+  const ends = Int32Array.from(values, (_, i) => i + 1);
+  return new RollingWindow(values, starts, ends, options.minPeriods ?? 1);
+}
+
+/**
+ * Exponentially weighted window
+ *
+ * With adjust (the default) the weights are (1 - alpha)^k over all earlier
+ * values; without it the mean is the recursion y = (1 - alpha) y + alpha x.
+ */
+class EwmWindow {
+  /**
+   * @param {Float64Array} values - Series values, NaN for missing
+   * @param {number} alpha - Smoothing factor
+   * @param {Object} options - adjust, ignoreNA and minPeriods
+   */
+  constructor(values, alpha, options) {
+    this.values = values;
+    this.alpha = alpha;
+    this.adjust = options.adjust ?? true;
+    this.ignoreNA = options.ignoreNA ?? false;
+    this.minPeriods = Math.max(options.minPeriods ?? 0, 1);
+  }
+
+  /**
+   * Exponentially weighted mean
+   * @returns {number[]} - Mean at each position
+   */
+  mean() {
+    const { values, alpha, adjust, ignoreNA, minPeriods } = this;
+    const result = new Array(values.length);
+    const newWeight = adjust ? 1 : alpha;
+    let weighted = NaN;
+    let oldWeight = 1;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+      const x = values[i];
+      const observed = !Number.isNaN(x);
+      if (observed) count++;
+      if (Number.isNaN(weighted)) {
+        if (observed) weighted = x;
+      } else if (observed || !ignoreNA) {
+        oldWeight *= 1 - alpha;
+        if (observed) {
+          weighted = (oldWeight * weighted + newWeight * x) / (oldWeight + newWeight);
+          oldWeight = adjust ? oldWeight + newWeight : 1;
+        }
+      }
+      result[i] = count >= minPeriods ? weighted : NaN;
+    }
+    return result;
+  }
+
+  /**
+   * Exponentially weighted variance
+   * @param {boolean} bias - Use the biased estimator
+   * @returns {number[]} - Variance at each position
+   */
+  var(bias = false) {
+    const { values, alpha, adjust, ignoreNA, minPeriods } = this;
+    const result = new Array(values.length);
+    const decay = 1 - alpha;
+    const newWeight = adjust ? 1 : alpha;
+    let mean = NaN;
+    let cov = 0;
+    let sumWeight = 1;
+    let sumWeight2 = 1;
+    let oldWeight = 1;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+      const x = values[i];
+      const observed = !Number.isNaN(x);
+      if (observed) count++;
+      if (Number.isNaN(mean)) {
+        if (observed) mean = x;
+      } else if (observed || !ignoreNA) {
+        sumWeight *= decay;
+        sumWeight2 *= decay * decay;
+        oldWeight *= decay;
+        if (observed) {
+          const oldMean = mean;
+          const total = oldWeight + newWeight;
+          mean = (oldWeight * oldMean + newWeight * x) / total;
+          cov = (oldWeight * (cov + (oldMean - mean) ** 2) + newWeight * (x - mean) ** 2) / total;
+          sumWeight += newWeight;
+          sumWeight2 += newWeight * newWeight;
+          oldWeight += newWeight;
+          if (!adjust) {
+            sumWeight /= oldWeight;
+            sumWeight2 /= oldWeight * oldWeight;
+            oldWeight = 1;
+          }
+        }
+      }
+      if (count < minPeriods) {
+        result[i] = NaN;
+      } else if (bias) {
+        result[i] = cov;
+      } else {
+        const numerator = sumWeight * sumWeight;
+        const denominator = numerator - sumWeight2;
+        result[i] = denominator > 0 ? (numerator / denominator) * cov : NaN;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Exponentially weighted standard deviation
+   * @param {boolean} bias - Use the biased estimator
+   * @returns {number[]} - Standard deviation at each position
+   */
+  std(bias = false) {
+    return this.var(bias).map(Math.sqrt);
+  }
+}
+
+/**
+ * Exponentially weighted window over a series
+ *
+ * Give exactly one of com (alpha = 1 / (1 + com)), span
+ * (alpha = 2 / (span + 1)), halflife (alpha = 1 - exp(-ln 2 / halflife))
+ * or alpha.
+ *
+ * @param {ArrayLike<number|null>} series - Input series
+ * @param {Object} options - Decay (com, span, halflife or alpha), adjust
+ *   (default true), ignoreNA (default false) and minPeriods (default 0)
+ * @returns {EwmWindow} - Window with mean, var and std
+ */
+function ewm(series, options = {}) {
+  const { com, span, halflife } = options;
+  const given = [com, span, halflife, options.alpha].filter(v => v !== undefined && v !== null);
+  if (given.length !== 1) {
+    throw new Error('Specify exactly one of com, span, halflife or alpha');
+  }
+
+  let alpha = options.alpha;
+  if (com !== undefined && com !== null) {
+    if (!(com >= 0)) throw new Error(`com must be >= 0: ${com}`);
+    alpha = 1 / (1 + com);
+  } else if (span !== undefined && span !== null) {
+    if (!(span >= 1)) throw new Error(`span must be >= 1: ${span}`);
+    alpha = 2 / (span + 1);
+  } else if (halflife !== undefined && halflife !== null) {
+    if (!(halflife > 0)) throw new Error(`halflife must be > 0: ${halflife}`);
+    alpha = 1 - Math.exp(-Math.LN2 / halflife);
+  } else if (!(alpha > 0 && alpha <= 1)) {
+    throw new Error(`alpha must be in (0, 1]: ${alpha}`);
+  }
+
+  return new EwmWindow(toValues(series), alpha, options);
+}
+
+module.exports = {
+  RollingWindow,
+  EwmWindow,
+  rolling,
+  expanding,
+  ewm
+};
@@ -15,6 +15,8 @@ const {
   power
 } = require('../src/math/computation.js');
 
+const { Random, resolveRng } = require('../src/math/random.js');
+
 describe('GCD and LCM', () => {
   describe('gcdRecursive', () => {
     test('gcd(48, 18) = 6', () => {
@@ -118,6 +120,11 @@ describe('Numerical Methods', () => {
       expect(pi).toBeGreaterThan(2.5);
       expect(pi).toBeLessThan(4.0);
     });
+
+    test('a seed makes the estimate reproducible', () => {
+      expect(monteCarloPi(1000, { seed: 1 })).toBe(monteCarloPi(1000, { seed: 1 }));
+      expect(monteCarloPi(1000, { rng: new Random(1) })).toBe(monteCarloPi(1000, { seed: 1 }));
+    });
   });
 
   describe('newtonRaphsonSqrt', () => {
@@ -223,3 +230,48 @@ describe('Basic Math Functions', () => {
     });
   });
 });
+
+describe('Random', () => {
+  test('a seed fixes the sequence (the same in the TypeScript package)', () => {
+    const rng = new Random(42);
+    expect([rng.nextUint32(), rng.nextUint32(), rng.nextUint32()]).toEqual([2837322924, 544945897, 479756282]);
+    expect(rng.seed(42).nextUint32()).toBe(2837322924);
+    // xoshiro128** reference outputs for the state [1, 2, 3, 4]
+    rng.state.set([1, 2, 3, 4]);
+    expect([rng.nextUint32(), rng.nextUint32(), rng.nextUint32()]).toEqual([11520, 0, 5927040]);
+    expect(() => new Random(1.5)).toThrow('Seed must be an integer: 1.5');
+  });
+
+  test('uniform, integer and normal draws follow their distributions', () => {
+    const rng = new Random(7);
+    const uniform = Array.from({ length: 2000 }, () => rng.uniform(-1, 1));
+    expect(Math.min(...uniform)).toBeGreaterThanOrEqual(-1);
+    expect(Math.max(...uniform)).toBeLessThan(1);
+    const dice = new Set(Array.from({ length: 200 }, () => rng.integer(1, 7)));
+    expect([...dice].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    const normal = Array.from({ length: 4000 }, () => rng.normal(10, 2));
+    const mean = normal.reduce((a, b) => a + b, 0) / normal.length;
+    const variance = normal.reduce((a, b) => a + (b - mean) ** 2, 0) / normal.length;
+    expect(mean).toBeCloseTo(10, 0);
+    expect(Math.sqrt(variance)).toBeCloseTo(2, 0);
+  });
+
+  test('choice, sample, shuffle and fork', () => {
+    const rng = new Random(3);
+    const items = [1, 2, 3, 4, 5];
+    expect(items).toContain(rng.choice(items));
+    expect(() => rng.choice([])).toThrow('Cannot choose from an empty array');
+    const picked = rng.sample(items, 3);
+    expect(new Set(picked).size).toBe(3);
+    expect(() => rng.sample(items, 6)).toThrow('Sample size must be an integer from 0 to 5: 6');
+    expect(rng.shuffle(items).sort()).toEqual(items);
+    expect(items).toEqual([1, 2, 3, 4, 5]);
+
+    const a = new Random(9).fork();
+    const b = new Random(9).fork();
+    expect(a.random()).toBe(b.random());
+    expect(new Random(9).fork().random()).not.toBe(new Random(9).random());
+    expect(resolveRng({ rng: a })).toBe(a);
+    expect(resolveRng({ seed: 5 }).random()).toBe(new Random(5).random());
+  });
+});
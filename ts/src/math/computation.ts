@@ -3,6 +3,8 @@
  * TypeScript equivalents of Python implementations
  */
 
+import { resolveRng, RandomOptions } from './random';
+
 /**
  * Greatest Common Divisor using Euclidean algorithm (recursive)
  * @param a - First number
@@ -89,14 +91,16 @@ export function sieveOfEratosthenes(n: number): number[] {
 /**
  * Monte Carlo estimation of Pi
  * @param numSamples - Number of random samples
+ * @param options - rng (a Random) or seed, see random.ts
  * @returns Estimated value of Pi
  */
-export function monteCarloPi(numSamples: number): number {
+export function monteCarloPi(numSamples: number, options: RandomOptions = {}): number {
+  const rng = resolveRng(options);
   let insideCircle = 0;
 
   for (let i = 0; i < numSamples; i++) {
-    const x = Math.random();
-    const y = Math.random();
+    const x = rng.random();
+    const y = rng.random();
 
     if (x * x + y * y <= 1) {
       insideCircle++;
@@ -3,3 +3,4 @@
  */
 
 export * from './computation';
+export * from './random';
@@ -0,0 +1,190 @@
+/**
+ * Seedable Random Numbers
+ * xoshiro128** generator for reproducible stochastic functions
+ *
+ * The generator uses only 32-bit integer arithmetic, so a seed gives the
+ * same sequence in every JavaScript engine and in the JavaScript package.
+ * Functions that use randomness take an options object with rng (a Random,
+ * whose state they advance) or seed (to start a new one); with neither they
+ * use an unseeded Random.
+ */
+
+export interface RandomOptions {
+  /** Generator to draw from (its state advances) */
+  rng?: Random | null;
+  /** Integer seed for a new generator */
+  seed?: number | null;
+}
+
+/**
+ * Rotate a 32-bit integer left
+ * @param x - Value
+ * @param k - Bits to rotate by
+ * @returns Rotated value
+ */
+function rotl(x: number, k: number): number {
+  return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * Pseudo-random number generator (xoshiro128**) seeded through splitmix32
+ */
+export class Random {
+  /** Generator state: four 32-bit words */
+  readonly state = new Uint32Array(4);
+  /** Second normal deviate from the last Box-Muller pair */
+  private spare: number | null = null;
+
+  /**
+   * @param seed - Integer seed (default a random one)
+   */
+  constructor(seed: number | null = null) {
+    this.seed(seed === null ? Math.floor(Math.random() * 4294967296) : seed);
+  }
+
+  /**
+   * Reset the generator to the start of a seed's sequence
+   * @param seed - Integer seed
+   * @returns This generator
+   */
+  seed(seed: number): this {
+    if (!Number.isSafeInteger(seed)) {
+      throw new Error(`Seed must be an integer: ${seed}`);
+    }
+    // splitmix32 spreads the seed (both 32-bit halves) over the state words
+    let x = (seed >>> 0) ^ Math.imul(Math.floor(seed / 4294967296) | 0, 0x9e3779b1);
+    for (let i = 0; i < 4; i++) {
+      x = (x + 0x9e3779b9) | 0;
+      let z = x;
+      z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+      z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+      this.state[i] = z ^ (z >>> 16);
+    }
+    this.spare = null;
+    return this;
+  }
+
+  /**
+   * Next raw output
+   * @returns Unsigned 32-bit integer
+   */
+  nextUint32(): number {
+    const s = this.state;
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result;
+  }
+
+  /**
+   * Uniform number in [0, 1) with 53 random bits, like Math.random
+   * @returns Random number
+   */
+  random(): number {
+    const high = this.nextUint32() >>> 5;
+    const low = this.nextUint32() >>> 6;
+    return (high * 67108864 + low) / 9007199254740992;
+  }
+
+  /**
+   * Uniform number in [low, high)
+   * @param low - Lower bound (default 0)
+   * @param high - Upper bound (default 1)
+   * @returns Random number
+   */
+  uniform(low = 0, high = 1): number {
+    return low + (high - low) * this.random();
+  }
+
+  /**
+   * Uniform integer in [low, high)
+   * @param low - Lower bound
+   * @param high - Upper bound (exclusive)
+   * @returns Random integer
+   */
+  integer(low: number, high: number): number {
+    return low + Math.floor(this.random() * (high - low));
+  }
+
+  /**
+   * Normally distributed number (Box-Muller)
+   * @param mean - Mean (default 0)
+   * @param std - Standard deviation (default 1)
+   * @returns Random number
+   */
+  normal(mean = 0, std = 1): number {
+    if (this.spare !== null) {
+      const z = this.spare;
+      this.spare = null;
+      return mean + std * z;
+    }
+    // 1 - random() is in (0, 1], so the log is finite
+    const r = Math.sqrt(-2 * Math.log(1 - this.random()));
+    const theta = 2 * Math.PI * this.random();
+    this.spare = r * Math.sin(theta);
+    return mean + std * r * Math.cos(theta);
+  }
+
+  /**
+   * Random element of an array
+   * @param items - Non-empty array
+   * @returns Element
+   */
+  choice<T>(items: ArrayLike<T>): T {
+    if (items.length === 0) {
+      throw new Error('Cannot choose from an empty array');
+    }
+    return items[this.integer(0, items.length)];
+  }
+
+  /**
+   * Random elements of an array, without replacement
+   * @param items - Array
+   * @param n - Number of elements, at most items.length
+   * @returns Elements in the order drawn
+   */
+  sample<T>(items: ArrayLike<T>, n: number): T[] {
+    if (!Number.isInteger(n) || n < 0 || n > items.length) {
+      throw new Error(`Sample size must be an integer from 0 to ${items.length}: ${n}`);
+    }
+    const pool = Array.from(items);
+    // Partial Fisher-Yates shuffle: the first n elements are the sample
+    for (let i = 0; i < n; i++) {
+      const j = this.integer(i, pool.length);
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, n);
+  }
+
+  /**
+   * Shuffled copy of an array (Fisher-Yates)
+   * @param items - Array
+   * @returns New array with the elements in random order
+   */
+  shuffle<T>(items: ArrayLike<T>): T[] {
+    return this.sample(items, items.length);
+  }
+
+  /**
+   * Independent generator seeded from this one, e.g. one per restart
+   * @returns New generator (advances this one)
+   */
+  fork(): Random {
+    return new Random(this.nextUint32() * 2097152 + (this.nextUint32() >>> 11));
+  }
+}
+
+/**
+ * Random generator for a function's options
+ * @param options - rng (a Random, used as is) or seed (integer, starts a new Random)
+ * @returns Generator (unseeded when neither is given)
+ */
+export function resolveRng(options: RandomOptions = {}): Random {
+  const { rng = null, seed = null } = options;
+  return rng !== null ? rng : new Random(seed);
+}
@@ -0,0 +1,150 @@
+/**
+ * Categorical Data
+ * Categorical columns, label encoding and one-hot encoding
+ *
+ * A categorical column is a DictionaryColumn with dtype 'category': integer
+ * codes into a list of categories, which may include categories no row
+ * uses. Sorting follows category order; when the categories are ordered,
+ * query comparisons (<, <=, >, >=) follow it too.
+ */
+
+import { Column, Factorized, NumericColumn, DictionaryColumn, encodeColumn, factorizeColumn, isMissing, valueKey } from './columnar';
+
+export interface CategoricalOptions {
+  /** Categories in order (default the distinct values, sorted) */
+  categories?: unknown[] | null;
+  /** Categories have a meaningful order (default false) */
+  ordered?: boolean;
+}
+
+export interface FactorizeOptions {
+  /** Order uniques by value instead of first appearance (default false) */
+  sort?: boolean;
+}
+
+export interface DummyOptions {
+  /** Leave out the first category (default false) */
+  dropFirst?: boolean;
+}
+
+/**
+ * Order inferred categories: numbers and dates by value, strings by code
+ * unit, values of different types grouped by type
+ * @param a - First value
+ * @param b - Second value
+ * @returns Negative, zero or positive
+ */
+function compareCategories(a: unknown, b: unknown): number {
+  const x = (a instanceof Date ? a.getTime() : a) as number;
+  const y = (b instanceof Date ? b.getTime() : b) as number;
+  if (typeof x !== typeof y) return typeof x < typeof y ? -1 : 1;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Category label, e.g. for dummy column names
+ * @param value - Non-missing value
+ * @returns Label (dates as ISO 8601)
+ */
+function formatCategory(value: unknown): string {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+/**
+ * Convert values to a categorical column
+ *
+ * Categories default to the distinct values in sorted order. Values keep
+ * their type and match categories by value (dates by time); values outside
+ * the given categories become missing.
+ *
+ * @param values - Values or an encoded column
+ * @param [options] - categories (list, in order) and ordered (default false)
+ * @returns Column with dtype 'category'
+ */
+export function toCategorical(
+  values: ArrayLike<unknown> | Column,
+  options: CategoricalOptions = {}
+): DictionaryColumn<unknown> {
+  const { categories = null, ordered = false } = options;
+  const column = encodeColumn(values);
+
+  let dictionary: unknown[];
+  if (categories) {
+    dictionary = [...categories];
+    if (new Set(dictionary.map(valueKey)).size !== dictionary.length) {
+      throw new Error('Categories must be unique');
+    }
+  } else {
+    const { uniques } = factorizeColumn(column);
+    const present = uniques.filter(v => !isMissing(v)).sort(compareCategories);
+    // Object columns hash dates by reference, so equal dates can repeat
+    dictionary = present.filter((value, u) => u === 0 || valueKey(value) !== valueKey(present[u - 1]));
+  }
+
+  const lookup = new Map(dictionary.map((value, code) => [valueKey(value), code]));
+  const codes = new Int32Array(column.length);
+  for (let i = 0; i < codes.length; i++) {
+    const value = column.get(i);
+    const code = isMissing(value) ? undefined : lookup.get(valueKey(value));
+    codes[i] = code === undefined ? -1 : code;
+  }
+  return new DictionaryColumn(codes, dictionary, 'category', ordered);
+}
+
+/**
+ * Encode values as integer labels (pandas factorize)
+ *
+ * Missing values get code -1. Codes follow first appearance, or sorted
+ * order with sort; categorical columns keep their category codes and
+ * return every category.
+ *
+ * @param values - Values or an encoded column
+ * @param [options] - sort (order uniques by value, default false)
+ * @returns Code per row and distinct values
+ */
+export function factorize(values: ArrayLike<unknown> | Column, options: FactorizeOptions = {}): Factorized {
+  const { sort = false } = options;
+  const column = encodeColumn(values);
+  if (column.kind === 'dictionary' && column.dtype === 'category') {
+    return { codes: Int32Array.from(column.codes), uniques: [...column.dictionary] };
+  }
+
+  const { codes, uniques } = factorizeColumn(column);
+  const kept: number[] = [];
+  for (let u = 0; u < uniques.length; u++) {
+    if (!isMissing(uniques[u])) kept.push(u);
+  }
+  if (sort) kept.sort((u, v) => compareCategories(uniques[u], uniques[v]));
+
+  const remap = new Int32Array(uniques.length).fill(-1);
+  kept.forEach((u, code) => {
+    remap[u] = code;
+  });
+  return { codes: codes.map(c => remap[c]), uniques: kept.map(u => uniques[u]) };
+}
+
+/**
+ * One 0/1 indicator column per category
+ * @param values - Values or an encoded column (categories are inferred unless categorical)
+ * @param [options] - dropFirst (leave out the first category, default false)
+ * @returns Category label and its indicator column; missing rows are 0 everywhere
+ */
+export function dummyColumns(
+  values: ArrayLike<unknown> | Column,
+  options: DummyOptions = {}
+): [string, NumericColumn][] {
+  const { dropFirst = false } = options;
+  const column = encodeColumn(values);
+  const categorical = column.kind === 'dictionary' && column.dtype === 'category' ? column : toCategorical(column);
+  const { codes, dictionary } = categorical;
+
+  const indicators = dictionary.map(() => new Float64Array(codes.length));
+  for (let i = 0; i < codes.length; i++) {
+    if (codes[i] >= 0) indicators[codes[i]][i] = 1;
+  }
+  const result = dictionary.map((category, code): [string, NumericColumn] => [
+    formatCategory(category),
+    new NumericColumn(indicators[code], null, 'int')
+  ]);
+  return dropFirst ? result.slice(1) : result;
+}
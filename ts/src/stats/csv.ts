@@ -0,0 +1,348 @@
+/**
+ * CSV Parsing and Formatting
+ * TypeScript equivalents of pandas read_csv / to_csv
+ */
+
+import { StringDecoder } from 'string_decoder';
+import type { DataRow } from './dataframe';
+import type { Dtype } from './columnar';
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+export interface CSVParseOptions {
+  delimiter?: string;
+  quote?: string;
+  header?: boolean;
+  columns?: string[];
+  inferTypes?: boolean;
+  /** Column name to dtype; these columns skip type inference (DataFrame.fromCSV casts them) */
+  dtype?: Record<string, Dtype>;
+  skipEmptyLines?: boolean;
+  encoding?: BufferEncoding;
+}
+
+export interface CSVFormatOptions {
+  delimiter?: string;
+  header?: boolean;
+  lineTerminator?: string;
+}
+
+export interface CSVResult {
+  columns: string[];
+  rows: DataRow[];
+}
+
+/**
+ * Incremental RFC 4180 parser: feed text in chunks, get completed records back
+ */
+class CSVParser {
+  private field = '';
+  private record: string[] = [];
+  private inQuotes = false;
+  private quotePending = false;
+  private fieldQuoted = false;
+  private skipLineFeed = false;
+
+  /**
+   * @param delimiter - Field delimiter
+   * @param quote - Quote character
+   */
+  constructor(private delimiter: string = ',', private quote: string = '"') {}
+
+  /**
+   * Parse a chunk of text
+   * @param text - Next chunk of input
+   * @returns Records completed by this chunk
+   */
+  push(text: string): string[][] {
+    const records: string[][] = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (this.skipLineFeed) {
+        this.skipLineFeed = false;
+        if (ch === '\n') continue;
+      }
+
+      if (this.inQuotes) {
+        if (this.quotePending) {
+          this.quotePending = false;
+          if (ch === this.quote) {
+            // Doubled quote is an escaped quote
+            this.field += ch;
+            continue;
+          }
+          this.inQuotes = false;
+        } else {
+          if (ch === this.quote) {
+            this.quotePending = true;
+          } else {
+            this.field += ch;
+          }
+          continue;
+        }
+      }
+
+      if (ch === this.quote && this.field === '' && !this.fieldQuoted) {
+        this.inQuotes = true;
+        this.fieldQuoted = true;
+      } else if (ch === this.delimiter) {
+        this.endField();
+      } else if (ch === '\n' || ch === '\r') {
+        this.endField();
+        records.push(this.record);
+        this.record = [];
+        this.skipLineFeed = ch === '\r';
+      } else {
+        this.field += ch;
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Finish parsing
+   * @returns The final record, if the input did not end with a newline
+   */
+  end(): string[][] {
+    if (this.inQuotes && !this.quotePending) {
+      throw new Error('Unterminated quoted field in CSV input');
+    }
+    this.inQuotes = false;
+    this.quotePending = false;
+
+    if (this.field === '' && this.record.length === 0 && !this.fieldQuoted) {
+      return [];
+    }
+    this.endField();
+    const record = this.record;
+    this.record = [];
+    return [record];
+  }
+
+  /**
+   * Close the current field and add it to the current record
+   */
+  private endField(): void {
+    this.record.push(this.field);
+    this.field = '';
+    this.fieldQuoted = false;
+  }
+}
+
+/**
+ * Convert a raw CSV field to a number, boolean or null where possible
+ * @param value - Raw field
+ * @returns Inferred value
+ */
+function inferValue(value: string): unknown {
+  if (value === '') return null;
+  if (NUMBER_PATTERN.test(value)) return Number(value);
+  const lower = value.toLowerCase();
+  if (lower === 'true') return true;
+  if (lower === 'false') return false;
+  return value;
+}
+
+/**
+ * Make header names unique by suffixing repeats with .1, .2, ...
+ * @param names - Raw header names
+ * @returns Unique column names
+ */
+function dedupeColumns(names: string[]): string[] {
+  const seen = new Map<string, number>();
+  return names.map(name => {
+    const count = seen.get(name) || 0;
+    seen.set(name, count + 1);
+    return count === 0 ? name : `${name}.${count}`;
+  });
+}
+
+/**
+ * Turns parsed records into row objects, handling the header line
+ */
+class RowBuilder {
+  columns: string[] | null;
+  private header: boolean;
+  private inferTypes: boolean;
+  private rawColumns: Set<string>;
+  private skipEmptyLines: boolean;
+  private headerPending: boolean;
+  private line = 0;
+
+  /**
+   * @param options - Parse options, see parseCSV
+   */
+  constructor(options: CSVParseOptions) {
+    this.header = options.header !== false;
+    this.inferTypes = options.inferTypes !== false;
+    this.skipEmptyLines = options.skipEmptyLines !== false;
+    this.columns = options.columns ? [...options.columns] : null;
+    // Columns with a declared dtype keep their raw text for the cast
+    this.rawColumns = new Set(Object.keys(options.dtype || {}));
+    this.headerPending = this.header;
+  }
+
+  /**
+   * @param record - Raw fields of one line
+   * @returns Row object, or null for header and skipped lines
+   */
+  add(record: string[]): DataRow | null {
+    this.line++;
+    if (this.skipEmptyLines && record.length === 1 && record[0] === '') {
+      return null;
+    }
+
+    if (this.headerPending) {
+      this.headerPending = false;
+      if (!this.columns) {
+        this.columns = dedupeColumns(record);
+      }
+      return null;
+    }
+    if (!this.columns) {
+      this.columns = record.map((_, i) => String(i));
+    }
+
+    if (record.length > this.columns.length) {
+      throw new Error(
+        `Expected ${this.columns.length} fields but found ${record.length} in record ${this.line}`
+      );
+    }
+
+    const row: DataRow = {};
+    for (let c = 0; c < this.columns.length; c++) {
+      const raw = c < record.length ? record[c] : '';
+      const col = this.columns[c];
+      row[col] = this.inferTypes && !this.rawColumns.has(col) ? inferValue(raw) : raw;
+    }
+    return row;
+  }
+}
+
+/**
+ * Parse CSV text
+ * @param text - CSV text
+ * @param options - Parse options: delimiter (default ','), quote (default '"'),
+ *   header (first line holds column names, default true), columns (overrides
+ *   the header line), inferTypes (numbers, booleans and empty-as-null, default
+ *   true), dtype (columns that skip inference, for DataFrame.fromCSV to cast)
+ *   and skipEmptyLines (default true)
+ * @returns Column names and row objects
+ */
+export function parseCSV(text: string, options: CSVParseOptions = {}): CSVResult {
+  const parser = new CSVParser(options.delimiter, options.quote);
+  const builder = new RowBuilder(options);
+  const rows: DataRow[] = [];
+
+  // Strip a UTF-8 byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (const record of [...parser.push(input), ...parser.end()]) {
+    const row = builder.add(record);
+    if (row) rows.push(row);
+  }
+
+  return { columns: builder.columns || [], rows };
+}
+
+/**
+ * Parse CSV records from a readable stream without buffering the whole input
+ * @param stream - Node readable stream or other async iterable
+ * @param options - Parse options, see parseCSV
+ * @returns Raw records
+ */
+async function* readCSVRecords(
+  stream: AsyncIterable<Buffer | string>,
+  options: CSVParseOptions = {}
+): AsyncGenerator<string[]> {
+  const parser = new CSVParser(options.delimiter, options.quote);
+  const decoder = new StringDecoder(options.encoding || 'utf8');
+  let first = true;
+
+  for await (const chunk of stream) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (first && text.length > 0) {
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+      first = false;
+    }
+    yield* parser.push(text);
+  }
+
+  yield* parser.push(decoder.end());
+  yield* parser.end();
+}
+
+/**
+ * Parse CSV rows from a readable stream, one row object at a time
+ * @param stream - Node readable stream or other async iterable
+ * @param options - Parse options, see parseCSV
+ * @returns Row objects
+ */
+export async function* parseCSVStream(
+  stream: AsyncIterable<Buffer | string>,
+  options: CSVParseOptions = {}
+): AsyncGenerator<DataRow> {
+  const builder = new RowBuilder(options);
+  for await (const record of readCSVRecords(stream, options)) {
+    const row = builder.add(record);
+    if (row) yield row;
+  }
+}
+
+/**
+ * Parse a whole CSV stream
+ * @param stream - Node readable stream or other async iterable
+ * @param options - Parse options, see parseCSV
+ * @returns Column names and row objects
+ */
+export async function readCSVStream(
+  stream: AsyncIterable<Buffer | string>,
+  options: CSVParseOptions = {}
+): Promise<CSVResult> {
+  const builder = new RowBuilder(options);
+  const rows: DataRow[] = [];
+  for await (const record of readCSVRecords(stream, options)) {
+    const row = builder.add(record);
+    if (row) rows.push(row);
+  }
+  return { columns: builder.columns || [], rows };
+}
+
+/**
+ * Format a single value as a CSV field
+ * @param value - Cell value
+ * @param delimiter - Field delimiter
+ * @returns Field text, quoted if needed
+ */
+function formatField(value: unknown, delimiter: string): string {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format rows as CSV text
+ * @param rows - Array of row objects
+ * @param columns - Columns to write, in order
+ * @param options - Format options: delimiter (default ','), header (default
+ *   true) and lineTerminator (default '\n')
+ * @returns CSV text
+ */
+export function formatCSV(rows: DataRow[], columns: string[], options: CSVFormatOptions = {}): string {
+  const { delimiter = ',', header = true, lineTerminator = '\n' } = options;
+  const lines: string[] = [];
+
+  if (header) {
+    lines.push(columns.map(col => formatField(col, delimiter)).join(delimiter));
+  }
+  for (const row of rows) {
+    lines.push(columns.map(col => formatField(row[col], delimiter)).join(delimiter));
+  }
+
+  return lines.length > 0 ? lines.join(lineTerminator) + lineTerminator : '';
+}
@@ -3,38 +3,353 @@
  * TypeScript equivalents of Pandas DataFrame operations
  */
 
+import { mean, std, median, correlation } from './statistical';
+import { Random } from '../math/random';
+import { parseCSV, readCSVStream, formatCSV, CSVParseOptions, CSVFormatOptions, CSVResult } from './csv';
+import { Column, Dtype, DatetimeColumn, DictionaryColumn, Factorized, NumericColumn, ObjectColumn, encodeColumn, encodeRows, factorizeColumn, isMissing, valueKey } from './columnar';
+import { parseQuery, RowPredicate } from './query';
+import { toDatetime, parseFrequency, floorDate, addPeriods } from './timeseries';
+import {
+  rolling,
+  expanding,
+  ewm,
+  RollingWindow,
+  EwmWindow,
+  RollingOptions,
+  ExpandingOptions,
+  EwmOptions
+} from './window';
+import { fillMissing, interpolate, FillSpec, InterpolateOptions } from './missing';
+import { castColumn, validateColumn, Schema, ValidationRule } from './dtypes';
+import { toCategorical, factorize, dummyColumns, CategoricalOptions, FactorizeOptions } from './categorical';
+import { readQuery, writeTable, SQLDatabase, SQLParams, SQLWriteOptions } from './sql';
+import { parseJSONL, readJSONLStream, formatJSONL, jsonNormalize, JSONLParseOptions } from './json';
+import { truncatePositions, formatCell, formatText, formatMarkdown, formatHTML, CellAlign, DisplayGrid } from './display';
+import {
+  stringColumn,
+  mapStrings,
+  stringLengths,
+  containsPattern,
+  replacePattern,
+  padStrings,
+  splitStrings,
+  extractGroups,
+  PatternOptions,
+  PadOptions,
+  Replacement
+} from './strings';
+
 export type DataRow = Record<string, unknown>;
 
+export interface FrameWindowOptions {
+  /** Columns to transform (default all numeric columns) */
+  columns?: string[] | null;
+}
+
+export interface FrameRollingOptions extends Omit<RollingOptions, 'times'>, FrameWindowOptions {
+  /** Date column holding the times for a time-based window such as '5m' */
+  on?: string | null;
+}
+
+export interface DropNaOptions {
+  /** 'any' (default) drops rows with any missing value, 'all' only rows with every value missing */
+  how?: 'any' | 'all';
+  /** Keep rows with at least this many present values, overrides how */
+  thresh?: number | null;
+  /** Columns to check (default all) */
+  subset?: string[] | null;
+}
+
+export interface FrameInterpolateOptions extends InterpolateOptions, FrameWindowOptions {}
+
+export interface ValidationError {
+  /** Row label (the position when no index is set), or null for a missing column */
+  row: unknown;
+  column: string;
+  rule: ValidationRule;
+  value: unknown;
+  /** Label of the first occurrence, for unique violations */
+  duplicateOf?: unknown;
+  message: string;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  /** Violations ordered by row */
+  errors: ValidationError[];
+}
+
+export interface DummiesOptions {
+  /** Leave out the first category (default false) */
+  dropFirst?: boolean;
+  /** Indicator name prefix, or column to prefix (default the column name) */
+  prefix?: string | Record<string, string> | null;
+  /** Separator between prefix and category (default '_') */
+  prefixSep?: string;
+}
+
+/** Partitions and row order for the analytic methods, see windowPartitions */
+export interface WindowSpec {
+  /** Key column(s); each partition is processed separately */
+  partitionBy?: string | string[] | null;
+  /** Column(s) to order rows by within a partition (default row order) */
+  orderBy?: string | string[] | null;
+  /** Sort order for orderBy, per column or for all (default true) */
+  ascending?: boolean | boolean[];
+}
+
+export interface AnalyticOptions extends WindowSpec {
+  /** Output column (default the input column, or 'rowNumber') */
+  name?: string;
+}
+
+export type RankMethod = 'average' | 'min' | 'max' | 'dense' | 'first';
+
+export interface RankOptions extends Omit<AnalyticOptions, 'orderBy'> {
+  /** How tied rows are ranked (default 'average') */
+  method?: RankMethod;
+}
+
+export interface MeltOptions {
+  /** Name of the column holding the variable names (default 'variable') */
+  varName?: string;
+  /** Name of the column holding the values (default 'value') */
+  valueName?: string;
+}
+
+export interface StackOptions {
+  /** Separator between the outer and inner column label (default '_') */
+  sep?: string;
+  /** Name of the inner label column (default 'level') */
+  name?: string;
+  /** Skip rows whose stacked values are all missing (default true) */
+  dropna?: boolean;
+}
+
+export interface UnstackOptions {
+  /** Separator between column and value in the new labels (default '_') */
+  sep?: string;
+}
+
+export interface CSVReadOptions extends CSVParseOptions {
+  /** Columns to read as dates, see toDatetime */
+  parseDates?: string | string[];
+}
+
+export interface SQLReadOptions {
+  /** Column name to dtype, e.g. 'bool' for 0/1 columns */
+  dtype?: Record<string, Dtype>;
+  /** Columns to read as dates, see toDatetime */
+  parseDates?: string | string[];
+}
+
+export interface DisplayOptions {
+  /** Most rows to show, the first and last halves (null for all) */
+  maxRows?: number | null;
+  /** Most columns to show, the first and last halves (null for all) */
+  maxCols?: number | null;
+  /** Decimal places for non-integer numbers (default 6) */
+  precision?: number;
+  /** Show the index */
+  index?: boolean;
+}
+
+export interface StringAccessorOptions {
+  /** Column for the results (default the column itself) */
+  name?: string;
+}
+
+export interface SplitOptions {
+  /** Put part i in column `${name}_${i}` instead of an array in the column (default false) */
+  expand?: boolean;
+  /** Most splits (default -1, for all); the rest stays in the last part */
+  n?: number;
+}
+
+export interface JSONLReadOptions extends JSONLParseOptions {
+  /** Flatten nested objects into joined column names, see jsonNormalize (default false) */
+  normalize?: boolean;
+  /** Separator between nested keys when normalizing (default '.') */
+  sep?: string;
+  /** Column name to dtype, cast with astype */
+  dtype?: Record<string, Dtype>;
+  /** Columns to read as dates, see toDatetime */
+  parseDates?: string | string[];
+}
+
 /**
  * Simple DataFrame class for tabular data operations
+ *
+ * Data is stored column by column (see columnar.ts): numbers in
+ * Float64Arrays, strings dictionary-encoded, everything else as plain
+ * arrays. The array-of-rows form is built on first access and cached.
+ *
+ * Methods return new DataFrame instances so operations can be chained,
+ * e.g. df.filter('city', 'NYC').sortValues('age').select(['name', 'age'])
  */
 export class DataFrame {
-  data: DataRow[];
   columns: string[];
+  private store: Map<string, Column>;
+  private rowCount: number;
+  private rowCache: DataRow[] | null;
+  // Row labels; null means the default 0..n-1 positions
+  private indexColumn: Column | null = null;
+  indexName: string | null = null;
+  private indexLookup: Map<unknown, number[]> | null = null;
 
-  constructor(data: DataRow[] | Record<string, unknown[]>) {
+  /**
+   * @param data - Array of row objects or object of column arrays
+   * @param columns - Column names and order (inferred when omitted)
+   * @param dtypes - Column name to declared dtype, see astype (inferred when omitted)
+   */
+  constructor(
+    data: DataRow[] | Record<string, ArrayLike<unknown> | Column>,
+    columns: string[] | null = null,
+    dtypes: Record<string, Dtype> | null = null
+  ) {
     if (Array.isArray(data)) {
       // Array of objects format
-      this.data = data;
-      this.columns = data.length > 0 ? Object.keys(data[0]) : [];
+      this.columns = columns || (data.length > 0 ? Object.keys(data[0]) : []);
+      this.store = encodeRows(data, this.columns);
+      this.rowCount = data.length;
+      // Rows are rebuilt from the columns, so missing values read back as null
+      this.rowCache = null;
     } else {
-      // Object of arrays format
-      const columns = Object.keys(data);
-      const length = columns.length > 0 ? (data[columns[0]] as unknown[]).length : 0;
-      this.data = [];
-      for (let i = 0; i < length; i++) {
-        const row: DataRow = {};
-        for (const col of columns) {
-          row[col] = (data[col] as unknown[])[i];
+      // Object of arrays (or encoded columns) format
+      const columnData = data as Record<string, ArrayLike<unknown> | Column>;
+      this.columns = columns || Object.keys(columnData);
+      this.store = new Map();
+      for (const col of this.columns) {
+        this.store.set(col, encodeColumn(columnData[col]));
+      }
+      this.rowCount = this.columns.length > 0 ? this.getColumn(this.columns[0]).length : 0;
+      for (const col of this.columns) {
+        if (this.getColumn(col).length !== this.rowCount) {
+          throw new Error('All columns must have the same length');
         }
-        this.data.push(row);
       }
-      this.columns = columns;
+      this.rowCache = null;
+    }
+
+    for (const [col, dtype] of Object.entries(dtypes || {})) {
+      this.store.set(col, castColumn(this.getColumn(col), dtype));
+    }
+  }
+
+  /**
+   * Create a DataFrame from CSV text
+   * @param text - CSV text
+   * @param options - Parse options, see parseCSV (dtype columns are cast with astype),
+   *   plus parseDates (columns to read as dates)
+   * @returns Parsed DataFrame
+   */
+  static fromCSV(text: string, options: CSVReadOptions = {}): DataFrame {
+    const { columns, rows } = parseCSV(text, options);
+    const df = new DataFrame(rows, columns, options.dtype);
+    return options.parseDates ? df.toDatetime(options.parseDates) : df;
+  }
+
+  /**
+   * Create a DataFrame from a CSV readable stream
+   * @param stream - Node readable stream
+   * @param options - Parse options, see parseCSV (dtype columns are cast with astype),
+   *   plus parseDates (columns to read as dates)
+   * @returns Parsed DataFrame
+   */
+  static async fromCSVStream(
+    stream: AsyncIterable<Buffer | string>,
+    options: CSVReadOptions = {}
+  ): Promise<DataFrame> {
+    const { columns, rows } = await readCSVStream(stream, options);
+    const df = new DataFrame(rows, columns, options.dtype);
+    return options.parseDates ? df.toDatetime(options.parseDates) : df;
+  }
+
+  /**
+   * Create a DataFrame from the rows of a SQL query, see readQuery
+   * @param db - better-sqlite3 Database
+   * @param query - SQL query returning rows
+   * @param params - Positional (array) or named (object) parameters
+   * @param options - dtype (column name to dtype, e.g. 'bool' for 0/1 columns)
+   *   and parseDates (columns to read as dates)
+   * @returns Query result
+   */
+  static fromSQL(
+    db: SQLDatabase,
+    query: string,
+    params: SQLParams | null = null,
+    options: SQLReadOptions = {}
+  ): DataFrame {
+    const { columns, rows } = readQuery(db, query, params);
+    const df = new DataFrame(rows, columns, options.dtype);
+    return options.parseDates ? df.toDatetime(options.parseDates) : df;
+  }
+
+  /**
+   * Create a DataFrame from JSON Lines text or a readable stream, see parseJSONL
+   * @param input - JSON Lines text or Node readable stream
+   * @param options - normalize (flatten nested objects, see jsonNormalize; default false),
+   *   sep (default '.'), dtype (column name to dtype), parseDates (columns to read as dates) and encoding
+   * @returns Parsed DataFrame (a promise for streams)
+   */
+  static fromJSONL(input: string, options?: JSONLReadOptions): DataFrame;
+  static fromJSONL(input: AsyncIterable<Buffer | string>, options?: JSONLReadOptions): Promise<DataFrame>;
+  static fromJSONL(
+    input: string | AsyncIterable<Buffer | string>,
+    options: JSONLReadOptions = {}
+  ): DataFrame | Promise<DataFrame> {
+    if (typeof input !== 'string') {
+      return readJSONLStream(input, options).then(result => jsonlFrame(result, options));
     }
+    return jsonlFrame(parseJSONL(input), options);
   }
 
   get length(): number {
-    return this.data.length;
+    return this.rowCount;
+  }
+
+  /**
+   * Row labels (row positions when no index is set)
+   * @returns One label per row
+   */
+  get index(): unknown[] {
+    if (!this.indexColumn) {
+      return Array.from({ length: this.rowCount }, (_, i) => i);
+    }
+    return this.indexColumn.toArray();
+  }
+
+  /**
+   * Dtype of every column: 'int', 'float', 'bool', 'string', 'category',
+   * 'datetime' or 'object' (mixed values)
+   * @returns Column name to dtype
+   */
+  get dtypes(): Record<string, Dtype> {
+    const result: Record<string, Dtype> = {};
+    for (const col of this.columns) {
+      result[col] = this.getColumn(col).dtype;
+    }
+    return result;
+  }
+
+  /**
+   * Rows as objects, materialized from the columns on first access
+   * @returns Array of row objects
+   */
+  get data(): DataRow[] {
+    if (!this.rowCache) {
+      const columns = this.columns.map(col => this.getColumn(col));
+      const rows: DataRow[] = new Array(this.rowCount);
+      for (let i = 0; i < this.rowCount; i++) {
+        const row: DataRow = {};
+        for (let c = 0; c < columns.length; c++) {
+          row[this.columns[c]] = columns[c].get(i);
+        }
+        rows[i] = row;
+      }
+      this.rowCache = rows;
+    }
+    return this.rowCache;
   }
 
   toArray(): DataRow[] {
@@ -44,134 +359,2377 @@ export class DataFrame {
   toObject(): Record<string, unknown[]> {
     const result: Record<string, unknown[]> = {};
     for (const col of this.columns) {
-      result[col] = this.data.map(row => row[col]);
+      result[col] = this.getColumn(col).toArray();
     }
     return result;
   }
-}
 
-/**
- * Filter DataFrame rows by column value
- * @param df - Array of row objects
- * @param column - Column name
- * @param value - Value to filter by
- * @returns Filtered rows
- */
-export function dataframeFilter(df: DataRow[], column: string, value: unknown): DataRow[] {
-  const result: DataRow[] = [];
+  /**
+   * Encoded storage for a column
+   * @param name - Column name
+   * @returns Column storage
+   */
+  getColumn(name: string): Column {
+    const column = this.store.get(name);
+    if (!column) {
+      throw new Error(`Unknown column: ${name}`);
+    }
+    return column;
+  }
 
-  for (const row of df) {
-    if (row[column] === value) {
-      result.push({ ...row });
+  /**
+   * Values of a column
+   * @param name - Column name
+   * @returns Column values
+   */
+  column(name: string): unknown[] {
+    return this.getColumn(name).toArray();
+  }
+
+  /**
+   * Values of a numeric column without copying (null is NaN)
+   * @param name - Column name
+   * @returns Column values
+   */
+  numeric(name: string): Float64Array {
+    const column = this.getColumn(name);
+    if (column.kind !== 'numeric') {
+      throw new Error(`Column is not numeric: ${name}`);
     }
+    return column.values;
   }
 
-  return result;
-}
+  /**
+   * Numeric columns as a row-major matrix, e.g. for kmeansClustering
+   * @param columns - Columns to include (default all)
+   * @returns One array per row (null is NaN)
+   */
+  toMatrix(columns: string[] | null = null): number[][] {
+    const values = (columns || this.columns).map(col => this.numeric(col));
+    return Array.from({ length: this.rowCount }, (_, i) => values.map(column => column[i]));
+  }
 
-/**
- * Group by and compute mean
- * @param df - Array of row objects
- * @param groupCol - Column to group by
- * @param valueCol - Column to aggregate
- * @returns Group to mean mapping
- */
-export function groupbyMean(df: DataRow[], groupCol: string, valueCol: string): Record<string, number> {
-  const groups: Record<string, { sum: number; count: number }> = {};
+  /**
+   * Category positions of an ordered categorical column, used by query
+   * comparisons
+   * @param name - Column name
+   * @returns Category (by valueKey) to position, or null if the column is not an ordered categorical
+   */
+  categoryRanks(name: string): Map<unknown, number> | null {
+    const column = this.store.get(name);
+    return column && column.kind === 'dictionary' && column.ordered ? column.ranks() : null;
+  }
+
+  /**
+   * Select rows by position
+   * @param indices - Row positions, in output order
+   * @returns DataFrame with the selected rows
+   */
+  take(indices: ArrayLike<number>): DataFrame {
+    const data: Record<string, Column> = {};
+    for (const col of this.columns) {
+      data[col] = this.getColumn(col).take(indices);
+    }
+    return new DataFrame(data, this.columns).adoptIndex(this, indices);
+  }
+
+  /**
+   * Copy the index of another frame onto this one (used after building a derived frame)
+   * @param source - Frame to copy the index from
+   * @param indices - Row positions taken from source
+   * @returns This DataFrame
+   */
+  private adoptIndex(source: DataFrame, indices: ArrayLike<number> | null = null): DataFrame {
+    if (source.indexColumn) {
+      this.indexColumn = indices ? source.indexColumn.take(indices) : source.indexColumn;
+      this.indexName = source.indexName;
+    }
+    return this;
+  }
+
+  /**
+   * Row positions carrying a label
+   * @param label - Row label
+   * @returns Matching row positions
+   */
+  private labelPositions(label: unknown): number[] {
+    if (!this.indexColumn) {
+      const i = label as number;
+      return Number.isInteger(i) && i >= 0 && i < this.rowCount ? [i] : [];
+    }
+    if (!this.indexLookup) {
+      this.indexLookup = new Map();
+      for (let i = 0; i < this.rowCount; i++) {
+        const key = labelKey(this.indexColumn.get(i));
+        const positions = this.indexLookup.get(key);
+        if (positions) {
+          positions.push(i);
+        } else {
+          this.indexLookup.set(key, [i]);
+        }
+      }
+    }
+    return this.indexLookup.get(labelKey(label)) || [];
+  }
+
+  /**
+   * Use a column (or an array of labels) as the row index
+   * @param keys - Column name, or one label per row
+   * @param drop - Remove the column from the data (default true)
+   * @returns DataFrame indexed by the labels
+   */
+  setIndex(keys: string | unknown[], drop: boolean = true): DataFrame {
+    let labels: Column;
+    let name: string | null = null;
+    let columns = this.columns;
+    if (Array.isArray(keys)) {
+      if (keys.length !== this.rowCount) {
+        throw new Error('Index length must match number of rows');
+      }
+      labels = encodeColumn(keys);
+    } else {
+      const key = keys as string;
+      labels = this.getColumn(key);
+      name = key;
+      if (drop) columns = columns.filter(col => col !== key);
+    }
+
+    const result = this.select(columns);
+    result.indexColumn = labels;
+    result.indexName = name;
+    return result;
+  }
+
+  /**
+   * Move the index back into the data as the first column
+   * @param drop - Discard the index instead (default false)
+   * @returns DataFrame with the default index
+   */
+  resetIndex(drop: boolean = false): DataFrame {
+    const data: Record<string, ArrayLike<unknown> | Column> = {};
+    const columns = [...this.columns];
+    if (!drop) {
+      const name = this.indexName ?? 'index';
+      if (columns.includes(name)) {
+        throw new Error(`Cannot insert ${name}, already exists`);
+      }
+      data[name] = this.indexColumn || Float64Array.from(this.index as number[]);
+      columns.unshift(name);
+    }
+    for (const col of this.columns) {
+      data[col] = this.getColumn(col);
+    }
+    return new DataFrame(data, columns);
+  }
+
+  /**
+   * Select rows by label
+   * @param labels - A label (returns the row) or array of labels (returns a DataFrame)
+   * @param columns - Columns to keep
+   * @returns Row object or DataFrame
+   */
+  loc(labels: unknown[], columns?: string[] | null): DataFrame;
+  loc(label: unknown, columns?: string[] | null): DataRow;
+  loc(labels: unknown, columns: string[] | null = null): DataRow | DataFrame {
+    const frame = columns ? this.select(columns) : this;
+    if (Array.isArray(labels)) {
+      const indices: number[] = [];
+      for (const label of labels) {
+        const positions = this.labelPositions(label);
+        if (positions.length === 0) {
+          throw new Error(`Label not found: ${label}`);
+        }
+        indices.push(...positions);
+      }
+      return frame.take(indices);
+    }
+
+    const positions = this.labelPositions(labels);
+    if (positions.length === 0) {
+      throw new Error(`Label not found: ${labels}`);
+    }
+    if (positions.length > 1) {
+      throw new Error(`Label is not unique: ${labels}`);
+    }
+    return rowAt(frame, positions[0]);
+  }
+
+  /**
+   * Select rows by position (negative positions count from the end)
+   * @param positions - A position (returns the row) or array of positions (returns a DataFrame)
+   * @returns Row object or DataFrame
+   */
+  iloc(positions: number[]): DataFrame;
+  iloc(position: number): DataRow;
+  iloc(positions: number | number[]): DataRow | DataFrame {
+    const resolve = (p: number): number => {
+      const i = p < 0 ? this.rowCount + p : p;
+      if (!Number.isInteger(i) || i < 0 || i >= this.rowCount) {
+        throw new Error(`Position out of bounds: ${p}`);
+      }
+      return i;
+    };
+    if (Array.isArray(positions)) {
+      return this.take(positions.map(resolve));
+    }
+    return rowAt(this, resolve(positions));
+  }
+
+  /**
+   * First n rows
+   * @param n - Number of rows (default 5); negative n keeps all but the last -n
+   * @returns Leading rows
+   */
+  head(n = 5): DataFrame {
+    const end = n < 0 ? Math.max(this.rowCount + n, 0) : Math.min(n, this.rowCount);
+    return this.take(Array.from({ length: end }, (_, i) => i));
+  }
+
+  /**
+   * Last n rows
+   * @param n - Number of rows (default 5); negative n keeps all but the first -n
+   * @returns Trailing rows
+   */
+  tail(n = 5): DataFrame {
+    const start = n < 0 ? Math.min(-n, this.rowCount) : Math.max(this.rowCount - n, 0);
+    return this.take(Array.from({ length: this.rowCount - start }, (_, i) => start + i));
+  }
+
+  /**
+   * Random rows, without replacement
+   * @param n - Number of rows (default 1)
+   * @param seed - Seed, or a Random to draw from, for a reproducible sample (default unseeded)
+   * @returns Sampled rows, in the order drawn
+   */
+  sample(n = 1, seed: number | Random | null = null): DataFrame {
+    const rng = seed instanceof Random ? seed : new Random(seed);
+    return this.take(rng.sample(Array.from({ length: this.rowCount }, (_, i) => i), n));
+  }
+
+  /**
+   * Add or replace a column
+   * @param name - Column name
+   * @param values - One value per row
+   * @returns New DataFrame with the column set
+   */
+  withColumn(name: string, values: ArrayLike<unknown> | Column): DataFrame {
+    const data: Record<string, ArrayLike<unknown> | Column> = {};
+    for (const col of this.columns) {
+      data[col] = this.getColumn(col);
+    }
+    data[name] = values;
+    return new DataFrame(data, appendColumn(this.columns, name)).adoptIndex(this);
+  }
+
+  /**
+   * Format as CSV text
+   * @param options - Format options, see formatCSV
+   * @returns CSV text
+   */
+  toCSV(options: CSVFormatOptions = {}): string {
+    return formatCSV(this.data, this.columns, options);
+  }
+
+  /**
+   * Format as JSON Lines text, one object per row
+   * @returns JSON Lines text (missing values as null, dates as ISO 8601)
+   */
+  toJSONL(): string {
+    return formatJSONL(this.data, this.columns);
+  }
+
+  /**
+   * Format as an aligned text table, with the index on the left
+   *
+   * Frames with more than maxRows rows (or maxCols columns) show the first
+   * and last halves with a '...' row (or column) between them, followed by
+   * the full shape.
+   *
+   * @param options - maxRows (default 20), maxCols (default 10), precision
+   *   (default 6) and index (default true)
+   * @returns Text table
+   */
+  toString(options: DisplayOptions = {}): string {
+    return formatText(this.displayGrid({ maxRows: 20, maxCols: 10, index: true, ...options }));
+  }
+
+  /**
+   * Format as a Markdown table
+   * @param options - maxRows and maxCols (default null, for all), precision (default 6)
+   *   and index (default true when an index is set), see toString
+   * @returns GitHub-flavored Markdown table
+   */
+  toMarkdown(options: DisplayOptions = {}): string {
+    return formatMarkdown(this.displayGrid({ maxRows: null, maxCols: null, index: this.indexColumn !== null, ...options }));
+  }
+
+  /**
+   * Format as an HTML table
+   * @param options - maxRows and maxCols (default null, for all), precision (default 6)
+   *   and index (default true when an index is set), see toString
+   * @returns HTML table with escaped cell text
+   */
+  toHTML(options: DisplayOptions = {}): string {
+    return formatHTML(this.displayGrid({ maxRows: null, maxCols: null, index: this.indexColumn !== null, ...options }));
+  }
+
+  /**
+   * Formatted cells for the table renderers in display.ts
+   * @param options - maxRows, maxCols, precision and index, see toString
+   * @returns Header, rows, alignment and shape
+   */
+  private displayGrid(options: DisplayOptions): DisplayGrid {
+    const { maxRows = null, maxCols = null, precision = 6, index = false } = options;
+    const rowPositions = truncatePositions(this.rowCount, maxRows);
+    const colPositions = truncatePositions(this.columns.length, maxCols);
+
+    const header: string[] = [];
+    const align: CellAlign[] = [];
+    const getters: ((i: number) => unknown)[] = [];
+    if (index) {
+      header.push(this.indexName === null ? '' : String(this.indexName));
+      align.push('left');
+      getters.push(i => (this.indexColumn ? this.indexColumn.get(i) : i));
+    }
+    for (const c of colPositions) {
+      if (c < 0) {
+        header.push('...');
+        align.push('left');
+        getters.push(() => '...');
+        continue;
+      }
+      const column = this.getColumn(this.columns[c]);
+      header.push(this.columns[c]);
+      align.push(column.dtype === 'int' || column.dtype === 'float' ? 'right' : 'left');
+      getters.push(i => column.get(i));
+    }
+
+    const rows = rowPositions.map(i => (i < 0 ? null : getters.map(get => formatCell(get(i), precision))));
+    const truncated = rowPositions.includes(-1) || colPositions.includes(-1);
+    return { header, rows, align, index, shape: truncated ? [this.rowCount, this.columns.length] : null };
+  }
+
+  /**
+   * Write to a SQLite table, see writeTable
+   * @param db - better-sqlite3 Database
+   * @param table - Table name
+   * @param options - ifExists ('fail', 'replace' or 'append'), dtypeMap and batchSize
+   * @returns Number of rows written
+   */
+  toSQL(db: SQLDatabase, table: string, options: SQLWriteOptions = {}): number {
+    return writeTable(db, table, this.columns, this.columns.map(col => this.getColumn(col)), options);
+  }
+
+  /**
+   * Filter rows by column value or row predicate
+   *
+   * Predicates can be built with col/and/or/not from query.ts,
+   * e.g. df.filter(and(col('age').gt(30), col('city').isin(['NYC', 'LA'])))
+   *
+   * @param column - Column name, or predicate (row, i, frame) => boolean
+   * @param value - Value to match when filtering by column
+   * @returns Filtered DataFrame
+   */
+  filter(column: string | RowPredicate, value?: unknown): DataFrame {
+    const indices: number[] = [];
+    if (typeof column === 'function') {
+      const rows = this.data;
+      for (let i = 0; i < rows.length; i++) {
+        if (column(rows[i], i, this)) indices.push(i);
+      }
+    } else {
+      const col = this.getColumn(column);
+      if (col.kind === 'dictionary') {
+        // Compare integer codes instead of values
+        const code = isMissing(value) ? -1 : (col.ranks().get(valueKey(value)) ?? -1);
+        if (code !== -1 || isMissing(value)) {
+          for (let i = 0; i < col.codes.length; i++) {
+            if (col.codes[i] === code) indices.push(i);
+          }
+        }
+      } else if (isMissing(value)) {
+        for (let i = 0; i < this.rowCount; i++) {
+          if (isMissing(col.get(i))) indices.push(i);
+        }
+      } else {
+        for (let i = 0; i < this.rowCount; i++) {
+          if (col.get(i) === value) indices.push(i);
+        }
+      }
+    }
+    return this.take(indices);
+  }
+
+  /**
+   * Filter rows with a query string, e.g. "age > 30 and city == 'NYC'"
+   * @param expr - Query expression (see parseQuery)
+   * @param params - Values for @name references in the expression
+   * @returns Filtered DataFrame
+   */
+  query(expr: string, params: Record<string, unknown> = {}): DataFrame {
+    const predicate = parseQuery(expr, params);
+    // A misspelt column would otherwise read as undefined and match nothing
+    for (const name of predicate.columns) this.getColumn(name);
+    return this.filter(predicate);
+  }
+
+  /**
+   * Group by a column and compute the mean of another
+   * @param groupCol - Column to group by
+   * @param valueCol - Column to aggregate
+   * @returns One row per group with [groupCol, valueCol]
+   */
+  groupbyMean(groupCol: string, valueCol: string): DataFrame {
+    const { keys, means } = columnGroupMeans(this, groupCol, valueCol);
+    return new DataFrame({ [groupCol]: keys, [valueCol]: means }, [groupCol, valueCol]);
+  }
+
+  /**
+   * Pearson correlation between all numeric columns
+   * @returns Correlation matrix as object
+   */
+  corr(): Record<string, Record<string, number>> {
+    const numeric: Record<string, Float64Array> = {};
+    for (const col of this.columns) {
+      if (this.getColumn(col).kind === 'numeric') {
+        numeric[col] = this.numeric(col);
+      }
+    }
+    return correlation(numeric);
+  }
+
+  /**
+   * Group rows by one or more key columns
+   * @param keys - Column(s) to group by
+   * @returns Grouped view supporting agg()
+   */
+  groupby(keys: string | string[]): GroupBy {
+    return new GroupBy(this, keys);
+  }
+
+  /**
+   * Merge with another DataFrame
+   * @param other - Right dataframe
+   * @param leftOn - Left join column(s)
+   * @param rightOn - Right join column(s) (defaults to leftOn)
+   * @param options - Join options, see dataframeMerge
+   * @returns Merged DataFrame
+   */
+  merge(
+    other: DataFrame | DataRow[],
+    leftOn: string | string[] | null,
+    rightOn: string | string[] | null = leftOn,
+    options: MergeOptions = {}
+  ): DataFrame {
+    const right = toFrame(other);
+    const join = hashJoin(this.data, right.data, this.columns, right.columns, leftOn, rightOn, options);
+    const { leftPositions, rightPositions } = join;
+    const rightOnly = leftPositions.includes(-1);
+    const data: Record<string, ArrayLike<unknown> | Column> = {};
+    this.columns.forEach((col, c) => {
+      const column = this.getColumn(col);
+      const k = join.leftKeys.indexOf(col);
+      if (k === -1 || !rightOnly) {
+        data[join.leftNames[c]] = column.take(leftPositions);
+        return;
+      }
+      // Rows only on the right take their key from the right key column
+      const picks = leftPositions.map((l, i): [number, number] => (l < 0 ? [1, rightPositions[i]] : [0, l]));
+      data[join.leftNames[c]] = gatherColumns([column, right.getColumn(join.rightKeys[k])], picks);
+    });
+    join.rightValueCols.forEach((col, c) => {
+      data[join.rightNames[c]] = right.getColumn(col).take(rightPositions);
+    });
+    if (join.indicatorName) data[join.indicatorName] = join.statuses;
+    return new DataFrame(data, join.columns);
+  }
+
+  /**
+   * Reshape long to wide without aggregating (pandas pivot)
+   *
+   * Each distinct value of columns becomes a column holding the values
+   * column, named by the value; with several values columns the names are
+   * `${valuesColumn}_${value}`. A repeated (index, columns) pair is an
+   * error, since pivot does not aggregate (see pivotTable). melt reverses it.
+   *
+   * @param index - Column(s) identifying output rows
+   * @param columns - Column whose values become column labels
+   * @param values - Values column(s) (default all other columns)
+   * @returns One row per index key, index columns first
+   */
+  pivot(index: string | string[], columns: string, values: string | string[] | null = null): DataFrame {
+    const keys = Array.isArray(index) ? index : [index];
+    const names = values === null
+      ? this.columns.filter(col => col !== columns && !keys.includes(col))
+      : Array.isArray(values) ? values : [values];
+    const { groups } = new GroupBy(this, keys);
+    const rowCodes = new Int32Array(this.rowCount);
+    groups.forEach((group, r) => {
+      for (const i of group.indices) rowCodes[i] = r;
+    });
+
+    const label = Array.isArray(values) || names.length > 1
+      ? (name: string, key: unknown) => `${name}_${key}`
+      : (name: string, key: unknown) => String(key);
+    const spread = spreadColumns(this, rowCodes, groups.length, columns, names, label);
+    const first = groups.map(group => group.indices[0]);
+    const data: Record<string, Column> = {};
+    for (const key of keys) {
+      data[key] = this.getColumn(key).take(first);
+    }
+    Object.assign(data, spread.data);
+    return new DataFrame(data, [...keys, ...spread.names]);
+  }
+
+  /**
+   * Create pivot table
+   * @param index - Index column
+   * @param columns - Column to pivot
+   * @param values - Values column(s)
+   * @param aggfunc - Aggregation name, custom function, or one per values column
+   * @param options - Pivot options, see pivotTable
+   * @returns Pivot table as nested object, or DataFrame with asFrame
+   */
+  pivotTable(
+    index: string,
+    columns: string,
+    values: string | string[],
+    aggfunc?: PivotAggFunc,
+    options?: PivotOptions & { asFrame?: false }
+  ): PivotTable;
+  pivotTable(
+    index: string,
+    columns: string,
+    values: string | string[],
+    aggfunc: PivotAggFunc,
+    options: PivotOptions & { asFrame: true }
+  ): DataFrame;
+  pivotTable(
+    index: string,
+    columns: string,
+    values: string | string[],
+    aggfunc: PivotAggFunc = 'sum',
+    options: PivotOptions = {}
+  ): PivotTable | DataFrame {
+    return pivotTable(this, index, columns, values, aggfunc, options);
+  }
+
+  /**
+   * Frequency table of two columns
+   * @param rowCol - Column for table rows
+   * @param colCol - Column for table columns
+   * @param options - Pivot options, see pivotTable
+   * @returns Counts as nested object, or DataFrame with asFrame
+   */
+  crosstab(rowCol: string, colCol: string, options?: PivotOptions & { asFrame?: false }): PivotTable;
+  crosstab(rowCol: string, colCol: string, options: PivotOptions & { asFrame: true }): DataFrame;
+  crosstab(rowCol: string, colCol: string, options: PivotOptions = {}): PivotTable | DataFrame {
+    return crosstab(this, rowCol, colCol, options);
+  }
+
+  /**
+   * Apply function to column
+   * @param column - Column to apply to
+   * @param func - Function to apply
+   * @returns DataFrame with transformed column
+   */
+  apply<T>(column: string, func: (value: unknown) => T): DataFrame {
+    return this.withColumn(column, this.column(column).map(v => func(v)));
+  }
+
+  /**
+   * Boolean mask of missing values (null, undefined or NaN)
+   * @returns DataFrame of booleans with the same columns
+   */
+  isna(): DataFrame {
+    let result: DataFrame = this;
+    for (const col of this.columns) {
+      result = result.withColumn(col, this.column(col).map(isMissing));
+    }
+    return result;
+  }
+
+  /**
+   * Boolean mask of present values
+   * @returns DataFrame of booleans with the same columns
+   */
+  notna(): DataFrame {
+    let result: DataFrame = this;
+    for (const col of this.columns) {
+      result = result.withColumn(col, this.column(col).map(v => !isMissing(v)));
+    }
+    return result;
+  }
+
+  /**
+   * Drop rows with missing values
+   * @param options - how ('any' drops rows with any missing value, 'all'
+   *   only rows with all values missing), thresh (keep rows with at least
+   *   this many present values, overrides how) and subset (columns to check)
+   * @returns DataFrame without the dropped rows
+   */
+  dropna(options: DropNaOptions = {}): DataFrame {
+    const { how = 'any', thresh = null, subset = null } = options;
+    if (how !== 'any' && how !== 'all') {
+      throw new Error(`Invalid how: ${how}`);
+    }
+    const columns = (subset || this.columns).map(col => this.getColumn(col));
+    const needed = thresh ?? (how === 'any' ? columns.length : 1);
+    const indices: number[] = [];
+    for (let i = 0; i < this.rowCount; i++) {
+      let present = 0;
+      for (const column of columns) {
+        if (!isMissing(column.get(i))) present++;
+      }
+      if (present >= needed) indices.push(i);
+    }
+    return this.take(indices);
+  }
+
+  /**
+   * Fill missing values
+   *
+   * Accepts a column and a value, a mapping from column to fill, or a
+   * strategy name for every column. A fill is a constant or
+   * { method, limit } with method 'mean', 'median' (numeric columns),
+   * 'mode', 'ffill' or 'bfill' (see fillMissing).
+   *
+   * @param column - Column to fill, mapping from column to fill, or strategy name
+   * @param value - Fill value when a column is given
+   * @returns DataFrame with filled values
+   */
+  fillna(column: string | Record<string, unknown>, value?: unknown): DataFrame {
+    let fills = column as Record<string, unknown>;
+    if (typeof column === 'string') {
+      if (value !== undefined) {
+        fills = { [column]: value };
+      } else {
+        const numericOnly = column === 'mean' || column === 'median';
+        const columns = numericOnly ? numericColumns(this, null) : this.columns;
+        fills = Object.fromEntries(columns.map(col => [col, { method: column }]));
+      }
+    }
+    let result: DataFrame = this;
+    for (const [col, fill] of Object.entries(fills)) {
+      result = result.withColumn(col, fillColumn(this, col, fill));
+    }
+    return result;
+  }
+
+  /**
+   * Interpolate missing values in numeric columns, see interpolate
+   * @param options - interpolate options (method, order, limit), plus columns (default all numeric columns)
+   * @returns DataFrame with interpolated columns
+   */
+  interpolate(options: FrameInterpolateOptions = {}): DataFrame {
+    const { columns = null, ...rest } = options;
+    return mapNumeric(this, numericColumns(this, columns), values => interpolate(values, rest));
+  }
+
+  /**
+   * Drop duplicate rows
+   * @param subset - Columns to check for duplicates
+   * @returns DataFrame without duplicates
+   */
+  dropDuplicates(subset: string[] | null = null): DataFrame {
+    return this.take(firstOccurrences(this.data, subset));
+  }
+
+  /**
+   * Sort by one or more columns (stable)
+   * @param by - Column(s) to sort by
+   * @param ascending - Sort order, per column or for all
+   * @param options - Sort options, see sortValues
+   * @returns Sorted DataFrame
+   */
+  sortValues(by: string | string[], ascending: boolean | boolean[] = true, options: SortOptions = {}): DataFrame {
+    return this.take(sortOrder(this, by, ascending, options));
+  }
+
+  /**
+   * Rows with the largest values, in descending order
+   * @param n - Number of rows
+   * @param columns - Column(s) to order by
+   * @param keep - Which of tied rows to prefer
+   * @returns Selected rows
+   */
+  nlargest(n: number, columns: string | string[], keep: 'first' | 'last' = 'first'): DataFrame {
+    return this.take(selectTop(this, n, columns, false, keep));
+  }
+
+  /**
+   * Rows with the smallest values, in ascending order
+   * @param n - Number of rows
+   * @param columns - Column(s) to order by
+   * @param keep - Which of tied rows to prefer
+   * @returns Selected rows
+   */
+  nsmallest(n: number, columns: string | string[], keep: 'first' | 'last' = 'first'): DataFrame {
+    return this.take(selectTop(this, n, columns, true, keep));
+  }
+
+  /**
+   * Conform rows to new labels: rows move to where their label is, and
+   * labels not in the index get a row of nulls (or a filled row with a method)
+   * @param newIndex - New row labels
+   * @param options - Fill options, see reindex
+   * @returns DataFrame indexed by newIndex
+   */
+  reindex(newIndex: unknown[], options: ReindexOptions = {}): DataFrame {
+    const positions = alignLabels(this.index, newIndex, options);
+    const data: Record<string, Column> = {};
+    for (const col of this.columns) {
+      data[col] = this.getColumn(col).take(positions);
+    }
+    const result = new DataFrame(data, this.columns);
+    result.indexColumn = encodeColumn(newIndex);
+    result.indexName = this.indexName;
+    return result;
+  }
+
+  /**
+   * Parse columns as dates (ISO strings without an offset are read as UTC)
+   * @param columns - Column(s) to convert
+   * @returns DataFrame with datetime columns
+   */
+  toDatetime(columns: string | string[]): DataFrame {
+    let result: DataFrame = this;
+    for (const col of Array.isArray(columns) ? columns : [columns]) {
+      result = result.withColumn(col, toDatetime(this.getColumn(col)));
+    }
+    return result;
+  }
+
+  /**
+   * Convert columns to categoricals, see toCategorical
+   * @param columns - Column(s) to convert
+   * @param options - categories (list, in order) and ordered (default false)
+   * @returns DataFrame with categorical columns
+   */
+  toCategorical(columns: string | string[], options: CategoricalOptions = {}): DataFrame {
+    let result: DataFrame = this;
+    for (const col of Array.isArray(columns) ? columns : [columns]) {
+      result = result.withColumn(col, toCategorical(this.getColumn(col), options));
+    }
+    return result;
+  }
+
+  /**
+   * Encode a column as integer labels, see factorize
+   * @param column - Column to encode
+   * @param options - sort (order uniques by value, default false)
+   * @returns Code per row and distinct values
+   */
+  factorize(column: string, options: FactorizeOptions = {}): Factorized {
+    return factorize(this.getColumn(column), options);
+  }
+
+  /**
+   * One-hot encode columns (pandas get_dummies)
+   *
+   * Each encoded column is replaced by one 0/1 int column per category, named
+   * prefix + prefixSep + category and appended after the remaining columns.
+   * Categories are a categorical column's categories, or otherwise the sorted
+   * distinct values; missing values are 0 in every indicator.
+   *
+   * @param columns - Columns to encode (default string and categorical columns)
+   * @param options - dropFirst (leave out the first category, default false),
+   *   prefix (string, or column to prefix; default the column name) and prefixSep (default '_')
+   * @returns DataFrame with indicator columns
+   */
+  getDummies(columns: string[] | null = null, options: DummiesOptions = {}): DataFrame {
+    const { dropFirst = false, prefix = null, prefixSep = '_' } = options;
+    const encoded = columns || this.columns.filter(col => this.getColumn(col).kind === 'dictionary');
+
+    const data: Record<string, Column> = {};
+    for (const col of this.columns) {
+      if (!encoded.includes(col)) data[col] = this.getColumn(col);
+    }
+    for (const col of encoded) {
+      const name = typeof prefix === 'string' ? prefix : (prefix && prefix[col]) || col;
+      for (const [category, indicator] of dummyColumns(this.getColumn(col), { dropFirst })) {
+        data[`${name}${prefixSep}${category}`] = indicator;
+      }
+    }
+    return new DataFrame(data).adoptIndex(this);
+  }
+
+  /**
+   * Cast columns to dtypes, see castColumn
+   * @param dtypes - One dtype for every column, or column name to dtype
+   * @returns DataFrame with cast columns
+   */
+  astype(dtypes: Dtype | Record<string, Dtype>): DataFrame {
+    const targets: Record<string, Dtype> = typeof dtypes === 'string'
+      ? Object.fromEntries(this.columns.map(col => [col, dtypes]))
+      : dtypes;
+    let result: DataFrame = this;
+    for (const [col, dtype] of Object.entries(targets)) {
+      result = result.withColumn(col, castColumn(this.getColumn(col), dtype));
+    }
+    return result;
+  }
+
+  /**
+   * Check columns against a schema, see validateColumn
+   *
+   * The schema maps column names to a dtype or { dtype, nullable, min, max,
+   * unique }. Columns named in the schema but absent are reported with a
+   * null row.
+   *
+   * @param schema - Column name to rule
+   * @returns Violations ordered by row, with rows given as index labels
+   */
+  validate(schema: Schema): ValidationResult {
+    const errors: ValidationError[] = [];
+    const labels = this.index;
+    for (const [col, rule] of Object.entries(schema)) {
+      if (!this.store.has(col)) {
+        errors.push({ row: null, column: col, rule: 'column', value: null, message: `Missing column: ${col}` });
+        continue;
+      }
+      for (const { row, ...rest } of validateColumn(this.getColumn(col), rule)) {
+        errors.push({ row, column: col, ...rest });
+      }
+    }
+    // Stable sort keeps schema order within a row; missing columns first
+    const position = (error: ValidationError): number => (error.row === null ? -1 : (error.row as number));
+    errors.sort((a, b) => position(a) - position(b));
+    for (const error of errors) {
+      if (error.row !== null) error.row = labels[error.row as number];
+      if (error.duplicateOf !== undefined) {
+        error.duplicateOf = labels[error.duplicateOf as number];
+        error.message = `Duplicate of row ${error.duplicateOf}`;
+      }
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Aggregate rows into regular time buckets, see resample
+   * @param dateCol - Date column
+   * @param rule - Bucket size, e.g. '1h', '1D', '1W', '1M'
+   * @param aggs - groupby agg() spec, or one aggregation for all numeric columns
+   * @returns One row per bucket
+   */
+  resample(dateCol: string, rule: string, aggs: ResampleAggs): DataFrame {
+    return resample(this, dateCol, rule, aggs);
+  }
+
+  /**
+   * Conform to a regular time grid, see asfreq
+   * @param dateCol - Date column
+   * @param rule - Grid step, e.g. '1h', '1D'
+   * @param options - Fill options, see reindex
+   * @returns One row per grid time
+   */
+  asfreq(dateCol: string, rule: string, options: ReindexOptions = {}): DataFrame {
+    return asfreq(this, dateCol, rule, options);
+  }
+
+  /**
+   * Shift values down by a number of rows (up when negative)
+   * @param periods - Rows to shift by
+   * @param columns - Columns to shift (default all)
+   * @returns Shifted DataFrame, null where no value moved in
+   */
+  shift(periods = 1, columns: string[] | null = null): DataFrame {
+    const positions = new Int32Array(this.rowCount);
+    for (let i = 0; i < positions.length; i++) {
+      const j = i - periods;
+      positions[i] = j >= 0 && j < this.rowCount ? j : -1;
+    }
+    let result: DataFrame = this;
+    for (const col of columns || this.columns) {
+      result = result.withColumn(col, this.getColumn(col).take(positions));
+    }
+    return result;
+  }
+
+  /**
+   * Difference with the value a number of rows earlier
+   * @param periods - Rows to look back
+   * @param columns - Columns to difference (default all numeric and datetime columns)
+   * @returns DataFrame with differenced columns (datetimes become milliseconds)
+   */
+  diff(periods = 1, columns: string[] | null = null): DataFrame {
+    return this.lagged(periods, columns, (current, previous) => current - previous);
+  }
+
+  /**
+   * Relative change from the value a number of rows earlier
+   * @param periods - Rows to look back
+   * @param columns - Columns to compare (default all numeric columns)
+   * @returns DataFrame with fractional changes
+   */
+  pctChange(periods = 1, columns: string[] | null = null): DataFrame {
+    const numeric = columns || this.columns.filter(col => this.getColumn(col).kind === 'numeric');
+    return this.lagged(periods, numeric, (current, previous) => current / previous - 1);
+  }
+
+  /**
+   * Combine each value with the value a number of rows earlier
+   * @param periods - Rows to look back
+   * @param columns - Columns to transform (default numeric and datetime columns)
+   * @param combine - (current, previous) => result
+   * @returns DataFrame with transformed columns
+   */
+  private lagged(
+    periods: number,
+    columns: string[] | null,
+    combine: (current: number, previous: number) => number
+  ): DataFrame {
+    const targets = columns || this.columns.filter(col => {
+      const kind = this.getColumn(col).kind;
+      return kind === 'numeric' || kind === 'datetime';
+    });
+    let result: DataFrame = this;
+    for (const col of targets) {
+      const column = this.getColumn(col);
+      if (column.kind !== 'numeric' && column.kind !== 'datetime') {
+        throw new Error(`Column is not numeric: ${col}`);
+      }
+      const { values, nulls } = column;
+      const out = new Float64Array(this.rowCount).fill(NaN);
+      const outNulls = new Uint8Array(this.rowCount).fill(1);
+      for (let i = 0; i < out.length; i++) {
+        const j = i - periods;
+        if (j < 0 || j >= out.length || (nulls && (nulls[i] || nulls[j]))) continue;
+        out[i] = combine(values[i], values[j]);
+        outNulls[i] = 0;
+      }
+      result = result.withColumn(col, new NumericColumn(out, outNulls));
+    }
+    return result;
+  }
+
+  /**
+   * Rank rows by a sort spec within each partition (SQL RANK)
+   *
+   * Tied rows get the mean of their positions ('average'), the lowest
+   * ('min'), the highest ('max'), consecutive ranks without gaps ('dense')
+   * or their row order ('first'). Rows with a missing sort key are not
+   * ranked.
+   *
+   * @param by - Column(s) to rank by
+   * @param options - method (default 'average'), ascending (default true),
+   *   partitionBy (key column(s) to rank within) and name (default 'rank')
+   * @returns DataFrame with the rank column
+   */
+  rank(by: string | string[], options: RankOptions = {}): DataFrame {
+    const { method = 'average', ascending = true, name = 'rank' } = options;
+    if (!['average', 'min', 'max', 'dense', 'first'].includes(method)) {
+      throw new Error(`Invalid rank method: ${method}`);
+    }
+    const { compare, keys } = rowComparator(this, by, ascending, {});
+    const values = new Float64Array(this.rowCount).fill(NaN);
+    const nulls = new Uint8Array(this.rowCount).fill(1);
+
+    for (const partition of windowPartitions(this, { ...options, orderBy: by })) {
+      const ranked = partition.filter(i => keys.every(column => column[i] !== null));
+      let dense = 0;
+      for (let start = 0; start < ranked.length;) {
+        let end = start + 1;
+        while (end < ranked.length && compare(ranked[start], ranked[end]) === 0) end++;
+        dense++;
+        for (let k = start; k < end; k++) {
+          const i = ranked[k];
+          switch (method) {
+            case 'average': values[i] = (start + end + 1) / 2; break;
+            case 'min': values[i] = start + 1; break;
+            case 'max': values[i] = end; break;
+            case 'dense': values[i] = dense; break;
+            default: values[i] = k + 1;
+          }
+          nulls[i] = 0;
+        }
+        start = end;
+      }
+    }
+    return this.withColumn(name, new NumericColumn(values, nulls, method === 'average' ? 'float' : 'int'));
+  }
+
+  /**
+   * Position of each row within its partition, from 1 (SQL ROW_NUMBER)
+   * @param options - Window options, see windowPartitions, and name (default 'rowNumber')
+   * @returns DataFrame with the row number column
+   */
+  rowNumber(options: AnalyticOptions = {}): DataFrame {
+    const { name = 'rowNumber' } = options;
+    const values = new Float64Array(this.rowCount);
+    for (const partition of windowPartitions(this, options)) {
+      partition.forEach((i, k) => {
+        values[i] = k + 1;
+      });
+    }
+    return this.withColumn(name, new NumericColumn(values, null, 'int'));
+  }
+
+  /**
+   * Running sum of a numeric column within each partition
+   * @param column - Numeric column
+   * @param options - Window options, see windowPartitions, and name (default the column itself)
+   * @returns DataFrame with the running values
+   */
+  cumsum(column: string, options: AnalyticOptions = {}): DataFrame {
+    return this.cumulative(column, options, (total, value) => total + value);
+  }
+
+  /**
+   * Running product of a numeric column within each partition
+   * @param column - Numeric column
+   * @param options - Window options, see windowPartitions, and name (default the column itself)
+   * @returns DataFrame with the running values
+   */
+  cumprod(column: string, options: AnalyticOptions = {}): DataFrame {
+    return this.cumulative(column, options, (total, value) => total * value);
+  }
+
+  /**
+   * Running maximum of a numeric column within each partition
+   * @param column - Numeric column
+   * @param options - Window options, see windowPartitions, and name (default the column itself)
+   * @returns DataFrame with the running values
+   */
+  cummax(column: string, options: AnalyticOptions = {}): DataFrame {
+    return this.cumulative(column, options, Math.max);
+  }
+
+  /**
+   * Running minimum of a numeric column within each partition
+   * @param column - Numeric column
+   * @param options - Window options, see windowPartitions, and name (default the column itself)
+   * @returns DataFrame with the running values
+   */
+  cummin(column: string, options: AnalyticOptions = {}): DataFrame {
+    return this.cumulative(column, options, Math.min);
+  }
+
+  /**
+   * Combine each value with the running value of the rows before it in its
+   * partition; missing values stay missing and are skipped
+   * @param column - Numeric column
+   * @param options - Window options, see windowPartitions, and name
+   * @param combine - (running, value) => running
+   * @returns DataFrame with the running values
+   */
+  private cumulative(
+    column: string,
+    options: AnalyticOptions,
+    combine: (running: number, value: number) => number
+  ): DataFrame {
+    const { name = column } = options;
+    const source = this.getColumn(column);
+    if (source.kind !== 'numeric') {
+      throw new Error(`Column is not numeric: ${column}`);
+    }
+    const { values, nulls } = source;
+    const out = new Float64Array(this.rowCount).fill(NaN);
+    const outNulls = new Uint8Array(this.rowCount).fill(1);
+    for (const partition of windowPartitions(this, options)) {
+      let running: number | null = null;
+      for (const i of partition) {
+        if ((nulls && nulls[i]) || Number.isNaN(values[i])) continue;
+        running = running === null ? values[i] : combine(running, values[i]);
+        out[i] = running;
+        outNulls[i] = 0;
+      }
+    }
+    return this.withColumn(name, new NumericColumn(out, outNulls, source.dtype));
+  }
+
+  /**
+   * Value from a number of rows earlier in the partition (SQL LAG)
+   * @param column - Column to read
+   * @param periods - Rows to look back (default 1)
+   * @param options - Window options, see windowPartitions, and name (default the column itself)
+   * @returns DataFrame with the lagged column, null where there is no earlier row
+   */
+  lag(column: string, periods = 1, options: AnalyticOptions = {}): DataFrame {
+    const { name = column } = options;
+    const positions = new Int32Array(this.rowCount).fill(-1);
+    for (const partition of windowPartitions(this, options)) {
+      partition.forEach((i, k) => {
+        const j = k - periods;
+        if (j >= 0 && j < partition.length) positions[i] = partition[j];
+      });
+    }
+    return this.withColumn(name, this.getColumn(column).take(positions));
+  }
+
+  /**
+   * Value from a number of rows later in the partition (SQL LEAD)
+   * @param column - Column to read
+   * @param periods - Rows to look ahead (default 1)
+   * @param options - Window options, see windowPartitions, and name (default the column itself)
+   * @returns DataFrame with the led column, null where there is no later row
+   */
+  lead(column: string, periods = 1, options: AnalyticOptions = {}): DataFrame {
+    return this.lag(column, -periods, options);
+  }
+
+  /**
+   * Rolling window over numeric columns, see rolling
+   * @param window - Window size in rows, or a time offset such as '5m' (needs options.on)
+   * @param options - rolling options, plus on (date column for time windows) and columns
+   * @returns Window whose statistics return DataFrames
+   */
+  rolling(window: number | string, options: FrameRollingOptions = {}): RollingFrame {
+    const { on = null, columns = null, ...rest } = options;
+    const times = on !== null && typeof window === 'string' ? toDatetime(this.getColumn(on)).values : null;
+    return new RollingFrame(this, numericColumns(this, columns, on), values => rolling(values, window, { ...rest, times }));
+  }
+
+  /**
+   * Expanding window over numeric columns, see expanding
+   * @param options - expanding options, plus columns
+   * @returns Window whose statistics return DataFrames
+   */
+  expanding(options: ExpandingOptions & FrameWindowOptions = {}): RollingFrame {
+    const { columns = null, ...rest } = options;
+    return new RollingFrame(this, numericColumns(this, columns), values => expanding(values, rest));
+  }
+
+  /**
+   * Exponentially weighted window over numeric columns, see ewm
+   * @param options - ewm options, plus columns
+   * @returns Window whose statistics return DataFrames
+   */
+  ewm(options: EwmOptions & FrameWindowOptions = {}): EwmFrame {
+    const { columns = null, ...rest } = options;
+    return new EwmFrame(this, numericColumns(this, columns), values => ewm(values, rest));
+  }
+
+  /**
+   * Text operations on a string column, see StringAccessor,
+   * e.g. df.str('email').lower().str('email').split('@', { expand: true })
+   * @param column - String or categorical column
+   * @param options - name (column for the results, default the column itself)
+   * @returns Accessor whose operations return DataFrames
+   */
+  str(column: string, options: StringAccessorOptions = {}): StringAccessor {
+    const { name = column } = options;
+    return new StringAccessor(this, column, name);
+  }
+
+  /**
+   * Melt (unpivot)
+   * @param idVars - ID variables
+   * @param valueVars - Value variables to unpivot (default all columns not in idVars)
+   * @param options - varName (default 'variable') and valueName (default 'value')
+   * @returns Melted DataFrame
+   */
+  melt(idVars: string[] = [], valueVars: string[] | null = null, options: MeltOptions = {}): DataFrame {
+    const { varName = 'variable', valueName = 'value' } = options;
+    for (const name of [varName, valueName]) {
+      if (idVars.includes(name)) {
+        throw new Error(`Cannot insert ${name}, already exists`);
+      }
+    }
+    const vars = valueVars || this.columns.filter(col => !idVars.includes(col));
+
+    // Row i of the source becomes rows i * vars.length onwards, one per value variable
+    const positions: number[] = [];
+    const picks: [number, number][] = [];
+    for (let i = 0; i < this.rowCount; i++) {
+      for (let v = 0; v < vars.length; v++) {
+        positions.push(i);
+        picks.push([v, i]);
+      }
+    }
+    const data: Record<string, ArrayLike<unknown> | Column> = {};
+    for (const idVar of idVars) {
+      data[idVar] = this.getColumn(idVar).take(positions);
+    }
+    data[varName] = positions.map((_, p) => vars[p % vars.length]);
+    data[valueName] = gatherColumns(vars.map(col => this.getColumn(col)), picks);
+    return new DataFrame(data, [...idVars, varName, valueName]);
+  }
+
+  /**
+   * Move the inner level of column labels into the rows (pandas stack)
+   *
+   * Column labels are split at their last sep into an outer and an inner
+   * label, e.g. 'score_2024' into 'score' and '2024'. Each row becomes one
+   * row per inner label, in a new column, with one column per outer label.
+   * Rows keep their index label; without an index the source row positions
+   * become the index, so unstack can reverse it.
+   *
+   * @param options - sep (default '_'), name (of the inner label column, default 'level')
+   *   and dropna (skip rows whose stacked values are all missing, default true)
+   * @returns Long DataFrame
+   */
+  stack(options: StackOptions = {}): DataFrame {
+    const { sep = '_', name = 'level', dropna = true } = options;
+    // Outer label to (inner label to column), both in order of first appearance
+    const cells = new Map<string, Map<string, Column>>();
+    const inners: string[] = [];
+    for (const col of this.columns) {
+      const at = col.lastIndexOf(sep);
+      if (at < 0) {
+        throw new Error(`Column label has no separator: ${col}`);
+      }
+      const outer = col.slice(0, at);
+      const inner = col.slice(at + sep.length);
+      if (!cells.has(outer)) cells.set(outer, new Map());
+      cells.get(outer)!.set(inner, this.getColumn(col));
+      if (!inners.includes(inner)) inners.push(inner);
+    }
+    const outers = [...cells.keys()];
+    if (outers.includes(name)) {
+      throw new Error(`Cannot insert ${name}, already exists`);
+    }
+
+    const positions: number[] = [];
+    const levels: string[] = [];
+    for (let i = 0; i < this.rowCount; i++) {
+      for (const inner of inners) {
+        const present = outers.some(outer => {
+          const column = cells.get(outer)!.get(inner);
+          return column !== undefined && !isMissing(column.get(i));
+        });
+        if (dropna && !present) continue;
+        positions.push(i);
+        levels.push(inner);
+      }
+    }
+
+    const data: Record<string, Column> = { [name]: encodeColumn(levels) };
+    for (const outer of outers) {
+      const values = positions.map((i, k) => {
+        const column = cells.get(outer)!.get(levels[k]);
+        return column ? column.get(i) : null;
+      });
+      data[outer] = encodeColumn(values);
+    }
+    const result = new DataFrame(data, [name, ...outers]);
+    if (this.indexColumn) return result.adoptIndex(this, positions);
+    result.indexColumn = new NumericColumn(Float64Array.from(positions), null, 'int');
+    return result;
+  }
+
+  /**
+   * Move the values of a column into the column labels (pandas unstack)
+   *
+   * Rows sharing an index label become one row, and every other column is
+   * spread into `${column}${sep}${value}` columns, one per distinct value
+   * of the unstacked column. A repeated (index label, value) pair is an
+   * error. stack reverses it.
+   *
+   * @param column - Column whose values become the inner column label
+   * @param options - sep (between column and value, default '_')
+   * @returns One row per distinct index label
+   */
+  unstack(column: string, options: UnstackOptions = {}): DataFrame {
+    const { sep = '_' } = options;
+    const { codes, uniques } = this.indexColumn
+      ? factorizeColumn(this.indexColumn)
+      : { codes: Int32Array.from(this.index as number[]), uniques: this.index };
+    const values = this.columns.filter(col => col !== column);
+    const spread = spreadColumns(this, codes, uniques.length, column, values, (name, key) => `${name}${sep}${key}`);
+
+    const result = new DataFrame(spread.data, spread.names);
+    if (this.indexColumn) {
+      const first = new Int32Array(uniques.length).fill(-1);
+      for (let i = codes.length - 1; i >= 0; i--) {
+        first[codes[i]] = i;
+      }
+      result.indexColumn = this.indexColumn.take(first);
+      result.indexName = this.indexName;
+    }
+    return result;
+  }
+
+  /**
+   * One row per element of array-valued cells (pandas explode)
+   *
+   * Empty arrays become one row with a missing value and other values are
+   * left as they are. Several columns are exploded together and must have
+   * the same number of elements in each row.
+   *
+   * @param columns - Column(s) holding arrays
+   * @returns Exploded DataFrame
+   */
+  explode(columns: string | string[]): DataFrame {
+    const targets = Array.isArray(columns) ? columns : [columns];
+    const sources = targets.map(col => this.getColumn(col));
+    const positions: number[] = [];
+    const exploded: unknown[][] = targets.map(() => []);
+    for (let i = 0; i < this.rowCount; i++) {
+      const cells = sources.map(column => column.get(i));
+      const counts = cells.map(cell => (Array.isArray(cell) ? Math.max(cell.length, 1) : 1));
+      if (counts.some(count => count !== counts[0])) {
+        throw new Error(`Columns must have matching element counts (row ${i})`);
+      }
+      for (let k = 0; k < counts[0]; k++) {
+        positions.push(i);
+        cells.forEach((cell, t) => {
+          exploded[t].push(Array.isArray(cell) ? (k < cell.length ? cell[k] : null) : cell);
+        });
+      }
+    }
+
+    const data: Record<string, Column> = {};
+    for (const col of this.columns) {
+      const t = targets.indexOf(col);
+      data[col] = t >= 0 ? encodeColumn(exploded[t]) : this.getColumn(col).take(positions);
+    }
+    return new DataFrame(data, this.columns).adoptIndex(this, positions);
+  }
+
+  /**
+   * Select columns
+   * @param columns - Columns to select
+   * @returns DataFrame with selected columns
+   */
+  select(columns: string[]): DataFrame {
+    const data: Record<string, Column> = {};
+    for (const col of columns) {
+      data[col] = this.getColumn(col);
+    }
+    return new DataFrame(data, [...columns]).adoptIndex(this);
+  }
+
+  /**
+   * Rename columns
+   * @param mapping - Old name to new name mapping
+   * @returns DataFrame with renamed columns
+   */
+  rename(mapping: Record<string, string>): DataFrame {
+    const data: Record<string, Column> = {};
+    const columns = this.columns.map(col => {
+      const name = mapping[col] || col;
+      data[name] = this.getColumn(col);
+      return name;
+    });
+    return new DataFrame(data, columns).adoptIndex(this);
+  }
+}
+
+/**
+ * Wrap a row array in a DataFrame (DataFrames are returned as-is)
+ * @param df - DataFrame or array of row objects
+ * @returns DataFrame instance
+ */
+function toFrame(df: DataFrame | DataRow[]): DataFrame {
+  return df instanceof DataFrame ? df : new DataFrame(df);
+}
+
+/**
+ * Build the DataFrame for parsed JSON Lines
+ * @param result - Parsed rows
+ * @param options - normalize, sep, dtype and parseDates, see fromJSONL
+ * @returns DataFrame
+ */
+function jsonlFrame(result: CSVResult, options: JSONLReadOptions): DataFrame {
+  let { columns, rows } = result;
+  if (options.normalize) {
+    rows = jsonNormalize(rows, { sep: options.sep });
+    columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  }
+  const df = new DataFrame(rows, columns, options.dtype);
+  return options.parseDates ? df.toDatetime(options.parseDates) : df;
+}
+
+/**
+ * Row at a position as a new object
+ * @param frame - Source DataFrame
+ * @param i - Row position
+ * @returns Row object
+ */
+function rowAt(frame: DataFrame, i: number): DataRow {
+  const row: DataRow = {};
+  for (const col of frame.columns) {
+    row[col] = frame.getColumn(col).get(i);
+  }
+  return row;
+}
+
+/**
+ * Hashable, comparable form of a row label (dates compare by time)
+ * @param label - Row label
+ * @returns Lookup key
+ */
+function labelKey(label: unknown): unknown {
+  return label instanceof Date ? label.getTime() : label;
+}
+
+export interface ReindexOptions {
+  /** Fill labels missing from the index from the previous, next or nearest label */
+  method?: 'ffill' | 'bfill' | 'nearest' | null;
+  /** Maximum number of labels filled from one row */
+  limit?: number | null;
+}
+
+/**
+ * Source position for each target label, -1 where there is none
+ *
+ * Exact matches always win. Otherwise 'ffill' takes the last label before
+ * the target, 'bfill' the first label after it and 'nearest' the closer of
+ * the two (the later one on ties). limit caps how many targets one source
+ * row may fill. Fill methods need a monotonic increasing source index.
+ *
+ * @param source - Current labels
+ * @param target - New labels
+ * @param options - Fill options
+ * @returns Positions into source
+ */
+function alignLabels(source: unknown[], target: unknown[], options: ReindexOptions): Int32Array {
+  const { method = null, limit = null } = options;
+  if (method !== null && !['ffill', 'bfill', 'nearest'].includes(method)) {
+    throw new Error(`Invalid fill method: ${method}`);
+  }
+
+  // Labels are compared with < as in JavaScript, so numbers, strings and dates all work
+  const keys = source.map(labelKey) as number[];
+  const lookup = new Map<unknown, number>();
+  keys.forEach((key, i) => {
+    if (lookup.has(key)) {
+      throw new Error('Cannot reindex on an index with duplicate labels');
+    }
+    lookup.set(key, i);
+  });
+
+  if (method) {
+    for (let i = 1; i < keys.length; i++) {
+      if (!(keys[i - 1] < keys[i])) {
+        throw new Error(`Index must be monotonic increasing to use method ${method}`);
+      }
+    }
+  }
+
+  const fills = new Map<number, number>();
+  const positions = new Int32Array(target.length);
+  for (let t = 0; t < target.length; t++) {
+    const key = labelKey(target[t]) as number;
+    const exact = lookup.get(key);
+    if (exact !== undefined || !method) {
+      positions[t] = exact === undefined ? -1 : exact;
+      continue;
+    }
+
+    // First source label greater than the target
+    let lo = 0;
+    let hi = keys.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (keys[mid] < key) lo = mid + 1;
+      else hi = mid;
+    }
+    const before = lo - 1;
+    const after = lo < keys.length ? lo : -1;
+
+    let pos: number;
+    if (method === 'ffill') {
+      pos = before;
+    } else if (method === 'bfill') {
+      pos = after;
+    } else if (before < 0 || after < 0) {
+      pos = before < 0 ? after : before;
+    } else {
+      if (typeof key !== 'number') {
+        throw new Error('Method nearest requires numeric or date labels');
+      }
+      pos = key - keys[before] < keys[after] - key ? before : after;
+    }
+
+    if (pos >= 0 && limit !== null) {
+      const used = fills.get(pos) || 0;
+      if (used >= limit) {
+        pos = -1;
+      } else {
+        fills.set(pos, used + 1);
+      }
+    }
+    positions[t] = pos;
+  }
+  return positions;
+}
+
+/**
+ * Positional accessor for one column of a DataFrame or row array
+ * @param df - DataFrame or array of row objects
+ * @param column - Column name
+ * @returns Function from row position to value
+ */
+function valueGetter(df: DataFrame | DataRow[], column: string): (i: number) => unknown {
+  if (df instanceof DataFrame) {
+    const col = df.getColumn(column);
+    if (col.kind === 'numeric' && !col.nulls) {
+      const values = col.values;
+      return i => values[i];
+    }
+    return i => col.get(i);
+  }
+  return i => df[i][column];
+}
+
+/**
+ * Column list with a column appended if not already present
+ * @param columns - Existing columns
+ * @param column - Column to ensure
+ * @returns New column list
+ */
+function appendColumn(columns: string[], column: string): string[] {
+  return columns.includes(column) ? [...columns] : [...columns, column];
+}
+
+/**
+ * Filter DataFrame rows by column value or row predicate
+ * @param df - Array of row objects
+ * @param column - Column name, or predicate (row, i) => boolean
+ * @param value - Value to filter by when filtering by column
+ * @returns Filtered rows
+ */
+export function dataframeFilter(df: DataRow[], column: string | RowPredicate, value?: unknown): DataRow[] {
+  const result: DataRow[] = [];
+  const keep: RowPredicate = typeof column === 'function' ? column : row => row[column] === value;
+
+  for (let i = 0; i < df.length; i++) {
+    if (keep(df[i], i)) {
+      result.push({ ...df[i] });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Group by and compute mean
+ * @param df - DataFrame or array of row objects
+ * @param groupCol - Column to group by
+ * @param valueCol - Column to aggregate
+ * @returns Group to mean mapping
+ */
+export function groupbyMean(df: DataFrame | DataRow[], groupCol: string, valueCol: string): Record<string, number> {
+  if (df instanceof DataFrame) {
+    const { keys, means } = columnGroupMeans(df, groupCol, valueCol);
+    const result: Record<string, number> = {};
+    keys.forEach((key, g) => {
+      result[String(key)] = means[g];
+    });
+    return result;
+  }
+
+  const groups: Record<string, { sum: number; count: number }> = {};
+
+  for (const row of df) {
+    const key = String(isMissing(row[groupCol]) ? null : row[groupCol]);
+    if (!groups[key]) {
+      groups[key] = { sum: 0, count: 0 };
+    }
+    if (!isMissing(row[valueCol])) {
+      groups[key].sum += row[valueCol] as number;
+      groups[key].count++;
+    }
+  }
+
+  const result: Record<string, number> = {};
+  for (const [key, { sum, count }] of Object.entries(groups)) {
+    result[key] = sum / count;
+  }
+
+  return result;
+}
+
+/**
+ * Per-group means computed directly on column storage
+ * @param df - Source DataFrame
+ * @param groupCol - Column to group by
+ * @param valueCol - Numeric column to average
+ * @returns Group keys in first-seen order and their means
+ */
+function columnGroupMeans(df: DataFrame, groupCol: string, valueCol: string): { keys: unknown[]; means: Float64Array } {
+  const { codes, uniques } = factorizeColumn(df.getColumn(groupCol));
+  const values = df.numeric(valueCol);
+  const sums = new Float64Array(uniques.length);
+  const counts = new Float64Array(uniques.length);
+
+  for (let i = 0; i < codes.length; i++) {
+    if (Number.isNaN(values[i])) continue;
+    sums[codes[i]] += values[i];
+    counts[codes[i]]++;
+  }
+  for (let g = 0; g < sums.length; g++) {
+    sums[g] /= counts[g];
+  }
+
+  return { keys: uniques, means: sums };
+}
+
+export type AggName = 'sum' | 'mean' | 'min' | 'max' | 'count' | 'std' | 'median' | 'first' | 'last';
+export type AggFunction = (values: unknown[]) => unknown;
+export type AggSpec =
+  | AggName
+  | AggFunction
+  | Array<AggName | AggFunction>
+  | { column: string; agg: AggName | AggFunction };
+
+/**
+ * Built-in aggregations, each taking the values of one group
+ */
+const AGGREGATIONS: Record<AggName, AggFunction> = {
+  sum: values => numericValues(values).reduce((a, b) => a + b, 0),
+  mean: values => mean(numericValues(values)),
+  min: values => extreme(values, (a, b) => (a as number) < (b as number)),
+  max: values => extreme(values, (a, b) => (a as number) > (b as number)),
+  count: values => values.filter(v => !isMissing(v)).length,
+  std: values => std(numericValues(values)),
+  median: values => median(numericValues(values)),
+  first: values => values.find(v => !isMissing(v)) ?? null,
+  last: values => {
+    for (let i = values.length - 1; i >= 0; i--) {
+      if (!isMissing(values[i])) return values[i];
+    }
+    return null;
+  }
+};
+
+/**
+ * Non-missing values of a group
+ * @param values - Group values
+ * @returns Values with null, undefined and NaN removed
+ */
+function numericValues(values: unknown[]): number[] {
+  return values.filter(v => !isMissing(v)) as number[];
+}
+
+/**
+ * Smallest or largest non-missing value
+ * @param values - Group values
+ * @param better - Returns true if a should replace b
+ * @returns Extreme value, or NaN if the group has no values
+ */
+function extreme(values: unknown[], better: (a: unknown, b: unknown) => boolean): unknown {
+  let result: unknown = NaN;
+  let found = false;
+  for (const v of values) {
+    if (isMissing(v)) continue;
+    if (!found || better(v, result)) {
+      result = v;
+      found = true;
+    }
+  }
+  return result;
+}
+
+/**
+ * Resolve an aggregation name or function
+ * @param agg - Aggregation name or custom function
+ * @returns Function from group values to result
+ */
+function resolveAggregation(agg: AggName | AggFunction): AggFunction {
+  if (typeof agg === 'function') return agg;
+  const fn = AGGREGATIONS[agg];
+  if (!fn) {
+    throw new Error(`Unknown aggregation: ${agg}`);
+  }
+  return fn;
+}
+
+export interface Group {
+  key: unknown[];
+  indices: number[];
+}
+
+/**
+ * Rows of a DataFrame grouped by key columns, in order of first appearance
+ */
+export class GroupBy {
+  df: DataFrame;
+  keys: string[];
+  groups: Group[];
+
+  /**
+   * @param df - DataFrame or array of row objects
+   * @param keys - Column(s) to group by
+   * @param groups - Precomputed groups (skips grouping by key values)
+   */
+  constructor(df: DataFrame | DataRow[], keys: string | string[], groups: Group[] | null = null) {
+    this.df = toFrame(df);
+    this.keys = Array.isArray(keys) ? keys : [keys];
+
+    if (groups) {
+      this.groups = groups;
+      return;
+    }
+
+    const factors = this.keys.map(k => factorizeColumn(this.df.getColumn(k)));
+    if (factors.length === 1) {
+      const { codes, uniques } = factors[0];
+      this.groups = uniques.map(u => ({ key: [u], indices: [] as number[] }));
+      for (let i = 0; i < codes.length; i++) {
+        this.groups[codes[i]].indices.push(i);
+      }
+    } else {
+      // Map keeps insertion order, so groups come out in first-seen order
+      const groups = new Map<string, Group>();
+      for (let i = 0; i < this.df.length; i++) {
+        const id = factors.map(f => f.codes[i]).join(',');
+        let group = groups.get(id);
+        if (!group) {
+          group = { key: factors.map(f => f.uniques[f.codes[i]]), indices: [] };
+          groups.set(id, group);
+        }
+        group.indices.push(i);
+      }
+      this.groups = [...groups.values()];
+    }
+  }
+
+  get ngroups(): number {
+    return this.groups.length;
+  }
+
+  /**
+   * Aggregate each group
+   *
+   * Spec values may be an aggregation name ('sum', 'mean', 'min', 'max',
+   * 'count', 'std', 'median', 'first', 'last'), a custom function taking the
+   * group's values, a list of those, or a named aggregation
+   * { column, agg } whose output column is the spec key.
+   * Lists produce one output column per entry named `${column}_${name}`.
+   *
+   * @param spec - Output specification keyed by column
+   * @returns One row per group
+   */
+  agg(spec: Record<string, AggSpec>): DataFrame {
+    const outputs: { name: string; column: string; fn: AggFunction }[] = [];
+    for (const [name, value] of Object.entries(spec)) {
+      if (Array.isArray(value)) {
+        for (const agg of value) {
+          const label = typeof agg === 'function' ? agg.name || 'custom' : agg;
+          outputs.push({ name: `${name}_${label}`, column: name, fn: resolveAggregation(agg) });
+        }
+      } else if (value && typeof value === 'object') {
+        outputs.push({ name, column: value.column, fn: resolveAggregation(value.agg) });
+      } else {
+        outputs.push({ name, column: name, fn: resolveAggregation(value) });
+      }
+    }
+
+    const columns = outputs.map(({ column }) => this.df.getColumn(column));
+    const result = this.groups.map(({ key, indices }) => {
+      const row = keyRow(this.keys, key);
+      outputs.forEach(({ name, fn }, o) => {
+        row[name] = fn(indices.map(i => columns[o].get(i)));
+      });
+      return row;
+    });
+
+    return new DataFrame(result, [...this.keys, ...outputs.map(o => o.name)]);
+  }
+
+  /**
+   * Number of rows in each group
+   * @returns Key columns plus a 'size' column
+   */
+  size(): DataFrame {
+    const result = this.groups.map(({ key, indices }) => {
+      const row = keyRow(this.keys, key);
+      row.size = indices.length;
+      return row;
+    });
+    return new DataFrame(result, [...this.keys, 'size']);
+  }
+}
+
+/**
+ * Build a row holding a group's key values
+ * @param keys - Key column names
+ * @param values - Key values
+ * @returns Row object
+ */
+function keyRow(keys: string[], values: unknown[]): DataRow {
+  const row: DataRow = {};
+  keys.forEach((k, j) => {
+    row[k] = values[j];
+  });
+  return row;
+}
+
+/**
+ * Group dataframe rows by key columns
+ * @param df - DataFrame or array of row objects
+ * @param keys - Column(s) to group by
+ * @returns Grouped view supporting agg()
+ */
+export function groupby(df: DataFrame | DataRow[], keys: string | string[]): GroupBy {
+  return new GroupBy(df, keys);
+}
+
+export type MergeHow = 'inner' | 'left' | 'right' | 'outer' | 'cross';
+export type MergeValidate =
+  | 'one_to_one' | '1:1'
+  | 'one_to_many' | '1:m'
+  | 'many_to_one' | 'm:1'
+  | 'many_to_many' | 'm:m';
+
+export interface MergeOptions {
+  how?: MergeHow;
+  suffixes?: [string, string];
+  indicator?: boolean | string;
+  validate?: MergeValidate | null;
+}
+
+const MERGE_VALIDATION: Record<MergeValidate, [boolean, boolean]> = {
+  one_to_one: [true, true],
+  '1:1': [true, true],
+  one_to_many: [true, false],
+  '1:m': [true, false],
+  many_to_one: [false, true],
+  'm:1': [false, true],
+  many_to_many: [false, false],
+  'm:m': [false, false]
+};
+
+/**
+ * Merge two dataframes using a hash join
+ *
+ * Right key columns are dropped from the output; unmatched right rows in
+ * 'right' and 'outer' joins carry their key values in the left key columns.
+ * Rows keep left order (right order for 'right' joins), with unmatched right
+ * rows appended at the end of an 'outer' join.
+ *
+ * @param left - Left dataframe
+ * @param right - Right dataframe
+ * @param leftOn - Left join column(s)
+ * @param rightOn - Right join column(s)
+ * @param options - Join options: how, suffixes (default ['_x', '_y']),
+ *   indicator (adds a '_merge' column, or one with the given name) and validate
+ * @returns Merged dataframe
+ */
+export function dataframeMerge(
+  left: DataRow[],
+  right: DataRow[],
+  leftOn: string | string[] | null,
+  rightOn: string | string[] | null = leftOn,
+  options: MergeOptions = {}
+): DataRow[] {
+  const leftCols = inferColumns(left);
+  const rightCols = inferColumns(right);
+  const join = hashJoin(left, right, leftCols, rightCols, leftOn, rightOn, options);
+  const leftKeyNames = join.leftKeys.map(k => join.leftNames[leftCols.indexOf(k)]);
+
+  return join.leftPositions.map((l, i) => {
+    const r = join.rightPositions[i];
+    const row: DataRow = {};
+    for (let c = 0; c < leftCols.length; c++) {
+      row[join.leftNames[c]] = l < 0 ? null : left[l][leftCols[c]];
+    }
+    if (l < 0) {
+      join.rightKeys.forEach((k, j) => {
+        if (leftKeyNames[j] !== undefined) row[leftKeyNames[j]] = right[r][k];
+      });
+    }
+    for (let c = 0; c < join.rightValueCols.length; c++) {
+      row[join.rightNames[c]] = r < 0 ? null : right[r][join.rightValueCols[c]];
+    }
+    if (join.indicatorName) row[join.indicatorName] = join.statuses[i];
+    return row;
+  });
+}
+
+/**
+ * Union of row keys in order of first appearance
+ * @param rows - Array of row objects
+ * @returns Column names
+ */
+function inferColumns(rows: DataRow[]): string[] {
+  const columns = new Set<string>();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      columns.add(key);
+    }
+  }
+  return [...columns];
+}
+
+/**
+ * Hash key for a row's join columns
+ * @param row - Row object
+ * @param keys - Join columns
+ * @returns Value usable as a Map key (dates compare by time)
+ */
+function joinKey(row: DataRow, keys: string[]): unknown {
+  return keys.length === 1 ? labelKey(row[keys[0]]) : JSON.stringify(keys.map(k => labelKey(row[k])));
+}
+
+/**
+ * Index rows by join key
+ * @param rows - Array of row objects
+ * @param keys - Join columns
+ * @returns Join key to row positions
+ */
+function buildJoinIndex(rows: DataRow[], keys: string[]): Map<unknown, number[]> {
+  const index = new Map<unknown, number[]>();
+  for (let i = 0; i < rows.length; i++) {
+    const key = joinKey(rows[i], keys);
+    const bucket = index.get(key);
+    if (bucket) {
+      bucket.push(i);
+    } else {
+      index.set(key, [i]);
+    }
+  }
+  return index;
+}
+
+type MergeStatus = 'both' | 'left_only' | 'right_only';
+
+/** Output layout and matched rows of a hash join */
+interface Join {
+  /** Output column order */
+  columns: string[];
+  /** Output name per left column */
+  leftNames: string[];
+  /** Right columns other than the keys, and their output names */
+  rightValueCols: string[];
+  rightNames: string[];
+  indicatorName: string | null;
+  leftKeys: string[];
+  rightKeys: string[];
+  /** Left and right row position per output row, -1 where a side has no row */
+  leftPositions: number[];
+  rightPositions: number[];
+  statuses: MergeStatus[];
+}
+
+/**
+ * Hash join implementation shared by dataframeMerge and DataFrame#merge
+ * @param left - Left rows
+ * @param right - Right rows
+ * @param leftCols - Left column order
+ * @param rightCols - Right column order
+ * @param leftOn - Left join column(s)
+ * @param rightOn - Right join column(s)
+ * @param options - Join options, see dataframeMerge
+ * @returns Output column names and the row positions joined into each output row
+ */
+function hashJoin(
+  left: DataRow[],
+  right: DataRow[],
+  leftCols: string[],
+  rightCols: string[],
+  leftOn: string | string[] | null,
+  rightOn: string | string[] | null,
+  options: MergeOptions
+): Join {
+  const { how = 'inner', suffixes = ['_x', '_y'], indicator = false, validate = null } = options;
+  if (!['inner', 'left', 'right', 'outer', 'cross'].includes(how)) {
+    throw new Error(`Unknown merge type: ${how}`);
+  }
+
+  const leftKeys: string[] = how === 'cross' || leftOn === null ? [] : ([] as string[]).concat(leftOn);
+  const rightKeys: string[] = how === 'cross' || rightOn === null ? [] : ([] as string[]).concat(rightOn);
+  if (leftKeys.length !== rightKeys.length) {
+    throw new Error('leftOn and rightOn must have the same length');
+  }
+
+  // Output column names, suffixing columns present on both sides
+  const rightValueCols = rightCols.filter(c => !rightKeys.includes(c));
+  const leftSet = new Set(leftCols);
+  const rightSet = new Set(rightValueCols);
+  const leftNames = leftCols.map(c => (rightSet.has(c) ? c + suffixes[0] : c));
+  const rightNames = rightValueCols.map(c => (leftSet.has(c) ? c + suffixes[1] : c));
+  const indicatorName = indicator === true ? '_merge' : indicator || null;
+  const columns = [...leftNames, ...rightNames];
+  if (indicatorName) columns.push(indicatorName);
+
+  const leftPositions: number[] = [];
+  const rightPositions: number[] = [];
+  const statuses: MergeStatus[] = [];
+  const emit = (l: number, r: number, status: MergeStatus): void => {
+    leftPositions.push(l);
+    rightPositions.push(r);
+    statuses.push(status);
+  };
+  const result: Join = {
+    columns, leftNames, rightValueCols, rightNames, indicatorName, leftKeys, rightKeys, leftPositions, rightPositions, statuses
+  };
+
+  if (how === 'cross') {
+    for (let i = 0; i < left.length; i++) {
+      for (let j = 0; j < right.length; j++) {
+        emit(i, j, 'both');
+      }
+    }
+    return result;
+  }
+
+  const rightIndex = buildJoinIndex(right, rightKeys);
+  const leftIndex = how === 'right' || validate ? buildJoinIndex(left, leftKeys) : new Map<unknown, number[]>();
+
+  if (validate) {
+    const rule = MERGE_VALIDATION[validate];
+    if (!rule) {
+      throw new Error(`Unknown merge validation: ${validate}`);
+    }
+    const hasDuplicates = (index: Map<unknown, number[]>) => [...index.values()].some(bucket => bucket.length > 1);
+    if (rule[0] && hasDuplicates(leftIndex)) {
+      throw new Error(`Merge keys are not unique in left dataset; not a ${validate} merge`);
+    }
+    if (rule[1] && hasDuplicates(rightIndex)) {
+      throw new Error(`Merge keys are not unique in right dataset; not a ${validate} merge`);
+    }
+  }
+
+  if (how === 'right') {
+    for (let j = 0; j < right.length; j++) {
+      const matches = leftIndex.get(joinKey(right[j], rightKeys));
+      if (matches) {
+        for (const i of matches) {
+          emit(i, j, 'both');
+        }
+      } else {
+        emit(-1, j, 'right_only');
+      }
+    }
+    return result;
+  }
+
+  const matchedRight = how === 'outer' ? new Uint8Array(right.length) : null;
+  for (let i = 0; i < left.length; i++) {
+    const matches = rightIndex.get(joinKey(left[i], leftKeys));
+    if (matches) {
+      for (const j of matches) {
+        emit(i, j, 'both');
+        if (matchedRight) matchedRight[j] = 1;
+      }
+    } else if (how !== 'inner') {
+      emit(i, -1, 'left_only');
+    }
+  }
+
+  if (matchedRight) {
+    for (let j = 0; j < right.length; j++) {
+      if (!matchedRight[j]) {
+        emit(-1, j, 'right_only');
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Gather values from several columns into one
+ *
+ * The result keeps the dtype the columns share (categoricals when they also
+ * share categories and ordering); otherwise it is inferred from the values.
+ *
+ * @param sources - Encoded columns
+ * @param picks - Per output row, a source and a row position in it
+ * @returns Gathered column
+ */
+function gatherColumns(sources: Column[], picks: [number, number][]): Column {
+  const values = picks.map(([source, i]) => sources[source].get(i));
+  if (sources.length === 0) return encodeColumn(values);
+  const [first] = sources;
+  const sameCategories = (column: Column): boolean =>
+    column.kind === 'dictionary' && first.kind === 'dictionary' && column.ordered === first.ordered &&
+    column.dictionary.length === first.dictionary.length &&
+    column.dictionary.every((value, code) => valueKey(value) === valueKey(first.dictionary[code]));
+  const shared = sources.every(column => column.dtype === first.dtype &&
+    (column.dtype !== 'category' || sameCategories(column)));
+  if (!shared) return encodeColumn(values);
+  if (first.kind === 'dictionary' && first.dtype === 'category') {
+    return toCategorical(values, { categories: first.dictionary, ordered: first.ordered });
+  }
+  return castColumn(encodeColumn(values), first.dtype);
+}
+
+export type PivotAggFunc = AggName | AggFunction | Record<string, AggName | AggFunction>;
+export type PivotTable = Record<string, Record<string, unknown>>;
+
+export interface PivotOptions {
+  /** Value for cells with no rows (left out by default) */
+  fillValue?: unknown;
+  /** Add row and column totals (default false) */
+  margins?: boolean;
+  /** Label of the totals row and column (default 'All') */
+  marginsName?: string;
+  /** Return a flat DataFrame instead of a nested object */
+  asFrame?: boolean;
+}
+
+/**
+ * Aggregate row positions into a pivot grid and emit it as a nested object or DataFrame
+ *
+ * Row and column keys keep their order of first appearance. Cells with no
+ * rows are left out (or set to fillValue); margins aggregate the underlying
+ * rows of each row, each column and the whole table.
+ *
+ * @param frame - Source DataFrame
+ * @param index - Column whose values become rows
+ * @param columns - Column whose values become columns
+ * @param names - Name per aggregated output
+ * @param aggregators - Per output, function from row positions to a cell value
+ * @param perName - Nest/prefix cells by output name
+ * @param options - Pivot options
+ * @returns Pivot table
+ */
+function buildPivot(
+  frame: DataFrame,
+  index: string,
+  columns: string,
+  names: string[],
+  aggregators: ((positions: number[]) => unknown)[],
+  perName: boolean,
+  options: PivotOptions
+): PivotTable | DataFrame {
+  const { fillValue, margins = false, marginsName = 'All', asFrame = false } = options;
+  const rowFactor = factorizeColumn(frame.getColumn(index));
+  const colFactor = factorizeColumn(frame.getColumn(columns));
+  const nRows = rowFactor.uniques.length;
+  const nCols = colFactor.uniques.length;
 
-  for (const row of df) {
-    const key = String(row[groupCol]);
-    if (!groups[key]) {
-      groups[key] = { sum: 0, count: 0 };
+  // Row positions per cell, per row and per column
+  const cells = rowFactor.uniques.map(() => new Map<number, number[]>());
+  const rowTotals: number[][] = rowFactor.uniques.map(() => []);
+  const colTotals: number[][] = colFactor.uniques.map(() => []);
+  for (let i = 0; i < frame.length; i++) {
+    const r = rowFactor.codes[i];
+    const c = colFactor.codes[i];
+    const positions = cells[r].get(c);
+    if (positions) {
+      positions.push(i);
+    } else {
+      cells[r].set(c, [i]);
+    }
+    if (margins) {
+      rowTotals[r].push(i);
+      colTotals[c].push(i);
     }
-    groups[key].sum += row[valueCol] as number;
-    groups[key].count++;
   }
 
-  const result: Record<string, number> = {};
-  for (const [key, { sum, count }] of Object.entries(groups)) {
-    result[key] = sum / count;
+  const rowKeys = [...rowFactor.uniques];
+  const colKeys = [...colFactor.uniques];
+  let all: number[] = [];
+  if (margins) {
+    rowKeys.push(marginsName);
+    colKeys.push(marginsName);
+    all = Array.from({ length: frame.length }, (_, i) => i);
   }
 
-  return result;
+  const positionsAt = (r: number, c: number): number[] | undefined => {
+    if (r < nRows) return c < nCols ? cells[r].get(c) : rowTotals[r];
+    return c < nCols ? colTotals[c] : all;
+  };
+  const cellValue = (r: number, c: number, v: number): unknown => {
+    const positions = positionsAt(r, c);
+    return positions && positions.length > 0 ? aggregators[v](positions) : undefined;
+  };
+
+  if (asFrame) {
+    const data: Record<string, unknown[]> = { [index]: rowKeys };
+    const header = [index];
+    names.forEach((name, v) => {
+      colKeys.forEach((colKey, c) => {
+        const label = perName ? `${name}_${colKey}` : String(colKey);
+        header.push(label);
+        data[label] = rowKeys.map((_, r) => {
+          const value = cellValue(r, c, v);
+          return value === undefined ? (fillValue ?? null) : value;
+        });
+      });
+    });
+    return new DataFrame(data, header);
+  }
+
+  const pivot: PivotTable = {};
+  rowKeys.forEach((rowKey, r) => {
+    const entry: Record<string, unknown> = {};
+    names.forEach((name, v) => {
+      const target: Record<string, unknown> = perName ? (entry[name] = {}) : entry;
+      colKeys.forEach((colKey, c) => {
+        const value = cellValue(r, c, v);
+        if (value !== undefined) {
+          target[String(colKey)] = value;
+        } else if (fillValue !== undefined) {
+          target[String(colKey)] = fillValue;
+        }
+      });
+    });
+    pivot[String(rowKey)] = entry;
+  });
+  return pivot;
 }
 
 /**
- * Merge two dataframes
- * @param left - Left dataframe
- * @param right - Right dataframe
- * @param leftOn - Left join column
- * @param rightOn - Right join column
- * @returns Merged dataframe
+ * Spread columns wide: one output column per value column and distinct
+ * value of the key column, without aggregating
+ *
+ * Rows with a missing key are dropped and cells no row fills are missing.
+ * Dates in labels are formatted as ISO 8601.
+ *
+ * @param frame - Source DataFrame
+ * @param rowCodes - Output row per input row
+ * @param nRows - Number of output rows
+ * @param columns - Column whose values become column labels
+ * @param values - Columns to spread
+ * @param label - (values column, key) to output column name
+ * @returns Output columns by name, and names in order
  */
-export function dataframeMerge(left: DataRow[], right: DataRow[], leftOn: string, rightOn: string): DataRow[] {
-  const result: DataRow[] = [];
+function spreadColumns(
+  frame: DataFrame,
+  rowCodes: Int32Array,
+  nRows: number,
+  columns: string,
+  values: string[],
+  label: (name: string, key: unknown) => string
+): { data: Record<string, Column>; names: string[] } {
+  const { codes, uniques } = factorizeColumn(frame.getColumn(columns));
+  const nKeys = uniques.length;
+  const source = new Int32Array(nRows * nKeys).fill(-1);
+  for (let i = 0; i < frame.length; i++) {
+    const cell = rowCodes[i] * nKeys + codes[i];
+    if (source[cell] >= 0) {
+      throw new Error(
+        `Duplicate entries for ${columns} = ${uniques[codes[i]]} in rows ${source[cell]} and ${i}; use pivotTable to aggregate`
+      );
+    }
+    source[cell] = i;
+  }
 
-  for (const leftRow of left) {
-    for (const rightRow of right) {
-      if (leftRow[leftOn] === rightRow[rightOn]) {
-        const merged: DataRow = { ...leftRow };
-        for (const [key, value] of Object.entries(rightRow)) {
-          if (key !== rightOn) {
-            merged[key] = value;
-          }
-        }
-        result.push(merged);
+  const data: Record<string, Column> = {};
+  const names: string[] = [];
+  for (const value of values) {
+    const column = frame.getColumn(value);
+    uniques.forEach((key, c) => {
+      if (isMissing(key)) return;
+      const positions = new Int32Array(nRows);
+      for (let r = 0; r < nRows; r++) {
+        positions[r] = source[r * nKeys + c];
       }
-    }
+      const name = label(value, key instanceof Date ? key.toISOString() : key);
+      names.push(name);
+      data[name] = column.take(positions);
+    });
   }
+  return { data, names };
+}
 
-  return result;
+/**
+ * Reshape long to wide without aggregating, see DataFrame.pivot
+ * @param df - DataFrame or array of row objects
+ * @param index - Column(s) identifying output rows
+ * @param columns - Column whose values become column labels
+ * @param values - Values column(s) (default all other columns)
+ * @returns One row per index key
+ */
+export function pivot(
+  df: DataFrame | DataRow[],
+  index: string | string[],
+  columns: string,
+  values: string | string[] | null = null
+): DataRow[] {
+  return toFrame(df).pivot(index, columns, values).toArray();
 }
 
 /**
  * Create pivot table
- * @param df - Array of row objects
+ *
+ * With a single values column the nested object is pivot[row][column];
+ * with several it is pivot[row][valuesColumn][column], and DataFrame
+ * output names the columns `${valuesColumn}_${column}`.
+ *
+ * @param df - DataFrame or array of row objects
  * @param index - Index column
  * @param columns - Column to pivot
- * @param values - Values column
- * @param aggfunc - Aggregation function ('sum', 'mean', 'count')
- * @returns Pivot table as nested object
+ * @param values - Values column(s)
+ * @param aggfunc - Aggregation name (sum, mean, min, max, count, std, median, first, last),
+ *   custom function of the cell values, or an object with one per values column
+ * @param options - Fill value, margins and output format
+ * @returns Pivot table
  */
 export function pivotTable(
-  df: DataRow[],
+  df: DataFrame | DataRow[],
   index: string,
   columns: string,
-  values: string,
-  aggfunc: 'sum' | 'mean' | 'count' = 'sum'
-): Record<string, Record<string, number>> {
-  const pivot: Record<string, Record<string, number>> = {};
-  const counts: Record<string, Record<string, number>> = {};
-
-  for (const row of df) {
-    const idxVal = String(row[index]);
-    const colVal = String(row[columns]);
-    const val = row[values] as number;
-
-    if (!pivot[idxVal]) {
-      pivot[idxVal] = {};
-      counts[idxVal] = {};
-    }
-    if (pivot[idxVal][colVal] === undefined) {
-      pivot[idxVal][colVal] = 0;
-      counts[idxVal][colVal] = 0;
-    }
-
-    pivot[idxVal][colVal] += val;
-    counts[idxVal][colVal]++;
-  }
+  values: string | string[],
+  aggfunc?: PivotAggFunc,
+  options?: PivotOptions & { asFrame?: false }
+): PivotTable;
+export function pivotTable(
+  df: DataFrame | DataRow[],
+  index: string,
+  columns: string,
+  values: string | string[],
+  aggfunc: PivotAggFunc,
+  options: PivotOptions & { asFrame: true }
+): DataFrame;
+export function pivotTable(
+  df: DataFrame | DataRow[],
+  index: string,
+  columns: string,
+  values: string | string[],
+  aggfunc?: PivotAggFunc,
+  options?: PivotOptions
+): PivotTable | DataFrame;
+export function pivotTable(
+  df: DataFrame | DataRow[],
+  index: string,
+  columns: string,
+  values: string | string[],
+  aggfunc: PivotAggFunc = 'sum',
+  options: PivotOptions = {}
+): PivotTable | DataFrame {
+  const frame = toFrame(df);
+  const names = Array.isArray(values) ? values : [values];
 
-  if (aggfunc === 'mean') {
-    for (const idx of Object.keys(pivot)) {
-      for (const col of Object.keys(pivot[idx])) {
-        pivot[idx][col] /= counts[idx][col];
+  const aggregators = names.map(name => {
+    let spec: AggName | AggFunction;
+    if (typeof aggfunc === 'object' && aggfunc !== null) {
+      if (!(name in aggfunc)) {
+        throw new Error(`No aggregation given for column: ${name}`);
       }
+      spec = aggfunc[name];
+    } else {
+      spec = aggfunc;
     }
-  } else if (aggfunc === 'count') {
-    return counts;
-  }
+    const agg = resolveAggregation(spec);
+    const get = valueGetter(frame, name);
+    return (positions: number[]) => agg(positions.map(get));
+  });
 
-  return pivot;
+  return buildPivot(frame, index, columns, names, aggregators, Array.isArray(values), options);
+}
+
+/**
+ * Frequency table: number of rows per pair of values from two columns
+ * @param df - DataFrame or array of row objects
+ * @param rowCol - Column for table rows
+ * @param colCol - Column for table columns
+ * @param options - Pivot options, see pivotTable (fillValue defaults to 0)
+ * @returns Counts as nested object, or DataFrame with asFrame
+ */
+export function crosstab(
+  df: DataFrame | DataRow[],
+  rowCol: string,
+  colCol: string,
+  options?: PivotOptions & { asFrame?: false }
+): PivotTable;
+export function crosstab(
+  df: DataFrame | DataRow[],
+  rowCol: string,
+  colCol: string,
+  options: PivotOptions & { asFrame: true }
+): DataFrame;
+export function crosstab(
+  df: DataFrame | DataRow[],
+  rowCol: string,
+  colCol: string,
+  options?: PivotOptions
+): PivotTable | DataFrame;
+export function crosstab(
+  df: DataFrame | DataRow[],
+  rowCol: string,
+  colCol: string,
+  options: PivotOptions = {}
+): PivotTable | DataFrame {
+  const counts = [(positions: number[]) => positions.length];
+  return buildPivot(toFrame(df), rowCol, colCol, ['count'], counts, false, { fillValue: 0, ...options });
 }
 
 /**
@@ -188,38 +2746,109 @@ export function applyFunction<T>(df: DataRow[], column: string, func: (value: un
   }));
 }
 
+/**
+ * Fill one column's missing values with a fill, see DataFrame fillna
+ * @param frame - DataFrame
+ * @param col - Column to fill
+ * @param fill - Constant, or { method, limit }
+ * @returns Filled values
+ */
+function fillColumn(frame: DataFrame, col: string, fill: unknown): unknown[] {
+  const column = frame.getColumn(col);
+  if (fill !== null && typeof fill === 'object' && typeof (fill as FillSpec).method === 'string') {
+    const spec = fill as FillSpec;
+    if ((spec.method === 'mean' || spec.method === 'median') && column.kind !== 'numeric') {
+      throw new Error(`Column is not numeric: ${col}`);
+    }
+    return fillMissing(column.toArray(), spec.method, spec);
+  }
+  return column.toArray().map(v => (isMissing(v) ? fill : v));
+}
+
 /**
  * Fill missing values
- * @param df - Array of row objects
- * @param column - Column to fill
- * @param value - Fill value
- * @returns DataFrame with filled values
+ * @param df - DataFrame or array of row objects
+ * @param column - Column to fill, mapping from column to fill, or strategy name (see DataFrame fillna)
+ * @param value - Fill value when a column is given
+ * @returns Rows with filled values
  */
-export function fillna(df: DataRow[], column: string, value: unknown): DataRow[] {
-  return df.map(row => ({
-    ...row,
-    [column]: row[column] === null || row[column] === undefined ? value : row[column]
-  }));
+export function fillna(
+  df: DataFrame | DataRow[],
+  column: string | Record<string, unknown>,
+  value?: unknown
+): DataRow[] {
+  if (Array.isArray(df) && typeof column === 'string' && value !== undefined) {
+    return df.map(row => ({
+      ...row,
+      [column]: isMissing(row[column]) ? value : row[column]
+    }));
+  }
+  return toFrame(df).fillna(column, value).toArray();
 }
 
 /**
- * Drop duplicate rows
- * @param df - Array of row objects
- * @param subset - Columns to check for duplicates
- * @returns DataFrame without duplicates
+ * Drop rows with missing values
+ * @param df - DataFrame or array of row objects
+ * @param options - how, thresh and subset, see DataFrame dropna
+ * @returns Remaining rows
  */
-export function dropDuplicates(df: DataRow[], subset: string[] | null = null): DataRow[] {
+export function dropna(df: DataFrame | DataRow[], options: DropNaOptions = {}): DataRow[] {
+  return toFrame(df).dropna(options).toArray();
+}
+
+/**
+ * Boolean mask of missing values (null, undefined or NaN)
+ * @param df - DataFrame or array of row objects
+ * @returns Rows of booleans
+ */
+export function isna(df: DataFrame | DataRow[]): DataRow[] {
+  return toFrame(df).isna().toArray();
+}
+
+/**
+ * Boolean mask of present values
+ * @param df - DataFrame or array of row objects
+ * @returns Rows of booleans
+ */
+export function notna(df: DataFrame | DataRow[]): DataRow[] {
+  return toFrame(df).notna().toArray();
+}
+
+/**
+ * One-hot encode columns, see DataFrame.getDummies
+ * @param df - DataFrame or array of row objects
+ * @param columns - Columns to encode (default string and categorical columns)
+ * @param options - dropFirst, prefix and prefixSep
+ * @returns Rows with indicator columns
+ */
+export function getDummies(
+  df: DataFrame | DataRow[],
+  columns: string[] | null = null,
+  options: DummiesOptions = {}
+): DataRow[] {
+  return toFrame(df).getDummies(columns, options).toArray();
+}
+
+/**
+ * Positions of the first row of each set of duplicates
+ * @param rows - Array of row objects
+ * @param subset - Columns to check for duplicates (default all)
+ * @returns Positions of the rows to keep
+ */
+function firstOccurrences(rows: DataRow[], subset: string[] | null): number[] {
   const seen = new Set<string>();
-  const result: DataRow[] = [];
+  const result: number[] = [];
 
-  for (const row of df) {
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    // null, undefined and NaN all serialize as null
     const key = subset
-      ? subset.map(col => JSON.stringify(row[col])).join('|')
-      : JSON.stringify(row);
+      ? subset.map(col => JSON.stringify(isMissing(row[col]) ? null : row[col])).join('|')
+      : JSON.stringify(row, (k, v) => (isMissing(v) ? null : v));
 
     if (!seen.has(key)) {
       seen.add(key);
-      result.push({ ...row });
+      result.push(i);
     }
   }
 
@@ -227,78 +2856,661 @@ export function dropDuplicates(df: DataRow[], subset: string[] | null = null): D
 }
 
 /**
- * Sort dataframe by column (bubble sort - intentionally inefficient)
+ * Drop duplicate rows
  * @param df - Array of row objects
- * @param by - Column to sort by
- * @param ascending - Sort order
- * @returns Sorted dataframe
+ * @param subset - Columns to check for duplicates
+ * @returns DataFrame without duplicates
+ */
+export function dropDuplicates(df: DataRow[], subset: string[] | null = null): DataRow[] {
+  return firstOccurrences(df, subset).map(i => ({ ...df[i] }));
+}
+
+export interface SortOptions {
+  /** Put missing values first or last (default 'last') */
+  naPosition?: 'first' | 'last';
+  /** Map (value, column) to the value to sort by (not called for missing values) */
+  key?: (value: unknown, column: string) => unknown;
+  /** Compare strings with Intl.Collator (true for the default locale) */
+  locale?: boolean | string | string[];
+}
+
+type SortKey = number | string | boolean;
+
+/**
+ * Compare two non-missing sort keys
+ * @param a - First key
+ * @param b - Second key
+ * @param collator - Collator for strings, or null for code unit order
+ * @returns Negative, zero or positive
+ */
+function compareKeys(a: SortKey, b: SortKey, collator: Intl.Collator | null): number {
+  if (collator && typeof a === 'string' && typeof b === 'string') {
+    return collator.compare(a, b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Build a comparator of row positions over one or more columns
+ *
+ * Sort keys are extracted once per row up front. Missing values are placed
+ * according to naPosition regardless of direction.
+ *
+ * @param df - DataFrame or array of row objects
+ * @param by - Column(s) to sort by
+ * @param ascending - Sort order, per column or for all
+ * @param options - Sort options
+ * @returns Comparator (without tie-break) and keys per column
  */
-export function sortValues(df: DataRow[], by: string, ascending: boolean = true): DataRow[] {
-  const result = df.map(row => ({ ...row }));
-  const n = result.length;
+function rowComparator(
+  df: DataFrame | DataRow[],
+  by: string | string[],
+  ascending: boolean | boolean[],
+  options: SortOptions
+): { compare: (i: number, j: number) => number; keys: (SortKey | null)[][] } {
+  const { naPosition = 'last', key = null, locale = null } = options;
+  const columns = Array.isArray(by) ? by : [by];
+  const directions = Array.isArray(ascending) ? ascending : columns.map(() => ascending);
+  if (directions.length !== columns.length) {
+    throw new Error('Length of ascending must equal length of by');
+  }
+  if (naPosition !== 'first' && naPosition !== 'last') {
+    throw new Error(`Invalid naPosition: ${naPosition}`);
+  }
 
-  // Bubble sort (intentionally inefficient like Python version)
-  for (let i = 0; i < n; i++) {
-    for (let j = 0; j < n - i - 1; j++) {
-      const shouldSwap = ascending
-        ? (result[j][by] as number) > (result[j + 1][by] as number)
-        : (result[j][by] as number) < (result[j + 1][by] as number);
+  const n = df.length;
+  const keys = columns.map(column => {
+    // Categorical columns sort by category position
+    const col = !key && df instanceof DataFrame ? df.getColumn(column) : null;
+    const get = col && col.kind === 'dictionary' && col.dtype === 'category'
+      ? (i: number) => (col.codes[i] < 0 ? null : col.codes[i])
+      : valueGetter(df, column);
+    const values: (SortKey | null)[] = new Array(n);
+    for (let i = 0; i < n; i++) {
+      let v = get(i);
+      if (key && !isMissing(v)) v = key(v, column);
+      if (v instanceof Date) v = v.getTime();
+      values[i] = isMissing(v) ? null : (v as SortKey);
+    }
+    return values;
+  });
 
-      if (shouldSwap) {
-        [result[j], result[j + 1]] = [result[j + 1], result[j]];
+  const signs = directions.map(asc => (asc ? 1 : -1));
+  const naSign = naPosition === 'first' ? -1 : 1;
+  const collator = locale ? new Intl.Collator(locale === true ? undefined : locale) : null;
+
+  const compare = (i: number, j: number): number => {
+    for (let c = 0; c < keys.length; c++) {
+      const a = keys[c][i];
+      const b = keys[c][j];
+      if (a === null || b === null) {
+        if (a === b) continue;
+        return a === null ? naSign : -naSign;
       }
+      const cmp = compareKeys(a, b, collator);
+      if (cmp !== 0) return cmp * signs[c];
     }
-  }
+    return 0;
+  };
 
-  return result;
+  return { compare, keys };
 }
 
 /**
- * Reindex dataframe
- * @param df - Array of row objects
- * @param newIndex - New index values
- * @returns Reindexed dataframe
+ * Stable sort order of row positions
+ * @param df - DataFrame or array of row objects
+ * @param by - Column(s) to sort by
+ * @param ascending - Sort order, per column or for all
+ * @param options - Sort options
+ * @returns Row positions in sorted order
  */
-export function reindex(df: DataRow[], newIndex: unknown[]): DataRow[] {
-  const columns = df.length > 0 ? Object.keys(df[0]) : [];
-  const result: DataRow[] = [];
+function sortOrder(
+  df: DataFrame | DataRow[],
+  by: string | string[],
+  ascending: boolean | boolean[],
+  options: SortOptions
+): number[] {
+  const { compare } = rowComparator(df, by, ascending, options);
+  const order = Array.from({ length: df.length }, (_, i) => i);
+  // Ties fall back to position, so the sort is stable whatever the engine does
+  return order.sort((i, j) => compare(i, j) || i - j);
+}
 
-  for (let i = 0; i < newIndex.length; i++) {
-    if (i < df.length) {
-      result.push({ ...df[i], _index: newIndex[i] });
-    } else {
-      const row: DataRow = { _index: newIndex[i] };
-      for (const col of columns) {
-        row[col] = null;
-      }
-      result.push(row);
+/**
+ * Row positions of each partition in window order, for the analytic
+ * methods (rank, rowNumber, cumsum, lag, ...)
+ *
+ * Partitions come in order of first appearance; rows are visited in
+ * orderBy order (stable, missing keys last), or row order without one.
+ *
+ * @param frame - DataFrame
+ * @param options - partitionBy, orderBy and ascending
+ * @returns Positions per partition
+ */
+function windowPartitions(frame: DataFrame, options: WindowSpec): number[][] {
+  const { partitionBy = null, orderBy = null, ascending = true } = options;
+  const order = orderBy === null
+    ? Array.from({ length: frame.length }, (_, i) => i)
+    : sortOrder(frame, orderBy, ascending, {});
+  if (partitionBy === null) return [order];
+
+  const { groups } = new GroupBy(frame, partitionBy);
+  const partitionOf = new Int32Array(frame.length);
+  groups.forEach(({ indices }, g) => {
+    for (const i of indices) partitionOf[i] = g;
+  });
+  const partitions: number[][] = groups.map(() => []);
+  for (const i of order) {
+    partitions[partitionOf[i]].push(i);
+  }
+  return partitions;
+}
+
+/**
+ * Positions of the n best rows by partial selection with a bounded heap,
+ * O(N log n) instead of sorting everything. Rows with missing keys are skipped.
+ * @param df - DataFrame or array of row objects
+ * @param n - Number of rows
+ * @param columns - Column(s) to order by
+ * @param ascending - True for smallest, false for largest
+ * @param keep - Which of tied rows to prefer
+ * @returns Selected row positions, best first
+ */
+function selectTop(
+  df: DataFrame | DataRow[],
+  n: number,
+  columns: string | string[],
+  ascending: boolean,
+  keep: 'first' | 'last'
+): number[] {
+  if (keep !== 'first' && keep !== 'last') {
+    throw new Error(`Invalid keep: ${keep}`);
+  }
+  const { compare: compareValues, keys } = rowComparator(df, columns, ascending, {});
+  const tieBreak = keep === 'first' ? 1 : -1;
+  const compare = (i: number, j: number): number => compareValues(i, j) || (i - j) * tieBreak;
+  const count = Math.max(0, Math.min(n, df.length));
+
+  // Max-heap on compare: the root is the worst row kept so far
+  const heap: number[] = [];
+  const siftUp = (pos: number): void => {
+    while (pos > 0) {
+      const parent = (pos - 1) >> 1;
+      if (compare(heap[pos], heap[parent]) <= 0) break;
+      [heap[pos], heap[parent]] = [heap[parent], heap[pos]];
+      pos = parent;
+    }
+  };
+  const siftDown = (pos: number): void => {
+    for (;;) {
+      const left = 2 * pos + 1;
+      const right = left + 1;
+      let largest = pos;
+      if (left < heap.length && compare(heap[left], heap[largest]) > 0) largest = left;
+      if (right < heap.length && compare(heap[right], heap[largest]) > 0) largest = right;
+      if (largest === pos) return;
+      [heap[pos], heap[largest]] = [heap[largest], heap[pos]];
+      pos = largest;
+    }
+  };
+
+  for (let i = 0; i < df.length && count > 0; i++) {
+    if (keys.some(values => values[i] === null)) continue;
+    if (heap.length < count) {
+      heap.push(i);
+      siftUp(heap.length - 1);
+    } else if (compare(i, heap[0]) < 0) {
+      heap[0] = i;
+      siftDown(0);
     }
   }
 
+  return heap.sort(compare);
+}
+
+/**
+ * Sort dataframe by one or more columns
+ *
+ * Uses a stable O(n log n) sort: rows that compare equal keep their order.
+ *
+ * @param df - DataFrame or array of row objects
+ * @param by - Column(s) to sort by
+ * @param ascending - Sort order, per column or for all
+ * @param options - Missing value placement, key function and locale-aware compare
+ * @returns Sorted rows
+ */
+export function sortValues(
+  df: DataFrame | DataRow[],
+  by: string | string[],
+  ascending: boolean | boolean[] = true,
+  options: SortOptions = {}
+): DataRow[] {
+  // Copy row arrays as given: re-encoding them would drop keys missing from the first row
+  const rows = df instanceof DataFrame ? df.data : df;
+  return sortOrder(df, by, ascending, options).map(i => ({ ...rows[i] }));
+}
+
+/**
+ * Rows with the largest values, in descending order
+ * @param df - DataFrame or array of row objects
+ * @param n - Number of rows
+ * @param columns - Column(s) to order by
+ * @param keep - Which of tied rows to prefer
+ * @returns Selected rows
+ */
+export function nlargest(
+  df: DataFrame | DataRow[],
+  n: number,
+  columns: string | string[],
+  keep: 'first' | 'last' = 'first'
+): DataRow[] {
+  const rows = df instanceof DataFrame ? df.data : df;
+  return selectTop(df, n, columns, false, keep).map(i => ({ ...rows[i] }));
+}
+
+/**
+ * Rows with the smallest values, in ascending order
+ * @param df - DataFrame or array of row objects
+ * @param n - Number of rows
+ * @param columns - Column(s) to order by
+ * @param keep - Which of tied rows to prefer
+ * @returns Selected rows
+ */
+export function nsmallest(
+  df: DataFrame | DataRow[],
+  n: number,
+  columns: string | string[],
+  keep: 'first' | 'last' = 'first'
+): DataRow[] {
+  const rows = df instanceof DataFrame ? df.data : df;
+  return selectTop(df, n, columns, true, keep).map(i => ({ ...rows[i] }));
+}
+
+/**
+ * Reindex dataframe: conform rows to new labels
+ *
+ * Rows of an array are labelled by position. Each output row carries its
+ * new label in an `_index` field.
+ *
+ * @param df - DataFrame or array of row objects
+ * @param newIndex - New row labels
+ * @param options - Fill method ('ffill', 'bfill', 'nearest') and limit
+ * @returns Reindexed rows
+ */
+export function reindex(df: DataFrame | DataRow[], newIndex: unknown[], options: ReindexOptions = {}): DataRow[] {
+  const rows = toFrame(df).reindex(newIndex, options).data;
+  return rows.map((row, i) => ({ ...row, _index: newIndex[i] }));
+}
+
+/** groupby agg() spec, or aggregation(s) applied to every numeric column */
+export type ResampleAggs = Record<string, AggSpec> | AggName | AggFunction | Array<AggName | AggFunction>;
+
+/**
+ * Aggregate rows into regular time buckets (pandas resample)
+ *
+ * Buckets are labelled by their start and aligned to the epoch in UTC
+ * (days at midnight, weeks on Monday, months on the 1st). Every bucket
+ * between the first and last date is returned, including empty ones.
+ * Rows with a missing date are dropped.
+ *
+ * @param df - DataFrame or array of row objects
+ * @param dateCol - Date column (Dates or ISO strings)
+ * @param rule - Bucket size, e.g. '1h', '15m', '1D', '1W', '1M', see parseFrequency
+ * @param aggs - groupby agg() spec, or one aggregation for all numeric columns
+ * @returns dateCol with bucket starts, then the aggregated columns
+ */
+export function resample(
+  df: DataFrame | DataRow[],
+  dateCol: string,
+  rule: string,
+  aggs: ResampleAggs
+): DataFrame {
+  const frame = toFrame(df).toDatetime(dateCol);
+  const freq = parseFrequency(rule);
+  const { values, nulls } = frame.getColumn(dateCol) as DatetimeColumn;
+
+  const spec: Record<string, AggSpec> = typeof aggs === 'object' && !Array.isArray(aggs)
+    ? aggs
+    : Object.fromEntries(
+      frame.columns
+        .filter(col => col !== dateCol && frame.getColumn(col).kind === 'numeric')
+        .map(col => [col, aggs])
+    );
+
+  const starts = new Float64Array(frame.length);
+  let first = Infinity;
+  let last = -Infinity;
+  for (let i = 0; i < starts.length; i++) {
+    if (nulls && nulls[i]) continue;
+    starts[i] = floorDate(values[i], freq);
+    first = Math.min(first, starts[i]);
+    last = Math.max(last, starts[i]);
+  }
+
+  const groups: Group[] = [];
+  const slots = new Map<number, number>();
+  for (let k = 0, t = first; t <= last; t = addPeriods(first, freq, ++k)) {
+    slots.set(t, groups.length);
+    groups.push({ key: [new Date(t)], indices: [] });
+  }
+  for (let i = 0; i < starts.length; i++) {
+    if (!(nulls && nulls[i])) groups[slots.get(starts[i]) as number].indices.push(i);
+  }
+
+  return new GroupBy(frame, [dateCol], groups).agg(spec);
+}
+
+/**
+ * Conform rows to a regular time grid from the first to the last date
+ * (pandas asfreq). Grid times without a row are null, or filled with a method.
+ * @param df - DataFrame or array of row objects
+ * @param dateCol - Date column (Dates or ISO strings), values must be unique
+ * @param rule - Grid step, e.g. '1h', '1D', see parseFrequency
+ * @param options - Fill options, see reindex
+ * @returns One row per grid time
+ */
+export function asfreq(
+  df: DataFrame | DataRow[],
+  dateCol: string,
+  rule: string,
+  options: ReindexOptions = {}
+): DataFrame {
+  const frame = toFrame(df)
+    .toDatetime(dateCol)
+    .filter(row => row[dateCol] !== null)
+    .sortValues(dateCol);
+  if (frame.length === 0) return frame;
+
+  const freq = parseFrequency(rule);
+  const { values } = frame.getColumn(dateCol) as DatetimeColumn;
+  const grid: Date[] = [];
+  const first = values[0];
+  for (let k = 0, t = first; t <= values[values.length - 1]; t = addPeriods(first, freq, ++k)) {
+    grid.push(new Date(t));
+  }
+
+  return frame.setIndex(dateCol).reindex(grid, options).resetIndex();
+}
+
+/**
+ * Shift values down by a number of rows (up when negative)
+ * @param df - DataFrame or array of row objects
+ * @param periods - Rows to shift by
+ * @param columns - Columns to shift (default all)
+ * @returns Shifted rows, null where no value moved in
+ */
+export function shift(df: DataFrame | DataRow[], periods = 1, columns: string[] | null = null): DataRow[] {
+  return toFrame(df).shift(periods, columns).toArray();
+}
+
+/**
+ * Difference with the value a number of rows earlier
+ * @param df - DataFrame or array of row objects
+ * @param periods - Rows to look back
+ * @param columns - Columns to difference (default all numeric and datetime columns)
+ * @returns Rows with differenced columns
+ */
+export function diff(df: DataFrame | DataRow[], periods = 1, columns: string[] | null = null): DataRow[] {
+  return toFrame(df).diff(periods, columns).toArray();
+}
+
+/**
+ * Relative change from the value a number of rows earlier
+ * @param df - DataFrame or array of row objects
+ * @param periods - Rows to look back
+ * @param columns - Columns to compare (default all numeric columns)
+ * @returns Rows with fractional changes
+ */
+export function pctChange(df: DataFrame | DataRow[], periods = 1, columns: string[] | null = null): DataRow[] {
+  return toFrame(df).pctChange(periods, columns).toArray();
+}
+
+/**
+ * Columns a numeric transform applies to
+ * @param frame - DataFrame
+ * @param columns - Requested columns, or null for all numeric columns
+ * @param on - Column to leave out, such as the date column a window is keyed on
+ * @returns Column names
+ */
+function numericColumns(frame: DataFrame, columns: string[] | null, on: string | null = null): string[] {
+  if (columns) return columns;
+  return frame.columns.filter(col => col !== on && frame.getColumn(col).kind === 'numeric');
+}
+
+/**
+ * Replace numeric columns with transformed values, NaN results becoming null
+ * @param frame - DataFrame
+ * @param columns - Columns to transform
+ * @param transform - New values from a column's values
+ * @returns DataFrame with transformed columns
+ */
+function mapNumeric(
+  frame: DataFrame,
+  columns: string[],
+  transform: (values: Float64Array) => number[]
+): DataFrame {
+  let result = frame;
+  for (const col of columns) {
+    const values = Float64Array.from(transform(frame.numeric(col)));
+    const nulls = Uint8Array.from(values, v => (Number.isNaN(v) ? 1 : 0));
+    result = result.withColumn(col, new NumericColumn(values, nulls));
+  }
   return result;
 }
 
 /**
- * Melt (unpivot) dataframe
- * @param df - Array of row objects
- * @param idVars - ID variables
- * @param valueVars - Value variables to unpivot
- * @returns Melted dataframe
+ * Rolling or expanding window over DataFrame columns; every statistic
+ * returns the DataFrame with those columns replaced
  */
-export function melt(df: DataRow[], idVars: string[], valueVars: string[]): DataRow[] {
-  const result: DataRow[] = [];
+export class RollingFrame {
+  /**
+   * @param df - DataFrame
+   * @param columns - Columns to transform
+   * @param open - Window over a column's values
+   */
+  constructor(
+    private df: DataFrame,
+    private columns: string[],
+    private open: (values: Float64Array) => RollingWindow
+  ) {}
 
-  for (const row of df) {
-    for (const valueVar of valueVars) {
-      const newRow: DataRow = { variable: valueVar, value: row[valueVar] };
-      for (const idVar of idVars) {
-        newRow[idVar] = row[idVar];
-      }
-      result.push(newRow);
+  mean(): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).mean());
+  }
+
+  sum(): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).sum());
+  }
+
+  std(ddof = 1): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).std(ddof));
+  }
+
+  var(ddof = 1): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).var(ddof));
+  }
+
+  min(): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).min());
+  }
+
+  max(): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).max());
+  }
+
+  median(): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).median());
+  }
+
+  count(): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).count());
+  }
+
+  apply(fn: (values: number[]) => number): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).apply(fn));
+  }
+}
+
+/**
+ * Exponentially weighted window over DataFrame columns; every statistic
+ * returns the DataFrame with those columns replaced
+ */
+export class EwmFrame {
+  /**
+   * @param df - DataFrame
+   * @param columns - Columns to transform
+   * @param open - Window over a column's values
+   */
+  constructor(
+    private df: DataFrame,
+    private columns: string[],
+    private open: (values: Float64Array) => EwmWindow
+  ) {}
+
+  mean(): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).mean());
+  }
+
+  std(bias = false): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).std(bias));
+  }
+
+  var(bias = false): DataFrame {
+    return mapNumeric(this.df, this.columns, values => this.open(values).var(bias));
+  }
+}
+
+/**
+ * Text operations on a string column (pandas .str); every operation returns
+ * the DataFrame with its result in the target column, and missing values
+ * stay missing
+ */
+export class StringAccessor {
+  private values: DictionaryColumn;
+
+  /**
+   * @param df - DataFrame
+   * @param column - String column to read
+   * @param name - Column for the results
+   */
+  constructor(private df: DataFrame, column: string, private name: string) {
+    this.values = stringColumn(df.getColumn(column), column);
+  }
+
+  lower(): DataFrame {
+    return this.df.withColumn(this.name, mapStrings(this.values, text => text.toLowerCase()));
+  }
+
+  upper(): DataFrame {
+    return this.df.withColumn(this.name, mapStrings(this.values, text => text.toUpperCase()));
+  }
+
+  trim(): DataFrame {
+    return this.df.withColumn(this.name, mapStrings(this.values, text => text.trim()));
+  }
+
+  /**
+   * Length of each string
+   * @returns Int lengths
+   */
+  len(): DataFrame {
+    return this.df.withColumn(this.name, stringLengths(this.values));
+  }
+
+  /**
+   * Whether each string contains a pattern
+   * @param pattern - Regular expression, or literal text when regex is false
+   * @param options - regex (default true) and caseSensitive (default true)
+   * @returns Bool results
+   */
+  contains(pattern: string | RegExp, options: PatternOptions = {}): DataFrame {
+    return this.df.withColumn(this.name, containsPattern(this.values, pattern, options));
+  }
+
+  /**
+   * Replace every match of a pattern
+   * @param pattern - Regular expression, or literal text when regex is false
+   * @param replacement - Replacement text ($1 etc. refer to groups when regex) or function
+   * @param options - regex (default true) and caseSensitive (default true)
+   * @returns Replaced strings
+   */
+  replace(pattern: string | RegExp, replacement: Replacement, options: PatternOptions = {}): DataFrame {
+    return this.df.withColumn(this.name, replacePattern(this.values, pattern, replacement, options));
+  }
+
+  /**
+   * Pad each string to a width
+   * @param width - Minimum length
+   * @param options - side ('left', 'right' or 'both'; default 'left') and fillchar (default ' ')
+   * @returns Padded strings
+   */
+  pad(width: number, options: PadOptions = {}): DataFrame {
+    return this.df.withColumn(this.name, padStrings(this.values, width, options));
+  }
+
+  /**
+   * Split each string around a separator
+   *
+   * With expand, part i goes to column `${name}_${i}` (null where a string
+   * has fewer parts); otherwise the target column holds arrays of parts.
+   *
+   * @param sep - Literal separator or pattern (default runs of whitespace)
+   * @param options - expand (default false) and n (most splits, default -1 for all)
+   * @returns Split strings
+   */
+  split(sep: string | RegExp | null = null, options: SplitOptions = {}): DataFrame {
+    const { expand = false, n = -1 } = options;
+    const parts = splitStrings(this.values, sep, n);
+    if (!expand) {
+      return this.df.withColumn(this.name, new ObjectColumn(parts));
     }
+    const width = Math.max(0, ...parts.map(row => (row ? row.length : 0)));
+    let result = this.df;
+    for (let i = 0; i < width; i++) {
+      result = result.withColumn(`${this.name}_${i}`, parts.map(row => (row && i < row.length ? row[i] : null)));
+    }
+    return result;
   }
 
-  return result;
+  /**
+   * Capture groups of the first match into new columns, named after the
+   * groups when every group is named and `${name}_${i}` otherwise
+   * @param pattern - Pattern with capture groups
+   * @returns DataFrame with one column per group (null where there is no match)
+   */
+  extract(pattern: string | RegExp): DataFrame {
+    const { names, columns } = extractGroups(this.values, pattern);
+    return columns.reduce((frame, column, g) => frame.withColumn(names ? names[g] : `${this.name}_${g}`, column), this.df);
+  }
+}
+
+/**
+ * Melt (unpivot) dataframe, see DataFrame.melt
+ * @param df - DataFrame or array of row objects
+ * @param idVars - ID variables
+ * @param valueVars - Value variables to unpivot (default all columns not in idVars)
+ * @param options - varName (default 'variable') and valueName (default 'value')
+ * @returns Melted dataframe
+ */
+export function melt(
+  df: DataFrame | DataRow[],
+  idVars: string[] = [],
+  valueVars: string[] | null = null,
+  options: MeltOptions = {}
+): DataRow[] {
+  // Ragged rows contribute every key, not only those of the first row
+  const frame = df instanceof DataFrame ? df : new DataFrame(df, inferColumns(df));
+  return frame.melt(idVars, valueVars, options).toArray();
+}
+
+/**
+ * One row per element of array-valued cells, see DataFrame.explode
+ * @param df - DataFrame or array of row objects
+ * @param columns - Column(s) holding arrays
+ * @returns Exploded rows
+ */
+export function explode(df: DataFrame | DataRow[], columns: string | string[]): DataRow[] {
+  return toFrame(df).explode(columns).toArray();
 }
 
 /**
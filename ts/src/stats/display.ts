@@ -0,0 +1,157 @@
+/**
+ * Table Display
+ * Plain text, Markdown and HTML rendering of DataFrame contents
+ *
+ * Renderers take a grid of already formatted cells (see
+ * DataFrame.displayGrid): header labels, one string array per row (null for
+ * the '...' row standing in for truncated rows), the alignment of each
+ * column, whether the first column holds the index, and the full shape when
+ * rows or columns were left out.
+ */
+
+export type CellAlign = 'left' | 'right';
+
+export interface DisplayGrid {
+  /** Column labels (the index label first when index is set) */
+  header: string[];
+  /** Formatted cells per row; null for the '...' row */
+  rows: (string[] | null)[];
+  /** Alignment per column */
+  align: CellAlign[];
+  /** The first column holds the index */
+  index: boolean;
+  /** Rows and columns of the whole frame, or null when nothing was left out */
+  shape: [number, number] | null;
+}
+
+/**
+ * Positions to show out of n, keeping the first and last halves of max
+ * @param n - Number of rows or columns
+ * @param max - Most to show (null for all)
+ * @returns Positions, with -1 where the left out positions are
+ */
+export function truncatePositions(n: number, max: number | null): number[] {
+  if (max === null || n <= max) {
+    return Array.from({ length: n }, (_, i) => i);
+  }
+  const top = Math.ceil(max / 2);
+  const bottom = max - top;
+  const positions: number[] = [];
+  for (let i = 0; i < top; i++) positions.push(i);
+  positions.push(-1);
+  for (let i = n - bottom; i < n; i++) positions.push(i);
+  return positions;
+}
+
+/**
+ * Format a cell value for display
+ * @param value - Cell value
+ * @param precision - Decimal places for non-integer numbers (trailing zeros are dropped)
+ * @returns Display text ('null' for missing values, dates at midnight UTC as YYYY-MM-DD)
+ */
+export function formatCell(value: unknown, precision = 6): string {
+  if (value === null || value === undefined || Number.isNaN(value)) return 'null';
+  if (typeof value === 'number') {
+    if (Number.isInteger(value) || !Number.isFinite(value)) return String(value);
+    const rounded = Number(value.toFixed(precision));
+    // Keep very small values visible instead of rounding them to 0
+    return rounded === 0 ? Number(value.toPrecision(Math.max(precision, 1))).toExponential() : String(rounded);
+  }
+  if (value instanceof Date) {
+    const text = value.toISOString();
+    return text.endsWith('T00:00:00.000Z') ? text.slice(0, 10) : text;
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Shape note shown under a truncated table
+ * @param shape - Rows and columns of the whole frame
+ * @returns e.g. '100 rows x 12 columns'
+ */
+function shapeText(shape: [number, number]): string {
+  return `${shape[0]} rows x ${shape[1]} columns`;
+}
+
+/**
+ * Render a grid as aligned plain text
+ * @param grid - Formatted cells, see displayGrid
+ * @returns Columns separated by two spaces, plus a shape note when truncated
+ */
+export function formatText(grid: DisplayGrid): string {
+  const clean = (text: string): string => text.replace(/\r?\n/g, '\\n');
+  const header = grid.header.map(clean);
+  const rows = grid.rows.map(row => (row ? row.map(clean) : header.map(() => '...')));
+
+  const widths = header.map((label, c) => Math.max(label.length, ...rows.map(row => row[c].length)));
+  const line = (cells: string[]): string => cells
+    .map((cell, c) => (grid.align[c] === 'right' ? cell.padStart(widths[c]) : cell.padEnd(widths[c])))
+    .join('  ')
+    .trimEnd();
+
+  const lines = [line(header), ...rows.map(line)];
+  if (grid.shape) lines.push('', `[${shapeText(grid.shape)}]`);
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML element content and attributes
+ * @param text - Text
+ * @returns Escaped text
+ */
+function escapeHTML(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a grid as a GitHub-flavored Markdown table
+ * @param grid - Formatted cells, see displayGrid
+ * @returns Markdown table (HTML characters and pipes escaped, line breaks as <br>)
+ */
+export function formatMarkdown(grid: DisplayGrid): string {
+  // GitHub renders inline HTML in table cells, so escape it as well as the pipes
+  const escape = (text: string): string => escapeHTML(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  const line = (cells: string[]): string => `| ${cells.map(escape).join(' | ')} |`;
+
+  const lines = [
+    line(grid.header),
+    `| ${grid.align.map(align => (align === 'right' ? '---:' : '---')).join(' | ')} |`,
+    ...grid.rows.map(row => line(row || grid.header.map(() => '...')))
+  ];
+  if (grid.shape) lines.push('', shapeText(grid.shape));
+  return lines.join('\n');
+}
+
+/**
+ * Render a grid as an HTML table
+ * @param grid - Formatted cells, see displayGrid
+ * @returns <table class="dataframe"> markup (index cells as <th>)
+ */
+export function formatHTML(grid: DisplayGrid): string {
+  const cell = (text: string, c: number, head: boolean): string => {
+    const tag = head || (grid.index && c === 0) ? 'th' : 'td';
+    const style = !head && grid.align[c] === 'right' ? ' style="text-align: right"' : '';
+    return `<${tag}${style}>${escapeHTML(text)}</${tag}>`;
+  };
+  const row = (cells: string[], head = false): string => `    <tr>${cells.map((text, c) => cell(text, c, head)).join('')}</tr>`;
+
+  const lines = [
+    '<table class="dataframe">',
+    '  <thead>',
+    row(grid.header, true),
+    '  </thead>',
+    '  <tbody>',
+    ...grid.rows.map(cells => row(cells || grid.header.map(() => '...'))),
+    '  </tbody>',
+    '</table>'
+  ];
+  if (grid.shape) lines.push(`<p>${shapeText(grid.shape)}</p>`);
+  return lines.join('\n');
+}
+
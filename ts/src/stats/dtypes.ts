@@ -0,0 +1,257 @@
+/**
+ * Dtypes
+ * Casting columns between dtypes and validating them against a schema
+ *
+ * The dtypes are 'int', 'float', 'bool', 'string', 'category', 'datetime'
+ * and 'object' (see columnar.ts for the storage behind each).
+ */
+
+import { Column, Dtype, NumericColumn, DictionaryColumn, ObjectColumn, isMissing } from './columnar';
+import { parseDate, toDatetime } from './timeseries';
+import { toCategorical } from './categorical';
+
+export const DTYPES: Dtype[] = ['int', 'float', 'bool', 'string', 'category', 'datetime', 'object'];
+
+/** Constraints on one column; see validateColumn */
+export interface ColumnRule {
+  /** Dtype every non-missing value must have */
+  dtype?: Dtype | null;
+  /** Allow missing values (default true) */
+  nullable?: boolean;
+  /** Inclusive lower bound (dates may be given as anything parseDate reads) */
+  min?: unknown;
+  /** Inclusive upper bound */
+  max?: unknown;
+  /** Disallow repeated non-missing values (default false) */
+  unique?: boolean;
+}
+
+export type Schema = Record<string, Dtype | ColumnRule>;
+
+export type ValidationRule = 'column' | 'dtype' | 'nullable' | 'min' | 'max' | 'unique';
+
+export interface ColumnViolation {
+  /** Row position */
+  row: number;
+  rule: ValidationRule;
+  value: unknown;
+  /** Position of the first occurrence, for unique violations */
+  duplicateOf?: number;
+  message: string;
+}
+
+/**
+ * Throw unless dtype is a known dtype
+ * @param dtype - Dtype name
+ */
+function checkDtype(dtype: string): void {
+  if (!DTYPES.includes(dtype as Dtype)) {
+    throw new Error(`Unknown dtype: ${dtype}`);
+  }
+}
+
+/**
+ * Format a value for error messages, quoting strings
+ * @param value - Value
+ * @returns Printable value
+ */
+function formatValue(value: unknown): string {
+  if (typeof value === 'string') return `'${value}'`;
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+/**
+ * Convert one value to a number, or NaN if it has no numeric reading
+ * @param value - Non-missing value
+ * @returns Number
+ */
+function toNumber(value: unknown): number {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * Convert one value to a boolean, or null if it has no boolean reading
+ * @param value - Non-missing value
+ * @returns Boolean
+ */
+function toBoolean(value: unknown): boolean | null {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') {
+    const lower = value.trim().toLowerCase();
+    if (lower === 'true' || lower === '1') return true;
+    if (lower === 'false' || lower === '0') return false;
+  }
+  return null;
+}
+
+/**
+ * Cast a column to a dtype
+ *
+ * Numbers are parsed from strings (and read from booleans and dates), 'int'
+ * truncates toward zero, 'bool' reads true/false/1/0 and non-zero numbers,
+ * 'string' formats values as strings (dates as ISO 8601), 'category' uses
+ * toCategorical (sorted, unordered categories) and 'datetime' parses with
+ * parseDate. Empty strings become missing except when casting to a string
+ * dtype.
+ *
+ * @param column - Column to cast
+ * @param dtype - Target dtype
+ * @returns Cast column
+ */
+export function castColumn(column: Column, dtype: Dtype): Column {
+  checkDtype(dtype);
+  if (column.dtype === dtype) return column;
+  const n = column.length;
+  const fail = (i: number, value: unknown): never => {
+    throw new Error(`Cannot convert ${formatValue(value)} at row ${i} to ${dtype}`);
+  };
+
+  switch (dtype) {
+    case 'int':
+    case 'float': {
+      const values = new Float64Array(n);
+      let nulls: Uint8Array | null = null;
+      for (let i = 0; i < n; i++) {
+        const value = column.get(i);
+        if (isMissing(value) || value === '') {
+          values[i] = NaN;
+          if (!nulls) nulls = new Uint8Array(n);
+          nulls[i] = 1;
+          continue;
+        }
+        const number = toNumber(value);
+        if (Number.isNaN(number)) fail(i, value);
+        values[i] = dtype === 'int' ? Math.trunc(number) : number;
+      }
+      return new NumericColumn(values, nulls, dtype);
+    }
+    case 'bool': {
+      const values: (boolean | null)[] = new Array(n);
+      for (let i = 0; i < n; i++) {
+        const value = column.get(i);
+        if (isMissing(value) || value === '') {
+          values[i] = null;
+          continue;
+        }
+        values[i] = toBoolean(value);
+        if (values[i] === null) fail(i, value);
+      }
+      return new ObjectColumn(values, 'bool');
+    }
+    case 'category':
+      return toCategorical(column);
+    case 'string': {
+      if (column.kind === 'dictionary' && column.dictionary.every(value => typeof value === 'string')) {
+        return new DictionaryColumn(column.codes, column.dictionary as string[], dtype);
+      }
+      const codes = new Int32Array(n);
+      const dictionary: string[] = [];
+      const lookup = new Map<string, number>();
+      for (let i = 0; i < n; i++) {
+        const value = column.get(i);
+        if (isMissing(value)) {
+          codes[i] = -1;
+          continue;
+        }
+        const text = value instanceof Date ? value.toISOString() : String(value);
+        let code = lookup.get(text);
+        if (code === undefined) {
+          code = dictionary.length;
+          dictionary.push(text);
+          lookup.set(text, code);
+        }
+        codes[i] = code;
+      }
+      return new DictionaryColumn(codes, dictionary, dtype);
+    }
+    case 'datetime':
+      return toDatetime(column);
+    default:
+      return new ObjectColumn(column.toArray());
+  }
+}
+
+/**
+ * Check whether a non-missing value belongs to a dtype
+ * @param value - Value
+ * @param dtype - Dtype
+ * @returns True if the value fits
+ */
+export function matchesDtype(value: unknown, dtype: Dtype): boolean {
+  switch (dtype) {
+    case 'int':
+      return Number.isInteger(value);
+    case 'float':
+      return typeof value === 'number';
+    case 'bool':
+      return typeof value === 'boolean';
+    case 'string':
+      return typeof value === 'string';
+    case 'datetime':
+      return value instanceof Date && !Number.isNaN(value.getTime());
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check a column against one schema entry
+ *
+ * A rule is a dtype name or { dtype, nullable, min, max, unique }.
+ * nullable defaults to true and unique to false; min and max are inclusive
+ * and compare dates by time. Values of the wrong dtype are reported once
+ * and not range-checked. Missing values are never duplicates.
+ *
+ * @param column - Column to check
+ * @param rule - Schema entry for the column
+ * @returns Violations by row position
+ */
+export function validateColumn(column: Column, rule: Dtype | ColumnRule): ColumnViolation[] {
+  const { dtype = null, nullable = true, min = null, max = null, unique = false } =
+    typeof rule === 'string' ? { dtype: rule } : rule;
+  if (dtype !== null) checkDtype(dtype);
+
+  // Bounds on dates may be given as anything parseDate reads
+  const time = (value: unknown): unknown => (value instanceof Date ? value.getTime() : value);
+  const bound = (value: unknown): unknown => (value !== null && (dtype === 'datetime' || column.kind === 'datetime')
+    ? parseDate(value)
+    : value);
+  const lower = bound(min) as number | null;
+  const upper = bound(max) as number | null;
+
+  const errors: ColumnViolation[] = [];
+  const seen = new Map<unknown, number>();
+  for (let i = 0; i < column.length; i++) {
+    const value = column.get(i);
+    if (isMissing(value)) {
+      if (!nullable) errors.push({ row: i, rule: 'nullable', value, message: 'Missing value' });
+      continue;
+    }
+    if (dtype !== null && !matchesDtype(value, dtype)) {
+      errors.push({ row: i, rule: 'dtype', value, message: `Expected ${dtype}, got ${formatValue(value)}` });
+      continue;
+    }
+    if (lower !== null && (time(value) as number) < lower) {
+      errors.push({ row: i, rule: 'min', value, message: `${formatValue(value)} is below the minimum ${formatValue(min)}` });
+    }
+    if (upper !== null && (time(value) as number) > upper) {
+      errors.push({ row: i, rule: 'max', value, message: `${formatValue(value)} is above the maximum ${formatValue(max)}` });
+    }
+    if (unique) {
+      const key = time(value);
+      if (seen.has(key)) {
+        const first = seen.get(key);
+        errors.push({ row: i, rule: 'unique', value, duplicateOf: first, message: `Duplicate of row ${first}` });
+      } else {
+        seen.set(key, i);
+      }
+    }
+  }
+  return errors;
+}
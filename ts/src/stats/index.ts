@@ -4,3 +4,15 @@
 
 export * from './statistical';
 export * from './dataframe';
+export * from './csv';
+export * from './columnar';
+export * from './query';
+export * from './timeseries';
+export * from './window';
+export * from './missing';
+export * from './dtypes';
+export * from './categorical';
+export * from './sql';
+export * from './json';
+export * from './display';
+export * from './strings';
@@ -0,0 +1,270 @@
+/**
+ * JSON Lines and Nested JSON
+ * TypeScript equivalents of pandas read_json(lines=True) / to_json(lines=True)
+ * and json_normalize
+ */
+
+import { StringDecoder } from 'string_decoder';
+import type { DataRow } from './dataframe';
+import type { CSVResult } from './csv';
+
+export interface JSONLParseOptions {
+  encoding?: BufferEncoding;
+}
+
+export type JSONPath = string | string[];
+
+export interface NormalizeOptions {
+  /** Path to the array of records to expand */
+  recordPath?: JSONPath | null;
+  /** Paths of fields to copy from enclosing records */
+  meta?: JSONPath[];
+  /** Separator between nested keys (default '.') */
+  sep?: string;
+}
+
+/**
+ * Check whether a value is a plain JSON object (not an array, date or null)
+ * @param value - Value to check
+ * @returns True for objects to flatten
+ */
+function isRecord(value: unknown): value is DataRow {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Parse one JSON Lines line
+ * @param line - Line text
+ * @param lineNumber - 1-based line number, for errors
+ * @returns Row object, or null for a blank line
+ */
+function parseLine(line: string, lineNumber: number): DataRow | null {
+  const text = line.endsWith('\r') ? line.slice(0, -1) : line;
+  if (text.trim() === '') return null;
+
+  let value: unknown;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON on line ${lineNumber}: ${(err as Error).message}`);
+  }
+  if (!isRecord(value)) {
+    throw new Error(`Line ${lineNumber} is not a JSON object`);
+  }
+  return value;
+}
+
+/**
+ * Column names across rows, in order of first appearance
+ * @param rows - Array of row objects
+ * @returns Column names
+ */
+function unionColumns(rows: DataRow[]): string[] {
+  const seen = new Set<string>();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      seen.add(key);
+    }
+  }
+  return [...seen];
+}
+
+/**
+ * Parse JSON Lines text (one JSON object per line)
+ *
+ * Blank lines are skipped. Rows may have different keys; columns are the
+ * union of keys in order of first appearance.
+ *
+ * @param text - JSON Lines text
+ * @returns Column names and row objects
+ */
+export function parseJSONL(text: string): CSVResult {
+  // Strip a UTF-8 byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows: DataRow[] = [];
+  input.split('\n').forEach((line, i) => {
+    const row = parseLine(line, i + 1);
+    if (row) rows.push(row);
+  });
+  return { columns: unionColumns(rows), rows };
+}
+
+/**
+ * Parse JSON Lines from a readable stream, one row object at a time
+ * @param stream - Node readable stream or other async iterable
+ * @param options - encoding (default 'utf8')
+ * @returns Row objects
+ */
+export async function* parseJSONLStream(
+  stream: AsyncIterable<Buffer | string>,
+  options: JSONLParseOptions = {}
+): AsyncGenerator<DataRow> {
+  const decoder = new StringDecoder(options.encoding || 'utf8');
+  let pending = '';
+  let lineNumber = 0;
+  let first = true;
+
+  for await (const chunk of stream) {
+    pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (first && pending.length > 0) {
+      if (pending.charCodeAt(0) === 0xfeff) pending = pending.slice(1);
+      first = false;
+    }
+    const lines = pending.split('\n');
+    // The last piece may be an incomplete line
+    pending = lines.pop() as string;
+    for (const line of lines) {
+      const row = parseLine(line, ++lineNumber);
+      if (row) yield row;
+    }
+  }
+
+  const row = parseLine(pending + decoder.end(), ++lineNumber);
+  if (row) yield row;
+}
+
+/**
+ * Parse a whole JSON Lines stream
+ * @param stream - Node readable stream or other async iterable
+ * @param options - encoding (default 'utf8')
+ * @returns Column names and row objects
+ */
+export async function readJSONLStream(
+  stream: AsyncIterable<Buffer | string>,
+  options: JSONLParseOptions = {}
+): Promise<CSVResult> {
+  const rows: DataRow[] = [];
+  for await (const row of parseJSONLStream(stream, options)) {
+    rows.push(row);
+  }
+  return { columns: unionColumns(rows), rows };
+}
+
+/**
+ * Format rows as JSON Lines text
+ * @param rows - Array of row objects
+ * @param columns - Columns to write, in order
+ * @returns One JSON object per line (missing values as null, dates as ISO 8601)
+ */
+export function formatJSONL(rows: DataRow[], columns: string[]): string {
+  const lines = rows.map(row => {
+    const record: DataRow = {};
+    for (const col of columns) {
+      const value = row[col];
+      record[col] = value === undefined || Number.isNaN(value) ? null : value;
+    }
+    return JSON.stringify(record);
+  });
+  return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+/**
+ * Copy the fields of a nested object into a flat one
+ * @param value - Nested object
+ * @param prefix - Key prefix ('' at the top)
+ * @param sep - Separator between nested keys
+ * @param out - Flat object to fill
+ * @returns out
+ */
+function flattenRecord(value: DataRow, prefix: string, sep: string, out: DataRow): DataRow {
+  for (const [key, field] of Object.entries(value)) {
+    const name = prefix === '' ? key : `${prefix}${sep}${key}`;
+    if (isRecord(field) && Object.keys(field).length > 0) {
+      flattenRecord(field, name, sep, out);
+    } else {
+      out[name] = field === undefined ? null : field;
+    }
+  }
+  return out;
+}
+
+/**
+ * Follow a path of keys into an object
+ * @param value - Object to read
+ * @param path - Keys
+ * @returns Value at the path, undefined when a key is absent
+ */
+function getPath(value: unknown, path: string[]): unknown {
+  let current = value;
+  for (const key of path) {
+    if (!isRecord(current)) return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * Flatten nested JSON records into rows with joined column names (pandas json_normalize)
+ *
+ * Nested objects become one column per leaf, e.g. {user: {id: 1}} gives a
+ * 'user.id' column; arrays are kept as values. With recordPath, each record
+ * contributes the objects in the array at that path instead, and meta paths
+ * copy fields from the enclosing records onto them. A meta path of length m
+ * is read from the record m - 1 levels down recordPath (or the innermost
+ * enclosing record); absent meta fields are null.
+ *
+ * Every row holds every column, in order of first appearance, so the result
+ * can be passed straight to new DataFrame(rows).
+ *
+ * @param records - Record or array of records
+ * @param options - recordPath (path to the array of records to expand), meta
+ *   (paths of fields to copy from enclosing records) and sep (default '.')
+ * @returns Flat row objects
+ */
+export function jsonNormalize(records: DataRow | DataRow[], options: NormalizeOptions = {}): DataRow[] {
+  const { recordPath = null, meta = [], sep = '.' } = options;
+  const list = Array.isArray(records) ? records : [records];
+  const toPath = (path: JSONPath): string[] => (Array.isArray(path) ? path : [path]);
+
+  let flat: DataRow[];
+  if (recordPath === null) {
+    flat = list.map(record => flattenRecord(record, '', sep, {}));
+  } else {
+    const path = toPath(recordPath);
+    const metaPaths = meta.map(toPath);
+    const metaNames = metaPaths.map(p => p.join(sep));
+    flat = [];
+
+    const extract = (parents: unknown[], level: number, seen: DataRow): void => {
+      for (const parent of parents) {
+        const values: DataRow = { ...seen };
+        metaPaths.forEach((metaPath, m) => {
+          if (metaPath.length - 1 === level || (level === path.length - 1 && metaPath.length > level)) {
+            const value = getPath(parent, metaPath.slice(level));
+            values[metaNames[m]] = value === undefined ? null : value;
+          }
+        });
+
+        const children = isRecord(parent) ? parent[path[level]] : undefined;
+        if (children === undefined || children === null) continue;
+        if (!Array.isArray(children)) {
+          throw new Error(`Path ${path.slice(0, level + 1).join(sep)} must point to an array of records`);
+        }
+        if (level < path.length - 1) {
+          extract(children, level + 1, values);
+          continue;
+        }
+        for (const child of children) {
+          const row: DataRow = isRecord(child) ? flattenRecord(child, '', sep, {}) : { 0: child };
+          for (const name of metaNames) {
+            if (name in row) {
+              throw new Error(`Conflicting metadata name ${name}`);
+            }
+            row[name] = values[name] === undefined ? null : values[name];
+          }
+          flat.push(row);
+        }
+      }
+    };
+    extract(list, 0, {});
+  }
+
+  const columns = unionColumns(flat);
+  return flat.map(row => {
+    const result: DataRow = {};
+    for (const col of columns) {
+      result[col] = col in row ? row[col] : null;
+    }
+    return result;
+  });
+}
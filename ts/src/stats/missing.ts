@@ -0,0 +1,223 @@
+/**
+ * Missing Data
+ * Filling and interpolating missing values in a series
+ *
+ * null, undefined and NaN all count as missing (see isMissing); values
+ * left unfilled come back as null, or NaN from interpolate.
+ */
+
+import { isMissing } from './columnar';
+import { mean, median } from './statistical';
+import { lagrangeInterpolation } from '../math/computation';
+
+export type FillMethod = 'mean' | 'median' | 'mode' | 'ffill' | 'bfill';
+
+export interface FillOptions {
+  /** Most consecutive missing values to fill (ffill/bfill) */
+  limit?: number | null;
+}
+
+/** A fill strategy for one column, see fillMissing */
+export interface FillSpec extends FillOptions {
+  method: FillMethod;
+}
+
+export type InterpolationMethod = 'linear' | 'polynomial' | 'spline';
+
+export interface InterpolateOptions {
+  /** 'linear' (default), 'polynomial' or 'spline' */
+  method?: InterpolationMethod;
+  /** Polynomial degree, required for 'polynomial' */
+  order?: number | null;
+  /** Most values to fill per gap */
+  limit?: number | null;
+}
+
+/**
+ * Most frequent non-missing value, the first seen on ties
+ * @param values - Values
+ * @returns Mode, or null if every value is missing
+ */
+function mode(values: ArrayLike<unknown>): unknown {
+  const counts = new Map<unknown, number>();
+  let best: unknown = null;
+  let bestCount = 0;
+  for (const v of Array.from(values)) {
+    if (isMissing(v)) continue;
+    // Dates are counted by time, since equal dates are distinct objects
+    const key = v instanceof Date ? v.getTime() : v;
+    const count = (counts.get(key) || 0) + 1;
+    counts.set(key, count);
+    if (count > bestCount) {
+      best = v;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Carry the last non-missing value forward
+ * @param values - Values
+ * @param limit - Most consecutive missing values to fill
+ * @returns Filled values
+ */
+function fillForward(values: unknown[], limit: number | null): unknown[] {
+  const result: unknown[] = new Array(values.length);
+  let last: unknown = null;
+  let run = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (!isMissing(values[i])) {
+      result[i] = values[i];
+      last = values[i];
+      run = 0;
+    } else {
+      run++;
+      result[i] = limit === null || run <= limit ? last : null;
+    }
+  }
+  return result;
+}
+
+/**
+ * Fill missing values in a series with a strategy
+ *
+ * mean and median fill with the statistic of the non-missing values, mode
+ * with the most frequent value, ffill/bfill with the previous/next
+ * non-missing value.
+ *
+ * @param values - Values
+ * @param method - 'mean', 'median', 'mode', 'ffill' or 'bfill'
+ * @param [options] - limit: most consecutive missing values to fill (ffill/bfill)
+ * @returns Filled values, null where nothing could fill
+ */
+export function fillMissing(values: ArrayLike<unknown>, method: FillMethod, options: FillOptions = {}): unknown[] {
+  const { limit = null } = options;
+  const present = Array.from(values).filter(v => !isMissing(v));
+  let fill: unknown;
+  switch (method) {
+    case 'ffill':
+      return fillForward(Array.from(values), limit);
+    case 'bfill':
+      return fillForward(Array.from(values).reverse(), limit).reverse();
+    case 'mean':
+      fill = present.length > 0 ? mean(present as number[]) : null;
+      break;
+    case 'median':
+      fill = present.length > 0 ? median(present as number[]) : null;
+      break;
+    case 'mode':
+      fill = mode(present);
+      break;
+    default:
+      throw new Error(`Unknown fill strategy: ${method}`);
+  }
+  return Array.from(values, v => (isMissing(v) ? fill : v));
+}
+
+/**
+ * Second derivatives of the natural cubic spline through points
+ * (Thomas algorithm on the tridiagonal system)
+ * @param xs - Increasing x values
+ * @param ys - y values
+ * @returns Second derivative at each point, 0 at both ends
+ */
+function splineSecondDerivatives(xs: number[], ys: number[]): Float64Array {
+  const n = xs.length;
+  const m = new Float64Array(n);
+  if (n < 3) return m;
+
+  const diag = new Float64Array(n);
+  const rhs = new Float64Array(n);
+  for (let i = 1; i < n - 1; i++) {
+    const h0 = xs[i] - xs[i - 1];
+    const h1 = xs[i + 1] - xs[i];
+    diag[i] = 2 * (h0 + h1);
+    rhs[i] = 6 * ((ys[i + 1] - ys[i]) / h1 - (ys[i] - ys[i - 1]) / h0);
+    if (i > 1) {
+      const factor = h0 / diag[i - 1];
+      diag[i] -= factor * h0;
+      rhs[i] -= factor * rhs[i - 1];
+    }
+  }
+  for (let i = n - 2; i >= 1; i--) {
+    m[i] = (rhs[i] - (xs[i + 1] - xs[i]) * m[i + 1]) / diag[i];
+  }
+  return m;
+}
+
+/**
+ * Valid points nearest to a gap, taken alternately from each side
+ * @param xs - Valid x values
+ * @param ys - Valid y values
+ * @param k - Index of the last valid point before the gap
+ * @param count - Number of points wanted
+ * @returns Points for lagrangeInterpolation
+ */
+function nearestPoints(xs: number[], ys: number[], k: number, count: number): [number, number][] {
+  const points: [number, number][] = [];
+  let left = k;
+  let right = k + 1;
+  while (points.length < count && (left >= 0 || right < xs.length)) {
+    if (left >= 0) points.push([xs[left], ys[left--]]);
+    if (points.length < count && right < xs.length) points.push([xs[right], ys[right++]]);
+  }
+  return points;
+}
+
+/**
+ * Interpolate missing values inside a series, by position
+ *
+ * linear and polynomial evaluate the Lagrange polynomial through the 2 or
+ * order + 1 valid points nearest each gap; spline uses a natural cubic
+ * spline through all valid points. Missing values before the first or
+ * after the last valid value are left as NaN.
+ *
+ * @param series - Input series
+ * @param [options] - method ('linear', 'polynomial' or 'spline'),
+ *   order (polynomial degree) and limit (most values to fill per gap)
+ * @returns Interpolated series
+ */
+export function interpolate(
+  series: ArrayLike<number | null | undefined>,
+  options: InterpolateOptions = {}
+): number[] {
+  const { method = 'linear', order = null, limit = null } = options;
+  if (!['linear', 'polynomial', 'spline'].includes(method)) {
+    throw new Error(`Invalid interpolation method: ${method}`);
+  }
+  if (method === 'polynomial' && !(Number.isInteger(order) && (order as number) >= 1)) {
+    throw new Error('Polynomial interpolation requires a positive integer order');
+  }
+
+  const result = Array.from(series, v => (isMissing(v) ? NaN : (v as number)));
+  const xs: number[] = [];
+  const ys: number[] = [];
+  result.forEach((v, i) => {
+    if (!Number.isNaN(v)) {
+      xs.push(i);
+      ys.push(v);
+    }
+  });
+  const m = method === 'spline' ? splineSecondDerivatives(xs, ys) : null;
+
+  for (let k = 0; k + 1 < xs.length; k++) {
+    const x0 = xs[k];
+    const x1 = xs[k + 1];
+    const last = limit === null ? x1 - 1 : Math.min(x1 - 1, x0 + limit);
+    const points = method === 'spline' ? null : nearestPoints(xs, ys, k, method === 'linear' ? 2 : (order as number) + 1);
+    const h = x1 - x0;
+    for (let x = x0 + 1; x <= last; x++) {
+      if (points) {
+        result[x] = lagrangeInterpolation(points, x);
+      } else if (m) {
+        const a = x1 - x;
+        const b = x - x0;
+        result[x] = (m[k] * a ** 3 + m[k + 1] * b ** 3) / (6 * h)
+          + (ys[k] / h - m[k] * h / 6) * a
+          + (ys[k + 1] / h - m[k + 1] * h / 6) * b;
+      }
+    }
+  }
+  return result;
+}
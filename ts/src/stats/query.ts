@@ -0,0 +1,522 @@
+/**
+ * Row Predicates and Query Strings
+ * TypeScript equivalents of pandas boolean indexing and DataFrame.query
+ */
+
+import { isMissing, valueKey } from './columnar';
+import type { DataFrame, DataRow } from './dataframe';
+
+export type RowPredicate = (row: DataRow, i: number, frame?: DataFrame) => boolean;
+/** Compiled query: a row predicate listing the column names it reads */
+export type QueryPredicate = RowPredicate & { columns: string[] };
+export type CompareOp = '==' | '!=' | '<' | '<=' | '>' | '>=';
+export type BetweenInclusive = 'both' | 'neither' | 'left' | 'right';
+
+/** Row to value; column getters carry the column name */
+type Getter = ((row: DataRow) => unknown) & { column?: string };
+
+/**
+ * Compare two values, treating missing values as unequal to everything
+ * @param a - Left value
+ * @param op - Comparison operator
+ * @param b - Right value
+ * @returns Comparison result
+ */
+function compareValues(a: unknown, op: CompareOp, b: unknown): boolean {
+  if (isMissing(a) || isMissing(b)) return op === '!=';
+  const x = (a instanceof Date ? a.getTime() : a) as number;
+  const y = (b instanceof Date ? b.getTime() : b) as number;
+  switch (op) {
+    case '==': return x === y;
+    case '!=': return x !== y;
+    case '<': return x < y;
+    case '<=': return x <= y;
+    case '>': return x > y;
+    case '>=': return x >= y;
+    default: throw new Error(`Unknown comparison operator: ${op}`);
+  }
+}
+
+/**
+ * Row getter for a column, tagged with the column name so comparisons can
+ * look up the column's category order
+ * @param name - Column name
+ * @returns Row to value
+ */
+function columnGetter(name: string): Getter {
+  const get: Getter = row => row[name];
+  get.column = name;
+  return get;
+}
+
+/**
+ * Position of a value among ordered categories
+ * @param ranks - Category (by valueKey) to position
+ * @param value - Value
+ * @param column - Column name, for the error message
+ * @returns Position, or null for a missing value
+ */
+function categoryRank(ranks: Map<unknown, number>, value: unknown, column: string): number | null {
+  if (isMissing(value)) return null;
+  const rank = ranks.get(valueKey(value));
+  if (rank === undefined) {
+    throw new Error(`Value is not a category of ${column}: ${value}`);
+  }
+  return rank;
+}
+
+/**
+ * Predicate comparing two row operands
+ *
+ * Predicates take (row, i, frame); when frame is a DataFrame whose operand
+ * column is an ordered categorical, <, <=, > and >= compare category
+ * positions instead of values.
+ *
+ * @param left - Row to left value
+ * @param op - Comparison operator
+ * @param right - Row to right value
+ * @returns Row predicate
+ */
+function comparison(left: Getter, op: CompareOp, right: Getter): RowPredicate {
+  const column = left.column || right.column;
+  if (!column || op === '==' || op === '!=') {
+    return row => compareValues(left(row), op, right(row));
+  }
+  return (row, i, frame) => {
+    const ranks = frame ? frame.categoryRanks(column) : null;
+    if (!ranks) return compareValues(left(row), op, right(row));
+    return compareValues(categoryRank(ranks, left(row), column), op, categoryRank(ranks, right(row), column));
+  };
+}
+
+/**
+ * Predicate testing membership in a list of values
+ * @param get - Row to value
+ * @param values - Allowed values
+ * @returns Row predicate
+ */
+function membership(get: Getter, values: unknown[]): RowPredicate {
+  const allowed = new Set(values.map(v => (v instanceof Date ? v.getTime() : v)));
+  return row => {
+    const value = get(row);
+    return !isMissing(value) && allowed.has(value instanceof Date ? value.getTime() : value);
+  };
+}
+
+/**
+ * Predicate applying a string test, false for missing values
+ * @param get - Row to value
+ * @param test - String to boolean
+ * @returns Row predicate
+ */
+function stringTest(get: Getter, test: (s: string) => boolean): RowPredicate {
+  return row => {
+    const value = get(row);
+    return !isMissing(value) && test(String(value));
+  };
+}
+
+/**
+ * Builder for predicates on a single column
+ * e.g. col('age').gt(30), col('name').startsWith('A')
+ */
+export class ColumnRef {
+  readonly get: Getter;
+
+  /**
+   * @param name - Column name
+   */
+  constructor(public name: string) {
+    this.get = columnGetter(name);
+  }
+
+  eq(value: unknown): RowPredicate {
+    return comparison(this.get, '==', () => value);
+  }
+
+  ne(value: unknown): RowPredicate {
+    return comparison(this.get, '!=', () => value);
+  }
+
+  gt(value: unknown): RowPredicate {
+    return comparison(this.get, '>', () => value);
+  }
+
+  ge(value: unknown): RowPredicate {
+    return comparison(this.get, '>=', () => value);
+  }
+
+  lt(value: unknown): RowPredicate {
+    return comparison(this.get, '<', () => value);
+  }
+
+  le(value: unknown): RowPredicate {
+    return comparison(this.get, '<=', () => value);
+  }
+
+  /**
+   * @param values - Allowed values
+   * @returns Row predicate
+   */
+  isin(values: unknown[]): RowPredicate {
+    return membership(this.get, values);
+  }
+
+  /**
+   * @param low - Lower bound
+   * @param high - Upper bound
+   * @param inclusive - Which bounds are included
+   * @returns Row predicate
+   */
+  between(low: unknown, high: unknown, inclusive: BetweenInclusive = 'both'): RowPredicate {
+    const lowOp: CompareOp = inclusive === 'both' || inclusive === 'left' ? '>=' : '>';
+    const highOp: CompareOp = inclusive === 'both' || inclusive === 'right' ? '<=' : '<';
+    return and(comparison(this.get, lowOp, () => low), comparison(this.get, highOp, () => high));
+  }
+
+  isNull(): RowPredicate {
+    return row => isMissing(this.get(row));
+  }
+
+  notNull(): RowPredicate {
+    return row => !isMissing(this.get(row));
+  }
+
+  /**
+   * @param text - Substring to look for
+   * @param caseSensitive - Match case (default true)
+   * @returns Row predicate
+   */
+  contains(text: string, caseSensitive: boolean = true): RowPredicate {
+    if (caseSensitive) {
+      return stringTest(this.get, s => s.includes(text));
+    }
+    const needle = text.toLowerCase();
+    return stringTest(this.get, s => s.toLowerCase().includes(needle));
+  }
+
+  startsWith(text: string): RowPredicate {
+    return stringTest(this.get, s => s.startsWith(text));
+  }
+
+  endsWith(text: string): RowPredicate {
+    return stringTest(this.get, s => s.endsWith(text));
+  }
+
+  /**
+   * @param pattern - Regular expression
+   * @returns Row predicate
+   */
+  matches(pattern: RegExp | string): RowPredicate {
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+    return stringTest(this.get, s => {
+      regex.lastIndex = 0;
+      return regex.test(s);
+    });
+  }
+}
+
+/**
+ * Start a predicate on a column
+ * @param name - Column name
+ * @returns Predicate builder
+ */
+export function col(name: string): ColumnRef {
+  return new ColumnRef(name);
+}
+
+/**
+ * Predicate that holds when all given predicates hold
+ * @param predicates - Row predicates
+ * @returns Row predicate
+ */
+export function and(...predicates: RowPredicate[]): RowPredicate {
+  return (row, i, frame) => predicates.every(p => p(row, i, frame));
+}
+
+/**
+ * Predicate that holds when any given predicate holds
+ * @param predicates - Row predicates
+ * @returns Row predicate
+ */
+export function or(...predicates: RowPredicate[]): RowPredicate {
+  return (row, i, frame) => predicates.some(p => p(row, i, frame));
+}
+
+/**
+ * Negate a predicate
+ * @param predicate - Row predicate
+ * @returns Row predicate
+ */
+export function not(predicate: RowPredicate): RowPredicate {
+  return (row, i, frame) => !predicate(row, i, frame);
+}
+
+interface Token {
+  type: 'literal' | 'name' | 'param' | 'keyword' | 'op';
+  value: unknown;
+  pos: number;
+}
+
+const TOKEN_PATTERN = new RegExp([
+  '\\s+',
+  '(\\d+\\.?\\d*(?:[eE][-+]?\\d+)?|\\.\\d+(?:[eE][-+]?\\d+)?)',
+  '(\'(?:[^\'\\\\]|\\\\.)*\'|"(?:[^"\\\\]|\\\\.)*")',
+  '`([^`]+)`',
+  '@([A-Za-z_]\\w*)',
+  '([A-Za-z_][\\w.]*)',
+  '(==|!=|<=|>=|<|>|&&|\\|\\||[&|~!()\\[\\],-])'
+].join('|'), 'y');
+
+const KEYWORDS = new Set([
+  'and', 'or', 'not', 'in', 'is', 'null', 'none', 'true', 'false',
+  'between', 'contains', 'startswith', 'endswith', 'matches'
+]);
+
+/**
+ * Split a query string into tokens
+ * @param text - Query string
+ * @returns Tokens with type, value and position
+ */
+function tokenize(text: string): Token[] {
+  const tokens: Token[] = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const pos = TOKEN_PATTERN.lastIndex;
+    const m = TOKEN_PATTERN.exec(text);
+    if (!m) {
+      throw new Error(`Invalid query: unexpected character '${text[pos]}' at position ${pos}`);
+    }
+    if (m[1] !== undefined) {
+      tokens.push({ type: 'literal', value: Number(m[1]), pos });
+    } else if (m[2] !== undefined) {
+      const body = m[2].slice(1, -1).replace(/\\(.)/g, '$1');
+      tokens.push({ type: 'literal', value: body, pos });
+    } else if (m[3] !== undefined) {
+      tokens.push({ type: 'name', value: m[3], pos });
+    } else if (m[4] !== undefined) {
+      tokens.push({ type: 'param', value: m[4], pos });
+    } else if (m[5] !== undefined) {
+      const lower = m[5].toLowerCase();
+      tokens.push(KEYWORDS.has(lower)
+        ? { type: 'keyword', value: lower, pos }
+        : { type: 'name', value: m[5], pos });
+    } else if (m[6] !== undefined) {
+      tokens.push({ type: 'op', value: m[6], pos });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser turning query tokens into a row predicate
+ */
+class QueryParser {
+  private tokens: Token[];
+  private pos = 0;
+  // Column names the query reads
+  private columns = new Set<string>();
+
+  /**
+   * @param text - Query string
+   * @param params - Values for @name references
+   */
+  constructor(text: string, private params: Record<string, unknown>) {
+    this.tokens = tokenize(text);
+  }
+
+  private peek(): Token | undefined {
+    return this.tokens[this.pos];
+  }
+
+  private fail(message: string): never {
+    const token = this.peek();
+    const where = token ? `at position ${token.pos}` : 'at end of query';
+    throw new Error(`Invalid query: ${message} ${where}`);
+  }
+
+  private accept(type: Token['type'], ...values: string[]): Token | null {
+    const token = this.peek();
+    if (token && token.type === type && (values.length === 0 || values.includes(token.value as string))) {
+      this.pos++;
+      return token;
+    }
+    return null;
+  }
+
+  private expect(type: Token['type'], value: string): Token {
+    const token = this.accept(type, value);
+    if (!token) this.fail(`expected '${value}'`);
+    return token;
+  }
+
+  parse(): QueryPredicate {
+    if (this.tokens.length === 0) this.fail('empty expression');
+    const predicate = this.parseOr();
+    const rest = this.peek();
+    if (rest) this.fail(`unexpected '${rest.value}'`);
+    return Object.assign(predicate, { columns: [...this.columns] });
+  }
+
+  private parseOr(): RowPredicate {
+    const parts = [this.parseAnd()];
+    while (this.accept('keyword', 'or') || this.accept('op', '|', '||')) {
+      parts.push(this.parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : or(...parts);
+  }
+
+  private parseAnd(): RowPredicate {
+    const parts = [this.parseNot()];
+    while (this.accept('keyword', 'and') || this.accept('op', '&', '&&')) {
+      parts.push(this.parseNot());
+    }
+    return parts.length === 1 ? parts[0] : and(...parts);
+  }
+
+  private parseNot(): RowPredicate {
+    if (this.accept('keyword', 'not') || this.accept('op', '~', '!')) {
+      return not(this.parseNot());
+    }
+    return this.parseCondition();
+  }
+
+  private parseCondition(): RowPredicate {
+    if (this.accept('op', '(')) {
+      const inner = this.parseOr();
+      this.expect('op', ')');
+      return inner;
+    }
+
+    const left = this.parseOperand();
+    const op = this.accept('op', '==', '!=', '<', '<=', '>', '>=');
+    if (op) {
+      return comparison(left, op.value as CompareOp, this.parseOperand());
+    }
+
+    if (this.accept('keyword', 'in')) {
+      return membership(left, this.parseList());
+    }
+    const next = this.tokens[this.pos + 1];
+    if (this.peek()?.value === 'not' && next && next.value === 'in') {
+      this.pos += 2;
+      return not(membership(left, this.parseList()));
+    }
+    if (this.accept('keyword', 'is')) {
+      const negate = Boolean(this.accept('keyword', 'not'));
+      if (!this.accept('keyword', 'null', 'none')) this.fail("expected 'null'");
+      return negate ? row => !isMissing(left(row)) : row => isMissing(left(row));
+    }
+    if (this.accept('keyword', 'between')) {
+      const low = this.parseOperand();
+      this.expect('keyword', 'and');
+      const high = this.parseOperand();
+      return and(comparison(left, '>=', low), comparison(left, '<=', high));
+    }
+
+    const method = this.accept('keyword', 'contains', 'startswith', 'endswith', 'matches');
+    if (method) {
+      const arg = this.parseConstant();
+      const text = String(arg);
+      switch (method.value) {
+        case 'contains': return stringTest(left, s => s.includes(text));
+        case 'startswith': return stringTest(left, s => s.startsWith(text));
+        case 'endswith': return stringTest(left, s => s.endsWith(text));
+        default: {
+          const regex = arg instanceof RegExp ? arg : new RegExp(text);
+          // A g or y flag makes test() resume from the last match, so restart per row
+          return stringTest(left, s => {
+            regex.lastIndex = 0;
+            return regex.test(s);
+          });
+        }
+      }
+    }
+
+    // A bare operand is true when it holds the boolean true
+    return row => left(row) === true;
+  }
+
+  private parseOperand(): Getter {
+    const negative = Boolean(this.accept('op', '-'));
+    const token = this.peek();
+    if (!token) return this.fail('expected a value');
+
+    if (negative) {
+      if (token.type !== 'literal' || typeof token.value !== 'number') this.fail('expected a number');
+      this.pos++;
+      const value = -(token.value as number);
+      return () => value;
+    }
+
+    this.pos++;
+    if (token.type === 'literal') {
+      return () => token.value;
+    }
+    if (token.type === 'name') {
+      this.columns.add(token.value as string);
+      return columnGetter(token.value as string);
+    }
+    if (token.type === 'param') {
+      const name = token.value as string;
+      if (!(name in this.params)) {
+        throw new Error(`Invalid query: unknown parameter @${name}`);
+      }
+      const value = this.params[name];
+      return () => value;
+    }
+    if (token.type === 'keyword' && (token.value === 'true' || token.value === 'false')) {
+      const value = token.value === 'true';
+      return () => value;
+    }
+    if (token.type === 'keyword' && (token.value === 'null' || token.value === 'none')) {
+      return () => null;
+    }
+    this.pos--;
+    return this.fail(`unexpected '${token.value}'`);
+  }
+
+  private parseConstant(): unknown {
+    const token = this.peek();
+    if (token && token.type === 'name') this.fail(`expected a literal value, not column '${token.value}'`);
+    return this.parseOperand()({});
+  }
+
+  private parseList(): unknown[] {
+    const param = this.accept('param');
+    if (param) {
+      const values = this.params[param.value as string];
+      if (!Array.isArray(values)) {
+        throw new Error(`Invalid query: parameter @${param.value} is not an array`);
+      }
+      return values;
+    }
+
+    const close = this.accept('op', '[') ? ']' : (this.expect('op', '('), ')');
+    const values: unknown[] = [];
+    if (!this.accept('op', close)) {
+      do {
+        values.push(this.parseConstant());
+      } while (this.accept('op', ','));
+      this.expect('op', close);
+    }
+    return values;
+  }
+}
+
+/**
+ * Compile a query string into a row predicate (no eval involved)
+ *
+ * Supports comparisons (==, !=, <, <=, >, >=) between columns, literals and
+ * @params; `in [...]`, `not in [...]`, `is null`, `is not null`,
+ * `between a and b`, `contains`, `startswith`, `endswith` and `matches`;
+ * combined with and/or/not (or &, |, ~) and parentheses. Column names with
+ * spaces can be written in backticks.
+ *
+ * @param text - Query string, e.g. "age > 30 and city == 'NYC'"
+ * @param params - Values for @name references
+ * @returns Row predicate, with the column names it reads in its columns property
+ */
+export function parseQuery(text: string, params: Record<string, unknown> = {}): QueryPredicate {
+  return new QueryParser(text, params).parse();
+}
@@ -0,0 +1,164 @@
+/**
+ * SQL
+ * Reading query results from and writing tables to a SQLite database
+ *
+ * Functions take an open better-sqlite3 Database, e.g.
+ * new Database('results.db'), so this module does not load the driver
+ * itself. Dates are stored as ISO 8601 text and booleans as 0/1;
+ * DataFrame.fromSQL reads them back with parseDates and dtype.
+ */
+
+import { Column, Dtype, isMissing } from './columnar';
+import type { DataRow } from './dataframe';
+
+/** The parts of a better-sqlite3 Statement used here */
+export interface SQLStatement {
+  readonly reader: boolean;
+  all(...params: unknown[]): unknown[];
+  get(...params: unknown[]): unknown;
+  run(...params: unknown[]): unknown;
+  columns(): { name: string }[];
+}
+
+/** The parts of a better-sqlite3 Database used here */
+export interface SQLDatabase {
+  prepare(source: string): SQLStatement;
+  exec(source: string): unknown;
+  transaction<T extends unknown[]>(fn: (...args: T) => void): (...args: T) => void;
+}
+
+/** Positional (array) or named (object) query parameters */
+export type SQLParams = unknown[] | Record<string, unknown>;
+
+export type IfExists = 'fail' | 'replace' | 'append';
+
+export interface SQLWriteOptions {
+  /** What to do when the table exists (default 'fail') */
+  ifExists?: IfExists;
+  /** Column name to SQL type, overriding the type from its dtype */
+  dtypeMap?: Record<string, string>;
+  /** Rows per insert transaction (default 1000) */
+  batchSize?: number;
+}
+
+// Declared column type per dtype; object columns get no type so SQLite keeps values as given
+const SQL_TYPES: Record<Dtype, string> = {
+  int: 'INTEGER',
+  float: 'REAL',
+  bool: 'INTEGER',
+  string: 'TEXT',
+  category: 'TEXT',
+  datetime: 'TEXT',
+  object: ''
+};
+
+/**
+ * Quote a table or column name
+ * @param name - Identifier
+ * @returns Quoted identifier
+ */
+function quoteIdentifier(name: string): string {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Convert a value to one SQLite can bind
+ *
+ * Integers and booleans are bound as bigints, since the driver binds every
+ * number as a REAL and 1 would be stored as '1.0' in a TEXT column.
+ *
+ * @param value - Cell value
+ * @param dtype - Dtype of its column
+ * @returns Bindable value (other objects as JSON)
+ */
+function toSQLValue(value: unknown, dtype: Dtype): unknown {
+  if (isMissing(value)) return null;
+  if (typeof value === 'boolean') return value ? 1n : 0n;
+  if (dtype === 'int' && Number.isSafeInteger(value)) return BigInt(value as number);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && !ArrayBuffer.isView(value)) return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Run a query and collect its rows
+ * @param db - better-sqlite3 Database
+ * @param query - SQL query returning rows
+ * @param params - Positional (array) or named (object) parameters
+ * @returns Rows and result column names
+ */
+export function readQuery(
+  db: SQLDatabase,
+  query: string,
+  params: SQLParams | null = null
+): { rows: DataRow[]; columns: string[] } {
+  const statement = db.prepare(query);
+  if (!statement.reader) {
+    throw new Error('Query does not return rows');
+  }
+  let rows: unknown[];
+  if (params === null) {
+    rows = statement.all();
+  } else {
+    rows = Array.isArray(params) ? statement.all(...params) : statement.all(params);
+  }
+  return { rows: rows as DataRow[], columns: statement.columns().map(column => column.name) };
+}
+
+/**
+ * Write columns to a table, creating it from their dtypes
+ *
+ * ifExists decides what happens when the table exists: 'fail' throws,
+ * 'replace' drops and recreates it and 'append' inserts into it as it is.
+ * Rows are inserted in transactions of batchSize rows.
+ *
+ * @param db - better-sqlite3 Database
+ * @param table - Table name
+ * @param names - Column names
+ * @param columns - Columns, one per name
+ * @param options - ifExists ('fail', 'replace' or 'append'; default 'fail'),
+ *   dtypeMap (column name to SQL type, overriding the type from its dtype) and batchSize (default 1000)
+ * @returns Number of rows written
+ */
+export function writeTable(
+  db: SQLDatabase,
+  table: string,
+  names: string[],
+  columns: Column[],
+  options: SQLWriteOptions = {}
+): number {
+  const { ifExists = 'fail', dtypeMap = {}, batchSize = 1000 } = options;
+  if (!['fail', 'replace', 'append'].includes(ifExists)) {
+    throw new Error(`Invalid ifExists: ${ifExists}`);
+  }
+  if (!(Number.isInteger(batchSize) && batchSize > 0)) {
+    throw new Error('batchSize must be a positive integer');
+  }
+
+  const name = quoteIdentifier(table);
+  const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table) !== undefined;
+  if (exists && ifExists === 'fail') {
+    throw new Error(`Table already exists: ${table}`);
+  }
+  if (exists && ifExists === 'replace') {
+    db.exec(`DROP TABLE ${name}`);
+  }
+  if (!exists || ifExists === 'replace') {
+    const definitions = names.map((col, c) => `${quoteIdentifier(col)} ${dtypeMap[col] ?? SQL_TYPES[columns[c].dtype]}`.trim());
+    db.exec(`CREATE TABLE ${name} (${definitions.join(', ')})`);
+  }
+
+  const insert = db.prepare(
+    `INSERT INTO ${name} (${names.map(quoteIdentifier).join(', ')}) VALUES (${names.map(() => '?').join(', ')})`
+  );
+  const insertRows = db.transaction((start: number, end: number) => {
+    for (let i = start; i < end; i++) {
+      insert.run(columns.map(column => toSQLValue(column.get(i), column.dtype)));
+    }
+  });
+  const n = columns.length > 0 ? columns[0].length : 0;
+  for (let start = 0; start < n; start += batchSize) {
+    insertRows(start, Math.min(n, start + batchSize));
+  }
+  return n;
+}
@@ -3,14 +3,20 @@
  * TypeScript equivalents of Python/NumPy/Pandas implementations
  */
 
+import { Random, resolveRng, RandomOptions } from '../math/random';
+
 /**
  * Compute mean of array
  * @param arr - Input array
  * @returns Mean value
  */
-export function mean(arr: number[]): number {
+export function mean(arr: ArrayLike<number>): number {
   if (arr.length === 0) return NaN;
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
+  let sum = 0;
+  for (let i = 0; i < arr.length; i++) {
+    sum += arr[i];
+  }
+  return sum / arr.length;
 }
 
 /**
@@ -162,13 +168,92 @@ export function cosineSimilarityTopK(X: number[][], Y: number[][], topK: number
   return results;
 }
 
+export type DistanceFn = (a: number[], b: number[]) => number;
+
+export type DistanceMetric = 'euclidean' | 'manhattan' | 'cosine' | DistanceFn;
+
+export interface DistanceOptions {
+  /** 'euclidean' (default), 'manhattan', 'cosine' or a distance function */
+  metric?: DistanceMetric;
+}
+
+/**
+ * Euclidean distance between two vectors
+ * @param a - First vector
+ * @param b - Second vector
+ * @returns Distance
+ */
+export function euclideanDistance(a: number[], b: number[]): number {
+  return Math.sqrt(squaredDistance(a, b));
+}
+
+/**
+ * Manhattan (city block) distance between two vectors
+ * @param a - First vector
+ * @param b - Second vector
+ * @returns Distance
+ */
+export function manhattanDistance(a: number[], b: number[]): number {
+  let dist = 0;
+  for (let j = 0; j < a.length; j++) {
+    dist += Math.abs(a[j] - b[j]);
+  }
+  return dist;
+}
+
+/**
+ * Cosine distance between two vectors
+ * @param a - First vector
+ * @param b - Second vector
+ * @returns 1 - cosine similarity (0 to 2)
+ */
+export function cosineDistance(a: number[], b: number[]): number {
+  return 1 - cosineSimilarityVectors(a, b);
+}
+
+const DISTANCE_METRICS: Record<string, DistanceFn> = {
+  euclidean: euclideanDistance,
+  manhattan: manhattanDistance,
+  cosine: cosineDistance
+};
+
+/**
+ * Distance function for a metric option
+ * @param metric - 'euclidean', 'manhattan', 'cosine' or a distance function
+ * @returns Distance function
+ */
+function resolveDistance(metric: DistanceMetric): DistanceFn {
+  if (typeof metric === 'function') return metric;
+  if (!Object.prototype.hasOwnProperty.call(DISTANCE_METRICS, metric)) {
+    throw new Error(`Unknown distance metric: ${metric}`);
+  }
+  return DISTANCE_METRICS[metric];
+}
+
+/**
+ * Distances between all pairs of rows
+ * @param X - Data matrix
+ * @param metric - 'euclidean' (default), 'manhattan', 'cosine' or a distance function
+ * @returns Symmetric distance matrix
+ */
+export function pairwiseDistances(X: number[][], metric: DistanceMetric = 'euclidean'): number[][] {
+  const distance = resolveDistance(metric);
+  const result: number[][] = X.map(() => Array(X.length).fill(0));
+  for (let i = 0; i < X.length; i++) {
+    for (let j = i + 1; j < X.length; j++) {
+      result[i][j] = result[j][i] = distance(X[i], X[j]);
+    }
+  }
+  return result;
+}
+
 /**
  * Pearson correlation coefficient
  * @param x - First array
  * @param y - Second array
  * @returns Correlation coefficient
  */
-export function pearsonCorrelation(x: number[], y: number[]): number {
+export function pearsonCorrelation(x: ArrayLike<number>, y: ArrayLike<number>): number {
   const n = x.length;
   const meanX = mean(x);
   const meanY = mean(y);
@@ -193,10 +278,10 @@ export function pearsonCorrelation(x: number[], y: number[]): number {
 
 /**
  * Correlation matrix for dataframe-like object
- * @param df - Object with column arrays
+ * @param df - Object with column arrays (plain or Float64Array)
  * @returns Correlation matrix as object
  */
-export function correlation(df: Record<string, number[]>): Record<string, Record<string, number>> {
+export function correlation(df: Record<string, ArrayLike<number>>): Record<string, Record<string, number>> {
   const columns = Object.keys(df);
   const result: Record<string, Record<string, number>> = {};
 
@@ -220,9 +305,11 @@ export interface PCAResult {
  * Principal Component Analysis
  * @param X - Data matrix (rows are samples)
  * @param nComponents - Number of components
+ * @param options - rng (a Random) or seed for the power iteration start vectors, see random.ts
  * @returns PCA result
  */
-export function pca(X: number[][], nComponents: number): PCAResult {
+export function pca(X: number[][], nComponents: number, options: RandomOptions = {}): PCAResult {
+  const rng = resolveRng(options);
   const n = X.length;
   const m = X[0].length;
 
@@ -258,7 +345,7 @@ export function pca(X: number[][], nComponents: number): PCAResult {
 
   for (let c = 0; c < nComponents; c++) {
     // Initialize random vector
-    let v: number[] = Array(m).fill(0).map(() => Math.random() - 0.5);
+    let v: number[] = Array(m).fill(0).map(() => rng.random() - 0.5);
     let norm = Math.sqrt(v.reduce((a, b) => a + b * b, 0));
     v = v.map(x => x / norm);
 
@@ -320,88 +407,896 @@ export function pca(X: number[][], nComponents: number): PCAResult {
   return { components, explained, transformed };
 }
 
+export type KMeansInit = 'k-means++' | 'random' | number[][];
+
+export interface KMeansOptions extends RandomOptions {
+  /** 'k-means++' (default), 'random' or k initial centroids */
+  init?: KMeansInit;
+  /** Runs from different initial centroids (default 10 for 'random', otherwise 1) */
+  nInit?: number;
+  /** Convergence tolerance, relative to the mean feature variance (default 1e-4) */
+  tol?: number;
+}
+
 export interface KMeansResult {
   centroids: number[][];
   labels: number[];
+  /** Sum of squared distances of the points to their centroids */
+  inertia: number;
+  /** Iterations of the best run */
+  nIter: number;
+  /** Nearest centroid of each point */
+  predict: (points: number[][]) => number[];
 }
 
+const KMEANS_INITS: KMeansInit[] = ['k-means++', 'random'];
+
 /**
- * K-Means clustering
+ * Squared Euclidean distance between two points
+ * @param a - First point
+ * @param b - Second point
+ * @returns Squared distance
+ */
+function squaredDistance(a: number[], b: number[]): number {
+  let dist = 0;
+  for (let j = 0; j < a.length; j++) {
+    dist += (a[j] - b[j]) ** 2;
+  }
+  return dist;
+}
+
+/**
+ * Nearest centroid to a point
+ * @param point - Point
+ * @param centroids - Centroids
+ * @returns Index of the nearest centroid and its squared distance
+ */
+function nearestCentroid(point: number[], centroids: number[][]): { label: number; distance: number } {
+  let label = 0;
+  let distance = Infinity;
+  for (let c = 0; c < centroids.length; c++) {
+    const dist = squaredDistance(point, centroids[c]);
+    if (dist < distance) {
+      distance = dist;
+      label = c;
+    }
+  }
+  return { label, distance };
+}
+
+/**
+ * Assign every point to its nearest centroid
  * @param X - Data matrix
+ * @param centroids - Centroids
+ * @returns Labels and squared distances to the assigned centroids
+ */
+function assignClusters(X: number[][], centroids: number[][]): { labels: number[]; distances: number[] } {
+  const labels: number[] = [];
+  const distances: number[] = [];
+  for (const point of X) {
+    const { label, distance } = nearestCentroid(point, centroids);
+    labels.push(label);
+    distances.push(distance);
+  }
+  return { labels, distances };
+}
+
+/**
+ * Initial centroids by k-means++: after a uniformly drawn first centroid,
+ * each point is drawn with probability proportional to its squared distance
+ * from the nearest centroid chosen so far
+ * @param X - Data matrix
+ * @param k - Number of centroids
+ * @param rng - Random generator
+ * @returns Centroids (copies of points)
+ */
+function kmeansPlusPlus(X: number[][], k: number, rng: Random): number[][] {
+  const centroids = [[...rng.choice(X)]];
+  const distances = X.map(point => squaredDistance(point, centroids[0]));
+  while (centroids.length < k) {
+    const total = distances.reduce((a, b) => a + b, 0);
+    let next = 0;
+    if (total === 0) {
+      // Every point coincides with a centroid, so any will do
+      next = rng.integer(0, X.length);
+    } else {
+      let target = rng.random() * total;
+      for (let i = 0; i < X.length; i++) {
+        if (distances[i] === 0) continue;
+        next = i;
+        target -= distances[i];
+        if (target < 0) break;
+      }
+    }
+    const centroid = [...X[next]];
+    centroids.push(centroid);
+    for (let i = 0; i < X.length; i++) {
+      distances[i] = Math.min(distances[i], squaredDistance(X[i], centroid));
+    }
+  }
+  return centroids;
+}
+
+/**
+ * Validate a k-means init option
+ * @param init - 'k-means++', 'random' or k initial centroids
+ * @param k - Number of clusters
+ * @param m - Number of features
+ */
+function checkInit(init: KMeansInit, k: number, m: number): void {
+  if (Array.isArray(init)) {
+    if (init.length !== k || init.some(centroid => centroid.length !== m)) {
+      throw new Error(`init must hold ${k} centroids of ${m} values`);
+    }
+  } else if (!KMEANS_INITS.includes(init)) {
+    throw new Error(`Invalid init: ${init}`);
+  }
+}
+
+/**
+ * Initial centroids for k-means
+ * @param X - Data matrix (at least k points)
  * @param k - Number of clusters
+ * @param init - 'k-means++', 'random' or k initial centroids
+ * @param rng - Random generator
+ * @returns Centroids (copies)
+ */
+function initialCentroids(X: number[][], k: number, init: KMeansInit, rng: Random): number[][] {
+  if (Array.isArray(init)) return init.map(centroid => [...centroid]);
+  if (init === 'random') return rng.sample(X, k).map(point => [...point]);
+  return kmeansPlusPlus(X, k, rng);
+}
+
+/**
+ * Cluster means, moving each empty cluster to the point farthest from its centroid
+ * @param X - Data matrix
+ * @param labels - Cluster of each point
+ * @param distances - Squared distance of each point to its centroid
+ * @param k - Number of clusters (at most X.length)
+ * @returns New centroids
+ */
+function updateCentroids(X: number[][], labels: number[], distances: number[], k: number): number[][] {
+  const m = X[0].length;
+  const assigned = [...labels];
+  const counts: number[] = Array(k).fill(0);
+  for (const c of assigned) counts[c]++;
+
+  const farthest = [...distances];
+  for (let c = 0; c < k; c++) {
+    if (counts[c] > 0) continue;
+    // Take the worst-fitting point from a cluster that keeps at least one point
+    let far = -1;
+    for (let i = 0; i < assigned.length; i++) {
+      if (counts[assigned[i]] > 1 && (far < 0 || farthest[i] > farthest[far])) far = i;
+    }
+    counts[assigned[far]]--;
+    assigned[far] = c;
+    counts[c] = 1;
+    farthest[far] = -1;
+  }
+
+  const centroids: number[][] = Array(k).fill(null).map(() => Array(m).fill(0));
+  for (let i = 0; i < X.length; i++) {
+    const centroid = centroids[assigned[i]];
+    for (let j = 0; j < m; j++) {
+      centroid[j] += X[i][j];
+    }
+  }
+  for (let c = 0; c < k; c++) {
+    for (let j = 0; j < m; j++) {
+      centroids[c][j] /= counts[c];
+    }
+  }
+  return centroids;
+}
+
+/**
+ * Lloyd's algorithm from initial centroids
+ * @param X - Data matrix
+ * @param initial - Initial centroids
  * @param maxIter - Maximum iterations
- * @returns Cluster result
+ * @param tolerance - Stop once the total squared centroid shift is at most this
+ * @returns Run result
  */
-export function kmeansClustering(X: number[][], k: number, maxIter: number = 100): KMeansResult {
+function lloyd(X: number[][], initial: number[][], maxIter: number, tolerance: number): Omit<KMeansResult, 'predict'> {
+  let centroids = initial;
+  let { labels, distances } = assignClusters(X, centroids);
+  let nIter = 0;
+
+  while (nIter < maxIter) {
+    nIter++;
+    const next = updateCentroids(X, labels, distances, centroids.length);
+    let shift = 0;
+    for (let c = 0; c < next.length; c++) {
+      shift += squaredDistance(next[c], centroids[c]);
+    }
+    centroids = next;
+
+    const assigned = assignClusters(X, centroids);
+    const unchanged = assigned.labels.every((label, i) => label === labels[i]);
+    ({ labels, distances } = assigned);
+    if (unchanged || shift <= tolerance) break;
+  }
+
+  return { centroids, labels, inertia: distances.reduce((a, b) => a + b, 0), nIter };
+}
+
+/**
+ * K-Means clustering
+ *
+ * Runs Lloyd's algorithm nInit times from different initial centroids and
+ * keeps the run with the lowest inertia (sum of squared distances to the
+ * assigned centroids). A run stops when no label changes or the total
+ * squared centroid shift is at most tol times the mean feature variance.
+ * A cluster left empty is moved to the point farthest from its centroid.
+ *
+ * @param X - Data matrix
+ * @param k - Number of clusters
+ * @param maxIter - Maximum iterations per run
+ * @param options - init ('k-means++' (default), 'random' or k initial centroids), nInit (runs;
+ *   default 10 for 'random', otherwise 1, and always 1 for given centroids), tol (default 1e-4) and
+ *   rng (a Random) or seed, see random.ts
+ * @returns Cluster result of the best run; predict(points) gives the nearest centroid of each point
+ */
+export function kmeansClustering(
+  X: number[][],
+  k: number,
+  maxIter: number = 100,
+  options: KMeansOptions = {}
+): KMeansResult {
+  const { init = 'k-means++', tol = 1e-4 } = options;
+  const { nInit = init === 'random' ? 10 : 1 } = options;
   const n = X.length;
+  if (!Number.isInteger(k) || k < 1 || k > n) {
+    throw new Error(`k must be an integer from 1 to ${n}: ${k}`);
+  }
   const m = X[0].length;
+  checkInit(init, k, m);
+  if (!Number.isInteger(nInit) || nInit < 1) {
+    throw new Error(`nInit must be a positive integer: ${nInit}`);
+  }
+  const rng = resolveRng(options);
 
-  // Initialize centroids randomly
-  const indices: number[] = [];
-  while (indices.length < k) {
-    const idx = Math.floor(Math.random() * n);
-    if (!indices.includes(idx)) {
-      indices.push(idx);
+  let spread = 0;
+  for (let j = 0; j < m; j++) {
+    spread += variance(X.map(point => point[j]));
+  }
+  const tolerance = tol * (spread / m);
+
+  let best: Omit<KMeansResult, 'predict'> | null = null;
+  for (let run = 0; run < (Array.isArray(init) ? 1 : nInit); run++) {
+    const result = lloyd(X, initialCentroids(X, k, init, rng), maxIter, tolerance);
+    if (best === null || result.inertia < best.inertia) best = result;
+  }
+
+  const result = best as Omit<KMeansResult, 'predict'>;
+  const { centroids } = result;
+  return { ...result, predict: points => points.map(point => nearestCentroid(point, centroids).label) };
+}
+
+export interface MiniBatchKMeansOptions extends RandomOptions {
+  /** 'k-means++' (default), 'random' or k initial centroids */
+  init?: KMeansInit;
+  /** Points per batch in fit (default 1024) */
+  batchSize?: number;
+}
+
+/**
+ * Mini-batch k-means for data too large to cluster in one pass
+ *
+ * Centroids are initialized from the first batch (which needs at least k
+ * points unless init gives the centroids). Each batch is assigned to the current centroids, and every
+ * centroid then moves to the running mean of all points ever assigned to it,
+ * so batches can be streamed from disk without holding the whole dataset.
+ */
+export class MiniBatchKMeans {
+  readonly k: number;
+  readonly init: KMeansInit;
+  readonly batchSize: number;
+  private rng: Random;
+  centroids: number[][] | null = null;
+  /** Points assigned to each centroid so far */
+  counts: number[];
+  nSamples = 0;
+
+  /**
+   * @param k - Number of clusters
+   * @param options - init ('k-means++' (default), 'random' or k initial centroids), batchSize (for fit,
+   *   default 1024) and rng (a Random) or seed, see random.ts
+   */
+  constructor(k: number, options: MiniBatchKMeansOptions = {}) {
+    const { init = 'k-means++', batchSize = 1024 } = options;
+    if (!Number.isInteger(k) || k < 1) {
+      throw new Error(`k must be a positive integer: ${k}`);
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error(`batchSize must be a positive integer: ${batchSize}`);
     }
+    // Given centroids fix the number of features; batches are checked against them
+    checkInit(init, k, Array.isArray(init) && init.length > 0 ? init[0].length : 0);
+    this.k = k;
+    this.init = init;
+    this.batchSize = batchSize;
+    this.rng = resolveRng(options);
+    this.counts = Array(k).fill(0);
   }
-  let centroids: number[][] = indices.map(i => [...X[i]]);
 
-  let labels: number[] = Array(n).fill(0);
+  /**
+   * Update the centroids with a batch of points
+   * @param batch - Points
+   * @returns This model
+   */
+  partialFit(batch: number[][]): this {
+    if (batch.length === 0) return this;
+    // Centroids fix the number of features; before the first batch, given ones or its first point do
+    const m = (this.centroids || (Array.isArray(this.init) ? this.init : batch))[0].length;
+    if (batch.some(point => point.length !== m)) {
+      throw new Error(`Points must have ${m} values`);
+    }
+    if (this.centroids === null) {
+      if (!Array.isArray(this.init) && batch.length < this.k) {
+        throw new Error(`The first batch needs at least ${this.k} points: ${batch.length}`);
+      }
+      this.centroids = initialCentroids(batch, this.k, this.init, this.rng);
+    }
+    const centroids = this.centroids;
 
-  for (let iter = 0; iter < maxIter; iter++) {
-    // Assign points to nearest centroid
-    const newLabels: number[] = X.map(point => {
-      let minDist = Infinity;
-      let label = 0;
-      for (let c = 0; c < k; c++) {
-        let dist = 0;
-        for (let j = 0; j < m; j++) {
-          dist += (point[j] - centroids[c][j]) ** 2;
-        }
-        if (dist < minDist) {
-          minDist = dist;
-          label = c;
-        }
+    const sums: number[][] = Array(this.k).fill(null).map(() => Array(m).fill(0));
+    const batchCounts: number[] = Array(this.k).fill(0);
+    for (const point of batch) {
+      const { label } = nearestCentroid(point, centroids);
+      batchCounts[label]++;
+      for (let j = 0; j < m; j++) {
+        sums[label][j] += point[j];
       }
-      return label;
-    });
+    }
+    for (let c = 0; c < this.k; c++) {
+      if (batchCounts[c] === 0) continue;
+      this.counts[c] += batchCounts[c];
+      const centroid = centroids[c];
+      for (let j = 0; j < m; j++) {
+        centroid[j] += (sums[c][j] - batchCounts[c] * centroid[j]) / this.counts[c];
+      }
+    }
+    this.nSamples += batch.length;
+    return this;
+  }
 
-    // Check convergence
-    let changed = false;
-    for (let i = 0; i < n; i++) {
-      if (newLabels[i] !== labels[i]) {
-        changed = true;
-        break;
+  /**
+   * Fit to an in-memory dataset in shuffled mini-batches
+   * @param X - Data matrix
+   * @param epochs - Passes over the data (default 1)
+   * @returns This model
+   */
+  fit(X: number[][], epochs = 1): this {
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      const order = this.rng.shuffle(X);
+      for (let start = 0; start < order.length; start += this.batchSize) {
+        this.partialFit(order.slice(start, start + this.batchSize));
       }
     }
-    labels = newLabels;
+    return this;
+  }
 
-    if (!changed) break;
+  /**
+   * Nearest centroid of each point
+   * @param points - Points
+   * @returns Cluster labels
+   */
+  predict(points: number[][]): number[] {
+    const centroids = this.fittedCentroids();
+    return points.map(point => nearestCentroid(point, centroids).label);
+  }
 
-    // Update centroids
-    const newCentroids: number[][] = Array(k).fill(null).map(() => Array(m).fill(0));
-    const counts: number[] = Array(k).fill(0);
+  /**
+   * Sum of squared distances of points to their nearest centroids
+   * @param points - Points
+   * @returns Inertia
+   */
+  inertia(points: number[][]): number {
+    const centroids = this.fittedCentroids();
+    return points.reduce((total, point) => total + nearestCentroid(point, centroids).distance, 0);
+  }
 
-    for (let i = 0; i < n; i++) {
-      const c = labels[i];
-      counts[c]++;
-      for (let j = 0; j < m; j++) {
-        newCentroids[c][j] += X[i][j];
+  /**
+   * Centroids, once fitted
+   * @returns Centroids
+   */
+  private fittedCentroids(): number[][] {
+    if (this.centroids === null) {
+      throw new Error('MiniBatchKMeans is not fitted; call partialFit first');
+    }
+    return this.centroids;
+  }
+}
+
+/**
+ * Points grouped by cluster label
+ * @param X - Data matrix
+ * @param labels - Cluster label of each point
+ * @returns Point indices of each cluster, in order of first appearance
+ */
+function clusterMembers(X: number[][], labels: unknown[]): number[][] {
+  if (labels.length !== X.length) {
+    throw new Error(`labels must have one label per point: ${labels.length} for ${X.length} points`);
+  }
+  const clusters = new Map<unknown, number[]>();
+  labels.forEach((label, i) => {
+    const members = clusters.get(label);
+    if (members) members.push(i);
+    else clusters.set(label, [i]);
+  });
+  const members = [...clusters.values()];
+  if (members.length < 2 || members.length >= X.length) {
+    throw new Error(`Scores need 2 to ${X.length - 1} clusters: ${members.length}`);
+  }
+  return members;
+}
+
+/**
+ * Mean of a set of points
+ * @param X - Data matrix
+ * @param indices - Points to average
+ * @returns Centroid
+ */
+function centroidOf(X: number[][], indices: number[]): number[] {
+  const centroid: number[] = Array(X[0].length).fill(0);
+  for (const i of indices) {
+    for (let j = 0; j < centroid.length; j++) {
+      centroid[j] += X[i][j];
+    }
+  }
+  return centroid.map(sum => sum / indices.length);
+}
+
+/**
+ * Mean silhouette coefficient: for each point, (b - a) / max(a, b) where a is
+ * its mean distance to the rest of its cluster and b its mean distance to the
+ * nearest other cluster (0 for points alone in their cluster)
+ * @param X - Data matrix
+ * @param labels - Cluster label of each point
+ * @param options - metric ('euclidean' (default), 'manhattan', 'cosine' or a distance function)
+ * @returns Score from -1 to 1 (higher is better)
+ */
+export function silhouetteScore(X: number[][], labels: unknown[], options: DistanceOptions = {}): number {
+  const { metric = 'euclidean' } = options;
+  const distance = resolveDistance(metric);
+  const members = clusterMembers(X, labels);
+  const distanceSum = (i: number, indices: number[]): number =>
+    indices.reduce((sum, j) => sum + distance(X[i], X[j]), 0);
+  let total = 0;
+  members.forEach((own, c) => {
+    if (own.length === 1) return;
+    for (const i of own) {
+      const a = distanceSum(i, own) / (own.length - 1);
+      let b = Infinity;
+      members.forEach((other, d) => {
+        if (d !== c) b = Math.min(b, distanceSum(i, other) / other.length);
+      });
+      const scale = Math.max(a, b);
+      total += scale === 0 ? 0 : (b - a) / scale;
+    }
+  });
+  return total / X.length;
+}
+
+/**
+ * Davies-Bouldin index: mean over clusters of the largest ratio of summed
+ * within-cluster scatter to centroid distance (pairs with coinciding
+ * centroids are left out)
+ * @param X - Data matrix
+ * @param labels - Cluster label of each point
+ * @returns Score of 0 or more (lower is better)
+ */
+export function daviesBouldinScore(X: number[][], labels: unknown[]): number {
+  const members = clusterMembers(X, labels);
+  const centroids = members.map(indices => centroidOf(X, indices));
+  const scatter = members.map((indices, c) =>
+    indices.reduce((sum, i) => sum + euclideanDistance(X[i], centroids[c]), 0) / indices.length
+  );
+  let total = 0;
+  for (let c = 0; c < members.length; c++) {
+    let worst = 0;
+    for (let d = 0; d < members.length; d++) {
+      const separation = euclideanDistance(centroids[c], centroids[d]);
+      if (d !== c && separation > 0) worst = Math.max(worst, (scatter[c] + scatter[d]) / separation);
+    }
+    total += worst;
+  }
+  return total / members.length;
+}
+
+/**
+ * Calinski-Harabasz index: between-cluster over within-cluster dispersion,
+ * each divided by its degrees of freedom
+ * @param X - Data matrix
+ * @param labels - Cluster label of each point
+ * @returns Score of 0 or more (higher is better; 1 when every cluster is a single repeated point)
+ */
+export function calinskiHarabaszScore(X: number[][], labels: unknown[]): number {
+  const members = clusterMembers(X, labels);
+  const overall = centroidOf(X, X.map((_, i) => i));
+  let between = 0;
+  let within = 0;
+  for (const indices of members) {
+    const centroid = centroidOf(X, indices);
+    between += indices.length * squaredDistance(centroid, overall);
+    for (const i of indices) {
+      within += squaredDistance(X[i], centroid);
+    }
+  }
+  if (within === 0) return 1;
+  const k = members.length;
+  return (between * (X.length - k)) / (within * (k - 1));
+}
+
+export interface ElbowOptions extends KMeansOptions {
+  /** Maximum k-means iterations per run (default 100) */
+  maxIter?: number;
+}
+
+export interface ElbowResult {
+  /** Elbow of the curve */
+  k: number;
+  curve: { k: number; inertia: number }[];
+}
+
+export interface GapOptions extends ElbowOptions {
+  /** Reference datasets per k (default 10) */
+  nRefs?: number;
+}
+
+export interface KDiagnostics {
+  k: number;
+  inertia: number;
+  gap: number;
+  /** Standard error of the reference log inertias */
+  sk: number;
+  /** Cluster scores, null where k is 1 */
+  silhouette: number | null;
+  daviesBouldin: number | null;
+  calinskiHarabasz: number | null;
+}
+
+export interface ChooseKResult {
+  k: number;
+  diagnostics: KDiagnostics[];
+}
+
+/**
+ * Validate the numbers of clusters to try
+ * @param kRange - Numbers of clusters, increasing
+ * @param n - Number of points
+ */
+function checkKRange(kRange: number[], n: number): void {
+  const valid = (k: number, i: number): boolean =>
+    Number.isInteger(k) && k >= 1 && k <= n && (i === 0 || k > kRange[i - 1]);
+  if (kRange.length === 0 || !kRange.every(valid)) {
+    throw new Error(`kRange must be increasing integers from 1 to ${n}: ${kRange.join(', ')}`);
+  }
+}
+
+/**
+ * Inertia of k-means for each number of clusters, with the elbow of the curve
+ *
+ * The elbow is the k whose point lies farthest below the straight line from
+ * the first to the last point of the curve (both axes scaled to [0, 1]).
+ *
+ * @param X - Data matrix
+ * @param kRange - Numbers of clusters to try, increasing
+ * @param options - maxIter (default 100) and the kmeansClustering options (init, nInit, tol, rng or seed)
+ * @returns Elbow and inertia per k
+ */
+export function elbowCurve(X: number[][], kRange: number[], options: ElbowOptions = {}): ElbowResult {
+  const { maxIter = 100 } = options;
+  checkKRange(kRange, X.length);
+  const rng = resolveRng(options);
+  const curve = kRange.map(k => ({ k, inertia: kmeansClustering(X, k, maxIter, { ...options, rng }).inertia }));
+
+  const first = curve[0];
+  const last = curve[curve.length - 1];
+  const kSpan = last.k - first.k || 1;
+  const drop = first.inertia - last.inertia || 1;
+  let elbow = first;
+  let deepest = 0;
+  for (const point of curve) {
+    const x = (point.k - first.k) / kSpan;
+    const y = (first.inertia - point.inertia) / drop;
+    if (y - x > deepest) {
+      deepest = y - x;
+      elbow = point;
+    }
+  }
+  return { k: elbow.k, curve };
+}
+
+/**
+ * Choose the number of clusters by the gap statistic (Tibshirani et al.)
+ *
+ * For each k, the gap is the mean log inertia of k-means on nRefs reference
+ * datasets drawn uniformly over the bounding box of X, minus the log inertia
+ * on X. The chosen k is the smallest whose gap is within one standard error
+ * of the largest gap (R's clusGap 'firstSEmax' rule), the standard error
+ * sk coming from the spread of the reference log inertias.
+ *
+ * @param X - Data matrix
+ * @param kRange - Numbers of clusters to try, increasing, each below the number of points
+ * @param options - nRefs (default 10), maxIter (default 100) and the kmeansClustering options
+ *   (init, nInit, tol, rng or seed)
+ * @returns Chosen k and, per k, inertia, gap, sk and the silhouette, Davies-Bouldin and
+ *   Calinski-Harabasz scores
+ */
+export function chooseK(X: number[][], kRange: number[], options: GapOptions = {}): ChooseKResult {
+  const { nRefs = 10, maxIter = 100 } = options;
+  checkKRange(kRange, X.length);
+  // With a cluster per point every inertia is 0 and the gap is undefined
+  if (kRange[kRange.length - 1] >= X.length) {
+    throw new Error(`chooseK needs fewer clusters than points (${X.length}): ${kRange[kRange.length - 1]}`);
+  }
+  if (!Number.isInteger(nRefs) || nRefs < 1) {
+    throw new Error(`nRefs must be a positive integer: ${nRefs}`);
+  }
+  const rng = resolveRng(options);
+  const kmeansOptions = { ...options, rng };
+  const m = X[0].length;
+  const low = Array.from({ length: m }, (_, j) => Math.min(...X.map(point => point[j])));
+  const high = Array.from({ length: m }, (_, j) => Math.max(...X.map(point => point[j])));
+  const references = Array.from({ length: nRefs }, () =>
+    X.map(() => low.map((lo, j) => rng.uniform(lo, high[j])))
+  );
+
+  const diagnostics = kRange.map((k): KDiagnostics => {
+    const result = kmeansClustering(X, k, maxIter, kmeansOptions);
+    const refLogs = references.map(ref => Math.log(kmeansClustering(ref, k, maxIter, kmeansOptions).inertia));
+    const refMean = refLogs.reduce((a, b) => a + b, 0) / nRefs;
+    const sk = std(refLogs) * Math.sqrt(1 + 1 / nRefs);
+    const scored = k > 1;
+    return {
+      k,
+      inertia: result.inertia,
+      gap: refMean - Math.log(result.inertia),
+      sk,
+      silhouette: scored ? silhouetteScore(X, result.labels) : null,
+      daviesBouldin: scored ? daviesBouldinScore(X, result.labels) : null,
+      calinskiHarabasz: scored ? calinskiHarabaszScore(X, result.labels) : null
+    };
+  });
+
+  const best = diagnostics.reduce((a, b) => (b.gap > a.gap ? b : a));
+  const chosen = diagnostics.find(d => d.gap >= best.gap - best.sk) ?? best;
+  return { k: chosen.k, diagnostics };
+}
+
+export interface DBSCANResult {
+  /** Cluster of each point, -1 for noise */
+  labels: number[];
+  /** Indices of the core points */
+  coreSamples: number[];
+  nClusters: number;
+}
+
+/**
+ * DBSCAN density-based clustering
+ *
+ * Core points have at least minPts points (themselves included) within eps.
+ * Clusters are the core points connected through each other's
+ * neighborhoods plus the border points within eps of them; other points are
+ * noise, labelled -1.
+ *
+ * @param X - Data matrix
+ * @param eps - Neighborhood radius
+ * @param minPts - Neighbors (including the point) that make a core point (default 5)
+ * @param options - metric ('euclidean' (default), 'manhattan', 'cosine' or a distance function)
+ * @returns Cluster of each point (-1 for noise), indices of the core points and the number of clusters
+ */
+export function dbscan(X: number[][], eps: number, minPts = 5, options: DistanceOptions = {}): DBSCANResult {
+  const { metric = 'euclidean' } = options;
+  if (!(eps > 0)) {
+    throw new Error(`eps must be a positive number: ${eps}`);
+  }
+  if (!Number.isInteger(minPts) || minPts < 1) {
+    throw new Error(`minPts must be a positive integer: ${minPts}`);
+  }
+  const distance = resolveDistance(metric);
+  const n = X.length;
+  const neighbors = X.map((_, i) => [i]);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (distance(X[i], X[j]) <= eps) {
+        neighbors[i].push(j);
+        neighbors[j].push(i);
       }
     }
+  }
+  const core = neighbors.map(list => list.length >= minPts);
 
-    for (let c = 0; c < k; c++) {
-      if (counts[c] > 0) {
-        for (let j = 0; j < m; j++) {
-          newCentroids[c][j] /= counts[c];
+  const labels: number[] = Array(n).fill(-1);
+  let nClusters = 0;
+  for (let i = 0; i < n; i++) {
+    if (labels[i] !== -1 || !core[i]) continue;
+    labels[i] = nClusters;
+    const queue = [i];
+    while (queue.length > 0) {
+      const p = queue.pop() as number;
+      if (!core[p]) continue;
+      for (const q of neighbors[p]) {
+        if (labels[q] === -1) {
+          labels[q] = nClusters;
+          queue.push(q);
         }
       }
     }
+    nClusters++;
+  }
+
+  const coreSamples: number[] = [];
+  core.forEach((isCore, i) => {
+    if (isCore) coreSamples.push(i);
+  });
+  return { labels, coreSamples, nClusters };
+}
 
-    centroids = newCentroids;
+export type Linkage = 'single' | 'complete' | 'average' | 'ward';
+
+export interface AgglomerativeOptions extends DistanceOptions {
+  /** Distance between clusters (default 'ward', which needs the euclidean metric) */
+  linkage?: Linkage;
+}
+
+export interface DendrogramMerge {
+  /** Merged cluster ids (points below n, merge m creates n + m) */
+  left: number;
+  right: number;
+  distance: number;
+  /** Points in the merged cluster */
+  size: number;
+}
+
+export interface AgglomerativeResult {
+  /** The n - 1 merges, by increasing distance */
+  dendrogram: DendrogramMerge[];
+  /** Flat clusters joined at distances up to threshold */
+  fcluster: (threshold: number) => number[];
+}
+
+const LINKAGES: Linkage[] = ['single', 'complete', 'average', 'ward'];
+
+/**
+ * Distance from cluster k to the union of clusters i and j (Lance-Williams)
+ * @param linkage - Linkage method
+ * @param dki - Distance from k to i
+ * @param dkj - Distance from k to j
+ * @param dij - Distance from i to j
+ * @param ni - Size of i
+ * @param nj - Size of j
+ * @param nk - Size of k
+ * @returns Distance from k to i + j
+ */
+function linkageDistance(
+  linkage: Linkage,
+  dki: number,
+  dkj: number,
+  dij: number,
+  ni: number,
+  nj: number,
+  nk: number
+): number {
+  switch (linkage) {
+    case 'single':
+      return Math.min(dki, dkj);
+    case 'complete':
+      return Math.max(dki, dkj);
+    case 'average':
+      return (ni * dki + nj * dkj) / (ni + nj);
+    default:
+      return Math.sqrt(((ni + nk) * dki * dki + (nj + nk) * dkj * dkj - nk * dij * dij) / (ni + nj + nk));
   }
+}
 
-  return { centroids, labels };
+/**
+ * Flat cluster labels after applying the first merges of a dendrogram
+ * @param n - Number of points
+ * @param merges - Dendrogram merges to apply
+ * @returns Cluster of each point, numbered in order of first appearance
+ */
+function flatClusters(n: number, merges: DendrogramMerge[]): number[] {
+  // Cluster id of each point, updated as clusters join
+  const owner = Array.from({ length: n }, (_, i) => i);
+  const members = Array.from({ length: n }, (_, i) => [i]);
+  merges.forEach((merge, m) => {
+    const joined = [...members[merge.left], ...members[merge.right]];
+    for (const i of joined) owner[i] = n + m;
+    members.push(joined);
+  });
+  const numbering = new Map<number, number>();
+  return owner.map(id => {
+    if (!numbering.has(id)) numbering.set(id, numbering.size);
+    return numbering.get(id) as number;
+  });
+}
+
+/**
+ * Agglomerative (hierarchical) clustering
+ *
+ * Starting from single points, repeatedly merges the two closest clusters.
+ * The dendrogram lists the n - 1 merges by increasing distance, as in
+ * SciPy's linkage: ids below n are points and merge m creates cluster
+ * n + m. Ward linkage minimizes the growth in within-cluster variance and
+ * needs the euclidean metric.
+ *
+ * @param X - Data matrix
+ * @param options - linkage ('single', 'complete', 'average' or 'ward' (default)) and metric
+ *   ('euclidean' (default), 'manhattan', 'cosine' or a distance function)
+ * @returns Merges, and fcluster(threshold) giving the flat clusters joined at distances up to threshold
+ */
+export function agglomerativeClustering(X: number[][], options: AgglomerativeOptions = {}): AgglomerativeResult {
+  const { linkage = 'ward', metric = 'euclidean' } = options;
+  if (!LINKAGES.includes(linkage)) {
+    throw new Error(`Invalid linkage: ${linkage}`);
+  }
+  if (linkage === 'ward' && metric !== 'euclidean') {
+    throw new Error('Ward linkage needs the euclidean metric');
+  }
+  const n = X.length;
+  const distances = pairwiseDistances(X, metric);
+  const sizes: number[] = Array(n).fill(1);
+  const active: boolean[] = Array(n).fill(true);
+
+  // Nearest-neighbor chain: follow nearest neighbors until two clusters are
+  // each other's nearest, which these linkages allow merging right away
+  const found: { x: number; y: number; distance: number }[] = [];
+  const chain: number[] = [];
+  while (found.length < n - 1) {
+    if (chain.length === 0) chain.push(active.indexOf(true));
+    let x: number;
+    let y: number;
+    for (;;) {
+      x = chain[chain.length - 1];
+      const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+      y = previous;
+      let nearest = previous === -1 ? Infinity : distances[x][previous];
+      for (let k = 0; k < n; k++) {
+        if (active[k] && k !== x && distances[x][k] < nearest) {
+          nearest = distances[x][k];
+          y = k;
+        }
+      }
+      if (y === previous) break;
+      chain.push(y);
+    }
+    chain.length -= 2;
+
+    // The merged cluster takes slot y
+    const dxy = distances[x][y];
+    found.push({ x, y, distance: dxy });
+    for (let k = 0; k < n; k++) {
+      if (active[k] && k !== x && k !== y) {
+        distances[k][y] = distances[y][k] =
+          linkageDistance(linkage, distances[k][x], distances[k][y], dxy, sizes[x], sizes[y], sizes[k]);
+      }
+    }
+    sizes[y] += sizes[x];
+    active[x] = false;
+  }
+
+  // Number the clusters in order of merge distance; point x is in the
+  // cluster held by slot x when it merged, and likewise point y
+  found.sort((a, b) => a.distance - b.distance);
+  const clusterOf = Array.from({ length: n }, (_, i) => i);
+  const members = Array.from({ length: n }, (_, i) => [i]);
+  const dendrogram = found.map(({ x, y, distance }, m): DendrogramMerge => {
+    const a = clusterOf[x];
+    const b = clusterOf[y];
+    const joined = [...members[a], ...members[b]];
+    for (const i of joined) clusterOf[i] = n + m;
+    members.push(joined);
+    return { left: Math.min(a, b), right: Math.max(a, b), distance, size: joined.length };
+  });
+
+  return {
+    dendrogram,
+    fcluster: threshold => flatClusters(n, dendrogram.filter(merge => merge.distance <= threshold))
+  };
 }
 
 export interface LinearRegressionResult {
@@ -0,0 +1,293 @@
+/**
+ * String Operations
+ * Vectorized text operations over string columns (pandas .str)
+ *
+ * String columns are dictionary-encoded, so each operation runs once per
+ * distinct value and the results are mapped back through the codes.
+ * Missing values stay missing.
+ */
+
+import { Column, NumericColumn, DictionaryColumn, ObjectColumn, encodeColumn } from './columnar';
+
+export interface PatternOptions {
+  /** Treat a string pattern as a regular expression (default true) */
+  regex?: boolean;
+  /** Match case (default true) */
+  caseSensitive?: boolean;
+}
+
+export type PadSide = 'left' | 'right' | 'both';
+
+export interface PadOptions {
+  /** Where to add the fill (default 'left'; 'both' puts the extra fill on the right) */
+  side?: PadSide;
+  /** Single fill character (default ' ') */
+  fillchar?: string;
+}
+
+export type Replacement = string | ((match: string, ...args: unknown[]) => string);
+
+export interface ExtractedGroups {
+  /** Group names, or null unless every group is named */
+  names: string[] | null;
+  /** One column per group */
+  columns: Column[];
+}
+
+const PAD_SIDES: PadSide[] = ['left', 'right', 'both'];
+
+/**
+ * Encode values as a string column
+ * @param values - Values or an encoded column (strings, categories, or all missing)
+ * @param name - Column name, for errors
+ * @returns Dictionary-encoded column
+ */
+export function stringColumn(values: ArrayLike<unknown> | Column, name: string | null = null): DictionaryColumn {
+  const column = encodeColumn(values);
+  if (column.kind === 'dictionary' && column.dictionary.every(value => typeof value === 'string')) {
+    return column as DictionaryColumn;
+  }
+  if (column.kind === 'object' && column.values.every(value => value === null)) {
+    return new DictionaryColumn(new Int32Array(column.length).fill(-1), []);
+  }
+  throw new Error(name === null ? 'Values are not strings' : `Column is not a string column: ${name}`);
+}
+
+/**
+ * Build a regular expression from a pattern
+ * @param pattern - Regular expression, or literal text when regex is false
+ * @param options - regex (default true), caseSensitive (default true) and global (default false)
+ * @returns New RegExp (the flags of a RegExp pattern are kept, except g and y)
+ */
+function toRegExp(pattern: string | RegExp, options: PatternOptions & { global?: boolean } = {}): RegExp {
+  const { regex = true, caseSensitive = true, global = false } = options;
+  let source: string;
+  let flags = '';
+  if (pattern instanceof RegExp) {
+    source = pattern.source;
+    flags = pattern.flags.replace(/[gy]/g, '');
+  } else {
+    source = regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  if (!caseSensitive && !flags.includes('i')) flags += 'i';
+  if (global) flags += 'g';
+  return new RegExp(source, flags);
+}
+
+/**
+ * Map every string through a function
+ * @param values - Values or an encoded column
+ * @param fn - New string, or null for a missing value
+ * @returns Mapped column
+ */
+export function mapStrings(
+  values: ArrayLike<unknown> | Column,
+  fn: (text: string) => string | null | undefined
+): DictionaryColumn {
+  const column = stringColumn(values);
+  const dictionary: string[] = [];
+  const lookup = new Map<string, number>();
+  const remap = column.dictionary.map(text => {
+    const result = fn(text);
+    if (result === null || result === undefined) return -1;
+    let code = lookup.get(result);
+    if (code === undefined) {
+      code = dictionary.length;
+      dictionary.push(result);
+      lookup.set(result, code);
+    }
+    return code;
+  });
+  return new DictionaryColumn(column.codes.map(code => (code < 0 ? -1 : remap[code])), dictionary);
+}
+
+/**
+ * Per-row results of a function of each string
+ * @param column - String column
+ * @param fn - Result for a string
+ * @returns One result per row, null where the value is missing
+ */
+function gatherResults<T>(column: DictionaryColumn, fn: (text: string) => T): (T | null)[] {
+  const results = column.dictionary.map(fn);
+  return Array.from(column.codes, code => (code < 0 ? null : results[code]));
+}
+
+/**
+ * Length of every string
+ * @param values - Values or an encoded column
+ * @returns Int column of lengths (in UTF-16 code units)
+ */
+export function stringLengths(values: ArrayLike<unknown> | Column): NumericColumn {
+  const column = stringColumn(values);
+  const lengths = column.dictionary.map(text => text.length);
+  const data = new Float64Array(column.length);
+  let nulls: Uint8Array | null = null;
+  for (let i = 0; i < data.length; i++) {
+    const code = column.codes[i];
+    if (code < 0) {
+      data[i] = NaN;
+      if (!nulls) nulls = new Uint8Array(data.length);
+      nulls[i] = 1;
+    } else {
+      data[i] = lengths[code];
+    }
+  }
+  return new NumericColumn(data, nulls, 'int');
+}
+
+/**
+ * Test every string against a pattern
+ * @param values - Values or an encoded column
+ * @param pattern - Pattern to search for
+ * @param options - regex (default true) and caseSensitive (default true)
+ * @returns Bool column, null where the value is missing
+ */
+export function containsPattern(
+  values: ArrayLike<unknown> | Column,
+  pattern: string | RegExp,
+  options: PatternOptions = {}
+): ObjectColumn {
+  const regex = toRegExp(pattern, options);
+  return new ObjectColumn(gatherResults(stringColumn(values), text => regex.test(text)), 'bool');
+}
+
+/**
+ * Replace every match of a pattern
+ * @param values - Values or an encoded column
+ * @param pattern - Pattern to replace
+ * @param replacement - Replacement text ($1 etc. refer to groups when regex) or function
+ * @param options - regex (default true) and caseSensitive (default true)
+ * @returns Column with the matches replaced
+ */
+export function replacePattern(
+  values: ArrayLike<unknown> | Column,
+  pattern: string | RegExp,
+  replacement: Replacement,
+  options: PatternOptions = {}
+): DictionaryColumn {
+  const { regex = true } = options;
+  const search = toRegExp(pattern, { ...options, global: true });
+  // Literal replacement text must not expand $ patterns
+  const replace = regex || typeof replacement === 'function' ? replacement : () => replacement;
+  return mapStrings(values, text => text.replace(search, replace as (match: string) => string));
+}
+
+/**
+ * Pad a string to a width
+ * @param text - Text
+ * @param width - Minimum length
+ * @param side - 'left', 'right' or 'both' (extra fill goes on the right)
+ * @param fillchar - Single fill character
+ * @returns Padded text
+ */
+function padString(text: string, width: number, side: PadSide, fillchar: string): string {
+  if (side === 'left') return text.padStart(width, fillchar);
+  if (side === 'right') return text.padEnd(width, fillchar);
+  const left = Math.max(Math.floor((width - text.length) / 2), 0);
+  return text.padStart(text.length + left, fillchar).padEnd(width, fillchar);
+}
+
+/**
+ * Pad every string to a width
+ * @param values - Values or an encoded column
+ * @param width - Minimum length
+ * @param options - side ('left', 'right' or 'both'; default 'left') and fillchar (default ' ')
+ * @returns Padded column
+ */
+export function padStrings(
+  values: ArrayLike<unknown> | Column,
+  width: number,
+  options: PadOptions = {}
+): DictionaryColumn {
+  const { side = 'left', fillchar = ' ' } = options;
+  if (!PAD_SIDES.includes(side)) {
+    throw new Error(`Invalid side: ${side}`);
+  }
+  if (typeof fillchar !== 'string' || fillchar.length !== 1) {
+    throw new Error('fillchar must be a single character');
+  }
+  return mapStrings(values, text => padString(text, width, side, fillchar));
+}
+
+/**
+ * Split a string around the matches of a pattern
+ * @param text - Text
+ * @param separator - Global separator pattern
+ * @param n - Most splits (-1 for all); the rest stays in the last part
+ * @returns Parts
+ */
+function splitN(text: string, separator: RegExp, n: number): string[] {
+  const parts: string[] = [];
+  let start = 0;
+  let match: RegExpExecArray | null;
+  separator.lastIndex = 0;
+  while ((n < 0 || parts.length < n) && (match = separator.exec(text)) !== null) {
+    if (match[0] === '') {
+      // Skip empty matches, which would not advance
+      separator.lastIndex++;
+      continue;
+    }
+    parts.push(text.slice(start, match.index));
+    start = match.index + match[0].length;
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Split every string around a separator
+ * @param values - Values or an encoded column
+ * @param sep - Literal separator or pattern (default runs of whitespace, ignoring
+ *   leading and trailing whitespace)
+ * @param n - Most splits (default -1, for all); the rest stays in the last part
+ * @returns Parts per row, null where the value is missing
+ */
+export function splitStrings(
+  values: ArrayLike<unknown> | Column,
+  sep: string | RegExp | null = null,
+  n = -1
+): (string[] | null)[] {
+  const column = stringColumn(values);
+  let split: (text: string) => string[];
+  if (sep === null) {
+    const whitespace = /\s+/g;
+    split = text => {
+      const trimmed = text.trim();
+      return trimmed === '' ? [] : splitN(trimmed, whitespace, n);
+    };
+  } else {
+    const separator = toRegExp(sep, { regex: sep instanceof RegExp, global: true });
+    split = text => splitN(text, separator, n);
+  }
+  // Rows sharing a value get their own copy of its parts
+  return gatherResults(column, split).map(parts => parts && [...parts]);
+}
+
+/**
+ * Capture groups of the first match in every string
+ *
+ * Groups are named by the pattern when every group is named; otherwise
+ * names is null and groups are identified by position.
+ *
+ * @param values - Values or an encoded column
+ * @param pattern - Pattern with capture groups
+ * @returns Group names and one column per group (null where the value is
+ *   missing, the pattern does not match or the group did not take part)
+ */
+export function extractGroups(values: ArrayLike<unknown> | Column, pattern: string | RegExp): ExtractedGroups {
+  const regex = toRegExp(pattern);
+  // An empty alternative always matches, which exposes the group count and names
+  const probe = new RegExp(`(?:${regex.source})|`, regex.flags).exec('') as RegExpExecArray;
+  const count = probe.length - 1;
+  if (count === 0) {
+    throw new Error('Pattern has no capture groups');
+  }
+  const groupNames = probe.groups ? Object.keys(probe.groups) : [];
+
+  const matches = gatherResults(stringColumn(values), text => regex.exec(text));
+  const columns: Column[] = [];
+  for (let g = 1; g <= count; g++) {
+    columns.push(encodeColumn(matches.map(match => (match && match[g] !== undefined ? match[g] : null))));
+  }
+  return { names: groupNames.length === count ? groupNames : null, columns };
+}
@@ -0,0 +1,255 @@
+/**
+ * Dates and Frequencies
+ * Timezone-safe date parsing and calendar bucketing for time series
+ *
+ * All arithmetic is done in UTC on epoch milliseconds, so results do not
+ * depend on the machine's local timezone.
+ */
+
+import { Column, DatetimeColumn, isMissing } from './columnar';
+
+export type FrequencyUnit = 'ms' | 's' | 'm' | 'h' | 'D' | 'W' | 'M' | 'Y';
+
+export interface Frequency {
+  n: number;
+  unit: FrequencyUnit;
+}
+
+const MS: Partial<Record<FrequencyUnit, number>> = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  D: 24 * 60 * 60 * 1000,
+  W: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_ALIASES: Record<string, FrequencyUnit> = {
+  ms: 'ms',
+  s: 's',
+  m: 'm',
+  min: 'm',
+  T: 'm',
+  h: 'h',
+  H: 'h',
+  d: 'D',
+  D: 'D',
+  w: 'W',
+  W: 'W',
+  M: 'M',
+  y: 'Y',
+  Y: 'Y'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 1970-01-05, the first Monday after the epoch; weeks start on Monday
+const FIRST_MONDAY = 4 * DAY_MS;
+
+const ISO_PATTERN = new RegExp(
+  '^(\\d{4})-(\\d{2})(?:-(\\d{2})' +
+  '(?:[T ](\\d{2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d{1,9}))?)?)?)?' +
+  '\\s*(Z|[+-]\\d{2}(?::?\\d{2})?)?$',
+  'i'
+);
+
+/**
+ * Number of days in a month
+ * @param year - Full year
+ * @param month - Month, 0-11 (may overflow into other years)
+ * @returns Days in the month
+ */
+function daysInMonth(year: number, month: number): number {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Parse a date to epoch milliseconds
+ *
+ * Accepts Date objects, epoch milliseconds and ISO 8601 strings
+ * (YYYY-MM, YYYY-MM-DD, optionally followed by a time and a Z or ±HH:MM
+ * offset). Strings without an offset are read as UTC, unlike Date.parse,
+ * which reads date-times in the local timezone.
+ *
+ * @param value - Value to parse
+ * @returns Epoch milliseconds, or null for missing values
+ */
+export function parseDate(value: unknown): number | null {
+  if (isMissing(value) || value === '') return null;
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+  if (typeof value === 'number') return value;
+
+  const m = typeof value === 'string' ? ISO_PATTERN.exec(value.trim()) : null;
+  if (!m) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  const part = (i: number, fallback: number): number => (m[i] === undefined ? fallback : Number(m[i]));
+  const year = part(1, 0);
+  const month = part(2, 1);
+  const day = part(3, 1);
+  const hour = part(4, 0);
+  const minute = part(5, 0);
+  const second = part(6, 0);
+  const millis = m[7] ? Number(m[7].slice(0, 3).padEnd(3, '0')) : 0;
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month - 1)
+    || hour > 23 || minute > 59 || second > 59) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  let offset = 0;
+  if (m[8] && m[8].toUpperCase() !== 'Z') {
+    const sign = m[8][0] === '-' ? -1 : 1;
+    const digits = m[8].slice(1).replace(':', '');
+    offset = sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2) || 0));
+  }
+
+  return Date.UTC(year, month - 1, day, hour, minute, second, millis) - offset * 60 * 1000;
+}
+
+/**
+ * Convert values to a datetime column
+ * @param values - Values (or an encoded column) to parse, see parseDate
+ * @returns Datetime column
+ */
+export function toDatetime(values: ArrayLike<unknown> | Column): DatetimeColumn {
+  if (values instanceof DatetimeColumn) return values;
+  const n = values.length;
+  const get = 'get' in values && typeof values.get === 'function'
+    ? (i: number) => (values as Column).get(i)
+    : (i: number) => (values as ArrayLike<unknown>)[i];
+  const data = new Float64Array(n);
+  let nulls: Uint8Array | null = null;
+  for (let i = 0; i < n; i++) {
+    const time = parseDate(get(i));
+    if (time === null) {
+      data[i] = NaN;
+      if (!nulls) nulls = new Uint8Array(n);
+      nulls[i] = 1;
+    } else {
+      data[i] = time;
+    }
+  }
+  return new DatetimeColumn(data, nulls);
+}
+
+/**
+ * Parse a frequency string such as '1h', '15m', '1D', '2W' or '1M'
+ *
+ * Units: ms, s, m (or min) minutes, h hours, D days, W weeks (starting
+ * Monday), M calendar months and Y calendar years. Note 'm' is minutes
+ * and 'M' is months.
+ *
+ * @param rule - Frequency string
+ * @returns Multiple and normalized unit
+ */
+export function parseFrequency(rule: string): Frequency {
+  const m = /^\s*(\d*)\s*([A-Za-z]+)\s*$/.exec(String(rule));
+  const unit = m ? UNIT_ALIASES[m[2]] : undefined;
+  const n = m && m[1] !== '' ? Number(m[1]) : 1;
+  if (!unit || n < 1) {
+    throw new Error(`Invalid frequency: ${rule}`);
+  }
+  return { n, unit };
+}
+
+/**
+ * Accept either a frequency string or an already parsed frequency
+ * @param freq - Frequency string or parsed frequency
+ * @returns Parsed frequency
+ */
+function resolveFrequency(freq: string | Frequency): Frequency {
+  return typeof freq === 'string' ? parseFrequency(freq) : freq;
+}
+
+/**
+ * Length of a fixed frequency in milliseconds
+ * @param freq - Frequency string or parsed frequency
+ * @returns Milliseconds (throws for months and years)
+ */
+export function frequencyMs(freq: string | Frequency): number {
+  const { n, unit } = resolveFrequency(freq);
+  const size = MS[unit];
+  if (size === undefined) {
+    throw new Error(`Frequency has no fixed length: ${n}${unit}`);
+  }
+  return n * size;
+}
+
+/**
+ * Start of the bucket containing a time
+ *
+ * Buckets are aligned to the epoch (days at UTC midnight, weeks on Monday,
+ * months and years on the first of the month/year).
+ *
+ * @param time - Epoch milliseconds
+ * @param freq - Frequency string or parsed frequency
+ * @returns Bucket start in epoch milliseconds
+ */
+export function floorDate(time: number, freq: string | Frequency): number {
+  const { n, unit } = resolveFrequency(freq);
+  const unitMs = MS[unit];
+  if (unit === 'W') {
+    const size = n * (unitMs as number);
+    return Math.floor((time - FIRST_MONDAY) / size) * size + FIRST_MONDAY;
+  }
+  if (unitMs !== undefined) {
+    const size = n * unitMs;
+    return Math.floor(time / size) * size;
+  }
+  const date = new Date(time);
+  if (unit === 'M') {
+    const months = Math.floor((date.getUTCFullYear() * 12 + date.getUTCMonth()) / n) * n;
+    return Date.UTC(Math.floor(months / 12), months % 12, 1);
+  }
+  return Date.UTC(Math.floor(date.getUTCFullYear() / n) * n, 0, 1);
+}
+
+/**
+ * Add a number of frequency periods to a time
+ *
+ * Adding months keeps the day of month, clamped to the end of shorter months.
+ *
+ * @param time - Epoch milliseconds
+ * @param freq - Frequency string or parsed frequency
+ * @param periods - Number of periods (may be negative)
+ * @returns Epoch milliseconds
+ */
+export function addPeriods(time: number, freq: string | Frequency, periods = 1): number {
+  const { n, unit } = resolveFrequency(freq);
+  const unitMs = MS[unit];
+  if (unitMs !== undefined) {
+    return time + periods * n * unitMs;
+  }
+  const date = new Date(time);
+  const months = periods * n * (unit === 'Y' ? 12 : 1);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const day = Math.min(date.getUTCDate(), daysInMonth(year, month));
+  return Date.UTC(
+    year, month, day,
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+  );
+}
+
+/**
+ * Regular sequence of times from start to end (inclusive)
+ * @param start - First time
+ * @param end - Last possible time
+ * @param freq - Frequency string, see parseFrequency
+ * @returns Times start, start + freq, ... up to end
+ */
+export function dateRange(start: Date | number | string, end: Date | number | string, freq: string): Date[] {
+  const parsed = parseFrequency(freq);
+  const first = parseDate(start);
+  const last = parseDate(end);
+  const result: Date[] = [];
+  if (first === null || last === null) return result;
+  for (let k = 0, t = first; t <= last; t = addPeriods(first, parsed, ++k)) {
+    result.push(new Date(t));
+  }
+  return result;
+}
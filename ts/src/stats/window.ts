@@ -0,0 +1,671 @@
+/**
+ * Window Functions
+ * Rolling, expanding and exponentially weighted statistics over a series
+ *
+ * Missing values (null, undefined, NaN) are skipped inside a window, and a
+ * window with fewer than minPeriods values yields NaN. Rolling and expanding
+ * windows are described by start/end positions that only move forward, so
+ * each statistic is updated incrementally as values enter and leave.
+ */
+
+import { frequencyMs, parseDate } from './timeseries';
+
+export interface RollingOptions {
+  /** Values needed for a result (default: window size, or 1 for time windows) */
+  minPeriods?: number;
+  /** Label each window by its middle position instead of its last */
+  center?: boolean;
+  /** Weight per window position, for weighted sum and mean */
+  weights?: number[] | null;
+  /** Time of each value (Dates, ISO strings or epoch ms), for time windows */
+  times?: ArrayLike<Date | string | number | null> | null;
+}
+
+export interface ExpandingOptions {
+  /** Values needed for a result (default 1) */
+  minPeriods?: number;
+}
+
+export interface EwmOptions {
+  /** Center of mass: alpha = 1 / (1 + com) */
+  com?: number;
+  /** Span: alpha = 2 / (span + 1) */
+  span?: number;
+  /** Half-life: alpha = 1 - exp(-ln 2 / halflife) */
+  halflife?: number;
+  /** Smoothing factor in (0, 1] */
+  alpha?: number;
+  /** Divide by the decaying weight sum (default true) */
+  adjust?: boolean;
+  /** Ignore missing values when computing weights (default false) */
+  ignoreNA?: boolean;
+  /** Values needed for a result (default 0) */
+  minPeriods?: number;
+}
+
+/**
+ * Convert a series to a Float64Array with NaN for missing values
+ * @param series - Input series
+ * @returns Values
+ */
+function toValues(series: ArrayLike<number | null | undefined>): Float64Array {
+  if (series instanceof Float64Array) return series;
+  const values = new Float64Array(series.length);
+  for (let i = 0; i < values.length; i++) {
+    const v = series[i];
+    values[i] = v === null || v === undefined ? NaN : v;
+  }
+  return values;
+}
+
+/**
+ * Binary heap ordered by a comparator
+ */
+class Heap {
+  private items: number[] = [];
+
+  /**
+   * @param compare - (a, b) => negative when a comes out first
+   */
+  constructor(private compare: (a: number, b: number) => number) {}
+
+  get size(): number {
+    return this.items.length;
+  }
+
+  peek(): number {
+    return this.items[0];
+  }
+
+  push(value: number): void {
+    const { items, compare } = this;
+    items.push(value);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop(): number {
+    const { items, compare } = this;
+    const top = items[0];
+    const last = items.pop() as number;
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && compare(items[left], items[best]) < 0) best = left;
+        if (right < items.length && compare(items[right], items[best]) < 0) best = right;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Median of a sliding multiset: a max-heap of the lower half and a min-heap
+ * of the upper half, with removals applied lazily when they reach a top
+ */
+class SlidingMedian {
+  private low = new Heap((a, b) => b - a);
+  private high = new Heap((a, b) => a - b);
+  private lowSize = 0;
+  private highSize = 0;
+  private delayed = new Map<number, number>();
+
+  add(x: number): void {
+    if (this.lowSize === 0 || x <= this.low.peek()) {
+      this.low.push(x);
+      this.lowSize++;
+    } else {
+      this.high.push(x);
+      this.highSize++;
+    }
+    this.rebalance();
+  }
+
+  remove(x: number): void {
+    this.delayed.set(x, (this.delayed.get(x) || 0) + 1);
+    if (x <= this.low.peek()) {
+      this.lowSize--;
+      this.prune(this.low);
+    } else {
+      this.highSize--;
+      this.prune(this.high);
+    }
+    this.rebalance();
+  }
+
+  median(): number {
+    if (this.lowSize === 0) return NaN;
+    return this.lowSize > this.highSize ? this.low.peek() : (this.low.peek() + this.high.peek()) / 2;
+  }
+
+  private rebalance(): void {
+    if (this.lowSize > this.highSize + 1) {
+      this.high.push(this.low.pop());
+      this.lowSize--;
+      this.highSize++;
+      this.prune(this.low);
+    } else if (this.lowSize < this.highSize) {
+      this.low.push(this.high.pop());
+      this.highSize--;
+      this.lowSize++;
+      this.prune(this.high);
+    }
+  }
+
+  private prune(heap: Heap): void {
+    while (heap.size > 0) {
+      const top = heap.peek();
+      const pending = this.delayed.get(top);
+      if (!pending) break;
+      if (pending === 1) this.delayed.delete(top);
+      else this.delayed.set(top, pending - 1);
+      heap.pop();
+    }
+  }
+}
+
+/**
+ * Rolling or expanding window over a series
+ *
+ * Window i covers positions starts[i] to ends[i] - 1. Statistics return a
+ * number[] the length of the series.
+ */
+export class RollingWindow {
+  /**
+   * @param values - Series values, NaN for missing
+   * @param starts - First position of each window
+   * @param ends - One past the last position of each window
+   * @param minPeriods - Values needed for a result
+   * @param weights - Weight per window position (fixed-size windows only)
+   * @param origins - Position of weights[0] for each window
+   */
+  constructor(
+    public values: Float64Array,
+    public starts: Int32Array,
+    public ends: Int32Array,
+    public minPeriods: number,
+    public weights: number[] | null = null,
+    public origins: Int32Array | null = null
+  ) {}
+
+  /**
+   * Slide over the windows, adding values as they enter and removing them as they leave
+   * @param add - (value, position) for each value entering a window
+   * @param remove - (value, position) for each value leaving a window
+   * @param emit - (count, i) => statistic of window i
+   * @returns Statistic per window, NaN below minPeriods
+   */
+  private slide(
+    add: (value: number, position: number) => void,
+    remove: (value: number, position: number) => void,
+    emit: (count: number, i: number) => number
+  ): number[] {
+    const { values, starts, ends, minPeriods } = this;
+    const result: number[] = new Array(values.length);
+    let added = 0;
+    let removed = 0;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+      for (; added < ends[i]; added++) {
+        if (!Number.isNaN(values[added])) {
+          add(values[added], added);
+          count++;
+        }
+      }
+      for (; removed < starts[i]; removed++) {
+        if (!Number.isNaN(values[removed])) {
+          remove(values[removed], removed);
+          count--;
+        }
+      }
+      result[i] = count >= minPeriods && count > 0 ? emit(count, i) : NaN;
+    }
+    return result;
+  }
+
+  /**
+   * Weighted sum of each window, and the total weight of its values
+   * @param emit - (weightedSum, totalWeight) => statistic
+   * @returns Statistic per window
+   */
+  private weighted(emit: (total: number, weight: number) => number): number[] {
+    const { values, starts, ends, minPeriods } = this;
+    const weights = this.weights as number[];
+    const origins = this.origins as Int32Array;
+    const result: number[] = new Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      let total = 0;
+      let weight = 0;
+      let count = 0;
+      for (let j = starts[i]; j < ends[i]; j++) {
+        if (Number.isNaN(values[j])) continue;
+        total += weights[j - origins[i]] * values[j];
+        weight += weights[j - origins[i]];
+        count++;
+      }
+      result[i] = count >= minPeriods && count > 0 ? emit(total, weight) : NaN;
+    }
+    return result;
+  }
+
+  /**
+   * Throw for statistics that have no weighted form
+   * @param name - Statistic name
+   */
+  private unweighted(name: string): void {
+    if (this.weights) {
+      throw new Error(`Weighted windows do not support ${name}`);
+    }
+  }
+
+  /**
+   * Sum of each window (Kahan-compensated)
+   * @returns Window sums
+   */
+  sum(): number[] {
+    if (this.weights) return this.weighted(total => total);
+    let sum = 0;
+    let compensation = 0;
+    let count = 0;
+    const add = (x: number): void => {
+      const y = x - compensation;
+      const t = sum + y;
+      compensation = (t - sum) - y;
+      sum = t;
+    };
+    return this.slide(
+      x => {
+        add(x);
+        count++;
+      },
+      x => {
+        count--;
+        if (count === 0) {
+          sum = 0;
+          compensation = 0;
+        } else {
+          add(-x);
+        }
+      },
+      () => sum
+    );
+  }
+
+  /**
+   * Mean of each window (weighted mean for weighted windows)
+   * @returns Window means
+   */
+  mean(): number[] {
+    if (this.weights) return this.weighted((total, weight) => total / weight);
+    const sums = this.sum();
+    const counts = this.count();
+    return sums.map((s, i) => s / counts[i]);
+  }
+
+  /**
+   * Variance of each window (Welford's online update)
+   * @param ddof - Delta degrees of freedom
+   * @returns Window variances
+   */
+  var(ddof = 1): number[] {
+    this.unweighted('var');
+    let n = 0;
+    let mean = 0;
+    let m2 = 0;
+    return this.slide(
+      x => {
+        n++;
+        const delta = x - mean;
+        mean += delta / n;
+        m2 += delta * (x - mean);
+      },
+      x => {
+        n--;
+        if (n === 0) {
+          mean = 0;
+          m2 = 0;
+          return;
+        }
+        const delta = x - mean;
+        mean -= delta / n;
+        m2 -= delta * (x - mean);
+      },
+      count => (count > ddof ? Math.max(m2, 0) / (count - ddof) : NaN)
+    );
+  }
+
+  /**
+   * Standard deviation of each window
+   * @param ddof - Delta degrees of freedom
+   * @returns Window standard deviations
+   */
+  std(ddof = 1): number[] {
+    return this.var(ddof).map(Math.sqrt);
+  }
+
+  /**
+   * Minimum of each window (monotonic deque)
+   * @returns Window minimums
+   */
+  min(): number[] {
+    this.unweighted('min');
+    return this.extreme((a, b) => a <= b);
+  }
+
+  /**
+   * Maximum of each window (monotonic deque)
+   * @returns Window maximums
+   */
+  max(): number[] {
+    this.unweighted('max');
+    return this.extreme((a, b) => a >= b);
+  }
+
+  /**
+   * Window extreme, keeping positions whose values could still win in a deque
+   * @param beats - (a, b) => true when a wins over or ties b
+   * @returns Window extremes
+   */
+  private extreme(beats: (a: number, b: number) => boolean): number[] {
+    const { values, starts } = this;
+    const deque = new Int32Array(values.length);
+    let head = 0;
+    let tail = 0;
+    return this.slide(
+      (x, position) => {
+        while (tail > head && beats(x, values[deque[tail - 1]])) tail--;
+        deque[tail++] = position;
+      },
+      () => {},
+      (count, i) => {
+        while (deque[head] < starts[i]) head++;
+        return values[deque[head]];
+      }
+    );
+  }
+
+  /**
+   * Median of each window (two heaps, O(log w) per step)
+   * @returns Window medians
+   */
+  median(): number[] {
+    this.unweighted('median');
+    const heaps = new SlidingMedian();
+    return this.slide(x => heaps.add(x), x => heaps.remove(x), () => heaps.median());
+  }
+
+  /**
+   * Number of non-missing values in each window
+   * @returns Window counts
+   */
+  count(): number[] {
+    const { values, starts, ends } = this;
+    const prefix = new Int32Array(values.length + 1);
+    for (let i = 0; i < values.length; i++) {
+      prefix[i + 1] = prefix[i] + (Number.isNaN(values[i]) ? 0 : 1);
+    }
+    return Array.from(starts, (start, i) => prefix[ends[i]] - prefix[start]);
+  }
+
+  /**
+   * Apply a function to the non-missing values of each window
+   * @param fn - Statistic of a window's values
+   * @returns Result per window
+   */
+  apply(fn: (values: number[]) => number): number[] {
+    const { values, starts, ends, minPeriods } = this;
+    const result: number[] = new Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      const window: number[] = [];
+      for (let j = starts[i]; j < ends[i]; j++) {
+        if (!Number.isNaN(values[j])) window.push(values[j]);
+      }
+      result[i] = window.length >= minPeriods && window.length > 0 ? fn(window) : NaN;
+    }
+    return result;
+  }
+}
+
+/**
+ * Rolling window over a series
+ *
+ * A numeric window counts positions. A time window such as '5m' or '1h'
+ * (or a number of milliseconds with options.times) covers the times in
+ * (t - window, t] and needs options.times, sorted increasing.
+ *
+ * @param series - Input series
+ * @param window - Window size in positions, or a time offset
+ * @param options - minPeriods, center, weights and times
+ * @returns Window with mean, sum, std, var, min, max, median, count and apply
+ */
+export function rolling(
+  series: ArrayLike<number | null | undefined>,
+  window: number | string,
+  options: RollingOptions = {}
+): RollingWindow {
+  const { center = false, weights = null, times = null } = options;
+  const values = toValues(series);
+  const n = values.length;
+  const starts = new Int32Array(n);
+  const ends = new Int32Array(n);
+
+  if (typeof window === 'string' || times) {
+    if (!times) {
+      throw new Error(`Time-based window ${window} requires times`);
+    }
+    if (times.length !== n) {
+      throw new Error('Length of times must match length of series');
+    }
+    if (center || weights) {
+      throw new Error('Time-based windows do not support center or weights');
+    }
+    const size = typeof window === 'string' ? frequencyMs(window) : window;
+    const stamps = Array.from(times, parseDate) as number[];
+    let start = 0;
+    for (let i = 0; i < n; i++) {
+      if (i > 0 && !(stamps[i] >= stamps[i - 1])) {
+        throw new Error('Times must be monotonic increasing');
+      }
+      while (stamps[start] <= stamps[i] - size) start++;
+      starts[i] = start;
+      ends[i] = i + 1;
+    }
+    const minPeriods = options.minPeriods ?? 1;
+    return new RollingWindow(values, starts, ends, minPeriods);
+  }
+
+  if (!Number.isInteger(window) || window < 1) {
+    throw new Error(`Window must be a positive integer or a time offset: ${window}`);
+  }
+  if (weights && weights.length !== window) {
+    throw new Error('Length of weights must equal window');
+  }
+  const origins = weights ? new Int32Array(n) : null;
+  const before = center ? Math.floor(window / 2) : window - 1;
+  for (let i = 0; i < n; i++) {
+    const origin = i - before;
+    starts[i] = Math.max(origin, 0);
+    ends[i] = Math.min(origin + window, n);
+    if (origins) origins[i] = origin;
+  }
+  const minPeriods = options.minPeriods ?? window;
+  return new RollingWindow(values, starts, ends, minPeriods, weights, origins);
+}
+
+/**
+ * Expanding window: every position sees all values up to and including itself
+ * @param series - Input series
+ * @param options - minPeriods (default 1)
+ * @returns Window with mean, sum, std, var, min, max, median, count and apply
+ */
+export function expanding(
+  series: ArrayLike<number | null | undefined>,
+  options: ExpandingOptions = {}
+): RollingWindow {
+  const values = toValues(series);
+  const starts = new Int32Array(values.length);
+  const ends = Int32Array.from(values, (_, i) => i + 1);
+  return new RollingWindow(values, starts, ends, options.minPeriods ?? 1);
+}
+
+/**
+ * Exponentially weighted window
+ *
+ * With adjust (the default) the weights are (1 - alpha)^k over all earlier
+ * values; without it the mean is the recursion y = (1 - alpha) y + alpha x.
+ */
+export class EwmWindow {
+  adjust: boolean;
+  ignoreNA: boolean;
+  minPeriods: number;
+
+  /**
+   * @param values - Series values, NaN for missing
+   * @param alpha - Smoothing factor
+   * @param options - adjust, ignoreNA and minPeriods
+   */
+  constructor(public values: Float64Array, public alpha: number, options: EwmOptions) {
+    this.adjust = options.adjust ?? true;
+    this.ignoreNA = options.ignoreNA ?? false;
+    this.minPeriods = Math.max(options.minPeriods ?? 0, 1);
+  }
+
+  /**
+   * Exponentially weighted mean
+   * @returns Mean at each position
+   */
+  mean(): number[] {
+    const { values, alpha, adjust, ignoreNA, minPeriods } = this;
+    const result: number[] = new Array(values.length);
+    const newWeight = adjust ? 1 : alpha;
+    let weighted = NaN;
+    let oldWeight = 1;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+      const x = values[i];
+      const observed = !Number.isNaN(x);
+      if (observed) count++;
+      if (Number.isNaN(weighted)) {
+        if (observed) weighted = x;
+      } else if (observed || !ignoreNA) {
+        oldWeight *= 1 - alpha;
+        if (observed) {
+          weighted = (oldWeight * weighted + newWeight * x) / (oldWeight + newWeight);
+          oldWeight = adjust ? oldWeight + newWeight : 1;
+        }
+      }
+      result[i] = count >= minPeriods ? weighted : NaN;
+    }
+    return result;
+  }
+
+  /**
+   * Exponentially weighted variance
+   * @param bias - Use the biased estimator
+   * @returns Variance at each position
+   */
+  var(bias = false): number[] {
+    const { values, alpha, adjust, ignoreNA, minPeriods } = this;
+    const result: number[] = new Array(values.length);
+    const decay = 1 - alpha;
+    const newWeight = adjust ? 1 : alpha;
+    let mean = NaN;
+    let cov = 0;
+    let sumWeight = 1;
+    let sumWeight2 = 1;
+    let oldWeight = 1;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+      const x = values[i];
+      const observed = !Number.isNaN(x);
+      if (observed) count++;
+      if (Number.isNaN(mean)) {
+        if (observed) mean = x;
+      } else if (observed || !ignoreNA) {
+        sumWeight *= decay;
+        sumWeight2 *= decay * decay;
+        oldWeight *= decay;
+        if (observed) {
+          const oldMean = mean;
+          const total = oldWeight + newWeight;
+          mean = (oldWeight * oldMean + newWeight * x) / total;
+          cov = (oldWeight * (cov + (oldMean - mean) ** 2) + newWeight * (x - mean) ** 2) / total;
+          sumWeight += newWeight;
+          sumWeight2 += newWeight * newWeight;
+          oldWeight += newWeight;
+          if (!adjust) {
+            sumWeight /= oldWeight;
+            sumWeight2 /= oldWeight * oldWeight;
+            oldWeight = 1;
+          }
+        }
+      }
+      if (count < minPeriods) {
+        result[i] = NaN;
+      } else if (bias) {
+        result[i] = cov;
+      } else {
+        const numerator = sumWeight * sumWeight;
+        const denominator = numerator - sumWeight2;
+        result[i] = denominator > 0 ? (numerator / denominator) * cov : NaN;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Exponentially weighted standard deviation
+   * @param bias - Use the biased estimator
+   * @returns Standard deviation at each position
+   */
+  std(bias = false): number[] {
+    return this.var(bias).map(Math.sqrt);
+  }
+}
+
+/**
+ * Exponentially weighted window over a series
+ *
+ * Give exactly one of com (alpha = 1 / (1 + com)), span
+ * (alpha = 2 / (span + 1)), halflife (alpha = 1 - exp(-ln 2 / halflife))
+ * or alpha.
+ *
+ * @param series - Input series
+ * @param options - Decay (com, span, halflife or alpha), adjust, ignoreNA and minPeriods
+ * @returns Window with mean, var and std
+ */
+export function ewm(series: ArrayLike<number | null | undefined>, options: EwmOptions = {}): EwmWindow {
+  const { com, span, halflife } = options;
+  const given = [com, span, halflife, options.alpha].filter(v => v !== undefined && v !== null);
+  if (given.length !== 1) {
+    throw new Error('Specify exactly one of com, span, halflife or alpha');
+  }
+
+  let alpha = options.alpha as number;
+  if (com !== undefined && com !== null) {
+    if (!(com >= 0)) throw new Error(`com must be >= 0: ${com}`);
+    alpha = 1 / (1 + com);
+  } else if (span !== undefined && span !== null) {
+    if (!(span >= 1)) throw new Error(`span must be >= 1: ${span}`);
+    alpha = 2 / (span + 1);
+  } else if (halflife !== undefined && halflife !== null) {
+    if (!(halflife > 0)) throw new Error(`halflife must be > 0: ${halflife}`);
+    alpha = 1 - Math.exp(-Math.LN2 / halflife);
+  } else if (!(alpha > 0 && alpha <= 1)) {
+    throw new Error(`alpha must be in (0, 1]: ${alpha}`);
+  }
+
+  return new EwmWindow(toValues(series), alpha, options);
+}
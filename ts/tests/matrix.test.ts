@@ -319,5 +319,19 @@ describe('Signal Processing', () => {
       const result = rollingMean(series, 1);
       expect(result).toEqual([1, 2, 3]);
     });
+
+    test('NaN only affects windows containing it', () => {
+      const result = rollingMean([1, NaN, 3, 5, 7], 2);
+      expect(result).toEqual([NaN, NaN, NaN, 4, 6]);
+    });
+
+    test('large values leaving the window do not swamp later windows', () => {
+      expect(rollingMean([1e16, 1, 1, 1, 1], 2)).toEqual([NaN, 5e15, 1, 1, 1]);
+    });
+
+    test('infinite values only affect windows containing them', () => {
+      expect(rollingMean([1, Infinity, 2, 3, 4, 5], 2)).toEqual([NaN, Infinity, Infinity, 2.5, 3.5, 4.5]);
+      expect(rollingMean([-Infinity, Infinity, 1, 3], 2)).toEqual([NaN, NaN, Infinity, 2]);
+    });
   });
 });
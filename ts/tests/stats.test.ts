@@ -11,30 +11,123 @@ import {
   cosineSimilarityVectors,
   cosineSimilarity,
   cosineSimilarityTopK,
+  euclideanDistance,
+  manhattanDistance,
+  cosineDistance,
+  pairwiseDistances,
   pearsonCorrelation,
   correlation,
   pca,
   kmeansClustering,
+  MiniBatchKMeans,
+  silhouetteScore,
+  daviesBouldinScore,
+  calinskiHarabaszScore,
+  elbowCurve,
+  chooseK,
+  dbscan,
+  agglomerativeClustering,
   gradientDescent,
-  linearPredict
+  linearPredict,
+  KMeansOptions,
+  AgglomerativeOptions
 } from '../src/stats/statistical';
 
 import {
   DataFrame,
+  DataRow,
   dataframeFilter,
   groupbyMean,
+  groupby,
+  AggName,
+  DropNaOptions,
+  RankMethod,
   dataframeMerge,
+  pivot,
   pivotTable,
+  crosstab,
   applyFunction,
   fillna,
+  dropna,
+  isna,
+  notna,
   dropDuplicates,
+  getDummies,
   sortValues,
+  nlargest,
+  nsmallest,
   reindex,
+  resample,
+  asfreq,
+  shift,
+  diff,
+  pctChange,
   melt,
+  explode,
   selectColumns,
   renameColumns
 } from '../src/stats/dataframe';
 
+import {
+  parseCSV,
+  parseCSVStream,
+  formatCSV
+} from '../src/stats/csv';
+
+import {
+  NumericColumn,
+  DatetimeColumn,
+  DictionaryColumn,
+  ObjectColumn,
+  encodeColumn,
+  factorizeColumn,
+  Dtype
+} from '../src/stats/columnar';
+
+import {
+  col,
+  and,
+  or,
+  not,
+  parseQuery
+} from '../src/stats/query';
+
+import {
+  parseDate,
+  parseFrequency,
+  frequencyMs,
+  floorDate,
+  addPeriods,
+  dateRange
+} from '../src/stats/timeseries';
+
+import {
+  rolling,
+  expanding,
+  ewm
+} from '../src/stats/window';
+
+import {
+  fillMissing,
+  interpolate,
+  FillMethod,
+  InterpolationMethod
+} from '../src/stats/missing';
+
+import {
+  toCategorical,
+  factorize
+} from '../src/stats/categorical';
+
+import {
+  parseJSONL,
+  jsonNormalize
+} from '../src/stats/json';
+
+import { Random } from '../src/math/random';
+import { Readable } from 'stream';
+import Database from 'better-sqlite3';
+
 describe('Statistical Functions', () => {
   describe('mean', () => {
     test('simple array', () => {
@@ -150,6 +243,11 @@ describe('Statistical Functions', () => {
       const sum = result.explained.reduce((a, b) => a + b, 0);
       expect(sum).toBeLessThanOrEqual(1.01);
     });
+
+    test('a seed makes the components reproducible', () => {
+      const X = [[1, 2, 3], [4, 6, 5], [7, 8, 10], [10, 13, 12]];
+      expect(pca(X, 2, { seed: 4 })).toEqual(pca(X, 2, { seed: 4 }));
+    });
   });
 
   describe('kmeansClustering', () => {
@@ -166,6 +264,198 @@ describe('Statistical Functions', () => {
       expect(result.labels[0]).toBe(result.labels[1]);
       expect(result.labels[2]).toBe(result.labels[3]);
     });
+
+    test('a seed or generator makes the clustering reproducible', () => {
+      const X = Array.from({ length: 30 }, (_, i) => [i % 7, (i * 3) % 11]);
+      const fit = (options: KMeansOptions) => {
+        const { centroids, labels, inertia, nIter } = kmeansClustering(X, 3, 50, options);
+        return { centroids, labels, inertia, nIter };
+      };
+      expect(fit({ seed: 11, init: 'random' })).toEqual(fit({ seed: 11, init: 'random' }));
+      expect(fit({ rng: new Random(11) })).toEqual(fit({ seed: 11 }));
+    });
+
+    test('k-means++ restarts keep the lowest inertia and predict new points', () => {
+      const X = [[0, 0], [0, 1], [1, 0], [10, 10], [10, 11], [11, 10], [0, 20], [1, 20], [0, 21]];
+      const result = kmeansClustering(X, 3, 100, { seed: 3, nInit: 5 });
+      expect(new Set(result.labels).size).toBe(3);
+      expect(result.labels[0]).toBe(result.labels[2]);
+      expect(result.labels[3]).toBe(result.labels[5]);
+      expect(result.labels[6]).toBe(result.labels[8]);
+      expect(result.inertia).toBeCloseTo(4, 10);
+      expect(result.nIter).toBeGreaterThanOrEqual(1);
+      expect(result.predict([[0.2, 0.2], [9, 9], [0, 19]])).toEqual([result.labels[0], result.labels[3], result.labels[6]]);
+
+      const single = kmeansClustering(X, 3, 100, { seed: 3, init: 'random', nInit: 1 }).inertia;
+      expect(kmeansClustering(X, 3, 100, { seed: 3, init: 'random' }).inertia).toBeLessThanOrEqual(single);
+      expect(kmeansClustering(X, 3, 100, { seed: 3, tol: 1e9 }).nIter).toBe(1);
+    });
+
+    test('given centroids, empty clusters and invalid options', () => {
+      const X = [[0], [1], [10], [11]];
+      const result = kmeansClustering(X, 3, 100, { init: [[0.5], [10.5], [100]] });
+      expect(new Set(result.labels).size).toBe(3);
+      expect(result.centroids.flat().every(Number.isFinite)).toBe(true);
+      expect(result.inertia).toBeCloseTo(0.5, 10);
+
+      expect(() => kmeansClustering(X, 5)).toThrow('k must be an integer from 1 to 4: 5');
+      expect(() => kmeansClustering(X, 2, 100, { init: [[0]] })).toThrow('init must hold 2 centroids of 1 values');
+      expect(() => kmeansClustering(X, 2, 100, { nInit: 0 })).toThrow('nInit must be a positive integer: 0');
+    });
+  });
+
+  describe('MiniBatchKMeans', () => {
+    const blobs = (): number[][] => {
+      const rng = new Random(1);
+      const points: number[][] = [];
+      for (const [x, y] of [[0, 0], [8, 8], [0, 10]]) {
+        for (let i = 0; i < 200; i++) points.push([rng.normal(x, 1), rng.normal(y, 1)]);
+      }
+      return points;
+    };
+
+    test('streamed batches give the same clusters as batch k-means', () => {
+      const X = blobs();
+      const full = kmeansClustering(X, 3, 100, { seed: 2 });
+      const model = new MiniBatchKMeans(3, { seed: 2 });
+      const stream = new Random(5).shuffle(X);
+      for (let start = 0; start < stream.length; start += 100) {
+        model.partialFit(stream.slice(start, start + 100));
+      }
+      expect(model.nSamples).toBe(600);
+      expect(model.inertia(X)).toBeLessThan(full.inertia * 1.01);
+
+      const labels = model.predict(X);
+      const mapping = new Map<number, number>();
+      labels.forEach((label, i) => {
+        if (!mapping.has(full.labels[i])) mapping.set(full.labels[i], label);
+        expect(mapping.get(full.labels[i])).toBe(label);
+      });
+      expect(new Set(mapping.values()).size).toBe(3);
+
+      const fitted = new MiniBatchKMeans(3, { seed: 2, batchSize: 64 }).fit(X, 2);
+      expect(fitted.inertia(X)).toBeLessThan(full.inertia * 1.01);
+    });
+
+    test('centroids are running means of the assigned points', () => {
+      const model = new MiniBatchKMeans(2, { init: [[0], [10]] });
+      model.partialFit([[1], [9], [2]]).partialFit([[3], [11], [13]]);
+      expect(model.centroids).toEqual([[2], [11]]);
+      expect(model.counts).toEqual([3, 3]);
+      expect(model.predict([[4], [7]])).toEqual([0, 1]);
+
+      expect(() => new MiniBatchKMeans(0)).toThrow('k must be a positive integer: 0');
+      expect(() => new MiniBatchKMeans(2).predict([[1]])).toThrow('MiniBatchKMeans is not fitted; call partialFit first');
+      expect(() => new MiniBatchKMeans(3).partialFit([[1], [2]])).toThrow('The first batch needs at least 3 points: 2');
+      expect(() => model.partialFit([[1, 2]])).toThrow('Points must have 1 values');
+
+      // Given centroids need no minimum first batch, and ragged batches fail before seeding
+      const seeded = new MiniBatchKMeans(2, { init: [[0], [10]] }).partialFit([[1]]);
+      expect(seeded.centroids).toEqual([[1], [10]]);
+      const fresh = new MiniBatchKMeans(2);
+      expect(() => fresh.partialFit([[1], [2, 3], [4]])).toThrow('Points must have 1 values');
+      expect(fresh.centroids).toBeNull();
+      expect(() => new MiniBatchKMeans(1, { init: [[0, 0]] }).partialFit([[1]])).toThrow('Points must have 2 values');
+    });
+  });
+
+  describe('Cluster quality', () => {
+    test('silhouette, Davies-Bouldin and Calinski-Harabasz scores', () => {
+      const X = [[1, 2], [1, 4], [1, 0], [10, 2], [10, 4], [10, 0]];
+      const labels = ['a', 'a', 'a', 'b', 'b', 'b'];
+      expect(silhouetteScore(X, labels)).toBeCloseTo(0.71335, 4);
+      expect(daviesBouldinScore(X, labels)).toBeCloseTo(8 / 27, 10);
+      expect(calinskiHarabaszScore(X, labels)).toBeCloseTo(30.375, 10);
+      expect(silhouetteScore(X, [0, 1, 0, 1, 0, 1])).toBeLessThan(0);
+      expect(calinskiHarabaszScore([[0], [0], [5], [5]], [0, 0, 1, 1])).toBe(1);
+
+      expect(() => silhouetteScore(X, [0, 0, 0, 0, 0, 0])).toThrow('Scores need 2 to 5 clusters: 1');
+      expect(() => daviesBouldinScore(X, [0, 1])).toThrow('labels must have one label per point: 2 for 6 points');
+    });
+
+    test('elbowCurve and chooseK find the number of blobs', () => {
+      const rng = new Random(1);
+      const points: number[][] = [];
+      for (const [x, y] of [[0, 0], [8, 8], [0, 10], [9, 0]]) {
+        for (let i = 0; i < 25; i++) points.push([rng.normal(x, 1), rng.normal(y, 1)]);
+      }
+      const elbow = elbowCurve(points, [1, 2, 3, 4, 5, 6, 7, 8], { seed: 3 });
+      expect(elbow.k).toBe(4);
+      expect(elbow.curve.map(point => point.k)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+
+      const result = chooseK(points, [1, 2, 3, 4, 5, 6], { seed: 3, nRefs: 5 });
+      expect(result.k).toBe(4);
+      const [one, , , four] = result.diagnostics;
+      expect(one.silhouette).toBeNull();
+      expect(four.inertia).toBe(elbow.curve[3].inertia);
+      expect(four.silhouette).toBeGreaterThan(0.7);
+      expect(result.diagnostics.every(d => d.sk > 0)).toBe(true);
+
+      expect(() => chooseK(points, [3, 2])).toThrow('kRange must be increasing integers from 1 to 100: 3, 2');
+      const few = [[0, 0], [1, 0], [5, 5]];
+      expect(() => chooseK(few, [few.length])).toThrow('chooseK needs fewer clusters than points (3): 3');
+      expect(() => chooseK(few, [1, 3])).toThrow('chooseK needs fewer clusters than points (3): 3');
+      expect(chooseK(few, [1, 2], { seed: 1 }).diagnostics.every(d => Number.isFinite(d.gap))).toBe(true);
+    });
+  });
+
+  describe('Distances, DBSCAN and hierarchical clustering', () => {
+    test('distance metrics share the cosine code and can be plugged in', () => {
+      expect(euclideanDistance([0, 0], [3, 4])).toBe(5);
+      expect(manhattanDistance([0, 0], [3, -4])).toBe(7);
+      expect(cosineDistance([1, 0], [0, 2])).toBeCloseTo(1, 10);
+      expect(cosineDistance([1, 1], [2, 2])).toBeCloseTo(0, 10);
+      expect(pairwiseDistances([[0], [2], [5]], 'manhattan')).toEqual([[0, 2, 5], [2, 0, 3], [5, 3, 0]]);
+      expect(pairwiseDistances([[0], [2]], (a, b) => Math.abs(a[0] - b[0]) * 10)).toEqual([[0, 20], [20, 0]]);
+
+      const X = [[1, 0], [10, 1], [0, 1], [1, 10]];
+      expect(silhouetteScore(X, [0, 0, 1, 1], { metric: 'cosine' })).toBeGreaterThan(0.9);
+    });
+
+    test('dbscan separates rings that k-means cannot and labels noise -1', () => {
+      const ring = (radius: number, count: number): number[][] =>
+        Array.from({ length: count }, (_, i) => [
+          radius * Math.cos((2 * Math.PI * i) / count),
+          radius * Math.sin((2 * Math.PI * i) / count)
+        ]);
+      const X = [...ring(1, 20), ...ring(5, 40), [20, 20]];
+      const result = dbscan(X, 1, 3);
+      expect(result.nClusters).toBe(2);
+      expect(new Set(result.labels.slice(0, 20))).toEqual(new Set([0]));
+      expect(new Set(result.labels.slice(20, 60))).toEqual(new Set([1]));
+      expect(result.labels[60]).toBe(-1);
+      expect(result.coreSamples.length).toBe(60);
+
+      const border = dbscan([[0], [1], [2], [3.5]], 1.5, 3);
+      expect(border.labels).toEqual([0, 0, 0, 0]);
+      expect(border.coreSamples).toEqual([1, 2]);
+      expect(dbscan([[0], [1], [5]], 1, 2, { metric: 'manhattan' }).labels).toEqual([0, 0, -1]);
+      expect(() => dbscan(X, 0)).toThrow('eps must be a positive number: 0');
+    });
+
+    test('agglomerative linkages build a dendrogram that fcluster cuts', () => {
+      const X = [[0], [1], [5], [6], [20]];
+      const single = agglomerativeClustering(X, { linkage: 'single' });
+      expect(single.dendrogram).toEqual([
+        { left: 0, right: 1, distance: 1, size: 2 },
+        { left: 2, right: 3, distance: 1, size: 2 },
+        { left: 5, right: 6, distance: 4, size: 4 },
+        { left: 4, right: 7, distance: 14, size: 5 }
+      ]);
+      expect(single.fcluster(2)).toEqual([0, 0, 1, 1, 2]);
+      expect(single.fcluster(14)).toEqual([0, 0, 0, 0, 0]);
+      expect(single.fcluster(0)).toEqual([0, 1, 2, 3, 4]);
+
+      const heights = (linkage: AgglomerativeOptions['linkage']) =>
+        agglomerativeClustering(X, { linkage }).dendrogram.slice(2).map(merge => merge.distance);
+      expect(heights('complete')).toEqual([6, 20]);
+      expect(heights('average')).toEqual([5, 17]);
+      const ward = heights('ward');
+      expect(ward[0]).toBeCloseTo(Math.sqrt(2) * 5, 10);
+      expect(ward[1]).toBeCloseTo(Math.sqrt(1.6) * 17, 10);
+
+      expect(() => agglomerativeClustering(X, { metric: 'cosine' })).toThrow('Ward linkage needs the euclidean metric');
+    });
   });
 
   describe('gradientDescent', () => {
@@ -201,6 +491,230 @@ describe('DataFrame Operations', () => {
       const df = new DataFrame({ a: [1, 3], b: [2, 4] });
       expect(df.length).toBe(2);
     });
+
+    test('keeps explicit column order', () => {
+      const df = new DataFrame([], ['a', 'b']);
+      expect(df.columns).toEqual(['a', 'b']);
+      expect(df.toObject()).toEqual({ a: [], b: [] });
+    });
+  });
+
+  describe('DataFrame columnar storage', () => {
+    const df = new DataFrame([
+      { city: 'NYC', temp: 10, ok: true },
+      { city: 'LA', temp: 20, ok: false },
+      { city: 'NYC', temp: null, ok: null }
+    ]);
+
+    test('stores numbers in Float64Array and strings as dictionary codes', () => {
+      expect(df.getColumn('temp')).toBeInstanceOf(NumericColumn);
+      expect(df.numeric('temp')).toBeInstanceOf(Float64Array);
+      expect(df.getColumn('city')).toBeInstanceOf(DictionaryColumn);
+      expect((df.getColumn('city') as DictionaryColumn).dictionary).toEqual(['NYC', 'LA']);
+      expect(df.getColumn('ok')).toBeInstanceOf(ObjectColumn);
+    });
+
+    test('row view and toObject decode nulls', () => {
+      expect(df.column('temp')).toEqual([10, 20, null]);
+      expect(Number.isNaN(df.numeric('temp')[2])).toBe(true);
+      const rebuilt = new DataFrame(df.toObject());
+      expect(rebuilt.toArray()).toEqual(df.toArray());
+    });
+
+    test('select and rename share column storage', () => {
+      expect(df.select(['temp']).getColumn('temp')).toBe(df.getColumn('temp'));
+      expect(df.rename({ temp: 't' }).getColumn('t')).toBe(df.getColumn('temp'));
+    });
+
+    test('take, withColumn and numeric accessors', () => {
+      expect(df.take([2, 0]).column('city')).toEqual(['NYC', 'NYC']);
+      const withId = df.withColumn('id', new Float64Array([1, 2, 3]));
+      expect(withId.columns).toEqual(['city', 'temp', 'ok', 'id']);
+      expect(withId.column('id')).toEqual([1, 2, 3]);
+      expect(() => df.numeric('city')).toThrow('not numeric');
+      expect(() => df.column('missing')).toThrow('Unknown column');
+    });
+
+    test('rejects columns of different lengths', () => {
+      expect(() => new DataFrame({ a: [1, 2], b: [1] })).toThrow('same length');
+    });
+
+    test('corr uses numeric columns only', () => {
+      const frame = new DataFrame({ x: [1, 2, 3], y: [2, 4, 6], label: ['a', 'b', 'c'] });
+      const result = frame.corr();
+      expect(Object.keys(result)).toEqual(['x', 'y']);
+      expect(result.x.y).toBeCloseTo(1, 10);
+    });
+
+    test('groupbyMean and pivotTable accept a DataFrame', () => {
+      const n = 200000;
+      const frame = new DataFrame({
+        key: Array.from({ length: n }, (_, i) => (i % 2 === 0 ? 'even' : 'odd')),
+        col: Array.from({ length: n }, (_, i) => (i % 4 < 2 ? 'low' : 'high')),
+        value: Float64Array.from({ length: n }, (_, i) => i)
+      });
+      expect(groupbyMean(frame, 'key', 'value')).toEqual({ even: (n - 2) / 2, odd: n / 2 });
+      const pivot = pivotTable(frame, 'key', 'col', 'value', 'count');
+      expect(pivot.even).toEqual({ low: n / 4, high: n / 4 });
+    });
+
+    test('encodeColumn and factorizeColumn', () => {
+      expect(encodeColumn([undefined, undefined])).toBeInstanceOf(ObjectColumn);
+      const { codes, uniques } = factorizeColumn(encodeColumn(['b', null, 'a', 'b']));
+      expect(Array.from(codes)).toEqual([0, 1, 2, 0]);
+      expect(uniques).toEqual(['b', null, 'a']);
+    });
+  });
+
+  describe('DataFrame methods', () => {
+    const people = new DataFrame([
+      { name: 'Ann', city: 'NYC', age: 34 },
+      { name: 'Bob', city: 'LA', age: 25 },
+      { name: 'Cid', city: 'NYC', age: 41 },
+      { name: 'Dee', city: 'NYC', age: 29 }
+    ]);
+
+    test('chains filter, sortValues and select', () => {
+      const result = people
+        .filter('city', 'NYC')
+        .sortValues('age', false)
+        .select(['name', 'age']);
+      expect(result).toBeInstanceOf(DataFrame);
+      expect(result.columns).toEqual(['name', 'age']);
+      expect(result.toObject()).toEqual({ name: ['Cid', 'Ann', 'Dee'], age: [41, 34, 29] });
+    });
+
+    test('filter accepts a row predicate', () => {
+      const result = people.filter(row => (row.age as number) > 30);
+      expect(result.length).toBe(2);
+      expect(result.columns).toEqual(['name', 'city', 'age']);
+    });
+
+    test('keeps columns when no rows match', () => {
+      const result = people.filter('city', 'SF');
+      expect(result.length).toBe(0);
+      expect(result.columns).toEqual(['name', 'city', 'age']);
+    });
+
+    test('groupbyMean returns one row per group', () => {
+      const result = people.groupbyMean('city', 'age');
+      expect(result.columns).toEqual(['city', 'age']);
+      expect(result.toArray()).toEqual([
+        { city: 'NYC', age: 104 / 3 },
+        { city: 'LA', age: 25 }
+      ]);
+    });
+
+    test('merge accepts a DataFrame or row array', () => {
+      const regions = new DataFrame([{ city: 'NYC', region: 'East' }, { city: 'LA', region: 'West' }]);
+      const result = people.merge(regions, 'city');
+      expect(result.columns).toEqual(['name', 'city', 'age', 'region']);
+      expect(result.toArray()[1].region).toBe('West');
+      expect(people.merge(regions.toArray(), 'city').length).toBe(4);
+    });
+
+    test('merge passes join options and reports suffixed columns', () => {
+      const pets = new DataFrame([{ city: 'LA', name: 'Rex' }]);
+      const result = people.merge(pets, 'city', 'city', { how: 'left', indicator: 'source' });
+      expect(result.columns).toEqual(['name_x', 'city', 'age', 'name_y', 'source']);
+      expect(result.toArray()[1]).toEqual({ name_x: 'Bob', city: 'LA', age: 25, name_y: 'Rex', source: 'both' });
+    });
+
+    test('merge matches datetime keys by time', () => {
+      const day = (d: number) => new Date(Date.UTC(2024, 0, d));
+      const left = new DataFrame([{ t: day(1), a: 1 }, { t: day(2), a: 2 }, { t: day(3), a: 3 }]);
+      const right = new DataFrame([{ t: day(2), b: 'x' }, { t: day(3), b: 'y' }]);
+      expect(left.merge(right, 't').toArray()).toEqual([{ t: day(2), a: 2, b: 'x' }, { t: day(3), a: 3, b: 'y' }]);
+      expect(left.merge(right, 't', 't', { how: 'left' }).column('b')).toEqual([null, 'x', 'y']);
+      const withA = right.withColumn('a', [2, 3]);
+      expect(left.merge(withA, ['t', 'a']).column('b')).toEqual(left.merge(right, 't').column('b'));
+    });
+
+    test('rename and melt update column metadata', () => {
+      const renamed = people.rename({ age: 'years' });
+      expect(renamed.columns).toEqual(['name', 'city', 'years']);
+      const melted = people.select(['name', 'age']).melt(['name'], ['age']);
+      expect(melted.columns).toEqual(['name', 'variable', 'value']);
+      expect(melted.length).toBe(4);
+    });
+
+    test('apply and fillna do not mutate the source', () => {
+      const df = new DataFrame([{ a: 1 }, { a: null }]);
+      const result = df.fillna('a', 0).apply('a', x => (x as number) + 1);
+      expect(result.toObject()).toEqual({ a: [2, 1] });
+      expect(df.toArray()[1].a).toBeNull();
+    });
+  });
+
+  describe('DataFrame index', () => {
+    const df = new DataFrame([
+      { t: 1, v: 10, s: 'a' },
+      { t: 3, v: 30, s: 'b' },
+      { t: 6, v: 60, s: 'c' }
+    ]).setIndex('t');
+
+    test('setIndex and resetIndex', () => {
+      expect(df.columns).toEqual(['v', 's']);
+      expect(df.index).toEqual([1, 3, 6]);
+      expect(df.indexName).toBe('t');
+      expect(df.resetIndex().toArray()[0]).toEqual({ t: 1, v: 10, s: 'a' });
+      expect(df.resetIndex(true).index).toEqual([0, 1, 2]);
+      expect(new DataFrame({ a: [5, 6] }).resetIndex().toObject()).toEqual({ index: [0, 1], a: [5, 6] });
+      expect(() => df.setIndex(['x'])).toThrow('Index length must match number of rows');
+    });
+
+    test('loc selects by label and iloc by position', () => {
+      expect(df.loc(3)).toEqual({ v: 30, s: 'b' });
+      const picked = df.loc([6, 1], ['s']);
+      expect(picked.toArray()).toEqual([{ s: 'c' }, { s: 'a' }]);
+      expect(picked.index).toEqual([6, 1]);
+      expect(() => df.loc(2)).toThrow('Label not found: 2');
+      expect(df.iloc(-1)).toEqual({ v: 60, s: 'c' });
+      expect(df.iloc([0, 2]).index).toEqual([1, 6]);
+      expect(() => df.iloc(3)).toThrow('Position out of bounds: 3');
+    });
+
+    test('keeps labels through row and column operations', () => {
+      expect(df.filter(row => (row.v as number) > 10).sortValues('v', false).index).toEqual([6, 3]);
+      expect(df.rename({ v: 'w' }).index).toEqual([1, 3, 6]);
+      expect(df.withColumn('z', [1, 2, 3]).loc(6)).toEqual({ v: 60, s: 'c', z: 3 });
+    });
+
+    test('reindex aligns rows by label', () => {
+      const labels = [0, 1, 2, 3, 4, 5, 6, 7];
+      expect(df.reindex(labels).column('v')).toEqual([null, 10, null, 30, null, null, 60, null]);
+      expect(df.reindex(labels).index).toEqual(labels);
+      expect(df.reindex([6, 1]).column('s')).toEqual(['c', 'a']);
+    });
+
+    test('reindex fills with ffill, bfill and nearest', () => {
+      const labels = [0, 1, 2, 3, 4, 5, 6, 7];
+      expect(df.reindex(labels, { method: 'ffill' }).column('v')).toEqual([null, 10, 10, 30, 30, 30, 60, 60]);
+      expect(df.reindex(labels, { method: 'bfill', limit: 1 }).column('v'))
+        .toEqual([10, 10, 30, 30, 60, null, 60, null]);
+      expect(df.reindex(labels, { method: 'nearest' }).column('v')).toEqual([10, 10, 30, 30, 30, 60, 60, 60]);
+    });
+
+    test('reindex aligns date labels', () => {
+      const series = new DataFrame({ v: [1, 2] }).setIndex([new Date('2024-01-01'), new Date('2024-01-03')]);
+      const days = [1, 2, 3, 4].map(d => new Date(`2024-01-0${d}`));
+      expect(series.reindex(days, { method: 'ffill', limit: 1 }).column('v')).toEqual([1, 1, 2, 2]);
+      expect(series.loc(new Date('2024-01-03'))).toEqual({ v: 2 });
+    });
+
+    test('reindex validates the index', () => {
+      const dup = new DataFrame({ v: [1, 2] }).setIndex([1, 1]);
+      expect(() => dup.reindex([1])).toThrow('Cannot reindex on an index with duplicate labels');
+      const unsorted = new DataFrame({ v: [1, 2] }).setIndex([2, 1]);
+      expect(() => unsorted.reindex([0], { method: 'ffill' }))
+        .toThrow('Index must be monotonic increasing to use method ffill');
+    });
+  });
+
+  describe('reindex', () => {
+    test('labels row arrays by position', () => {
+      expect(reindex([{ a: 1 }, { a: 2 }], [1, 5])).toEqual([{ a: 2, _index: 1 }, { a: null, _index: 5 }]);
+    });
   });
 
   describe('dataframeFilter', () => {
@@ -214,6 +728,11 @@ describe('DataFrame Operations', () => {
       const df = [{ a: 1 }, { a: 2 }];
       expect(dataframeFilter(df, 'a', 3)).toEqual([]);
     });
+
+    test('filters by row predicate', () => {
+      const df = [{ a: 1, b: 2 }, { a: 1, b: 3 }, { a: 2, b: 4 }];
+      expect(dataframeFilter(df, and(col('a').eq(1), col('b').gt(2)))).toEqual([{ a: 1, b: 3 }]);
+    });
   });
 
   describe('groupbyMean', () => {
@@ -229,6 +748,67 @@ describe('DataFrame Operations', () => {
     });
   });
 
+  describe('groupby', () => {
+    const sales = [
+      { region: 'North', product: 'A', units: 3, price: 10 },
+      { region: 'South', product: 'A', units: 5, price: 12 },
+      { region: 'North', product: 'B', units: 7, price: null },
+      { region: 'North', product: 'A', units: 1, price: 14 }
+    ];
+
+    test('aggregates lists of named functions', () => {
+      const result = groupby(sales, ['region']).agg({ units: ['sum', 'mean', 'min', 'max', 'count'] });
+      expect(result).toBeInstanceOf(DataFrame);
+      expect(result.columns).toEqual(['region', 'units_sum', 'units_mean', 'units_min', 'units_max', 'units_count']);
+      expect(result.toArray()[0]).toEqual({
+        region: 'North', units_sum: 11, units_mean: 11 / 3, units_min: 1, units_max: 7, units_count: 3
+      });
+    });
+
+    test('groups by multiple keys in first-seen order', () => {
+      const result = groupby(sales, ['region', 'product']).agg({ units: 'sum' });
+      expect(result.toArray()).toEqual([
+        { region: 'North', product: 'A', units: 4 },
+        { region: 'South', product: 'A', units: 5 },
+        { region: 'North', product: 'B', units: 7 }
+      ]);
+    });
+
+    test('matches describe for std and median', () => {
+      const result = groupby(sales, 'region').agg({ units: ['std', 'median'] });
+      const north = [3, 7, 1];
+      expect(result.toArray()[0].units_std).toBe(describeStats(north).std);
+      expect(result.toArray()[0].units_median).toBe(describeStats(north)['50%']);
+    });
+
+    test('skips missing values and supports first/last', () => {
+      const result = groupby(sales, 'region').agg({ price: ['count', 'first', 'last', 'mean'] });
+      expect(result.toArray()[0]).toEqual({
+        region: 'North', price_count: 2, price_first: 10, price_last: 14, price_mean: 12
+      });
+    });
+
+    test('supports custom and named aggregations', () => {
+      const range = (values: unknown[]) => Math.max(...(values as number[])) - Math.min(...(values as number[]));
+      const result = new DataFrame(sales).groupby('region').agg({
+        units: range,
+        avgPrice: { column: 'price', agg: 'mean' }
+      });
+      expect(result.columns).toEqual(['region', 'units', 'avgPrice']);
+      expect(result.toArray()[0].units).toBe(6);
+      expect(result.toArray()[1].avgPrice).toBe(12);
+    });
+
+    test('size counts rows per group', () => {
+      const result = groupby(sales, 'region').size();
+      expect(result.toObject()).toEqual({ region: ['North', 'South'], size: [3, 1] });
+    });
+
+    test('throws on unknown aggregation', () => {
+      expect(() => groupby(sales, 'region').agg({ units: 'mode' as AggName })).toThrow('Unknown aggregation');
+    });
+  });
+
   describe('dataframeMerge', () => {
     test('inner join', () => {
       const left = [{ id: 1, x: 'a' }, { id: 2, x: 'b' }];
@@ -238,6 +818,64 @@ describe('DataFrame Operations', () => {
       expect(result[0].x).toBe('a');
       expect(result[0].y).toBe('c');
     });
+
+    const users = [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }, { id: 3, name: 'Cid' }];
+    const orders = [
+      { userId: 1, name: 'book', total: 10 },
+      { userId: 1, name: 'pen', total: 2 },
+      { userId: 4, name: 'lamp', total: 30 }
+    ];
+
+    test('left join keeps unmatched rows and suffixes overlapping columns', () => {
+      const result = dataframeMerge(users, orders, 'id', 'userId', { how: 'left' });
+      expect(result).toEqual([
+        { id: 1, name_x: 'Ann', name_y: 'book', total: 10 },
+        { id: 1, name_x: 'Ann', name_y: 'pen', total: 2 },
+        { id: 2, name_x: 'Bob', name_y: null, total: null },
+        { id: 3, name_x: 'Cid', name_y: null, total: null }
+      ]);
+    });
+
+    test('right join fills left key from right rows', () => {
+      const result = dataframeMerge(users, orders, 'id', 'userId', { how: 'right', suffixes: ['', '_order'] });
+      expect(result.map(r => r.id)).toEqual([1, 1, 4]);
+      expect(result[2]).toEqual({ id: 4, name: null, name_order: 'lamp', total: 30 });
+    });
+
+    test('outer join with indicator', () => {
+      const result = dataframeMerge(users, orders, 'id', 'userId', { how: 'outer', indicator: true });
+      expect(result.map(r => r._merge)).toEqual(['both', 'both', 'left_only', 'left_only', 'right_only']);
+      expect(result[4].id).toBe(4);
+    });
+
+    test('multi-column keys', () => {
+      const a = [{ k1: 1, k2: 'a', x: 1 }, { k1: 1, k2: 'b', x: 2 }];
+      const b = [{ k1: 1, k2: 'b', y: 3 }];
+      expect(dataframeMerge(a, b, ['k1', 'k2'])).toEqual([{ k1: 1, k2: 'b', x: 2, y: 3 }]);
+    });
+
+    test('cross join', () => {
+      const result = dataframeMerge([{ a: 1 }, { a: 2 }], [{ b: 'x' }, { b: 'y' }], null, null, { how: 'cross' });
+      expect(result.length).toBe(4);
+      expect(result[1]).toEqual({ a: 1, b: 'y' });
+    });
+
+    test('validate throws on duplicate keys', () => {
+      expect(() => dataframeMerge(orders, users, 'userId', 'id', { validate: 'many_to_one' })).not.toThrow();
+      expect(() => dataframeMerge(orders, users, 'userId', 'id', { validate: 'one_to_one' }))
+        .toThrow('not unique in left dataset');
+      expect(() => dataframeMerge(users, orders, 'id', 'userId', { validate: '1:1' }))
+        .toThrow('not unique in right dataset');
+    });
+
+    test('joins large tables quickly', () => {
+      const n = 100000;
+      const big = Array.from({ length: n }, (_, i) => ({ id: i, v: i }));
+      const lookup = Array.from({ length: n }, (_, i) => ({ id: n - 1 - i, w: i }));
+      const result = dataframeMerge(big, lookup, 'id', 'id');
+      expect(result.length).toBe(n);
+      expect(result[0]).toEqual({ id: 0, v: 0, w: n - 1 });
+    });
   });
 
   describe('pivotTable', () => {
@@ -251,6 +889,66 @@ describe('DataFrame Operations', () => {
       expect(result['North']['A']).toBe(150);
       expect(result['South']['B']).toBe(200);
     });
+
+    const sales = [
+      { region: 'North', product: 'A', sales: 100, units: 1 },
+      { region: 'North', product: 'A', sales: 50, units: 2 },
+      { region: 'South', product: 'B', sales: 200, units: 3 },
+      { region: 'North', product: 'B', sales: null, units: 4 }
+    ];
+
+    test('supports any aggregation, fillValue and margins', () => {
+      expect(pivotTable(sales, 'region', 'product', 'sales', 'max')).toEqual({
+        North: { A: 100, B: NaN },
+        South: { B: 200 }
+      });
+      expect(pivotTable(sales, 'region', 'product', 'units', 'median', { fillValue: 0, margins: true })).toEqual({
+        North: { A: 1.5, B: 4, All: 2 },
+        South: { A: 0, B: 3, All: 3 },
+        All: { A: 1.5, B: 3.5, All: 2.5 }
+      });
+    });
+
+    test('aggregates multiple value columns with custom functions', () => {
+      const result = pivotTable(sales, 'region', 'product', ['sales', 'units'], {
+        sales: 'sum',
+        units: values => values.length
+      });
+      expect(result.North).toEqual({ sales: { A: 150, B: 0 }, units: { A: 2, B: 1 } });
+      expect(() => pivotTable(sales, 'region', 'product', ['sales', 'units'], { sales: 'sum' }))
+        .toThrow('No aggregation given for column: units');
+    });
+
+    test('returns a flat DataFrame', () => {
+      const df = new DataFrame(sales).pivotTable('region', 'product', ['sales', 'units'], 'sum', {
+        asFrame: true,
+        fillValue: 0
+      });
+      expect(df.columns).toEqual(['region', 'sales_A', 'sales_B', 'units_A', 'units_B']);
+      expect(df.toArray()[1]).toEqual({ region: 'South', sales_A: 0, sales_B: 200, units_A: 0, units_B: 3 });
+    });
+  });
+
+  describe('crosstab', () => {
+    const rows = [
+      { sex: 'F', smoker: 'yes' },
+      { sex: 'M', smoker: 'no' },
+      { sex: 'F', smoker: 'no' },
+      { sex: 'F', smoker: 'no' }
+    ];
+
+    test('counts pairs of values', () => {
+      expect(crosstab(rows, 'sex', 'smoker', { margins: true })).toEqual({
+        F: { yes: 1, no: 2, All: 3 },
+        M: { yes: 0, no: 1, All: 1 },
+        All: { yes: 1, no: 3, All: 4 }
+      });
+    });
+
+    test('returns a DataFrame', () => {
+      const df = new DataFrame(rows).crosstab('sex', 'smoker', { asFrame: true });
+      expect(df.toObject()).toEqual({ sex: ['F', 'M'], yes: [1, 0], no: [2, 1] });
+    });
   });
 
   describe('applyFunction', () => {
@@ -306,6 +1004,74 @@ describe('DataFrame Operations', () => {
       expect(result[1].a).toBe(2);
       expect(result[2].a).toBe(1);
     });
+
+    const rows = [
+      { a: 2, b: 'x' },
+      { a: null, b: 'y' },
+      { a: 1, b: 'Z' },
+      { a: 2, b: 'a' },
+      { a: 1, b: 'é' }
+    ];
+
+    test('sorts by multiple columns with per-column direction', () => {
+      const result = sortValues(rows, ['a', 'b'], [true, false]);
+      expect(result.map(row => row.b)).toEqual(['é', 'Z', 'x', 'a', 'y']);
+    });
+
+    test('is stable and places missing values', () => {
+      expect(sortValues(rows, 'a').map(row => row.b)).toEqual(['Z', 'é', 'x', 'a', 'y']);
+      expect(sortValues(rows, 'a', false, { naPosition: 'first' }).map(row => row.b))
+        .toEqual(['y', 'x', 'a', 'Z', 'é']);
+    });
+
+    test('supports key functions and locale-aware compare', () => {
+      expect(sortValues(rows, 'b').map(row => row.b)).toEqual(['Z', 'a', 'x', 'y', 'é']);
+      expect(sortValues(rows, 'b', true, { locale: 'en' }).map(row => row.b))
+        .toEqual(['a', 'é', 'x', 'y', 'Z']);
+      expect(sortValues(rows, 'b', true, { key: v => (v as string).toLowerCase() }).map(row => row.b))
+        .toEqual(['a', 'x', 'y', 'Z', 'é']);
+    });
+
+    test('sorts DataFrames by column storage', () => {
+      const df = new DataFrame(rows).sortValues(['a', 'b'], [false, true]);
+      expect(df.column('b')).toEqual(['a', 'x', 'Z', 'é', 'y']);
+      expect(df.columns).toEqual(['a', 'b']);
+    });
+
+    test('sorts large frames quickly', () => {
+      const big = new DataFrame({ v: Array.from({ length: 50000 }, (_, i) => (i * 7919) % 50000) });
+      const sorted = big.sortValues('v').numeric('v');
+      expect(sorted[0]).toBe(0);
+      expect(sorted[49999]).toBe(49999);
+    });
+
+    test('throws on mismatched ascending length', () => {
+      expect(() => sortValues(rows, ['a', 'b'], [true])).toThrow('Length of ascending must equal length of by');
+    });
+  });
+
+  describe('nlargest / nsmallest', () => {
+    const rows = [{ a: 2, b: 'x' }, { a: null, b: 'y' }, { a: 1, b: 'z' }, { a: 2, b: 'w' }, { a: 3, b: 'v' }];
+
+    test('selects top rows in order, skipping missing values', () => {
+      expect(nlargest(rows, 3, 'a').map(row => row.b)).toEqual(['v', 'x', 'w']);
+      expect(nsmallest(rows, 10, 'a').map(row => row.b)).toEqual(['z', 'x', 'w', 'v']);
+    });
+
+    test('keeps first or last of tied rows', () => {
+      const df = new DataFrame(rows);
+      expect(df.nlargest(2, 'a').column('b')).toEqual(['v', 'x']);
+      expect(df.nlargest(2, 'a', 'last').column('b')).toEqual(['v', 'w']);
+      expect(df.nsmallest(2, ['a', 'b']).column('b')).toEqual(['z', 'w']);
+    });
+
+    test('copy the original rows of row arrays', () => {
+      const ragged = [{ a: 2 }, { a: 1, b: 5 }, { a: 3, c: undefined }];
+      expect(sortValues(ragged, 'a')).toEqual([{ a: 1, b: 5 }, { a: 2 }, { a: 3, c: undefined }]);
+      expect(Object.keys(sortValues(ragged, 'a', false)[0])).toEqual(['a', 'c']);
+      expect(nlargest(ragged, 1, 'a')[0]).not.toBe(ragged[2]);
+      expect(nsmallest(ragged, 1, 'a')).toEqual([{ a: 1, b: 5 }]);
+    });
   });
 
   describe('melt', () => {
@@ -316,6 +1082,15 @@ describe('DataFrame Operations', () => {
       expect(result[0].variable).toBe('A');
       expect(result[0].value).toBe(10);
     });
+
+    test('melts every key of ragged rows', () => {
+      expect(melt([{ id: 1, a: 1 }, { id: 2, a: 2, b: 3 }], ['id'])).toEqual([
+        { id: 1, variable: 'a', value: 1 },
+        { id: 1, variable: 'b', value: null },
+        { id: 2, variable: 'a', value: 2 },
+        { id: 2, variable: 'b', value: 3 }
+      ]);
+    });
   });
 
   describe('selectColumns', () => {
@@ -335,3 +1110,967 @@ describe('DataFrame Operations', () => {
     });
   });
 });
+
+describe('CSV', () => {
+  describe('parseCSV', () => {
+    test('parses header and infers types', () => {
+      const { columns, rows } = parseCSV('name,age,member,score\nAnn,34,true,\nBob,-2.5e1,FALSE,7\n');
+      expect(columns).toEqual(['name', 'age', 'member', 'score']);
+      expect(rows).toEqual([
+        { name: 'Ann', age: 34, member: true, score: null },
+        { name: 'Bob', age: -25, member: false, score: 7 }
+      ]);
+    });
+
+    test('handles RFC 4180 quoting and CRLF line endings', () => {
+      const text = 'a,b\r\n"x, y","say ""hi"""\r\n"multi\nline",2';
+      const { rows } = parseCSV(text);
+      expect(rows).toEqual([
+        { a: 'x, y', b: 'say "hi"' },
+        { a: 'multi\nline', b: 2 }
+      ]);
+    });
+
+    test('supports custom delimiters and no header', () => {
+      const { columns, rows } = parseCSV('1;2\n3;4', { delimiter: ';', header: false });
+      expect(columns).toEqual(['0', '1']);
+      expect(rows[1]).toEqual({ 0: 3, 1: 4 });
+      const named = parseCSV('1;2', { delimiter: ';', header: false, columns: ['x', 'y'] });
+      expect(named.rows).toEqual([{ x: 1, y: 2 }]);
+    });
+
+    test('can keep raw strings', () => {
+      const { rows } = parseCSV('id\n007', { inferTypes: false });
+      expect(rows[0].id).toBe('007');
+    });
+
+    test('deduplicates header names and pads short rows', () => {
+      const { columns, rows } = parseCSV('a,a,b\n1,2');
+      expect(columns).toEqual(['a', 'a.1', 'b']);
+      expect(rows[0]).toEqual({ a: 1, 'a.1': 2, b: null });
+    });
+
+    test('throws on malformed input', () => {
+      expect(() => parseCSV('a\n1,2')).toThrow('Expected 1 fields');
+      expect(() => parseCSV('a\n"open')).toThrow('Unterminated');
+    });
+  });
+
+  describe('parseCSVStream', () => {
+    test('parses rows across chunk boundaries', async () => {
+      // Split inside the CRLF and inside the two-byte é
+      const body = Buffer.from('"Zoé","NYC"\nBob,LA');
+      const split = body.indexOf('é') + 1;
+      const chunks = ['name,ci', 'ty\r', '\n', body.subarray(0, split), body.subarray(split)];
+      const rows: DataRow[] = [];
+      for await (const row of parseCSVStream(Readable.from(chunks))) {
+        rows.push(row);
+      }
+      expect(rows).toEqual([{ name: 'Zoé', city: 'NYC' }, { name: 'Bob', city: 'LA' }]);
+    });
+  });
+
+  describe('formatCSV', () => {
+    test('quotes fields when needed', () => {
+      const text = formatCSV([{ a: 'x,y', b: 'say "hi"', c: null }], ['a', 'b', 'c']);
+      expect(text).toBe('a,b,c\n"x,y","say ""hi""",\n');
+    });
+  });
+
+  describe('DataFrame CSV methods', () => {
+    test('round-trips through toCSV and fromCSV', () => {
+      const df = new DataFrame([
+        { id: 1, name: 'Ann', active: true, note: 'line\nbreak' },
+        { id: 2, name: 'Bob', active: false, note: null }
+      ]);
+      const back = DataFrame.fromCSV(df.toCSV({ delimiter: '\t' }), { delimiter: '\t' });
+      expect(back.columns).toEqual(df.columns);
+      expect(back.toArray()).toEqual(df.toArray());
+    });
+
+    test('writes without header', () => {
+      const df = new DataFrame({ a: [1, 2] });
+      expect(df.toCSV({ header: false })).toBe('1\n2\n');
+    });
+
+    test('fromCSVStream keeps columns for header-only input', async () => {
+      const df = await DataFrame.fromCSVStream(Readable.from(['a,b\n']));
+      expect(df.length).toBe(0);
+      expect(df.columns).toEqual(['a', 'b']);
+    });
+  });
+});
+
+describe('Query', () => {
+  const people = new DataFrame([
+    { name: 'Ann', age: 34, city: 'NYC' },
+    { name: 'bob', age: 25, city: 'LA' },
+    { name: 'Cy', age: null, city: 'NYC' },
+    { name: 'Di', age: 41, city: null }
+  ]);
+  const names = (df: DataFrame) => df.toArray().map(row => row.name);
+
+  describe('predicate builders', () => {
+    test('compares with missing values never matching', () => {
+      expect(names(people.filter(col('age').gt(30)))).toEqual(['Ann', 'Di']);
+      expect(names(people.filter(col('age').le(25)))).toEqual(['bob']);
+      expect(names(people.filter(col('age').ne(25)))).toEqual(['Ann', 'Cy', 'Di']);
+    });
+
+    test('supports isin, between and null checks', () => {
+      expect(names(people.filter(col('city').isin(['LA', 'SF'])))).toEqual(['bob']);
+      expect(names(people.filter(col('age').between(25, 34)))).toEqual(['Ann', 'bob']);
+      expect(names(people.filter(col('age').between(25, 34, 'neither')))).toEqual([]);
+      expect(names(people.filter(col('age').isNull()))).toEqual(['Cy']);
+      expect(names(people.filter(col('city').notNull()))).toEqual(['Ann', 'bob', 'Cy']);
+    });
+
+    test('supports string tests', () => {
+      expect(names(people.filter(col('name').contains('B', false)))).toEqual(['bob']);
+      expect(names(people.filter(col('name').startsWith('C')))).toEqual(['Cy']);
+      expect(names(people.filter(col('name').endsWith('n')))).toEqual(['Ann']);
+      expect(names(people.filter(col('name').matches(/^[A-Z]/g)))).toEqual(['Ann', 'Cy', 'Di']);
+    });
+
+    test('combines with and, or and not', () => {
+      const predicate = or(and(col('city').eq('NYC'), col('age').notNull()), not(col('age').lt(40)));
+      expect(names(people.filter(predicate))).toEqual(['Ann', 'Cy', 'Di']);
+    });
+  });
+
+  describe('parseQuery', () => {
+    test('filters with a query string', () => {
+      expect(names(people.query("age > 30 and city == 'NYC'"))).toEqual(['Ann']);
+      expect(names(people.query('city in ["LA", "SF"] or age is null'))).toEqual(['bob', 'Cy']);
+      expect(names(people.query('city not in ("NYC") & city is not null'))).toEqual(['bob']);
+      expect(names(people.query('not (age between 20 and 35) and age is not null'))).toEqual(['Di']);
+    });
+
+    test('supports string operators, params and column comparisons', () => {
+      expect(names(people.query("name startswith 'D' | name contains 'o'"))).toEqual(['bob', 'Di']);
+      expect(names(people.query("name matches '^[A-Z]' and age >= @min", { min: 35 }))).toEqual(['Di']);
+      expect(names(people.query('city in @cities', { cities: ['LA'] }))).toEqual(['bob']);
+      expect(names(people.query('-1 < age'))).toEqual(['Ann', 'bob', 'Di']);
+
+      const df = new DataFrame([{ 'low value': 1, high: 2 }, { 'low value': 3, high: 2 }]);
+      expect(df.query('`low value` < high').length).toBe(1);
+    });
+
+    test('matches every row with a global or sticky regex param', () => {
+      const df = new DataFrame({ s: ['ab', 'ab', 'ab', 'ab'] });
+      expect(df.query('s matches @re', { re: /a/g }).length).toBe(4);
+      expect(df.query('s matches @re', { re: /a/y }).length).toBe(4);
+    });
+
+    test('treats a bare boolean column as a condition', () => {
+      const df = new DataFrame([{ id: 1, active: true }, { id: 2, active: false }]);
+      expect(df.query('active').toObject().id).toEqual([1]);
+      expect(df.query('not active').toObject().id).toEqual([2]);
+    });
+
+    test('compiles to a predicate usable on row arrays', () => {
+      const predicate = parseQuery('a >= 2');
+      expect(dataframeFilter([{ a: 1 }, { a: 2 }, { a: 3 }], predicate)).toEqual([{ a: 2 }, { a: 3 }]);
+    });
+
+    test('throws on invalid queries', () => {
+      expect(() => parseQuery('')).toThrow('Invalid query: empty expression');
+      expect(() => parseQuery('age >')).toThrow('expected a value at end of query');
+      expect(() => parseQuery('age > 3 3')).toThrow("unexpected '3' at position 8");
+      expect(() => parseQuery('age # 3')).toThrow("unexpected character '#' at position 4");
+      expect(() => parseQuery('age in [x]')).toThrow("expected a literal value, not column 'x'");
+      expect(() => parseQuery('age > @q')).toThrow('unknown parameter @q');
+      expect(() => parseQuery('(age > 3')).toThrow("expected ')'");
+      expect(() => people.query("nme == 'Ann'")).toThrow('Unknown column: nme');
+      expect(parseQuery('a > b or `c d` is null').columns).toEqual(['a', 'b', 'c d']);
+    });
+  });
+});
+
+describe('Time series', () => {
+  const events = () => new DataFrame([
+    { time: '2024-03-01T00:10:00Z', value: 1, host: 'a' },
+    { time: '2024-03-01T00:50:00Z', value: 2, host: 'b' },
+    { time: '2024-03-01T03:05:00Z', value: 5, host: 'a' },
+    { time: null, value: 9, host: 'a' }
+  ]);
+  const iso = (rows: DataRow[]) => rows.map(row => ({ ...row, time: row.time && (row.time as Date).toISOString() }));
+
+  describe('parseDate', () => {
+    test('reads ISO strings as UTC unless they carry an offset', () => {
+      expect(parseDate('2024-03-01')).toBe(Date.UTC(2024, 2, 1));
+      expect(parseDate('2024-03-01T12:30')).toBe(Date.UTC(2024, 2, 1, 12, 30));
+      expect(parseDate('2024-03-01T12:30:15.5+02:00')).toBe(Date.UTC(2024, 2, 1, 10, 30, 15, 500));
+      expect(parseDate('2024-03-01 12:30Z')).toBe(Date.UTC(2024, 2, 1, 12, 30));
+      expect(parseDate(new Date(5))).toBe(5);
+      expect(parseDate(null)).toBeNull();
+      expect(parseDate('')).toBeNull();
+    });
+
+    test('rejects malformed and out-of-range dates', () => {
+      expect(() => parseDate('03/01/2024')).toThrow('Invalid date: 03/01/2024');
+      expect(() => parseDate('2023-02-29')).toThrow('Invalid date');
+      expect(() => parseDate('2024-01-01T24:00')).toThrow('Invalid date');
+    });
+  });
+
+  describe('frequencies', () => {
+    test('parses rules and floors to bucket starts', () => {
+      expect(parseFrequency('15min')).toEqual({ n: 15, unit: 'm' });
+      expect(parseFrequency('M')).toEqual({ n: 1, unit: 'M' });
+      expect(frequencyMs('1h')).toBe(3600000);
+      expect(() => frequencyMs('1M')).toThrow('Frequency has no fixed length: 1M');
+      expect(() => parseFrequency('1 fortnight')).toThrow('Invalid frequency: 1 fortnight');
+
+      const t = Date.UTC(2024, 2, 6, 13, 47);
+      expect(floorDate(t, '15m')).toBe(Date.UTC(2024, 2, 6, 13, 45));
+      expect(floorDate(t, '1D')).toBe(Date.UTC(2024, 2, 6));
+      expect(floorDate(t, '1W')).toBe(Date.UTC(2024, 2, 4));
+      expect(floorDate(t, '1M')).toBe(Date.UTC(2024, 2, 1));
+    });
+
+    test('steps months by calendar, clamping to month ends', () => {
+      expect(addPeriods(Date.UTC(2024, 0, 31), '1M')).toBe(Date.UTC(2024, 1, 29));
+      expect(dateRange('2024-01-31', '2024-04-30', '1M').map(d => d.toISOString().slice(0, 10)))
+        .toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+    });
+  });
+
+  describe('datetime columns', () => {
+    test('encodes Date arrays and parses columns with toDatetime', () => {
+      const column = encodeColumn([new Date(0), null, new Date(NaN)]);
+      expect(column).toBeInstanceOf(DatetimeColumn);
+      expect(column.toArray()).toEqual([new Date(0), null, null]);
+
+      const df = events().toDatetime('time');
+      expect(df.getColumn('time').kind).toBe('datetime');
+      expect(df.iloc(0).time).toEqual(new Date('2024-03-01T00:10:00Z'));
+
+      const csv = DataFrame.fromCSV('time,value\n2024-03-01,1\n', { parseDates: 'time' });
+      expect(csv.getColumn('time').kind).toBe('datetime');
+    });
+  });
+
+  describe('resample', () => {
+    test('buckets rows by hour, keeping empty buckets', () => {
+      expect(iso(events().resample('time', '1h', 'sum').toArray())).toEqual([
+        { time: '2024-03-01T00:00:00.000Z', value: 3 },
+        { time: '2024-03-01T01:00:00.000Z', value: 0 },
+        { time: '2024-03-01T02:00:00.000Z', value: 0 },
+        { time: '2024-03-01T03:00:00.000Z', value: 5 }
+      ]);
+    });
+
+    test('accepts an agg spec and calendar rules', () => {
+      const df = resample(events(), 'time', '1D', { value: ['sum', 'count'], host: 'first' });
+      expect(iso(df.toArray())).toEqual([
+        { time: '2024-03-01T00:00:00.000Z', value_sum: 8, value_count: 3, host: 'a' }
+      ]);
+
+      const monthly = new DataFrame([{ t: '2024-01-15', v: 1 }, { t: '2024-03-02', v: 2 }]).resample('t', '1M', 'count');
+      expect(monthly.toObject().v).toEqual([1, 0, 1]);
+    });
+  });
+
+  describe('asfreq', () => {
+    test('conforms rows to a regular grid', () => {
+      const df = new DataFrame([
+        { day: '2024-03-03', v: 3 },
+        { day: '2024-03-01', v: 1 }
+      ]);
+      expect(df.asfreq('day', '1D').toObject().v).toEqual([1, null, 3]);
+      expect(asfreq(df, 'day', '1D', { method: 'ffill' }).toObject().v).toEqual([1, 1, 3]);
+    });
+  });
+
+  describe('shift, diff and pctChange', () => {
+    const prices = () => new DataFrame([
+      { day: new Date('2024-03-01'), price: 10 },
+      { day: new Date('2024-03-02'), price: 12 },
+      { day: new Date('2024-03-04'), price: null },
+      { day: new Date('2024-03-05'), price: 9 }
+    ]);
+
+    test('shift moves values and fills with null', () => {
+      expect(prices().shift().toObject().price).toEqual([null, 10, 12, null]);
+      expect(shift(prices(), -1, ['price']).map(row => row.price)).toEqual([12, null, 9, null]);
+    });
+
+    test('diff and pctChange compare with earlier rows', () => {
+      const changes = prices().diff();
+      expect(changes.toObject().price).toEqual([null, 2, null, null]);
+      expect(changes.toObject().day).toEqual([null, 86400000, 172800000, 86400000]);
+      expect(diff(prices(), 3, ['price'])[3].price).toBe(-1);
+
+      const pct = prices().pctChange();
+      expect(pct.toObject().price[1]).toBeCloseTo(0.2);
+      expect(pct.getColumn('day').kind).toBe('datetime');
+      expect(pctChange(prices(), 3)[3].price).toBeCloseTo(-0.1);
+      expect(() => events().diff(1, ['host'])).toThrow('Column is not numeric: host');
+    });
+  });
+});
+
+describe('Window functions', () => {
+  const series = [4, 1, null, 7, 3, 3, 9];
+
+  describe('rolling', () => {
+    test('computes each statistic incrementally, skipping missing values', () => {
+      const r = rolling(series, 3, { minPeriods: 2 });
+      expect(r.count()).toEqual([1, 2, 2, 2, 2, 3, 3]);
+      expect(r.sum()).toEqual([NaN, 5, 5, 8, 10, 13, 15]);
+      expect(r.mean()).toEqual([NaN, 2.5, 2.5, 4, 5, 13 / 3, 5]);
+      expect(r.min()).toEqual([NaN, 1, 1, 1, 3, 3, 3]);
+      expect(r.max()).toEqual([NaN, 4, 4, 7, 7, 7, 9]);
+      expect(r.median()).toEqual([NaN, 2.5, 2.5, 4, 5, 3, 3]);
+      expect(r.var()[5]).toBeCloseTo(16 / 3);
+      expect(r.std(0)[6]).toBeCloseTo(Math.sqrt(8));
+      expect(r.apply(values => values.length * 10)).toEqual([NaN, 20, 20, 20, 20, 30, 30]);
+    });
+
+    test('matches a brute-force median and max on a longer series', () => {
+      const values = Array.from({ length: 60 }, (_, i) => (i * 37) % 11);
+      const medians = rolling(values, 5).median();
+      const maxes = rolling(values, 5).max();
+      for (let i = 4; i < values.length; i++) {
+        const window = values.slice(i - 4, i + 1).sort((a, b) => a - b);
+        expect(medians[i]).toBe(window[2]);
+        expect(maxes[i]).toBe(window[4]);
+      }
+    });
+
+    test('supports centered and weighted windows', () => {
+      expect(rolling([1, 2, 3, 4, 5], 3, { center: true }).sum()).toEqual([NaN, 6, 9, 12, NaN]);
+      const weighted = rolling([1, 2, 3, 4], 2, { weights: [1, 3] });
+      expect(weighted.mean()).toEqual([NaN, 1.75, 2.75, 3.75]);
+      expect(() => weighted.median()).toThrow('Weighted windows do not support median');
+      expect(() => rolling([1], 2, { weights: [1] })).toThrow('Length of weights must equal window');
+      expect(() => rolling([1], 0)).toThrow('Window must be a positive integer or a time offset: 0');
+    });
+
+    test('supports time-based windows', () => {
+      const times = ['2024-03-01T00:00', '2024-03-01T00:03', '2024-03-01T00:05', '2024-03-01T00:20'];
+      expect(rolling([1, 2, 3, 4], '5m', { times }).sum()).toEqual([1, 3, 5, 4]);
+      expect(() => rolling([1, 2], '5m')).toThrow('Time-based window 5m requires times');
+      expect(() => rolling([1, 2], '5m', { times: [times[1], times[0]] })).toThrow('Times must be monotonic increasing');
+    });
+  });
+
+  describe('expanding', () => {
+    test('grows the window from the first value', () => {
+      expect(expanding([3, null, 1, 2]).sum()).toEqual([3, 3, 4, 6]);
+      expect(expanding([3, 1, 2]).median()).toEqual([3, 2, 2]);
+      expect(expanding([3, 1, 2], { minPeriods: 2 }).max()).toEqual([NaN, 3, 3]);
+    });
+  });
+
+  describe('ewm', () => {
+    test('computes adjusted and recursive exponentially weighted means', () => {
+      const adjusted = ewm([1, 2, 3, null, 5], { span: 3 }).mean();
+      expect(adjusted[1]).toBeCloseTo(5 / 3);
+      expect(adjusted[2]).toBeCloseTo(17 / 7);
+      expect(adjusted[3]).toBeCloseTo(17 / 7);
+      expect(ewm([1, 2, 3], { alpha: 0.5, adjust: false }).mean()).toEqual([1, 1.5, 2.25]);
+      expect(ewm([1, 2], { com: 1 }).std()[1]).toBeCloseTo(Math.SQRT1_2);
+    });
+
+    test('requires exactly one valid decay parameter', () => {
+      expect(() => ewm([1])).toThrow('Specify exactly one of com, span, halflife or alpha');
+      expect(() => ewm([1], { span: 2, alpha: 0.5 })).toThrow('Specify exactly one');
+      expect(() => ewm([1], { alpha: 2 })).toThrow('alpha must be in (0, 1]: 2');
+    });
+  });
+
+  describe('DataFrame windows', () => {
+    const df = () => new DataFrame([
+      { time: '2024-03-01T00:00', host: 'a', cpu: 10, mem: 1 },
+      { time: '2024-03-01T00:02', host: 'a', cpu: 20, mem: 2 },
+      { time: '2024-03-01T00:06', host: 'b', cpu: 30, mem: 3 }
+    ]);
+
+    test('replaces numeric columns with window statistics', () => {
+      const result = df().rolling(2).mean();
+      expect(result.toObject()).toEqual({
+        time: ['2024-03-01T00:00', '2024-03-01T00:02', '2024-03-01T00:06'],
+        host: ['a', 'a', 'b'],
+        cpu: [null, 15, 25],
+        mem: [null, 1.5, 2.5]
+      });
+      expect(df().expanding({ columns: ['cpu'] }).sum().toObject().cpu).toEqual([10, 30, 60]);
+      expect(df().ewm({ alpha: 0.5, adjust: false }).mean().toObject().mem).toEqual([1, 1.5, 2.25]);
+    });
+
+    test('uses a date column for time-based windows', () => {
+      expect(df().rolling('5m', { on: 'time' }).sum().toObject().cpu).toEqual([10, 30, 50]);
+    });
+  });
+});
+
+describe('Missing data', () => {
+  const df = () => new DataFrame([
+    { g: 'a', x: 1, y: 'p' },
+    { g: 'b', x: null, y: 'q' },
+    { g: null, x: NaN, y: undefined },
+    { g: 'a', x: 4, y: 'q' }
+  ]);
+
+  describe('isna and notna', () => {
+    test('flag null, undefined and NaN', () => {
+      expect(df().isna().toObject()).toEqual({
+        g: [false, false, true, false],
+        x: [false, true, true, false],
+        y: [false, false, true, false]
+      });
+      expect(df().notna().toObject().x).toEqual([true, false, false, true]);
+      expect(isna([{ a: NaN }])).toEqual([{ a: true }]);
+      expect(notna([{ a: 0 }])).toEqual([{ a: true }]);
+    });
+  });
+
+  describe('dropna', () => {
+    test('drops rows by how, thresh and subset', () => {
+      expect(df().dropna().toObject().x).toEqual([1, 4]);
+      expect(df().dropna({ how: 'all' }).length).toBe(3);
+      expect(df().dropna({ thresh: 2 }).toObject().g).toEqual(['a', 'b', 'a']);
+      expect(df().dropna({ subset: ['y'] }).toObject().x).toEqual([1, null, 4]);
+      expect(dropna(df().toArray(), { subset: ['x'] })).toHaveLength(2);
+      expect(() => df().dropna({ how: 'some' as DropNaOptions['how'] })).toThrow('Invalid how: some');
+    });
+  });
+
+  describe('fillna', () => {
+    test('fills with constants and strategies per column', () => {
+      const result = df().fillna({ x: { method: 'mean' }, y: 'none' });
+      expect(result.toObject().x).toEqual([1, 2.5, 2.5, 4]);
+      expect(result.toObject().y).toEqual(['p', 'q', 'none', 'q']);
+      expect(df().fillna('ffill').toObject().g).toEqual(['a', 'b', 'b', 'a']);
+      expect(df().fillna('mode').toObject().y).toEqual(['p', 'q', 'q', 'q']);
+      expect(df().fillna('median').toObject()).toEqual({
+        g: ['a', 'b', null, 'a'],
+        x: [1, 2.5, 2.5, 4],
+        y: ['p', 'q', null, 'q']
+      });
+      expect(fillna(df(), 'x', 0).map(row => row.x)).toEqual([1, 0, 0, 4]);
+      expect(() => df().fillna({ g: { method: 'mean' } })).toThrow('Column is not numeric: g');
+    });
+
+    test('fillMissing limits ffill and bfill runs', () => {
+      const values = [null, 1, null, null, 4, null];
+      expect(fillMissing(values, 'ffill')).toEqual([null, 1, 1, 1, 4, 4]);
+      expect(fillMissing(values, 'bfill', { limit: 1 })).toEqual([1, 1, null, 4, 4, null]);
+      expect(() => fillMissing(values, 'zero' as FillMethod)).toThrow('Unknown fill strategy: zero');
+    });
+  });
+
+  describe('interpolate', () => {
+    test('fills interior gaps linearly, up to limit', () => {
+      const series = [null, 1, null, 3, null, null, 6, NaN];
+      expect(interpolate(series)).toEqual([NaN, 1, 2, 3, 4, 5, 6, NaN]);
+      expect(interpolate(series, { limit: 1 })).toEqual([NaN, 1, 2, 3, 4, NaN, 6, NaN]);
+    });
+
+    test('supports polynomial and spline methods', () => {
+      expect(interpolate([1, 0, null, 4, null, 16], { method: 'polynomial', order: 2 })).toEqual([1, 0, 1, 4, 9, 16]);
+      expect(interpolate([0, null, 2, null, 0], { method: 'spline' })).toEqual([0, 1.375, 2, 1.375, 0]);
+      expect(() => interpolate([1], { method: 'polynomial' })).toThrow('Polynomial interpolation requires a positive integer order');
+      expect(() => interpolate([1], { method: 'cubic' as InterpolationMethod })).toThrow('Invalid interpolation method: cubic');
+    });
+
+    test('interpolates numeric DataFrame columns', () => {
+      const frame = new DataFrame({ t: ['a', 'b', 'c'], v: [1, null, 3] });
+      expect(frame.interpolate().toObject()).toEqual({ t: ['a', 'b', 'c'], v: [1, 2, 3] });
+    });
+  });
+
+  describe('missing value consistency', () => {
+    test('stores NaN and undefined as null', () => {
+      expect(encodeColumn([1, NaN, undefined]).toArray()).toEqual([1, null, null]);
+      expect(new DataFrame({ x: Float64Array.from([1, NaN]) }).toObject().x).toEqual([1, null]);
+      expect(df().toArray()[2]).toEqual({ g: null, x: null, y: null });
+    });
+
+    test('filter, groupbyMean and dropDuplicates agree on missing values', () => {
+      expect(df().filter('x', NaN).length).toBe(2);
+      expect(df().filter('g', undefined).length).toBe(1);
+      expect(groupbyMean(df(), 'g', 'x')).toEqual({ a: 2.5, b: NaN, null: NaN });
+      expect(groupbyMean(df().toArray(), 'g', 'x')).toEqual({ a: 2.5, b: NaN, null: NaN });
+      expect(dropDuplicates([{ a: null }, { a: undefined }, { a: NaN }])).toHaveLength(1);
+    });
+  });
+});
+
+describe('Dtypes', () => {
+  const df = () => new DataFrame([
+    { id: 1, name: 'a', score: 1.5, ok: true, when: new Date('2024-01-01'), mixed: 1 },
+    { id: 2, name: 'b', score: 2, ok: false, when: null, mixed: 'x' },
+    { id: 2, name: null, score: -1, ok: null, when: new Date('2024-05-01'), mixed: '3' }
+  ]);
+
+  test('infers a dtype per column and keeps it through row selection', () => {
+    expect(df().dtypes).toEqual({
+      id: 'int', name: 'string', score: 'float', ok: 'bool', when: 'datetime', mixed: 'object'
+    });
+    expect(df().sortValues('score').dtypes.ok).toBe('bool');
+    expect(new DataFrame({ a: Float64Array.from([1, 2]) }).dtypes.a).toBe('float');
+  });
+
+  describe('astype', () => {
+    test('casts columns between dtypes', () => {
+      const result = df().astype({ id: 'float', score: 'int', ok: 'string', when: 'string' });
+      expect(result.dtypes.id).toBe('float');
+      expect(result.toObject().score).toEqual([1, 2, -1]);
+      expect(result.toObject().ok).toEqual(['true', 'false', null]);
+      expect(result.toObject().when).toEqual(['2024-01-01T00:00:00.000Z', null, '2024-05-01T00:00:00.000Z']);
+      expect(new DataFrame({ a: ['1', '', '0'] }).astype('bool').toObject().a).toEqual([true, null, false]);
+      expect(new DataFrame({ a: ['2024-03-01'] }).astype('datetime').dtypes.a).toBe('datetime');
+      expect(new DataFrame({ a: ['x', 'y', 'x'] }).astype('category').dtypes.a).toBe('category');
+    });
+
+    test('reports values that cannot be converted', () => {
+      expect(() => df().astype({ mixed: 'int' })).toThrow("Cannot convert 'x' at row 1 to int");
+      expect(() => df().astype({ id: 'decimal' as Dtype })).toThrow('Unknown dtype: decimal');
+    });
+
+    test('applies declared dtypes from the constructor and CSV', () => {
+      expect(new DataFrame({ a: ['1', '2'] }, null, { a: 'int' }).toObject().a).toEqual([1, 2]);
+      const csv = DataFrame.fromCSV('zip,n\n02134,1\n10001,2.5', { dtype: { zip: 'string' } });
+      expect(csv.dtypes).toEqual({ zip: 'string', n: 'float' });
+      expect(csv.toObject().zip).toEqual(['02134', '10001']);
+    });
+  });
+
+  describe('validate', () => {
+    test('reports type, range, nullability and uniqueness violations by row', () => {
+      const { valid, errors } = df().validate({
+        id: { dtype: 'int', unique: true },
+        name: { nullable: false },
+        score: { min: 0, max: 2 },
+        mixed: 'int',
+        when: { min: '2024-02-01' },
+        region: 'string'
+      });
+      expect(valid).toBe(false);
+      expect(errors.map(e => [e.row, e.column, e.rule])).toEqual([
+        [null, 'region', 'column'],
+        [0, 'when', 'min'],
+        [1, 'mixed', 'dtype'],
+        [2, 'id', 'unique'],
+        [2, 'name', 'nullable'],
+        [2, 'score', 'min'],
+        [2, 'mixed', 'dtype']
+      ]);
+      expect(errors[2].message).toBe("Expected int, got 'x'");
+      expect(errors[3].message).toBe('Duplicate of row 1');
+    });
+
+    test('passes valid frames and reports index labels', () => {
+      expect(df().validate({ id: 'int', score: { max: 2 } })).toEqual({ valid: true, errors: [] });
+      const { errors } = df().setIndex('mixed').validate({ score: { max: 1.5 } });
+      expect(errors).toEqual([{ row: 'x', column: 'score', rule: 'max', value: 2, message: '2 is above the maximum 1.5' }]);
+      const labelled = df().setIndex('mixed').validate({ id: { unique: true } }).errors;
+      expect(labelled).toEqual([
+        { row: '3', column: 'id', rule: 'unique', value: 2, duplicateOf: 'x', message: 'Duplicate of row x' }
+      ]);
+    });
+  });
+});
+
+describe('Categorical data', () => {
+  const sizes = () => new DataFrame([
+    { id: 1, size: 'M', color: 'red' },
+    { id: 2, size: 'XS', color: 'blue' },
+    { id: 3, size: 'L', color: null },
+    { id: 4, size: null, color: 'red' }
+  ]).toCategorical('size', { categories: ['XS', 'S', 'M', 'L'], ordered: true });
+
+  test('toCategorical sorts inferred categories and drops values outside given ones', () => {
+    const column = toCategorical([3, 10, 2, 3]);
+    expect(column.dictionary).toEqual([2, 3, 10]);
+    expect(Array.from(column.codes)).toEqual([1, 2, 0, 1]);
+    expect(toCategorical(['a', 'z'], { categories: ['a', 'b'] }).toArray()).toEqual(['a', null]);
+    expect(() => toCategorical(['a'], { categories: ['a', 'a'] })).toThrow('Categories must be unique');
+    const cast = new DataFrame({ a: ['y', 'x', 'y'] }).astype('category').getColumn('a') as DictionaryColumn;
+    expect(cast.dictionary).toEqual(['x', 'y']);
+  });
+
+  test('astype category keeps numeric and datetime values', () => {
+    const day = (d: number) => new Date(Date.UTC(2024, 0, d));
+    const df = new DataFrame({ n: [1, 2, 1], t: [day(2), day(1), day(2)] }).astype({ n: 'category', t: 'category' });
+    expect(df.dtypes).toEqual({ n: 'category', t: 'category' });
+    expect(df.getColumn('n').toArray()).toEqual([1, 2, 1]);
+    expect(df.toObject()).toEqual({ n: [1, 2, 1], t: [day(2), day(1), day(2)] });
+    expect(df.astype({ n: 'int', t: 'datetime' }).toObject()).toEqual({ n: [1, 2, 1], t: [day(2), day(1), day(2)] });
+    expect(df.factorize('t').uniques).toEqual([day(1), day(2)]);
+    expect(df.getDummies(['n']).columns).toEqual(['t', 'n_1', 'n_2']);
+    expect(df.astype({ n: 'string' }).column('n')).toEqual(['1', '2', '1']);
+    const ordered = df.toCategorical('t', { categories: [day(2), day(1)], ordered: true });
+    expect(ordered.filter(col('t').eq(day(2))).length).toBe(2);
+    expect(ordered.filter(col('t').gt(day(2))).column('t')).toEqual([day(1)]);
+  });
+
+  test('ordered categories drive query and predicate comparisons', () => {
+    const df = sizes();
+    expect(df.dtypes.size).toBe('category');
+    expect(df.query("size >= 'M'").toObject().id).toEqual([1, 3]);
+    expect(df.filter(col('size').between('S', 'M')).toObject().id).toEqual([1]);
+    expect(df.filter(not(col('size').gt('XS'))).toObject().id).toEqual([2, 4]);
+    expect(df.query("size == 'L'").toObject().id).toEqual([3]);
+    expect(() => df.query("size > 'XL'")).toThrow('Value is not a category of size: XL');
+    // Unordered categoricals compare values
+    expect(df.toCategorical('color').query("color > 'c'").toObject().id).toEqual([1, 4]);
+  });
+
+  test('sorts categorical columns in category order', () => {
+    expect(sizes().sortValues('size').toObject().id).toEqual([2, 1, 3, 4]);
+    expect((sizes().take([0, 1]).getColumn('size') as DictionaryColumn).ordered).toBe(true);
+  });
+
+  test('merge, dropDuplicates and melt keep categorical columns', () => {
+    const categories = ['XS', 'S', 'M', 'L'];
+    const prices = new DataFrame([{ size: 'S', price: 5 }, { size: 'M', price: 8 }])
+      .toCategorical('size', { categories, ordered: true });
+    const merged = sizes().toCategorical('color').merge(prices, 'size', 'size', { how: 'outer' });
+    expect(merged.dtypes).toMatchObject({ size: 'category', color: 'category', price: 'int' });
+    expect(merged.column('size')).toEqual(['M', 'XS', 'L', null, 'S']);
+    expect(merged.getColumn('size')).toMatchObject({ dictionary: categories, ordered: true });
+    // Without shared categories the filled key column is inferred
+    const plain = sizes().merge([{ size: 'S', price: 5 }], 'size', 'size', { how: 'outer' });
+    expect(plain.dtypes.size).toBe('string');
+
+    const deduplicated = sizes().toCategorical('color').dropDuplicates(['color']);
+    expect(deduplicated.toObject().id).toEqual([1, 2, 3]);
+    expect(deduplicated.dtypes).toMatchObject({ size: 'category', color: 'category' });
+    expect(deduplicated.getColumn('size')).toMatchObject({ ordered: true });
+
+    const melted = sizes().toCategorical('color').melt(['size'], ['id', 'color']);
+    expect(melted.dtypes).toEqual({ size: 'category', variable: 'string', value: 'object' });
+    expect(melted.getColumn('size')).toMatchObject({ dictionary: categories });
+    expect(melted.column('size')).toEqual(['M', 'M', 'XS', 'XS', 'L', 'L', null, null]);
+    expect(sizes().melt(['id'], ['size']).dtypes.value).toBe('category');
+  });
+
+  test('factorize encodes values as integer labels', () => {
+    const { codes, uniques } = factorize(['b', 'a', null, 'b']);
+    expect(Array.from(codes)).toEqual([0, 1, -1, 0]);
+    expect(uniques).toEqual(['b', 'a']);
+    expect(factorize([3, 1, 3], { sort: true }).uniques).toEqual([1, 3]);
+    const sized = sizes().factorize('size');
+    expect(Array.from(sized.codes)).toEqual([2, 0, 3, -1]);
+    expect(sized.uniques).toEqual(['XS', 'S', 'M', 'L']);
+  });
+
+  test('getDummies one-hot encodes into a numeric matrix', () => {
+    const dummies = sizes().getDummies(['color', 'size'], { dropFirst: true, prefix: { size: 's' } });
+    expect(dummies.columns).toEqual(['id', 'color_red', 's_S', 's_M', 's_L']);
+    expect(dummies.dtypes.color_red).toBe('int');
+    expect(dummies.toMatrix(['color_red', 's_M', 's_L'])).toEqual([[1, 1, 0], [0, 0, 0], [0, 0, 1], [1, 0, 0]]);
+    expect(getDummies([{ k: 'b' }, { k: 'a' }], null, { prefixSep: ':' })).toEqual([
+      { 'k:a': 0, 'k:b': 1 },
+      { 'k:a': 1, 'k:b': 0 }
+    ]);
+  });
+});
+
+describe('Reshaping', () => {
+  const long = () => new DataFrame([
+    { id: 1, year: 2023, score: 5, n: 1 },
+    { id: 1, year: 2024, score: 6, n: 2 },
+    { id: 2, year: 2023, score: 7, n: 3 }
+  ]);
+
+  test('pivot spreads values into columns without aggregating', () => {
+    const wide = long().pivot('id', 'year', 'score');
+    expect(wide.columns).toEqual(['id', '2023', '2024']);
+    expect(wide.toObject()['2024']).toEqual([6, null]);
+    expect(long().pivot('id', 'year').columns).toEqual(['id', 'score_2023', 'score_2024', 'n_2023', 'n_2024']);
+    expect(pivot(long().toArray(), ['id'], 'year', ['n'])[1]).toEqual({ id: 2, n_2023: 3, n_2024: null });
+    const duplicated = new DataFrame([{ a: 1, b: 'x', c: 1 }, { a: 1, b: 'x', c: 2 }]);
+    expect(() => duplicated.pivot('a', 'b', 'c')).toThrow('Duplicate entries for b = x in rows 0 and 1');
+  });
+
+  test('melt defaults to every non-id column and names its output columns', () => {
+    const wide = long().pivot('id', 'year', 'score');
+    const melted = wide.melt(['id'], null, { varName: 'year', valueName: 'score' });
+    expect(melted.columns).toEqual(['id', 'year', 'score']);
+    expect(melted.toArray()).toEqual([
+      { id: 1, year: '2023', score: 5 },
+      { id: 1, year: '2024', score: 6 },
+      { id: 2, year: '2023', score: 7 },
+      { id: 2, year: '2024', score: null }
+    ]);
+    expect(melt([{ id: 1, a: 2 }], ['id'])).toEqual([{ variable: 'a', value: 2, id: 1 }]);
+    expect(() => melt([{ id: 1 }], ['id'], null, { varName: 'id' })).toThrow('Cannot insert id, already exists');
+  });
+
+  test('unstack and stack round-trip through hierarchical column labels', () => {
+    const wide = long().setIndex('id').unstack('year');
+    expect(wide.index).toEqual([1, 2]);
+    expect(wide.columns).toEqual(['score_2023', 'score_2024', 'n_2023', 'n_2024']);
+    const stacked = wide.stack({ name: 'year' });
+    expect(stacked.index).toEqual([1, 1, 2]);
+    expect(stacked.astype({ year: 'int' }).resetIndex().toArray()).toEqual(long().toArray());
+    expect(wide.stack({ dropna: false }).length).toBe(4);
+    expect(() => long().stack()).toThrow('Column label has no separator: id');
+  });
+
+  test('explode gives one row per array element', () => {
+    expect(explode([{ k: 'a', v: [1, 2] }, { k: 'b', v: [] }, { k: 'c', v: 3 }], 'v')).toEqual([
+      { k: 'a', v: 1 },
+      { k: 'a', v: 2 },
+      { k: 'b', v: null },
+      { k: 'c', v: 3 }
+    ]);
+    const df = new DataFrame([{ k: 'a', v: [1, 2], w: ['x', 'y'] }]).setIndex('k');
+    const exploded = df.explode(['v', 'w']);
+    expect(exploded.index).toEqual(['a', 'a']);
+    expect(exploded.toObject()).toEqual({ v: [1, 2], w: ['x', 'y'] });
+    expect(() => new DataFrame([{ v: [1, 2], w: [1] }]).explode(['v', 'w'])).toThrow('Columns must have matching element counts');
+  });
+});
+
+describe('Analytic functions', () => {
+  const games = () => new DataFrame([
+    { team: 'a', day: 3, pts: 10 },
+    { team: 'b', day: 1, pts: 7 },
+    { team: 'a', day: 1, pts: 10 },
+    { team: 'a', day: 2, pts: null },
+    { team: 'b', day: 2, pts: 9 },
+    { team: 'a', day: 4, pts: 4 }
+  ]);
+  const byDay = { partitionBy: 'team', orderBy: 'day' };
+
+  test('rank breaks ties by method and leaves missing keys unranked', () => {
+    const ranks = (method: RankMethod) => games().rank('pts', { method, ascending: false }).column('rank');
+    expect(ranks('average')).toEqual([1.5, 4, 1.5, null, 3, 5]);
+    expect(ranks('min')).toEqual([1, 4, 1, null, 3, 5]);
+    expect(ranks('max')).toEqual([2, 4, 2, null, 3, 5]);
+    expect(ranks('dense')).toEqual([1, 3, 1, null, 2, 4]);
+    expect(ranks('first')).toEqual([1, 4, 2, null, 3, 5]);
+    expect(() => games().rank('pts', { method: 'top' as RankMethod })).toThrow('Invalid rank method: top');
+  });
+
+  test('rank and rowNumber restart in each partition', () => {
+    const ranked = games().rank('pts', { partitionBy: 'team', method: 'min', name: 'r' });
+    expect(ranked.column('r')).toEqual([2, 1, 2, null, 2, 1]);
+    expect(ranked.dtypes.r).toBe('int');
+    expect(games().rowNumber(byDay).column('rowNumber')).toEqual([3, 1, 1, 2, 2, 4]);
+    expect(games().rowNumber().column('rowNumber')).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  test('cumulative functions run in window order and skip missing values', () => {
+    expect(games().cumsum('pts', byDay).column('pts')).toEqual([20, 7, 10, null, 16, 24]);
+    expect(games().cumprod('pts', { ...byDay, name: 'prod' }).column('prod')).toEqual([100, 7, 10, null, 63, 400]);
+    expect(games().cummax('pts', byDay).column('pts')).toEqual([10, 7, 10, null, 9, 10]);
+    expect(games().cummin('pts', byDay).column('pts')).toEqual([10, 7, 10, null, 7, 4]);
+    expect(games().cumsum('pts').column('pts')).toEqual([10, 17, 27, null, 36, 40]);
+    expect(() => games().cumsum('team')).toThrow('Column is not numeric: team');
+  });
+
+  test('lag and lead read neighbouring rows within a partition', () => {
+    expect(games().lag('pts', 1, byDay).column('pts')).toEqual([null, null, null, 10, 7, 10]);
+    const next = games().lead('day', 1, { ...byDay, name: 'next' });
+    expect(next.column('next')).toEqual([4, 2, 2, 3, null, null]);
+    expect(next.column('day')).toEqual([3, 1, 1, 2, 2, 4]);
+    expect(games().lag('team', 2).column('team')).toEqual([null, null, 'a', 'b', 'a', 'a']);
+  });
+});
+
+describe('SQL', () => {
+  const results = () => new DataFrame([
+    { id: 1, name: 'a', score: 1.5, ok: true, when: new Date('2024-01-01'), tags: ['x'] },
+    { id: 2, name: null, score: NaN, ok: false, when: null, tags: null }
+  ]);
+
+  test('toSQL creates a table from the dtypes and fromSQL reads it back', () => {
+    const db = new Database(':memory:');
+    expect(results().toSQL(db, 'results', { batchSize: 1 })).toBe(2);
+    expect((db.prepare("SELECT sql FROM sqlite_master WHERE name = 'results'").get() as { sql: string }).sql).toBe(
+      'CREATE TABLE "results" ("id" INTEGER, "name" TEXT, "score" REAL, "ok" INTEGER, "when" TEXT, "tags")'
+    );
+    const back = DataFrame.fromSQL(db, 'SELECT * FROM results', null, { dtype: { ok: 'bool' }, parseDates: 'when' });
+    expect(back.dtypes).toEqual({ id: 'int', name: 'string', score: 'float', ok: 'bool', when: 'datetime', tags: 'string' });
+    expect(back.toArray()[0]).toEqual({ id: 1, name: 'a', score: 1.5, ok: true, when: new Date('2024-01-01'), tags: '["x"]' });
+    expect(back.toObject().score).toEqual([1.5, null]);
+    db.close();
+  });
+
+  test('fromSQL binds positional and named parameters', () => {
+    const db = new Database(':memory:');
+    results().toSQL(db, 'results');
+    expect(DataFrame.fromSQL(db, 'SELECT id FROM results WHERE id > ?', [1]).toArray()).toEqual([{ id: 2 }]);
+    expect(DataFrame.fromSQL(db, 'SELECT name FROM results WHERE id = :id', { id: 1 }).toArray()).toEqual([{ name: 'a' }]);
+    expect(DataFrame.fromSQL(db, 'SELECT id, ok FROM results WHERE 0').columns).toEqual(['id', 'ok']);
+    expect(() => DataFrame.fromSQL(db, 'DELETE FROM results')).toThrow('Query does not return rows');
+    db.close();
+  });
+
+  test('ifExists fails, replaces or appends to an existing table', () => {
+    const db = new Database(':memory:');
+    results().toSQL(db, 'results');
+    expect(() => results().toSQL(db, 'results')).toThrow('Table already exists: results');
+    results().toSQL(db, 'results', { ifExists: 'append' });
+    expect(DataFrame.fromSQL(db, 'SELECT count(*) AS n FROM results').toArray()).toEqual([{ n: 4 }]);
+    results().select(['id']).toSQL(db, 'results', { ifExists: 'replace', dtypeMap: { id: 'TEXT' } });
+    expect(DataFrame.fromSQL(db, 'SELECT * FROM results').toArray()).toEqual([{ id: '1' }, { id: '2' }]);
+    expect(() => results().toSQL(db, 'results', { batchSize: 0 })).toThrow('batchSize must be a positive integer');
+    db.close();
+  });
+});
+
+describe('JSON', () => {
+  const logs = [
+    '{"id": 1, "user": {"name": "ann", "geo": {"city": "NYC"}}, "tags": ["a"]}',
+    '',
+    '{"id": 2, "user": {"name": "bob"}, "status": 500}'
+  ].join('\n');
+
+  test('parseJSONL reads one object per line with the union of keys as columns', () => {
+    const { columns, rows } = parseJSONL(logs);
+    expect(columns).toEqual(['id', 'user', 'tags', 'status']);
+    expect(rows[1]).toEqual({ id: 2, user: { name: 'bob' }, status: 500 });
+    expect(() => parseJSONL('{"id": 1}\n{id: 2}')).toThrow('Invalid JSON on line 2');
+    expect(() => parseJSONL('[1, 2]')).toThrow('Line 1 is not a JSON object');
+  });
+
+  test('fromJSONL reads text and streams, toJSONL writes one object per row', async () => {
+    const df = DataFrame.fromJSONL(logs, { normalize: true });
+    expect(df.columns).toEqual(['id', 'user.name', 'user.geo.city', 'tags', 'status']);
+    expect(df.toObject()['user.geo.city']).toEqual(['NYC', null]);
+
+    const streamed = await DataFrame.fromJSONL(Readable.from([Buffer.from(logs.slice(0, 30)), Buffer.from(logs.slice(30))]));
+    expect(streamed.columns).toEqual(['id', 'user', 'tags', 'status']);
+    expect(streamed.toArray()[0].user).toEqual({ name: 'ann', geo: { city: 'NYC' } });
+
+    const dated = new DataFrame([{ a: 1, when: new Date('2024-01-01') }, { a: NaN, when: null }]);
+    const text = dated.toJSONL();
+    expect(text).toBe('{"a":1,"when":"2024-01-01T00:00:00.000Z"}\n{"a":null,"when":null}\n');
+    expect(DataFrame.fromJSONL(text, { parseDates: 'when' }).toArray()).toEqual(dated.toArray());
+  });
+
+  test('jsonNormalize expands record paths and copies meta fields', () => {
+    const states = [
+      { state: 'FL', info: { governor: 'X' }, counties: [{ name: 'Dade', population: 12 }, { name: 'Broward' }] },
+      { state: 'OH', counties: [{ name: 'Summit', population: 3 }] }
+    ];
+    expect(jsonNormalize(states, { recordPath: 'counties', meta: ['state', ['info', 'governor']] })).toEqual([
+      { name: 'Dade', population: 12, state: 'FL', 'info.governor': 'X' },
+      { name: 'Broward', population: null, state: 'FL', 'info.governor': 'X' },
+      { name: 'Summit', population: 3, state: 'OH', 'info.governor': null }
+    ]);
+    expect(jsonNormalize({ a: { b: 1, c: { d: 2 } } }, { sep: '_' })).toEqual([{ a_b: 1, a_c_d: 2 }]);
+
+    const nested = [{ id: 1, orders: [{ no: 7, items: [{ sku: 'x' }, { sku: 'y' }] }] }];
+    expect(jsonNormalize(nested, { recordPath: ['orders', 'items'], meta: ['id', ['orders', 'no']] })).toEqual([
+      { sku: 'x', id: 1, 'orders.no': 7 },
+      { sku: 'y', id: 1, 'orders.no': 7 }
+    ]);
+    expect(() => jsonNormalize(states, { recordPath: 'state' })).toThrow('Path state must point to an array of records');
+    expect(() => jsonNormalize(states, { recordPath: 'counties', meta: ['name'] })).toThrow('Conflicting metadata name name');
+  });
+});
+
+describe('Display', () => {
+  const scores = () => new DataFrame([
+    { name: 'ann', score: 1.5, when: new Date('2024-01-01') },
+    { name: 'bob|<b>', score: 1 / 3, when: null },
+    { name: 'cy', score: 10, when: new Date('2024-01-03T12:00:00Z') }
+  ]);
+
+  test('toString aligns columns and marks truncated rows and columns', () => {
+    expect(scores().toString()).toBe([
+      '   name        score  when',
+      '0  ann           1.5  2024-01-01',
+      '1  bob|<b>  0.333333  null',
+      '2  cy             10  2024-01-03T12:00:00.000Z'
+    ].join('\n'));
+    expect(scores().setIndex('name').toString({ maxRows: 2, maxCols: 1, precision: 2 })).toBe([
+      'name  score  ...',
+      'ann     1.5  ...',
+      '...     ...  ...',
+      'cy       10  ...',
+      '',
+      '[3 rows x 2 columns]'
+    ].join('\n'));
+    expect(`${scores().select(['score'])}`).toContain('0.333333');
+  });
+
+  test('toMarkdown and toHTML escape cell text', () => {
+    expect(scores().select(['name', 'score']).toMarkdown({ precision: 2 })).toBe([
+      '| name | score |',
+      '| --- | ---: |',
+      '| ann | 1.5 |',
+      '| bob\\|&lt;b&gt; | 0.33 |',
+      '| cy | 10 |'
+    ].join('\n'));
+    const html = scores().setIndex('score').select(['name']).toHTML({ maxRows: 1 });
+    expect(html).toContain('<tr><th>score</th><th>name</th></tr>');
+    expect(html).toContain('<tr><th>1.5</th><td>ann</td></tr>');
+    expect(html).toContain('<tr><th>...</th><td>...</td></tr>');
+    expect(html).not.toContain('bob');
+    expect(html.endsWith('</table>\n<p>3 rows x 1 columns</p>')).toBe(true);
+    expect(new DataFrame([{ a: '<b>' }]).toHTML()).toContain('<td>&lt;b&gt;</td>');
+  });
+
+  test('head, tail and sample select rows', () => {
+    const df = new DataFrame({ x: [0, 1, 2, 3, 4, 5, 6] });
+    expect(df.head().column('x')).toEqual([0, 1, 2, 3, 4]);
+    expect(df.head(-5).column('x')).toEqual([0, 1]);
+    expect(df.tail(2).column('x')).toEqual([5, 6]);
+    expect(df.tail(-5).column('x')).toEqual([5, 6]);
+    expect(df.tail(10).length).toBe(7);
+
+    const sample = df.sample(4, 42).column('x');
+    expect(df.sample(4, 42).column('x')).toEqual(sample);
+    expect(new Set(sample).size).toBe(4);
+    expect(df.sample(7, 1).column('x').sort()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(df.sample().length).toBe(1);
+    expect(df.sample(3, new Random(42)).column('x')).toEqual(df.sample(3, 42).column('x'));
+    expect(() => df.sample(8)).toThrow('Sample size must be an integer from 0 to 7: 8');
+  });
+});
+
+describe('String operations', () => {
+  const emails = () => new DataFrame([
+    { email: ' Ann@Example.com ', n: 1 },
+    { email: null, n: 2 },
+    { email: 'bob@test.org', n: 3 },
+    { email: 'bob@test.org', n: 4 }
+  ]);
+
+  test('lower, upper, trim, len and pad keep missing values', () => {
+    const clean = emails().str('email').trim().str('email').lower();
+    expect(clean.column('email')).toEqual(['ann@example.com', null, 'bob@test.org', 'bob@test.org']);
+    expect(clean.str('email').upper().column('email')[0]).toBe('ANN@EXAMPLE.COM');
+    const lengths = emails().str('email', { name: 'length' }).len();
+    expect(lengths.column('length')).toEqual([17, null, 12, 12]);
+    expect(lengths.dtypes.length).toBe('int');
+    expect(new DataFrame({ id: ['7', '42', null] }).str('id').pad(4, { fillchar: '0' }).column('id')).toEqual(['0007', '0042', null]);
+    expect(new DataFrame({ id: ['ab'] }).str('id').pad(5, { side: 'both', fillchar: '-' }).column('id')).toEqual(['-ab--']);
+    expect(() => emails().str('email').pad(4, { fillchar: '00' })).toThrow('fillchar must be a single character');
+    expect(() => emails().str('n')).toThrow('Column is not a string column: n');
+  });
+
+  test('contains and replace take regular expressions or literal text', () => {
+    const found = emails().str('email', { name: 'isTest' }).contains('TEST\\.', { caseSensitive: false });
+    expect(found.column('isTest')).toEqual([false, null, true, true]);
+    expect(found.dtypes.isTest).toBe('bool');
+    expect(emails().str('email').contains('.', { regex: false }).column('email')).toEqual([true, null, true, true]);
+    expect(emails().str('email').replace(/(\w+)@/, '<$1> ').column('email')[2]).toBe('<bob> test.org');
+    expect(emails().str('email').replace('.', '$', { regex: false }).column('email')[2]).toBe('bob@test$org');
+  });
+
+  test('split and extract fill new columns', () => {
+    const split = emails().str('email').trim().str('email').split('@', { expand: true });
+    expect(split.columns).toEqual(['email', 'n', 'email_0', 'email_1']);
+    expect(split.column('email_1')).toEqual(['Example.com', null, 'test.org', 'test.org']);
+    const parts = new DataFrame({ path: ['a/b/c', '  x  y ', null] });
+    expect(parts.str('path').split('/', { n: 1 }).column('path')).toEqual([['a', 'b/c'], ['  x  y '], null]);
+    expect(parts.str('path').split().column('path')).toEqual([['a/b/c'], ['x', 'y'], null]);
+
+    const named = emails().str('email').extract(/(?<user>\w+)@(?<domain>[\w.]+)/);
+    expect(named.column('user')).toEqual(['Ann', null, 'bob', 'bob']);
+    expect(named.column('domain')).toEqual(['Example.com', null, 'test.org', 'test.org']);
+    expect(emails().str('email', { name: 'tld' }).extract('\\.(\\w+)$').column('tld_0')).toEqual([null, null, 'org', 'org']);
+    expect(() => emails().str('email').extract('@')).toThrow('Pattern has no capture groups');
+  });
+});